@@ -4,13 +4,16 @@
  *
  * @module boardManagement
  */
-import { addWidget } from '../widget/widgetManagement.js'
+import { addWidget, applyWidgetState } from '../widget/widgetManagement.js'
 import { widgetStore } from '../widget/widgetStore.js'
 import { Logger } from '../../utils/Logger.js'
 import { boardGetUUID, viewGetUUID } from '../../utils/id.js'
 import StorageManager from '../../storage/StorageManager.js'
 import { getCurrentBoardId, getCurrentViewId } from '../../utils/elements.js'
-import { saveWidgetState } from '../../storage/widgetStatePersister.js'
+import { saveWidgetState, markViewSynced } from '../../storage/widgetStatePersister.js'
+import { EVENTS, emit } from '../../utils/eventBus.js'
+import { applyLayout, viewLayout, LAYOUT } from '../widget/utils/gridLayout.js'
+import { applyBreakpointLayout } from '../widget/utils/responsiveLayout.js'
 
 /** @typedef {import('../../types.js').Board} Board */
 /** @typedef {import('../../types.js').View} View */
@@ -137,16 +140,26 @@ export async function switchView (boardId = getCurrentBoardId(), viewId) {
   logger.log('switchView', { boardId, viewId })
 
   // CAPACITY CHECK *BEFORE* instantiating any missing widgets or hiding current ones.
-  const missing = view.widgetState.filter(w => !widgetStore.has(w.dataid))
-  const proceed = await widgetStore.confirmCapacity(missing.length)
+  // Suspended widgets load their content again when shown, so they count too.
+  const activeIds = new Set(view.widgetState.map(w => w.dataid))
+  const needed = view.widgetState.filter(w => !widgetStore.has(w.dataid) || widgetStore.isSuspended(w.dataid))
+  const proceed = await widgetStore.confirmCapacity(needed.length, activeIds)
   if (!proceed) return // user cancelled eviction; do not navigate or mutate storage
 
+  // What gets rendered below is what this tab considers in sync for the view
+  markViewSynced(viewId, view.widgetState)
+
   // Now safe to switch the DOM id for the view
   const boardViewEl = document.querySelector('.board-view')
   if (boardViewEl) boardViewEl.id = viewId
+  const widgetContainer = document.getElementById('widget-container')
+  if (widgetContainer) {
+    widgetContainer.dataset.layout = viewLayout(view)
+    // Saves while widgets mount must not be taken for layout edits
+    delete widgetContainer.dataset.breakpoint
+  }
 
   // Hide widgets not in target view (runtime only)
-  const activeIds = new Set(view.widgetState.map(w => w.dataid))
   for (const id of widgetStore.widgets.keys()) {
     if (!activeIds.has(id)) {
       widgetStore.hide(id)
@@ -166,15 +179,64 @@ export async function switchView (boardId = getCurrentBoardId(), viewId) {
         boardId,
         viewId,
         widget.dataid,
-        { skipCapacity: true }
+        {
+          skipCapacity: true,
+          settings: widget.settings,
+          metadata: widget.metadata,
+          security: widget.security,
+          x: widget.x != null ? Number(widget.x) : undefined,
+          y: widget.y != null ? Number(widget.y) : undefined
+        }
       )
     }
   }
+  if (widgetContainer) applyBreakpointLayout(widgetContainer, view)
 
   // Persist current view selection (metadata-only)
   StorageManager.misc.setLastViewId(viewId)
 }
 
+/**
+ * Re-render the current board and view from storage after another tab
+ * changed the config. Widgets deleted elsewhere are dropped from the
+ * runtime store; the visible ones pick up size, order and URL changes.
+ *
+ * @function reconcileWithStorage
+ * @returns {Promise<void>}
+ */
+export async function reconcileWithStorage () {
+  const boards = StorageManager.getBoards()
+
+  const persistedIds = new Set(boards.flatMap(b => (b.views || [])
+    .flatMap(v => (v.widgetState || []).map(w => w.dataid))))
+  for (const id of Array.from(widgetStore.widgets.keys())) {
+    if (!persistedIds.has(id)) await widgetStore.evictRuntimeOnly(id)
+  }
+
+  const board = boards.find(b => b.id === getCurrentBoardId())
+  if (!board) {
+    if (boards.length > 0) {
+      await switchBoard(boards[0].id)
+    } else {
+      clearWidgetContainer()
+    }
+    return
+  }
+
+  const view = board.views.find(v => v.id === getCurrentViewId())
+  if (!view) {
+    await switchBoard(board.id)
+    return
+  }
+
+  for (const widget of view.widgetState) {
+    const el = widgetStore.widgets.get(widget.dataid)
+    if (el) applyWidgetState(el, widget)
+  }
+  // Same view: shows, hides and creates widgets without saving first
+  await switchView(board.id, view.id)
+}
+
 /**
  * Populate the view selector dropdown for a given board.
  * Reads the last used view from localStorage to preselect it.
@@ -271,8 +333,8 @@ export async function switchBoard (boardId, viewId = null) {
     // Persist and sync UI/counters using main's model + feature counter
     StorageManager.misc.setLastBoardId(boardId)
     updateViewSelector(boardId)
-    document.dispatchEvent(new CustomEvent('state-change', { detail: { reason: 'services' } }))
-    document.dispatchEvent(new Event('view:ready'))
+    emit(EVENTS.STATE_CHANGE, { reason: 'services' })
+    emit(EVENTS.VIEW_READY)
   } else {
     logger.error(`Board with ID ${boardId} not found`)
   }
@@ -490,6 +552,36 @@ export async function deleteView (boardId, viewId) {
   }
 }
 
+/**
+ * Switch a view between flowing and free (x/y) layout. Going free pins the
+ * widgets where they are now; going back to flow keeps their positions
+ * stored for the next switch.
+ *
+ * @param {string} boardId - Identifier of the board containing the view.
+ * @param {string} viewId - Identifier of the view.
+ * @param {'flow'|'free'} layout
+ * @function setViewLayout
+ * @returns {void}
+ */
+export function setViewLayout (boardId, viewId, layout) {
+  let found = false
+  StorageManager.updateBoards(boards => {
+    const view = boards.find(b => b.id === boardId)?.views.find(v => v.id === viewId)
+    if (!view) return
+    found = true
+    view.layout = layout
+  })
+  if (!found) return logger.error(`View with ID ${viewId} not found in board ${boardId}`)
+
+  const widgetContainer = document.getElementById('widget-container')
+  if (widgetContainer && viewId === getCurrentViewId()) {
+    widgetContainer.dataset.layout = layout
+    applyLayout(widgetContainer, { convert: layout === LAYOUT.FREE })
+    saveWidgetState(boardId, viewId)
+  }
+  logger.log(`View ${viewId} now uses ${layout} layout`)
+}
+
 /**
  * Clear all widgets from a view and persist the empty state.
  *
@@ -0,0 +1,76 @@
+// @ts-check
+/**
+ * "Download backup" and "Restore from file" actions of the config modal.
+ *
+ * @module configModal/backupFile
+ */
+import { createBackup, backupToBlob, readBackupFile } from '../../storage/backup.js'
+import StorageManager from '../../storage/StorageManager.js'
+import { openRestoreModal } from '../modal/restoreModal.js'
+import { showNotification } from '../dialog/notification.js'
+import { Logger } from '../../utils/Logger.js'
+
+const logger = new Logger('backupFile.js')
+
+/**
+ * Save a blob through a temporary download link.
+ * @function saveBlob
+ * @param {Blob} blob
+ * @param {string} filename
+ * @returns {void}
+ */
+function saveBlob (blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+/**
+ * Download a backup of the whole dashboard as a JSON file.
+ *
+ * @function downloadBackup
+ * @returns {Promise<void>}
+ */
+export async function downloadBackup () {
+  try {
+    const backup = await createBackup()
+    const stamp = backup.createdAt.slice(0, 19).replace(/[:T]/g, '-')
+    saveBlob(await backupToBlob(backup), `asd-dashboard-backup-${stamp}.json`)
+    logger.log(`Backup downloaded with ${backup.snapshots.states.length} snapshot(s)`)
+    showNotification(StorageManager.encryption.isEnabled()
+      ? 'Backup downloaded. The file is not encrypted, store it safely.'
+      : 'Backup downloaded')
+  } catch (error) {
+    logger.error('Creating backup failed:', error)
+    showNotification('Could not create backup', 3000, 'error')
+  }
+}
+
+/**
+ * Let the user pick a backup file (.json or .json.gz), validate it and ask
+ * for confirmation before restoring.
+ *
+ * @function restoreFromFile
+ * @returns {void}
+ */
+export function restoreFromFile () {
+  const input = document.createElement('input')
+  input.type = 'file'
+  input.accept = '.json,.gz,application/json,application/gzip'
+  input.addEventListener('change', async () => {
+    const file = input.files?.[0]
+    if (!file) return
+    try {
+      openRestoreModal(await readBackupFile(file), file.name)
+    } catch (error) {
+      logger.warn('Rejected backup file:', error)
+      showNotification(`Cannot restore: ${error.message}`, 4000, 'error')
+    }
+  })
+  input.click()
+}
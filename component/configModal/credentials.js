@@ -0,0 +1,206 @@
+// @ts-check
+/**
+ * Credentials tab of the config modal: lists the stored API credentials
+ * (secrets masked) and adds, replaces or deletes them. Services refer to a
+ * credential by name in `api.credential`; it is only sent to the origins
+ * stored with it.
+ *
+ * @module credentials
+ */
+import StorageManager from '../../storage/StorageManager.js'
+import { showNotification } from '../dialog/notification.js'
+
+/** @typedef {import('../../types.js').Credential} Credential */
+
+/** Inputs shown for each credential type. */
+const FIELDS = {
+  bearer: [['token', 'Token', 'password']],
+  basic: [['username', 'Username', 'text'], ['password', 'Password', 'password']],
+  header: [['name', 'Header name', 'text'], ['value', 'Header value', 'password']],
+  query: [['name', 'Parameter name', 'text'], ['value', 'Parameter value', 'password']]
+}
+
+/**
+ * Short description of a credential without its secret.
+ * @function describe
+ * @param {Credential} credential
+ * @returns {string}
+ */
+function describe (credential) {
+  switch (credential.type) {
+    case 'basic': return `basic (${credential.username || ''})`
+    case 'header': return `header ${credential.name}`
+    case 'query': return `query parameter ${credential.name}`
+    default: return credential.type
+  }
+}
+
+/**
+ * Origins of a space or comma separated list of URLs.
+ * @function parseOrigins
+ * @param {string} text
+ * @returns {Array<string>|null} null when an entry is not an absolute URL.
+ */
+function parseOrigins (text) {
+  const entries = text.split(/[\s,]+/).filter(Boolean)
+  if (!entries.every(entry => URL.canParse(entry))) return null
+  return Array.from(new Set(entries.map(entry => new URL(entry).origin)))
+}
+
+/**
+ * Ask for new allowed origins of a stored credential.
+ * @function editOrigins
+ * @param {string} name
+ * @param {Credential} credential
+ * @returns {boolean} Whether they were changed.
+ */
+function editOrigins (name, credential) {
+  const text = prompt(`Origins "${name}" may be sent to, separated by spaces:`, (credential.origins || []).join(' '))
+  if (text === null) return false
+  const origins = parseOrigins(text)
+  if (!origins) {
+    showNotification('Enter absolute URLs, e.g. https://grafana.example', 3000, 'error')
+    return false
+  }
+  StorageManager.setCredential(name, { ...credential, origins })
+  return true
+}
+
+/**
+ * Form for adding a credential.
+ * @function buildForm
+ * @param {() => void} onSaved
+ * @returns {HTMLFormElement}
+ */
+function buildForm (onSaved) {
+  const form = document.createElement('form')
+  form.classList.add('credentials__form')
+
+  const name = document.createElement('input')
+  name.classList.add('modal__input')
+  name.placeholder = 'Name, e.g. grafana'
+  name.required = true
+  name.setAttribute('aria-label', 'Credential name')
+
+  const type = document.createElement('select')
+  type.setAttribute('aria-label', 'Credential type')
+  for (const value of Object.keys(FIELDS)) {
+    const option = document.createElement('option')
+    option.value = option.textContent = value
+    type.appendChild(option)
+  }
+
+  const fields = document.createElement('span')
+  const renderFields = () => {
+    fields.replaceChildren(...FIELDS[type.value].map(([key, label, inputType]) => {
+      const input = document.createElement('input')
+      input.classList.add('modal__input')
+      input.name = key
+      input.type = inputType
+      input.placeholder = label
+      input.autocomplete = 'off'
+      input.setAttribute('aria-label', label)
+      return input
+    }))
+  }
+  type.addEventListener('change', renderFields)
+  renderFields()
+
+  const origins = document.createElement('input')
+  origins.classList.add('modal__input')
+  origins.placeholder = 'Allowed origins, e.g. https://grafana.example'
+  origins.required = true
+  origins.setAttribute('aria-label', 'Allowed origins')
+
+  const save = document.createElement('button')
+  save.type = 'submit'
+  save.textContent = 'Save credential'
+  save.classList.add('modal__btn', 'modal__btn--save')
+
+  form.addEventListener('submit', (event) => {
+    event.preventDefault()
+    const key = name.value.trim()
+    if (!key) return
+    const allowed = parseOrigins(origins.value)
+    if (!allowed?.length) {
+      showNotification('Enter the origins the credential may be sent to', 3000, 'error')
+      return
+    }
+    /** @type {Record<string, any>} */
+    const credential = { type: type.value, origins: allowed }
+    for (const input of fields.querySelectorAll('input')) credential[input.name] = input.value
+    if ((type.value === 'header' || type.value === 'query') && !credential.name) {
+      showNotification('Enter a header or parameter name', 3000, 'error')
+      return
+    }
+    const replacing = key in StorageManager.getCredentials()
+    if (replacing && !confirm(`Replace credential "${key}"?`)) return
+    StorageManager.setCredential(key, /** @type {Credential} */(credential))
+    showNotification(`Credential "${key}" saved`)
+    onSaved()
+  })
+
+  form.append(name, type, fields, origins, save)
+  return form
+}
+
+/**
+ * Fill the credentials tab.
+ *
+ * @function populateCredentialsTab
+ * @param {HTMLElement} tab
+ * @returns {Promise<void>}
+ */
+export async function populateCredentialsTab (tab) {
+  tab.replaceChildren()
+  tab.classList.add('modal__tab--column')
+
+  const intro = document.createElement('p')
+  intro.textContent = 'Secrets for API services. Reference one from a service with "api": { "credential": "<name>" }. ' +
+    'A credential is only sent to the origins listed with it. ' +
+    'Credentials are not included in exports, backups or sync; turn on encryption to protect them at rest.'
+
+  const table = document.createElement('table')
+  table.classList.add('table')
+  const tbody = document.createElement('tbody')
+  const credentials = StorageManager.getCredentials()
+  for (const [name, credential] of Object.entries(credentials)) {
+    const row = document.createElement('tr')
+    const nameCell = document.createElement('td')
+    nameCell.textContent = name
+    const typeCell = document.createElement('td')
+    typeCell.textContent = describe(credential)
+    const originsCell = document.createElement('td')
+    originsCell.textContent = credential.origins?.length ? credential.origins.join(', ') : 'No origins, never sent'
+    const actions = document.createElement('td')
+    const originsButton = document.createElement('button')
+    originsButton.textContent = 'Origins'
+    originsButton.classList.add('modal__btn')
+    originsButton.setAttribute('aria-label', `Edit origins of credential ${name}`)
+    originsButton.addEventListener('click', () => {
+      if (editOrigins(name, credential)) populateCredentialsTab(tab)
+    })
+    const remove = document.createElement('button')
+    remove.textContent = 'Delete'
+    remove.classList.add('modal__btn', 'modal__btn--danger')
+    remove.setAttribute('aria-label', `Delete credential ${name}`)
+    remove.addEventListener('click', () => {
+      if (!confirm(`Delete credential "${name}"?`)) return
+      StorageManager.setCredential(name, null)
+      populateCredentialsTab(tab)
+    })
+    actions.append(originsButton, remove)
+    row.append(nameCell, typeCell, originsCell, actions)
+    tbody.appendChild(row)
+  }
+  if (!tbody.children.length) {
+    const row = document.createElement('tr')
+    const cell = document.createElement('td')
+    cell.textContent = 'No credentials stored'
+    row.appendChild(cell)
+    tbody.appendChild(row)
+  }
+  table.appendChild(tbody)
+
+  tab.append(intro, table, buildForm(() => populateCredentialsTab(tab)))
+}
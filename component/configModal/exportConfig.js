@@ -7,7 +7,7 @@
 import { showNotification } from '../dialog/notification.js'
 import { encodeConfig } from '../../utils/compression.js'
 import { Logger } from '../../utils/Logger.js'
-import StorageManager from '../../storage/StorageManager.js'
+import StorageManager, { CURRENT_VERSION } from '../../storage/StorageManager.js'
 import emojiList from '../../ui/unicodeEmoji.js'
 import { minimizeDeep } from '../../utils/minimizer.js'
 import { splitIntoParams, formatChunksManifest } from '../../utils/chunker.js'
@@ -44,7 +44,8 @@ export async function exportConfig () {
       return
     }
 
-    const cfgMapped = applyKeyMap(cfg, KEY_MAP, 'encode')
+    // Tag the config so future builds know which migrations to apply on import
+    const cfgMapped = applyKeyMap({ ...cfg, version: CURRENT_VERSION }, KEY_MAP, 'encode')
     const svcMapped = applyKeyMap(svc, KEY_MAP, 'encode')
     const cfgDefaults = applyKeyMap(DEFAULT_CONFIG_TEMPLATE, KEY_MAP, 'encode')
     const svcDefaults = []
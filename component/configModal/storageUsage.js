@@ -0,0 +1,59 @@
+// @ts-check
+/**
+ * Storage usage meter listing the bytes used by each stored key.
+ *
+ * @module storageUsage
+ */
+import StorageManager from '../../storage/StorageManager.js'
+
+/** Usage ratio from which the meter is drawn as a warning. */
+const HIGH_USAGE = 0.8
+
+/**
+ * Format a byte count for display.
+ * @function formatBytes
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes (bytes) {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`
+}
+
+/**
+ * Build the usage meter element: total against quota plus a per-key list.
+ * @function renderStorageUsage
+ * @returns {Promise<HTMLElement>}
+ */
+export async function renderStorageUsage () {
+  const { usage, quota } = await StorageManager.estimateQuota()
+  const { backend, entries } = StorageManager.getUsage()
+
+  const wrap = document.createElement('details')
+  wrap.id = 'storage-usage'
+  wrap.classList.add('storage-usage')
+
+  const summary = document.createElement('summary')
+  const meter = document.createElement('meter')
+  meter.min = 0
+  meter.max = quota || 1
+  meter.high = (quota || 1) * HIGH_USAGE
+  meter.value = usage
+  meter.setAttribute('aria-label', 'Storage usage')
+  const label = document.createElement('span')
+  label.textContent = `Storage (${backend}): ${formatBytes(usage)} of ${quota ? formatBytes(quota) : 'unknown'}`
+  summary.append(meter, label)
+  wrap.appendChild(summary)
+
+  const list = document.createElement('ul')
+  for (const entry of entries) {
+    const item = document.createElement('li')
+    const name = document.createElement('code')
+    name.textContent = entry.key
+    item.append(name, document.createTextNode(` ${formatBytes(entry.bytes)} (${entry.backend})`))
+    list.appendChild(item)
+  }
+  wrap.appendChild(list)
+  return wrap
+}
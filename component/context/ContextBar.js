@@ -0,0 +1,80 @@
+// @ts-check
+/**
+ * Context bar in the main menu: one input per `{{ctx.name}}` variable used
+ * by a widget URL on the current view. Editing a value retargets every
+ * widget that refers to it. Hidden when the view uses no variables.
+ *
+ * @module ContextBar
+ */
+import { getContext, setContextVar, templateVars } from '../../state/contextVars.js'
+import { showNotification } from '../dialog/notification.js'
+import { EVENTS, on } from '../../utils/eventBus.js'
+
+/**
+ * Context variables referenced by the widgets currently on the page, in
+ * the order they first appear.
+ * @function usedVariables
+ * @returns {Array<string>}
+ */
+function usedVariables () {
+  /** @type {Set<string>} */
+  const names = new Set()
+  document.querySelectorAll('.widget-wrapper').forEach(el => {
+    for (const name of templateVars(/** @type {HTMLElement} */(el).dataset.url)) names.add(name)
+  })
+  return Array.from(names)
+}
+
+/**
+ * Mount the context bar into #context-control.
+ * @function mountContextBar
+ * @returns {{refresh:() => void}|null}
+ */
+export function mountContextBar () {
+  const root = document.getElementById('context-control')
+  if (!root) return null
+
+  const render = () => {
+    const names = usedVariables()
+    const context = getContext()
+    root.hidden = names.length === 0
+    // Leave the field being typed in alone, the list only changes with the view
+    const current = Array.from(root.querySelectorAll('input'), input => input.name)
+    if (current.join('\n') === names.join('\n')) {
+      root.querySelectorAll('input').forEach(input => {
+        if (document.activeElement !== input) input.value = context[input.name] ?? ''
+      })
+      return
+    }
+
+    root.replaceChildren()
+    for (const name of names) {
+      const label = document.createElement('label')
+      label.className = 'context-var'
+      label.textContent = name
+
+      const input = document.createElement('input')
+      input.type = 'text'
+      input.name = name
+      input.value = context[name] ?? ''
+      input.placeholder = 'unset'
+      input.title = `Value of {{ctx.${name}}} in widget URLs`
+      input.addEventListener('change', () => {
+        try {
+          setContextVar(name, input.value.trim())
+        } catch (error) {
+          showNotification(error.message, 3000, 'error')
+          input.value = getContext()[name] ?? ''
+        }
+      })
+      label.appendChild(input)
+      root.appendChild(label)
+    }
+  }
+
+  on(EVENTS.VIEW_READY, render)
+  on(EVENTS.STATE_CHANGE, render)
+  on(EVENTS.CONTEXT_CHANGED, render)
+  render()
+  return { refresh: render }
+}
@@ -0,0 +1,45 @@
+// @ts-check
+/**
+ * Screen reader announcements through a visually hidden ARIA live region.
+ *
+ * @module liveRegion
+ */
+
+/** @type {Record<'polite'|'assertive', HTMLElement|null>} */
+const regions = { polite: null, assertive: null }
+
+/**
+ * The live region for a politeness level, created on first use.
+ * @function regionFor
+ * @param {'polite'|'assertive'} politeness
+ * @returns {HTMLElement}
+ */
+function regionFor (politeness) {
+  let region = regions[politeness]
+  if (!region || !region.isConnected) {
+    region = document.createElement('div')
+    region.className = 'visually-hidden'
+    region.id = `live-region-${politeness}`
+    region.setAttribute('role', politeness === 'assertive' ? 'alert' : 'status')
+    region.setAttribute('aria-live', politeness)
+    region.setAttribute('aria-atomic', 'true')
+    document.body.appendChild(region)
+    regions[politeness] = region
+  }
+  return region
+}
+
+/**
+ * Announce a message to assistive technology without moving focus.
+ *
+ * @function announce
+ * @param {string} message
+ * @param {{assertive?:boolean}} [opts] - Interrupt the reader, for errors.
+ * @returns {void}
+ */
+export function announce (message, { assertive = false } = {}) {
+  const region = regionFor(assertive ? 'assertive' : 'polite')
+  // Clear first so repeating the same message is announced again
+  region.textContent = ''
+  setTimeout(() => { region.textContent = message }, 50)
+}
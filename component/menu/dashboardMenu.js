@@ -23,6 +23,7 @@ import { Logger } from '../../utils/Logger.js'
 import { clearConfigFragment } from '../../utils/fragmentGuard.js'
 import StorageManager from '../../storage/StorageManager.js'
 import { debounceLeading } from '../../utils/utils.js'
+import { initializeUndoRedo } from './undoRedo.js'
 
 const logger = new Logger('dashboardMenu.js')
 
@@ -43,6 +44,7 @@ function initializeDashboardMenu () {
   // Service panel is mounted in main.js; no extra wiring needed here
 
   applyWidgetMenuVisibility()
+  initializeUndoRedo()
 
   const buttonDebounce = 200
 
@@ -72,7 +74,7 @@ function initializeDashboardMenu () {
   }
 
   // Reset environment
-  const handleReset = debounceLeading(() => {
+  const handleReset = debounceLeading(async () => {
     // eslint-disable-next-line no-alert
 
     // Show confirmation dialog
@@ -80,6 +82,7 @@ function initializeDashboardMenu () {
 
     if (confirmed) {
       StorageManager.clearAllExceptState()
+      await StorageManager.flush()
       clearConfigFragment()
       location.reload()
     }
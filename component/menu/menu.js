@@ -210,11 +210,32 @@ function initializeMainMenu () {
 
   menu.appendChild(serviceControl)
 
+  // Context variables used by widget URLs, filled by ContextBar
+  const contextControl = document.createElement('div')
+  contextControl.className = 'control-group'
+  contextControl.id = 'context-control'
+  contextControl.hidden = true
+  menu.appendChild(contextControl)
+
   // Admin control group
   const adminControl = document.createElement('div')
   adminControl.className = 'control-group'
   adminControl.id = 'admin-control'
 
+  const undoButton = document.createElement('label')
+  undoButton.id = 'undo-button'
+  undoButton.ariaLabel = 'Undo (Ctrl+Z)'
+  undoButton.title = 'Undo (Ctrl+Z)'
+  undoButton.textContent = emojiList.undo.unicode
+  adminControl.appendChild(undoButton)
+
+  const redoButton = document.createElement('label')
+  redoButton.id = 'redo-button'
+  redoButton.ariaLabel = 'Redo (Ctrl+Shift+Z)'
+  redoButton.title = 'Redo (Ctrl+Shift+Z)'
+  redoButton.textContent = emojiList.redo.unicode
+  adminControl.appendChild(redoButton)
+
   const widgetMenuToggler = document.createElement('label')
   widgetMenuToggler.id = 'toggle-widget-menu'
   widgetMenuToggler.ariaLabel = 'Toggle Widget Menu'
@@ -0,0 +1,115 @@
+// @ts-check
+/**
+ * Undo/redo controls: menu buttons and keyboard shortcuts on top of
+ * `StorageManager.history`.
+ *
+ * @module undoRedo
+ */
+import StorageManager from '../../storage/StorageManager.js'
+import { EVENTS, on } from '../../utils/eventBus.js'
+import { reconcileWithStorage } from '../board/boardManagement.js'
+import { showNotification } from '../dialog/notification.js'
+import emojiList from '../../ui/unicodeEmoji.js'
+import { Logger } from '../../utils/Logger.js'
+
+const logger = new Logger('undoRedo.js')
+
+let initialized = false
+
+/**
+ * Restore a history step and bring the live widgets in line with it.
+ * @function applyStep
+ * @param {'undo'|'redo'} direction
+ * @returns {Promise<boolean>}
+ */
+async function applyStep (direction) {
+  let changed = false
+  await StorageManager.history.withoutRecording(async () => {
+    changed = StorageManager.history[direction]()
+    if (changed) await reconcileWithStorage()
+  })
+  updateButtons()
+  if (changed) {
+    logger.log(`Applied ${direction}`)
+    showNotification(`${emojiList[direction].unicode} ${direction === 'undo' ? 'Undone' : 'Redone'}`, 500)
+  }
+  return changed
+}
+
+/**
+ * Undo the last board, view or widget change.
+ * @function undo
+ * @returns {Promise<boolean>} False when there was nothing to undo.
+ */
+export function undo () {
+  return applyStep('undo')
+}
+
+/**
+ * Redo the last undone change.
+ * @function redo
+ * @returns {Promise<boolean>} False when there was nothing to redo.
+ */
+export function redo () {
+  return applyStep('redo')
+}
+
+/**
+ * Reflect stack state on the menu buttons.
+ * @function updateButtons
+ * @returns {void}
+ */
+function updateButtons () {
+  document.getElementById('undo-button')
+    ?.setAttribute('aria-disabled', String(!StorageManager.history.canUndo()))
+  document.getElementById('redo-button')
+    ?.setAttribute('aria-disabled', String(!StorageManager.history.canRedo()))
+}
+
+/**
+ * Whether a key event belongs to a text field with its own undo.
+ * @function isEditingText
+ * @param {KeyboardEvent} event
+ * @returns {boolean}
+ */
+function isEditingText (event) {
+  const target = /** @type {HTMLElement|null} */(event.target)
+  if (!target) return false
+  return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)
+}
+
+/**
+ * Handle Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z and Ctrl+Y.
+ * @function onKeydown
+ * @param {KeyboardEvent} event
+ * @returns {void}
+ */
+function onKeydown (event) {
+  if (!(event.ctrlKey || event.metaKey) || event.altKey || isEditingText(event)) return
+  if (document.querySelector('.modal')) return
+  const key = event.key.toLowerCase()
+  if (key === 'z') {
+    event.preventDefault()
+    void (event.shiftKey ? redo() : undo())
+  } else if (key === 'y' && !event.shiftKey) {
+    event.preventDefault()
+    void redo()
+  }
+}
+
+/**
+ * Bind the undo/redo buttons and keyboard shortcuts.
+ * @function initializeUndoRedo
+ * @returns {void}
+ */
+export function initializeUndoRedo () {
+  if (initialized) return
+  initialized = true
+
+  document.getElementById('undo-button')?.addEventListener('click', () => { void undo() })
+  document.getElementById('redo-button')?.addEventListener('click', () => { void redo() })
+  document.addEventListener('keydown', onKeydown)
+  on(EVENTS.APP_STATE_CHANGED, updateButtons)
+  on(EVENTS.MAIN_READY, updateButtons)
+  updateButtons()
+}
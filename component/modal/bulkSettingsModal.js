@@ -0,0 +1,109 @@
+// @ts-check
+/**
+ * Settings dialog for several selected widgets. The JSON entered is merged
+ * into each widget's settings (see `applyWidgetSettings`); it starts out
+ * with the settings all of them share.
+ *
+ * @module bulkSettingsModal
+ */
+import { openModal } from './modalFactory.js'
+import { applyWidgetSettings } from '../widget/bulkActions.js'
+import { invalidSandboxTokens } from '../../utils/securityProfile.js'
+import { showNotification } from '../dialog/notification.js'
+
+/**
+ * Settings with the same value on every widget.
+ * @function sharedSettings
+ * @param {Array<HTMLElement>} widgets
+ * @returns {Record<string, any>}
+ */
+function sharedSettings (widgets) {
+  const all = widgets.map(el => {
+    try { return JSON.parse(el.dataset.settings || '{}') || {} } catch { return {} }
+  })
+  const [first = {}, ...rest] = all
+  return Object.fromEntries(Object.entries(first).filter(([key, value]) =>
+    rest.every(settings => JSON.stringify(settings[key]) === JSON.stringify(value))
+  ))
+}
+
+/**
+ * Problem with the entered settings, or null when they can be applied.
+ * @function validate
+ * @param {Record<string, any>} changes
+ * @returns {string|null}
+ */
+function validate (changes) {
+  const { refreshInterval, sandbox, autoRefresh } = changes
+  if (refreshInterval != null && !(typeof refreshInterval === 'number' && refreshInterval >= 0)) {
+    return 'refreshInterval must be 0 or more seconds'
+  }
+  if (autoRefresh != null && typeof autoRefresh !== 'boolean') return 'autoRefresh must be true or false'
+  if (sandbox != null) {
+    if (typeof sandbox !== 'string') return 'sandbox must be a string of sandbox tokens'
+    const invalid = invalidSandboxTokens(sandbox)
+    if (invalid.length) return `Unknown sandbox tokens: ${invalid.join(', ')}`
+  }
+  return null
+}
+
+/**
+ * Open the settings dialog for the given widgets.
+ *
+ * @function openBulkSettingsModal
+ * @param {Array<HTMLElement>} widgets
+ * @returns {void}
+ */
+export function openBulkSettingsModal (widgets) {
+  openModal({
+    id: 'bulk-settings-modal',
+    buildContent: (modal, closeModal) => {
+      const heading = document.createElement('h2')
+      heading.textContent = `Settings for ${widgets.length} widgets`
+
+      const hint = document.createElement('p')
+      hint.textContent = 'These keys are set on every selected widget; null removes a key. Other settings stay as they are.'
+
+      const label = document.createElement('label')
+      label.htmlFor = 'bulk-settings-json'
+      label.textContent = 'Settings (JSON)'
+      const input = document.createElement('textarea')
+      input.id = 'bulk-settings-json'
+      input.classList.add('modal__textarea--grow')
+      input.rows = 8
+      input.value = JSON.stringify(sharedSettings(widgets), null, 2)
+
+      const saveButton = document.createElement('button')
+      saveButton.textContent = 'Apply'
+      saveButton.classList.add('modal__btn', 'modal__btn--save')
+      saveButton.addEventListener('click', () => {
+        let changes
+        try {
+          changes = JSON.parse(input.value.trim() || '{}')
+          if (!changes || typeof changes !== 'object' || Array.isArray(changes)) throw new Error('not an object')
+        } catch {
+          showNotification('Settings must be a JSON object', 3000, 'error')
+          return
+        }
+        const problem = validate(changes)
+        if (problem) {
+          showNotification(problem, 3000, 'error')
+          return
+        }
+        applyWidgetSettings(widgets, changes)
+        showNotification(`Settings applied to ${widgets.length} widgets`)
+        closeModal()
+      })
+
+      const cancelButton = document.createElement('button')
+      cancelButton.textContent = 'Cancel'
+      cancelButton.classList.add('modal__btn', 'modal__btn--cancel')
+      cancelButton.addEventListener('click', closeModal)
+
+      const buttons = document.createElement('div')
+      buttons.classList.add('modal__btn-group')
+      buttons.append(saveButton, cancelButton)
+      modal.append(heading, hint, label, input, buttons)
+    }
+  })
+}
@@ -21,6 +21,13 @@ import { KEY_MAP } from '../../utils/fragmentKeyMap.js'
 import { mergeBoards, mergeServices } from '../../utils/merge.js'
 import { FRAG_DEFAULT_ALGO } from '../../utils/fragmentConstants.js'
 import emojiList from '../../ui/unicodeEmoji.js'
+import { upgradeConfig, upgradeServices } from '../../storage/migrations.js'
+import { renderStorageUsage } from '../configModal/storageUsage.js'
+import { openEncryptionModal } from './encryptionModal.js'
+import { downloadBackup, restoreFromFile } from '../configModal/backupFile.js'
+import { populateCredentialsTab } from '../configModal/credentials.js'
+import { resolveServiceUrl } from '../../utils/serviceUtils.js'
+import { lockDownServices, lockDownWidgets } from '../../utils/securityProfile.js'
 
 /** @typedef {import('../../types.js').DashboardConfig} DashboardConfig */
 
@@ -208,7 +215,8 @@ export async function openConfigModal () {
                 return wrap
               }
             }]
-          : [])
+          : []),
+        { id: 'credTab', label: 'Credentials', populate: populateCredentialsTab }
       ]
 
       const tabButtons = {}
@@ -236,11 +244,11 @@ export async function openConfigModal () {
 
       const populatedTabs = new Set()
 
-      // Buttons (Save / Export / Delete all snapshots / Close)
+      // Buttons (Save / Export / Backup / Restore / Delete all snapshots / Encryption / Close)
       const saveButton = document.createElement('button')
       saveButton.textContent = 'Save'
       saveButton.classList.add('modal__btn', 'modal__btn--save')
-      saveButton.addEventListener('click', () => {
+      saveButton.addEventListener('click', async () => {
         /** @type {HTMLTextAreaElement|null} */
         const cfgEl = modal.querySelector('#config-json')
         /** @type {HTMLDivElement|null} */
@@ -282,6 +290,16 @@ export async function openConfigModal () {
         }
         StorageManager.setConfig(cfg)
         StorageManager.setServices(Array.isArray(svc) ? svc : StorageManager.getServices())
+        const database = cfg?.globalSettings?.database
+        if (database && database !== StorageManager.getBackendName()) {
+          try {
+            await StorageManager.setBackend(database)
+          } catch (error) {
+            logger.error(`Moving data to ${database} failed:`, error)
+            showNotification(`Data stays in ${StorageManager.getBackendName()}, moving it to ${database} failed`, 4000, 'error')
+          }
+        }
+        await StorageManager.flush()
         showNotification('Config saved to localStorage')
         closeModal()
         clearConfigFragment()
@@ -309,6 +327,33 @@ export async function openConfigModal () {
         showNotification('All snapshots deleted')
       })
 
+      const encryptionButton = document.createElement('button')
+      encryptionButton.id = 'open-encryption-settings'
+      encryptionButton.textContent = `${StorageManager.encryption.isEnabled() ? emojiList.locked.unicode : emojiList.unlocked.unicode} Encryption`
+      encryptionButton.title = 'Encrypt stored config, services and snapshots'
+      encryptionButton.classList.add('modal__btn')
+      encryptionButton.addEventListener('click', () => {
+        closeModal()
+        openEncryptionModal()
+      })
+
+      const backupButton = document.createElement('button')
+      backupButton.id = 'download-backup'
+      backupButton.textContent = 'Download backup'
+      backupButton.title = 'Save config, services, snapshots and preferences to a file'
+      backupButton.classList.add('modal__btn', 'modal__btn--export')
+      backupButton.addEventListener('click', downloadBackup)
+
+      const restoreButton = document.createElement('button')
+      restoreButton.id = 'restore-backup'
+      restoreButton.textContent = 'Restore from file'
+      restoreButton.title = 'Restore a backup file, the current dashboard is autosaved first'
+      restoreButton.classList.add('modal__btn')
+      restoreButton.addEventListener('click', () => {
+        closeModal()
+        restoreFromFile()
+      })
+
       const closeButton = document.createElement('button')
       closeButton.textContent = 'Close'
       closeButton.classList.add('modal__btn', 'modal__btn--cancel')
@@ -316,7 +361,8 @@ export async function openConfigModal () {
 
       const buttonContainer = document.createElement('div')
       buttonContainer.classList.add('modal__btn-group')
-      buttonContainer.append(saveButton, exportButton, delAll, closeButton)
+      buttonContainer.append(saveButton, exportButton, backupButton, restoreButton, delAll, encryptionButton, closeButton)
+      modal.appendChild(await renderStorageUsage())
       modal.appendChild(buttonContainer)
 
       // tab switcher (now also toggles Delete-all visibility)
@@ -397,7 +443,7 @@ async function populateStateTab (tab) {
     const isCurrent = row.md5 === currentMd5
 
     const size = (row.cfg?.length || 0) + (row.svc?.length || 0)
-    const uniqueDomains = await computeUniqueDomains(row.svc)
+    const uniqueDomains = await computeUniqueDomains(row.svc, row.cfg)
     const domainsTooltip = escapeHtml(Array.from(uniqueDomains).join(', '))
 
     const checkIcon = (typeof emojiList !== 'undefined' && emojiList?.checkGreen?.icon) ? emojiList.checkGreen.icon : '✓'
@@ -486,6 +532,7 @@ async function populateStateTab (tab) {
       listEl.innerHTML = ''
       try {
         const result = await runHealthcheck(row.svc, {
+          config: row.cfg,
           notify: false,
           onProgress: (p) => {
             renderHealthUI(summaryTextEl, summaryDotEl, domainsCell, listEl, p.byDomain, p.totals.checkedAt, uniqueDomains)
@@ -512,10 +559,36 @@ async function populateStateTab (tab) {
   }
 }
 
+/**
+ * Config of a snapshot row; the widgets of an imported link get the
+ * locked-down security profile, as on import.
+ * @function snapshotConfig
+ * @param {{cfg?:string,type?:string}} row
+ * @returns {Promise<import('../../types.js').DashboardConfig|null>}
+ */
+async function snapshotConfig (row) {
+  const cfg = row.cfg ? upgradeConfig(await decodeSnapshot(row.cfg)) : null
+  if (!cfg) return null
+  return row.type === 'imported' ? lockDownWidgets(cfg) : cfg
+}
+
+/**
+ * Services of a snapshot row; those of an imported link get the locked-down
+ * security profile, as on import.
+ * @function snapshotServices
+ * @param {{svc?:string,type?:string}} row
+ * @returns {Promise<Array<import('../../types.js').Service>|null>}
+ */
+async function snapshotServices (row) {
+  const svc = row.svc ? upgradeServices(await decodeSnapshot(row.svc)) : null
+  if (!Array.isArray(svc)) return null
+  return row.type === 'imported' ? lockDownServices(svc) : svc
+}
+
 /**
  * Switch to the provided snapshot.
  * Marks the snapshot as current, autosaves previous state, then reloads.
- * @param {{cfg?:string,svc?:string,md5?:string,name?:string}} row
+ * @param {{cfg?:string,svc?:string,md5?:string,name?:string,type?:string}} row
  * @returns {Promise<void>}
  */
 async function applySnapshotSwitch (row) {
@@ -524,8 +597,8 @@ async function applySnapshotSwitch (row) {
     StorageManager.misc.setLastBoardId(null)
     StorageManager.misc.setLastViewId(null)
 
-    const cfg = row.cfg ? await decodeSnapshot(row.cfg) : null
-    const svc = row.svc ? await decodeSnapshot(row.svc) : null
+    const cfg = await snapshotConfig(row)
+    const svc = await snapshotServices(row)
 
     const nextCfg = cfg || { boards: [] }
     const nextSvc = Array.isArray(svc) ? svc : []
@@ -541,6 +614,7 @@ async function applySnapshotSwitch (row) {
     StorageManager.misc.setLastBoardId(firstBoardId)
     StorageManager.misc.setLastViewId(firstViewId)
 
+    await StorageManager.flush()
     window.location.reload()
   } catch (e) {
     logger.error('snapshot.switch.failed', e)
@@ -550,14 +624,14 @@ async function applySnapshotSwitch (row) {
 
 /**
  * Merge snapshot payloads into current live state.
- * @param {{cfg?:string,svc?:string}} row
+ * @param {{cfg?:string,svc?:string,type?:string}} row
  * @returns {Promise<void>}
  */
 async function applySnapshotMerge (row) {
   try {
     await autosaveIfPresent()
-    const incomingCfg = row.cfg ? await decodeSnapshot(row.cfg) : null
-    const incomingSvc = row.svc ? await decodeSnapshot(row.svc) : null
+    const incomingCfg = await snapshotConfig(row)
+    const incomingSvc = await snapshotServices(row)
     const currentCfg = StorageManager.getConfig() || { boards: [] }
     const currentSvc = StorageManager.getServices() || []
 
@@ -572,6 +646,7 @@ async function applySnapshotMerge (row) {
     StorageManager.misc.setLastBoardId(firstBoardId)
     StorageManager.misc.setLastViewId(firstViewId)
 
+    await StorageManager.flush()
     window.location.reload()
   } catch (e) {
     logger.error('snapshot.merge.failed', e)
@@ -596,21 +671,39 @@ async function decodeSnapshot (str) {
   }
 }
 
+/**
+ * Variable maps a snapshot's service URLs resolve with: the global
+ * `variables`, plus one per board that overrides them.
+ * @param {string} [cfgEnc] Encoded config of the snapshot.
+ * @returns {Promise<Array<Record<string, string>>>}
+ */
+async function snapshotVariableSets (cfgEnc) {
+  const cfg = cfgEnc ? await decodeSnapshot(cfgEnc) : null
+  const global = cfg?.globalSettings?.variables || {}
+  const boards = Array.isArray(cfg?.boards) ? cfg.boards : []
+  return [global, ...boards.filter(b => b && b.variables).map(b => ({ ...global, ...b.variables }))]
+}
+
 /**
  * Compute unique service hostnames from encoded services payload.
  * @param {string} svcEnc
+ * @param {string} [cfgEnc] Encoded config, for the variables in service URLs.
  * @returns {Promise<Set<string>>}
  */
-async function computeUniqueDomains (svcEnc) {
+async function computeUniqueDomains (svcEnc, cfgEnc) {
   const set = new Set()
   if (!svcEnc) return set
   try {
     const svc = await decodeSnapshot(svcEnc)
+    const variableSets = await snapshotVariableSets(cfgEnc)
     if (Array.isArray(svc)) {
       svc.forEach(s => {
-        try {
-          if (s && s.url) set.add(new URL(s.url).hostname)
-        } catch {}
+        if (!s || !s.url) return
+        for (const variables of variableSets) {
+          try {
+            set.add(new URL(resolveServiceUrl(s.url, variables)).hostname)
+          } catch {}
+        }
       })
     }
   } catch {}
@@ -654,10 +747,13 @@ async function computeUniqueDomains (svcEnc) {
  * "Reachable" means: the browser could reach the origin over the network,
  * regardless of HTTP status or CORS. Only network/mixed-content/timeout errors count as FAIL.
  *
- * Expects svcEnc to decode to an array of { url: string }.
+ * Expects svcEnc to decode to an array of { url: string }. Variables in the
+ * URLs are substituted from the snapshot's config, once per board that
+ * overrides them.
  *
  * @param {string} svcEnc Encoded services payload.
  * @param {{
+ *   config?: string,
  *   concurrency?: number,
  *   timeoutMs?: number,
  *   notify?: boolean,
@@ -665,7 +761,7 @@ async function computeUniqueDomains (svcEnc) {
  * }} [opts] Optional execution settings.
  * @returns {Promise<HealthcheckResult>} Aggregate result counters + per-domain details.
  */
-async function runHealthcheck (svcEnc, { concurrency = 4, timeoutMs = 5000, notify = true, onProgress } = {}) {
+async function runHealthcheck (svcEnc, { config, concurrency = 4, timeoutMs = 5000, notify = true, onProgress } = {}) {
   /** @type {HealthcheckResult} */
   const res = { ok: 0, fail: 0, unknown: 0, byDomain: Object.create(null), checkedAt: Date.now() }
   if (!svcEnc) return res
@@ -690,12 +786,14 @@ async function runHealthcheck (svcEnc, { concurrency = 4, timeoutMs = 5000, noti
   /**
    * Extract unique, non-empty URL strings from service-like items.
    * @param {Array<{url?: string}>} items Services list with optional `url` fields.
+   * @param {Array<Record<string, string>>} variableSets Variables to resolve each URL with.
    * @returns {string[]} Unique URL list.
    */
-  function uniqueUrls (items) {
+  function uniqueUrls (items, variableSets) {
     const urls = items
       .map(s => (s && typeof s.url === 'string') ? s.url.trim() : '')
       .filter(Boolean)
+      .flatMap(url => variableSets.map(variables => resolveServiceUrl(url, variables)))
     return Array.from(new Set(urls))
   }
 
@@ -810,7 +908,7 @@ async function runHealthcheck (svcEnc, { concurrency = 4, timeoutMs = 5000, noti
 
   try {
     const items = await decodeOrArray(svcEnc)
-    const queue = uniqueUrls(items)
+    const queue = uniqueUrls(items, await snapshotVariableSets(config))
     if (!queue.length) {
       if (notify) showNotification(`Healthcheck: ${res.ok} OK, ${res.fail} FAIL, ${res.unknown} UNKNOWN`)
       return res
@@ -7,6 +7,7 @@
  */
 import { openModal } from './modalFactory.js'
 import StorageManager from '../../storage/StorageManager.js'
+import { EVENTS, emit } from '../../utils/eventBus.js'
 
 /**
  * Open a modal allowing the user to edit a service definition.
@@ -72,7 +73,7 @@ export function openEditServiceModal (service, onClose) {
             })
           }
 
-          document.dispatchEvent(new CustomEvent('services-updated'))
+          emit(EVENTS.SERVICES_UPDATED)
         }
         closeModal()
       })
@@ -0,0 +1,196 @@
+// @ts-check
+/**
+ * Passphrase prompts for encrypted storage: the unlock dialog shown at
+ * startup and the settings dialog to enable, change or disable encryption.
+ *
+ * @module encryptionModal
+ */
+import { openModal } from './modalFactory.js'
+import StorageManager from '../../storage/StorageManager.js'
+import { showNotification } from '../dialog/notification.js'
+import emojiList from '../../ui/unicodeEmoji.js'
+import { Logger } from '../../utils/Logger.js'
+
+const logger = new Logger('encryptionModal.js')
+
+/**
+ * Create a labelled password input.
+ * @function passwordInput
+ * @param {string} id
+ * @param {string} placeholder
+ * @returns {HTMLInputElement}
+ */
+function passwordInput (id, placeholder) {
+  const input = document.createElement('input')
+  input.id = id
+  input.type = 'password'
+  input.autocomplete = 'off'
+  input.placeholder = placeholder
+  input.setAttribute('aria-label', placeholder)
+  input.classList.add('modal__input')
+  return input
+}
+
+/**
+ * Create a modal button.
+ * @function button
+ * @param {string} text
+ * @param {string} variant - modal__btn modifier, e.g. 'save' or 'cancel'.
+ * @returns {HTMLButtonElement}
+ */
+function button (text, variant) {
+  const btn = document.createElement('button')
+  btn.textContent = text
+  btn.classList.add('modal__btn', `modal__btn--${variant}`)
+  return btn
+}
+
+/**
+ * Ask for the passphrase until stored data is unlocked. The dialog reopens
+ * when dismissed, the app cannot start without its data.
+ *
+ * @function promptUnlock
+ * @returns {Promise<void>} Resolves once StorageManager is unlocked.
+ */
+export function promptUnlock () {
+  return new Promise(resolve => {
+    const open = () => openModal({
+      id: 'unlock-modal',
+      showCloseIcon: false,
+      onCloseCallback: () => {
+        if (StorageManager.encryption.isLocked()) setTimeout(open)
+        else resolve()
+      },
+      buildContent: (modal, closeModal) => {
+        const title = document.createElement('p')
+        title.textContent = `${emojiList.locked.unicode} Dashboard data is encrypted. Enter your passphrase to unlock.`
+
+        const input = passwordInput('unlock-passphrase', 'Passphrase')
+        const unlockButton = button('Unlock', 'save')
+        const resetButton = button('Forgot passphrase', 'danger')
+
+        const submit = async () => {
+          unlockButton.disabled = true
+          try {
+            if (await StorageManager.encryption.unlock(input.value)) {
+              closeModal()
+              return
+            }
+            showNotification('Wrong passphrase', 2000, 'error')
+            input.select()
+          } catch (error) {
+            logger.error('Unlock failed:', error)
+            showNotification('Could not unlock storage', 3000, 'error')
+          } finally {
+            unlockButton.disabled = false
+          }
+        }
+
+        unlockButton.addEventListener('click', submit)
+        input.addEventListener('keydown', e => { if (e.key === 'Enter') submit() })
+        resetButton.addEventListener('click', async () => {
+          if (!confirm('Delete all encrypted dashboard data and start over?')) return
+          await StorageManager.encryption.reset()
+          closeModal()
+        })
+
+        const buttons = document.createElement('div')
+        buttons.classList.add('modal__btn-group')
+        buttons.append(unlockButton, resetButton)
+        modal.append(title, input, buttons)
+        input.focus()
+      }
+    })
+    open()
+  })
+}
+
+/**
+ * Open the encryption settings: enable with a new passphrase, or change the
+ * passphrase / disable encryption after entering the current one.
+ *
+ * @function openEncryptionModal
+ * @returns {void}
+ */
+export function openEncryptionModal () {
+  openModal({
+    id: 'encryption-modal',
+    buildContent: (modal, closeModal) => {
+      const enabled = StorageManager.encryption.isEnabled()
+
+      const info = document.createElement('p')
+      info.textContent = enabled
+        ? `${emojiList.locked.unicode} Config, services and snapshots are stored encrypted.`
+        : `${emojiList.unlocked.unicode} Encrypt config, services and snapshots with a passphrase. The passphrase cannot be recovered.`
+
+      const current = passwordInput('encryption-current', 'Current passphrase')
+      const next = passwordInput('encryption-new', 'New passphrase')
+      const confirmNext = passwordInput('encryption-confirm', 'Repeat new passphrase')
+
+      /**
+       * Validate the new passphrase fields.
+       * @returns {string|null}
+       */
+      const readNew = () => {
+        if (!next.value) {
+          showNotification('Enter a new passphrase', 2000, 'error')
+          return null
+        }
+        if (next.value !== confirmNext.value) {
+          showNotification('Passphrases do not match', 2000, 'error')
+          return null
+        }
+        return next.value
+      }
+
+      /**
+       * Run an encryption change, report the outcome and close on success.
+       * @param {() => Promise<boolean|void>} action
+       * @param {string} message
+       */
+      const run = async (action, message) => {
+        try {
+          if (await action() === false) {
+            showNotification('Wrong passphrase', 2000, 'error')
+            return
+          }
+          showNotification(message)
+          closeModal()
+        } catch (error) {
+          logger.error('Encryption change failed:', error)
+          showNotification('Could not update encryption', 3000, 'error')
+        }
+      }
+
+      const buttons = document.createElement('div')
+      buttons.classList.add('modal__btn-group')
+
+      if (enabled) {
+        const changeButton = button('Change passphrase', 'save')
+        changeButton.addEventListener('click', () => {
+          const pass = readNew()
+          if (pass) run(() => StorageManager.encryption.changePassphrase(current.value, pass), 'Passphrase changed')
+        })
+        const disableButton = button('Disable encryption', 'danger')
+        disableButton.addEventListener('click', () => {
+          run(() => StorageManager.encryption.disable(current.value), 'Encryption disabled')
+        })
+        buttons.append(changeButton, disableButton)
+        modal.append(info, current, next, confirmNext)
+      } else {
+        const enableButton = button('Enable encryption', 'save')
+        enableButton.addEventListener('click', () => {
+          const pass = readNew()
+          if (pass) run(() => StorageManager.encryption.enable(pass), 'Encryption enabled')
+        })
+        buttons.append(enableButton)
+        modal.append(info, next, confirmNext)
+      }
+
+      const closeButton = button('Close', 'cancel')
+      closeButton.addEventListener('click', closeModal)
+      buttons.append(closeButton)
+      modal.appendChild(buttons)
+    }
+  })
+}
@@ -15,6 +15,8 @@ import { restoreDeep } from '../../utils/minimizer.js'
 import { DEFAULT_CONFIG_TEMPLATE } from '../../storage/defaultConfig.js'
 import { FRAG_MINIMIZE_ENABLED } from '../../utils/fragmentConstants.js'
 import { KEY_MAP } from '../../utils/fragmentKeyMap.js'
+import { upgradeConfig, upgradeServices } from '../../storage/migrations.js'
+import { lockDownServices, lockDownWidgets } from '../../utils/securityProfile.js'
 
 /** @typedef {import('../../types.js').DashboardConfig} DashboardConfig */
 /** @typedef {import('../../types.js').Service} Service */
@@ -52,6 +54,16 @@ export function openFragmentDecisionModal ({ cfgParam, svcParam, nameParam, algo
         nameInput.id = 'importName'
         nameInput.value = nameParam
 
+        // Services and widgets from a link run sandboxed unless the user vouches for its source
+        const trustCheck = document.createElement('input')
+        trustCheck.type = 'checkbox'
+        trustCheck.id = 'trust-fragment-services'
+        const trustLabel = document.createElement('label')
+        trustLabel.htmlFor = trustCheck.id
+        trustLabel.textContent = 'I trust the source of this link: do not sandbox its services and widgets'
+        const trustWrap = document.createElement('div')
+        trustWrap.append(trustCheck, trustLabel)
+
         const switchBtn = document.createElement('button')
         switchBtn.id = 'switch-environment'
         switchBtn.textContent = '⬇ Switch and autosave'
@@ -78,7 +90,7 @@ export function openFragmentDecisionModal ({ cfgParam, svcParam, nameParam, algo
         btnGroup.classList.add('modal__btn-group')
         btnGroup.append(switchBtn, mergeBtn, cancelBtn)
 
-        modal.append(msg1, msg2, nameInput, btnGroup)
+        modal.append(msg1, msg2, nameInput, trustWrap, btnGroup)
 
         /**
          * Applies the configuration from the URL fragment, either by switching or merging.
@@ -105,9 +117,10 @@ export function openFragmentDecisionModal ({ cfgParam, svcParam, nameParam, algo
                   expectChecksum: cfgChecksum
                 })
               )
-              const cfgFull = FRAG_MINIMIZE_ENABLED
+              const cfgUpgraded = upgradeConfig(FRAG_MINIMIZE_ENABLED
                 ? restoreDeep(decoded, DEFAULT_CONFIG_TEMPLATE)
-                : decoded
+                : decoded) || {}
+              const cfgFull = trustCheck.checked ? cfgUpgraded : lockDownWidgets(cfgUpgraded)
               if (overwrite) {
                 cfgObj = cfgFull
               } else {
@@ -125,9 +138,10 @@ export function openFragmentDecisionModal ({ cfgParam, svcParam, nameParam, algo
                   expectChecksum: svcChecksum
                 })
               )
-              const svcFull = FRAG_MINIMIZE_ENABLED
+              const svcUpgraded = upgradeServices(FRAG_MINIMIZE_ENABLED
                 ? restoreDeep(decodedSvc, [])
-                : decodedSvc
+                : decodedSvc) || []
+              const svcFull = trustCheck.checked ? svcUpgraded : lockDownServices(svcUpgraded)
               if (overwrite) {
                 svcArr = svcFull
               } else {
@@ -151,6 +165,7 @@ export function openFragmentDecisionModal ({ cfgParam, svcParam, nameParam, algo
             logger.error('Error applying fragment:', e)
             showNotification('Failed to decode configuration from the URL fragment.', 4000, 'error')
           } finally {
+            await StorageManager.flush()
             closeModal()
             location.reload()
           }
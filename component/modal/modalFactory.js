@@ -6,6 +6,7 @@
  */
 import emojiList from '../../ui/unicodeEmoji.js'
 import { Logger } from '../../utils/Logger.js'
+import { EVENTS, emit } from '../../utils/eventBus.js'
 
 const logger = new Logger('modalFactory.js')
 
@@ -27,7 +28,7 @@ export function openModal ({ id, buildContent, onCloseCallback, showCloseIcon =
   }
 
   logger.log(`Opening modal ${id}`)
-  document.dispatchEvent(new CustomEvent('modal:open', { bubbles: true, composed: true }))
+  emit(EVENTS.MODAL_OPEN)
 
   /**
    * Handles the 'Escape' key press to close the modal.
@@ -95,7 +96,7 @@ export function openModal ({ id, buildContent, onCloseCallback, showCloseIcon =
     backdrop.remove()
     window.removeEventListener('keydown', handleEscape)
     if (typeof onCloseCallback === 'function') onCloseCallback()
-    document.dispatchEvent(new CustomEvent('modal:close', { bubbles: true, composed: true }))
+    emit(EVENTS.MODAL_CLOSE)
   }
 
   buildContent(modal, closeModal)
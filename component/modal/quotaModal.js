@@ -0,0 +1,116 @@
+// @ts-check
+/**
+ * Modal shown when a write exceeded the storage quota. Offers to free space
+ * by pruning autosave snapshots or to move data to IndexedDB, then retries
+ * the rejected write.
+ *
+ * @module quotaModal
+ */
+import { openModal } from './modalFactory.js'
+import StorageManager from '../../storage/StorageManager.js'
+import { renderStorageUsage, formatBytes } from '../configModal/storageUsage.js'
+import { showNotification } from '../dialog/notification.js'
+import { Logger } from '../../utils/Logger.js'
+
+const logger = new Logger('quotaModal.js')
+
+/**
+ * Remove the oldest autosaves one by one until the blocked write fits.
+ * @function pruneUntilSaved
+ * @returns {Promise<{removed:number,saved:boolean}>}
+ */
+async function pruneUntilSaved () {
+  let removed = 0
+  let saved = await StorageManager.retryBlockedWrite()
+  while (!saved) {
+    const n = await StorageManager.pruneAutosaves(1)
+    if (n === 0) break
+    removed += n
+    saved = await StorageManager.retryBlockedWrite()
+  }
+  return { removed, saved }
+}
+
+/**
+ * Move all data to IndexedDB, save the blocked write there and remember the
+ * choice in `globalSettings.database`.
+ * @function switchToIndexedDB
+ * @returns {Promise<boolean>}
+ */
+async function switchToIndexedDB () {
+  try {
+    await StorageManager.useBackend('indexedDB')
+  } catch (error) {
+    logger.error('Moving data to IndexedDB failed:', error)
+    return false
+  }
+  if (StorageManager.getBackendName() !== 'indexedDB') return false
+  const saved = await StorageManager.retryBlockedWrite()
+  StorageManager.updateConfig(cfg => {
+    cfg.globalSettings = { ...cfg.globalSettings, database: 'indexedDB' }
+  })
+  await StorageManager.flush()
+  return saved
+}
+
+/**
+ * Open the storage-full dialog.
+ * @function openQuotaModal
+ * @param {{key?:string,bytes?:number}} [detail] - Details of the rejected write.
+ * @returns {void}
+ */
+export function openQuotaModal ({ key, bytes } = {}) {
+  openModal({
+    id: 'quota-modal',
+    buildContent: async (modal, closeModal) => {
+      const message = document.createElement('p')
+      message.textContent = `Storage is full: saving "${key || 'data'}"` +
+        (bytes ? ` (${formatBytes(bytes)})` : '') +
+        ' failed. Free up space to keep your changes.'
+      modal.appendChild(message)
+      modal.appendChild(await renderStorageUsage())
+
+      const pruneButton = document.createElement('button')
+      pruneButton.textContent = 'Delete oldest autosaves'
+      pruneButton.classList.add('modal__btn', 'modal__btn--save')
+      pruneButton.addEventListener('click', async () => {
+        const { removed, saved } = await pruneUntilSaved()
+        logger.log(`Pruned ${removed} autosave snapshot(s), saved: ${saved}`)
+        if (saved) {
+          showNotification(`Removed ${removed} autosave snapshot(s), changes saved`)
+          closeModal()
+        } else {
+          showNotification('Not enough space after removing all autosaves', 4000, 'error')
+        }
+      })
+
+      const buttons = document.createElement('div')
+      buttons.classList.add('modal__btn-group')
+      buttons.appendChild(pruneButton)
+
+      if (StorageManager.getBackendName() === 'localStorage') {
+        const switchButton = document.createElement('button')
+        switchButton.textContent = 'Switch to IndexedDB'
+        switchButton.title = 'Move dashboard data to IndexedDB, which allows much more space'
+        switchButton.classList.add('modal__btn', 'modal__btn--export')
+        switchButton.addEventListener('click', async () => {
+          if (await switchToIndexedDB()) {
+            showNotification('Switched to IndexedDB, changes saved')
+            closeModal()
+          } else {
+            showNotification('Could not switch to IndexedDB', 4000, 'error')
+          }
+        })
+        buttons.appendChild(switchButton)
+      }
+
+      const closeButton = document.createElement('button')
+      closeButton.textContent = 'Dismiss'
+      closeButton.classList.add('modal__btn', 'modal__btn--cancel')
+      closeButton.addEventListener('click', closeModal)
+      buttons.appendChild(closeButton)
+
+      modal.appendChild(buttons)
+    }
+  })
+}
@@ -0,0 +1,102 @@
+// @ts-check
+/**
+ * Confirmation dialog for restoring a backup file. Lists what the restore
+ * would change before anything is written.
+ *
+ * @module restoreModal
+ */
+import { openModal } from './modalFactory.js'
+import { diffBackup, restoreBackup } from '../../storage/backup.js'
+import StorageManager from '../../storage/StorageManager.js'
+import { clearConfigFragment } from '../../utils/fragmentGuard.js'
+import { showNotification } from '../dialog/notification.js'
+import { Logger } from '../../utils/Logger.js'
+
+/** @typedef {import('../../types.js').DashboardBackup} DashboardBackup */
+/** @typedef {import('../../storage/backup.js').ListDiff} ListDiff */
+
+const logger = new Logger('restoreModal.js')
+
+/**
+ * Describe added/removed/changed items in one line.
+ * @function describeList
+ * @param {ListDiff} diff
+ * @returns {string}
+ */
+function describeList ({ added, removed, changed }) {
+  const parts = []
+  if (added.length) parts.push(`${added.length} added (${added.join(', ')})`)
+  if (removed.length) parts.push(`${removed.length} removed (${removed.join(', ')})`)
+  if (changed.length) parts.push(`${changed.length} changed (${changed.join(', ')})`)
+  return parts.length ? parts.join(', ') : 'unchanged'
+}
+
+/**
+ * Open the restore dialog for a validated backup.
+ *
+ * @function openRestoreModal
+ * @param {DashboardBackup} backup
+ * @param {string} [fileName]
+ * @returns {void}
+ */
+export function openRestoreModal (backup, fileName = 'backup') {
+  openModal({
+    id: 'restore-modal',
+    buildContent: async (modal, closeModal) => {
+      const diff = await diffBackup(backup)
+
+      const title = document.createElement('p')
+      const created = backup.createdAt ? new Date(backup.createdAt).toLocaleString() : 'an unknown date'
+      title.textContent = `Restore "${fileName}" from ${created}?`
+
+      const list = document.createElement('ul')
+      list.classList.add('restore-summary')
+      ;[
+        `Boards: ${describeList(diff.boards)}`,
+        `Services: ${describeList(diff.services)}`,
+        `Widgets: ${diff.widgets.before} → ${diff.widgets.after}`,
+        `Snapshots: ${diff.snapshots.added} new of ${diff.snapshots.incoming} in the backup, existing snapshots are kept`,
+        diff.preferences.length ? `Preferences: ${diff.preferences.join(', ')}` : null,
+        diff.lastUsedChanged ? 'Opens the board and view that were last used in the backup' : null
+      ].filter(Boolean).forEach(text => {
+        const item = document.createElement('li')
+        item.textContent = text
+        list.appendChild(item)
+      })
+
+      const hint = document.createElement('p')
+      hint.textContent = 'Your current dashboard is saved as an autosave snapshot first.'
+
+      const restoreButton = document.createElement('button')
+      restoreButton.textContent = 'Restore'
+      restoreButton.classList.add('modal__btn', 'modal__btn--save')
+      restoreButton.addEventListener('click', async () => {
+        restoreButton.disabled = true
+        try {
+          const autosave = await restoreBackup(backup)
+          logger.log(`Backup restored${autosave ? `, previous state saved as ${autosave}` : ''}`)
+          closeModal()
+          // A rejected write opened the quota dialog, stay so it can be resolved
+          if (StorageManager.getBlockedWrite()) return
+          showNotification('Backup restored')
+          clearConfigFragment()
+          setTimeout(() => location.reload(), 500)
+        } catch (error) {
+          logger.error('Restoring backup failed:', error)
+          showNotification('Could not restore backup', 3000, 'error')
+          restoreButton.disabled = false
+        }
+      })
+
+      const cancelButton = document.createElement('button')
+      cancelButton.textContent = 'Cancel'
+      cancelButton.classList.add('modal__btn', 'modal__btn--cancel')
+      cancelButton.addEventListener('click', closeModal)
+
+      const buttons = document.createElement('div')
+      buttons.classList.add('modal__btn-group')
+      buttons.append(restoreButton, cancelButton)
+      modal.append(title, list, hint, buttons)
+    }
+  })
+}
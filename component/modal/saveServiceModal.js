@@ -7,12 +7,17 @@
  */
 import { openModal } from './modalFactory.js'
 import StorageManager from '../../storage/StorageManager.js'
+import { EVENTS, emit } from '../../utils/eventBus.js'
 import { addWidget } from '../widget/widgetManagement.js'
 import { getCurrentBoardId, getCurrentViewId } from '../../utils/elements.js'
 import { serviceGetUUID } from '../../utils/id.js'
+import { showNotification } from '../dialog/notification.js'
+import { widgetTypeOf } from '../widget/types/registry.js'
+import { REFERRER_POLICIES, invalidSandboxTokens } from '../../utils/securityProfile.js'
 
 /**
- * Open a modal to create or edit a service definition.
+ * Open a modal to create or edit a service definition, including the
+ * security profile its iframes get (sandbox, permissions, referrer policy).
  *
  * @param {string | {
  *   mode?: 'new'|'edit',
@@ -78,6 +83,59 @@ export function openSaveServiceModal (options, onCloseDeprecated) {
       maxInput.placeholder = 'Max instances'
       if (service?.maxInstances !== undefined) maxInput.value = String(service.maxInstances)
 
+      const security = service?.security || {}
+
+      const sandboxCheck = document.createElement('input')
+      sandboxCheck.type = 'checkbox'
+      sandboxCheck.id = 'service-sandbox-enabled'
+      sandboxCheck.checked = typeof security.sandbox === 'string'
+
+      const sandboxLabel = document.createElement('label')
+      sandboxLabel.textContent = 'Sandbox frames'
+      sandboxLabel.htmlFor = 'service-sandbox-enabled'
+
+      const sandboxWrap = document.createElement('div')
+      sandboxWrap.append(sandboxCheck, sandboxLabel)
+
+      const sandboxInput = document.createElement('input')
+      sandboxInput.id = 'service-sandbox'
+      sandboxInput.classList.add('modal__input')
+      sandboxInput.placeholder = 'Sandbox tokens, e.g. allow-scripts allow-forms'
+      sandboxInput.value = security.sandbox ?? ''
+      sandboxInput.disabled = !sandboxCheck.checked
+      sandboxCheck.addEventListener('change', () => { sandboxInput.disabled = !sandboxCheck.checked })
+
+      const allowInput = document.createElement('input')
+      allowInput.id = 'service-allow'
+      allowInput.classList.add('modal__input')
+      allowInput.placeholder = 'Allowed features, e.g. clipboard-write; fullscreen'
+      allowInput.value = security.allow ?? ''
+
+      const referrerSelect = document.createElement('select')
+      referrerSelect.id = 'service-referrer'
+      referrerSelect.classList.add('modal__input')
+      referrerSelect.setAttribute('aria-label', 'Referrer policy')
+      for (const policy of ['', ...REFERRER_POLICIES]) {
+        const option = document.createElement('option')
+        option.value = policy
+        option.textContent = policy || 'Default referrer policy'
+        referrerSelect.appendChild(option)
+      }
+      referrerSelect.value = security.referrerPolicy ?? ''
+
+      /**
+       * Security profile set in the form, undefined when it sets nothing.
+       * @returns {import('../../types.js').ServiceSecurity|undefined}
+       */
+      const readSecurity = () => {
+        /** @type {import('../../types.js').ServiceSecurity} */
+        const profile = {}
+        if (sandboxCheck.checked) profile.sandbox = sandboxInput.value.trim().split(/\s+/).filter(Boolean).join(' ')
+        if (allowInput.value.trim()) profile.allow = allowInput.value.trim()
+        if (referrerSelect.value) profile.referrerPolicy = referrerSelect.value
+        return Object.keys(profile).length ? profile : undefined
+      }
+
       const startCheck = document.createElement('input')
       startCheck.type = 'checkbox'
       startCheck.id = 'service-start'
@@ -96,6 +154,10 @@ export function openSaveServiceModal (options, onCloseDeprecated) {
         tagsInput,
         urlInput,
         maxInput,
+        sandboxWrap,
+        sandboxInput,
+        allowInput,
+        referrerSelect,
         startWrap
       )
 
@@ -107,6 +169,11 @@ export function openSaveServiceModal (options, onCloseDeprecated) {
         const nameVal = nameInput.value.trim()
         const urlVal = urlInput.value.trim()
         if (!nameVal || !urlVal) return
+        const unknownTokens = sandboxCheck.checked ? invalidSandboxTokens(sandboxInput.value) : []
+        if (unknownTokens.length) {
+          showNotification(`Unknown sandbox tokens: ${unknownTokens.join(', ')}`, 3000, 'error')
+          return
+        }
 
         // Always read current services from StorageManager
         const services = StorageManager.getServices() || []
@@ -122,7 +189,8 @@ export function openSaveServiceModal (options, onCloseDeprecated) {
               category: categoryInput.value.trim() || undefined,
               subcategory: subcategoryInput.value.trim() || undefined,
               tags: tagsInput.value.split(',').map(t => t.trim()).filter(Boolean),
-              maxInstances: maxInput.value ? Number(maxInput.value) : undefined
+              maxInstances: maxInput.value ? Number(maxInput.value) : undefined,
+              security: readSecurity()
             }
 
             // Persist services
@@ -147,7 +215,13 @@ export function openSaveServiceModal (options, onCloseDeprecated) {
               })
             }
 
-            document.dispatchEvent(new CustomEvent('services-updated'))
+            // Re-apply the security profile to the service's frames (reloads them when it changed)
+            document.querySelectorAll('.widget-wrapper').forEach(el => {
+              const hw = /** @type {HTMLElement} */(el)
+              if (hw.dataset.service === nameVal) widgetTypeOf(hw).restore?.(hw)
+            })
+
+            emit(EVENTS.SERVICES_UPDATED)
           }
         } else {
           // Create new service entry
@@ -158,17 +232,18 @@ export function openSaveServiceModal (options, onCloseDeprecated) {
             category: categoryInput.value.trim() || undefined,
             subcategory: subcategoryInput.value.trim() || undefined,
             tags: tagsInput.value.split(',').map(t => t.trim()).filter(Boolean),
-            maxInstances: maxInput.value ? Number(maxInput.value) : undefined
+            maxInstances: maxInput.value ? Number(maxInput.value) : undefined,
+            security: readSecurity()
           }
 
           services.push(newService)
           StorageManager.setServices(services)
-          document.dispatchEvent(new CustomEvent('state-change', { detail: { reason: 'services' } }))
+          emit(EVENTS.STATE_CHANGE, { reason: 'services' })
 
           // Optionally create a widget immediately
           if (startCheck.checked) {
             await addWidget(urlVal, 1, 1, 'iframe', getCurrentBoardId(), getCurrentViewId())
-            document.dispatchEvent(new CustomEvent('state-change', { detail: { reason: 'services' } }))
+            emit(EVENTS.STATE_CHANGE, { reason: 'services' })
           }
         }
 
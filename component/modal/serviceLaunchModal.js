@@ -8,14 +8,17 @@ import { openModal } from './modalFactory.js'
 import { showNotification } from '../dialog/notification.js'
 import { Logger } from '../../utils/Logger.js'
 import { getUUID } from '../../utils/utils.js'
+import { refreshWidget } from '../widget/refreshScheduler.js'
+import { applySecurityProfile } from '../../utils/securityProfile.js'
 
 const logger = new Logger('serviceLaunchModal.js')
 
 /**
  * Open a modal that loads a service URL in an iframe to perform an action.
- * After completion the widget iframe is refreshed.
+ * The frame gets the service's security profile. After completion the
+ * widget iframe is refreshed.
  *
- * @param {{url: string}} serviceObj - Service information with a URL.
+ * @param {{url: string, security?: import('../../types.js').ServiceSecurity}} serviceObj - Service information with a URL.
  * @param {HTMLElement} widgetWrapper - Widget element to refresh.
  * @function showServiceModal
  * @returns {void}
@@ -26,6 +29,7 @@ export function showServiceModal (serviceObj, widgetWrapper) {
     onCloseCallback: () => logger.log('Service modal closed'),
     buildContent: (modal, closeModal) => {
       const iframe = document.createElement('iframe')
+      applySecurityProfile(iframe, serviceObj.security)
       iframe.src = serviceObj.url
       const instructions = document.createElement('p')
       instructions.textContent = "The action is being performed. Please wait a few moments and then press 'Done and refresh widget'"
@@ -34,8 +38,7 @@ export function showServiceModal (serviceObj, widgetWrapper) {
       doneButton.addEventListener('click', () => {
         closeModal()
         try {
-          const iframeEl = widgetWrapper.querySelector('iframe')
-          iframeEl.src = widgetWrapper.dataset.url
+          refreshWidget(widgetWrapper)
         } catch (error) {
           logger.error('Error refreshing widget iframe:', error)
           showNotification('Failed to refresh widget')
@@ -0,0 +1,67 @@
+// @ts-check
+/**
+ * Modal asking which side wins when the shared config changed on the sync
+ * server while this client had unpushed edits.
+ *
+ * @module syncConflictModal
+ */
+import { openModal } from './modalFactory.js'
+import { resolveSyncConflict } from '../../storage/remoteSync.js'
+import { showNotification } from '../dialog/notification.js'
+import { Logger } from '../../utils/Logger.js'
+
+const logger = new Logger('syncConflictModal.js')
+
+/**
+ * Open the sync conflict dialog.
+ * @function openSyncConflictModal
+ * @returns {void}
+ */
+export function openSyncConflictModal () {
+  openModal({
+    id: 'sync-conflict-modal',
+    buildContent: (modal, closeModal) => {
+      const message = document.createElement('p')
+      message.textContent = 'The shared dashboard was changed by someone else while you had changes that were not synced yet.'
+
+      const hint = document.createElement('p')
+      hint.textContent = 'Syncing is paused until you choose. The version you discard is kept as an autosave snapshot when possible.'
+
+      /**
+       * @param {'remote'|'local'} keep
+       * @param {string} done
+       * @returns {Promise<void>}
+       */
+      const resolve = async (keep, done) => {
+        try {
+          await resolveSyncConflict(keep)
+          showNotification(done)
+          closeModal()
+        } catch (error) {
+          logger.error('Resolving sync conflict failed:', error)
+          showNotification('Could not reach the sync server', 3000, 'error')
+        }
+      }
+
+      const remoteButton = document.createElement('button')
+      remoteButton.textContent = 'Use shared version'
+      remoteButton.classList.add('modal__btn', 'modal__btn--save')
+      remoteButton.addEventListener('click', () => resolve('remote', 'Loaded the shared version'))
+
+      const localButton = document.createElement('button')
+      localButton.textContent = 'Overwrite with mine'
+      localButton.classList.add('modal__btn', 'modal__btn--danger')
+      localButton.addEventListener('click', () => resolve('local', 'Shared version replaced with yours'))
+
+      const laterButton = document.createElement('button')
+      laterButton.textContent = 'Decide later'
+      laterButton.classList.add('modal__btn', 'modal__btn--cancel')
+      laterButton.addEventListener('click', closeModal)
+
+      const buttons = document.createElement('div')
+      buttons.classList.add('modal__btn-group')
+      buttons.append(remoteButton, localButton, laterButton)
+      modal.append(message, hint, buttons)
+    }
+  })
+}
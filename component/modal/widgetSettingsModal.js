@@ -0,0 +1,206 @@
+// @ts-check
+/**
+ * Settings dialog for a single widget: title, URL, span, auto refresh,
+ * sandbox and free-form settings. Changes are applied to the live element
+ * through its widget type's `restore` hook (an iframe only reloads when its
+ * URL or sandbox changed) and saved with `saveWidgetState`. The widget's
+ * sandbox can only narrow the one of its service's security profile.
+ *
+ * @module widgetSettingsModal
+ */
+import { openModal } from './modalFactory.js'
+import { JsonForm } from '../utils/json-form.js'
+import { saveWidgetState } from '../../storage/widgetStatePersister.js'
+import StorageManager from '../../storage/StorageManager.js'
+import { getConfig } from '../../utils/getConfig.js'
+import { resolveServiceConfig } from '../../utils/serviceUtils.js'
+import { widgetTypeOf } from '../widget/types/registry.js'
+import { applyGridPosition, fitSpan } from '../widget/utils/gridLayout.js'
+import { updateRefreshIndicator, MIN_REFRESH_INTERVAL } from '../widget/refreshScheduler.js'
+import { showNotification } from '../dialog/notification.js'
+import { Logger } from '../../utils/Logger.js'
+
+const logger = new Logger('widgetSettingsModal.js')
+
+/** Settings keys edited through their own fields rather than the JSON box. */
+const OWN_FIELDS = ['autoRefresh', 'refreshInterval', 'sandbox']
+
+/**
+ * @typedef {Object} WidgetSettingsForm
+ * @property {string} title
+ * @property {string} url
+ * @property {number} columns
+ * @property {number} rows
+ * @property {boolean} autoRefresh
+ * @property {number} refreshInterval - Seconds.
+ * @property {{enabled:boolean, allow:string}} sandbox - `allow` lists sandbox tokens, e.g. "allow-scripts allow-forms".
+ */
+
+/**
+ * Parse a JSON dataset attribute, falling back to an empty object.
+ * @function readJson
+ * @param {string|undefined} value
+ * @returns {Record<string, any>}
+ */
+function readJson (value) {
+  try {
+    const parsed = JSON.parse(value || '{}')
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {}
+  } catch {
+    return {}
+  }
+}
+
+/**
+ * Span limits for a widget from its service and the global styling.
+ * @function spanLimits
+ * @param {HTMLElement} widget
+ * @returns {Promise<{minColumns:number, maxColumns:number, minRows:number, maxRows:number}>}
+ */
+async function spanLimits (widget) {
+  const config = await getConfig()
+  const raw = StorageManager.getServices().find(s => s.name === widget.dataset.service) || {}
+  const service = resolveServiceConfig(raw)
+  const defaults = config.styling.widget
+  return {
+    minColumns: service.config?.minColumns || defaults.minColumns,
+    maxColumns: service.config?.maxColumns || defaults.maxColumns,
+    minRows: service.config?.minRows || defaults.minRows,
+    maxRows: service.config?.maxRows || defaults.maxRows
+  }
+}
+
+/**
+ * Apply validated form values to the widget element and persist them.
+ * @function applySettings
+ * @param {HTMLElement} widget
+ * @param {WidgetSettingsForm} form
+ * @param {Record<string, any>} extra - Free-form settings.
+ * @returns {void}
+ */
+function applySettings (widget, form, extra) {
+  const metadata = readJson(widget.dataset.metadata)
+  if (form.title.trim()) metadata.title = form.title.trim()
+  else delete metadata.title
+
+  const interval = form.autoRefresh ? Math.max(form.refreshInterval, MIN_REFRESH_INTERVAL) : form.refreshInterval
+  /** @type {Record<string, any>} */
+  const settings = { ...extra, autoRefresh: form.autoRefresh && interval > 0, refreshInterval: interval }
+  if (form.sandbox.enabled) settings.sandbox = form.sandbox.allow.trim().split(/\s+/).filter(Boolean).join(' ')
+
+  widget.dataset.metadata = JSON.stringify(metadata)
+  widget.dataset.settings = JSON.stringify(settings)
+  widget.dataset.columns = String(form.columns)
+  widget.dataset.rows = String(form.rows)
+  applyGridPosition(widget)
+
+  widget.dataset.url = form.url
+  widgetTypeOf(widget).restore?.(widget)
+  updateRefreshIndicator(widget)
+  saveWidgetState()
+}
+
+/**
+ * Open the settings dialog for a widget.
+ *
+ * @function openWidgetSettingsModal
+ * @param {HTMLElement} widget - Widget wrapper element.
+ * @returns {void}
+ */
+export function openWidgetSettingsModal (widget) {
+  openModal({
+    id: 'widget-settings-modal',
+    buildContent: async (modal, closeModal) => {
+      const metadata = readJson(widget.dataset.metadata)
+      const settings = readJson(widget.dataset.settings)
+      const limits = await spanLimits(widget)
+
+      /** @type {WidgetSettingsForm} */
+      const initial = {
+        title: metadata.title || '',
+        url: widget.dataset.url || '',
+        columns: Number(widget.dataset.columns) || limits.minColumns,
+        rows: Number(widget.dataset.rows) || limits.minRows,
+        autoRefresh: settings.autoRefresh === true,
+        refreshInterval: Number(settings.refreshInterval) || 0,
+        sandbox: {
+          enabled: typeof settings.sandbox === 'string',
+          allow: typeof settings.sandbox === 'string' ? settings.sandbox : ''
+        }
+      }
+
+      const heading = document.createElement('h2')
+      heading.textContent = `Widget settings: ${metadata.title || widget.dataset.service || ''}`
+
+      const formDiv = document.createElement('div')
+      formDiv.id = 'widget-settings-form'
+      formDiv.classList.add('modal__jsonform')
+      const form = new JsonForm(formDiv, initial, {
+        placeholders: {
+          title: widget.dataset.service || 'Title',
+          'sandbox.allow': 'allow-scripts allow-same-origin allow-forms'
+        }
+      })
+
+      const extraLabel = document.createElement('label')
+      extraLabel.htmlFor = 'widget-settings-extra'
+      extraLabel.textContent = 'Other settings (JSON)'
+      const extra = document.createElement('textarea')
+      extra.id = 'widget-settings-extra'
+      extra.classList.add('modal__textarea--grow')
+      extra.rows = 6
+      extra.value = JSON.stringify(
+        Object.fromEntries(Object.entries(settings).filter(([k]) => !OWN_FIELDS.includes(k))),
+        null,
+        2
+      )
+
+      const saveButton = document.createElement('button')
+      saveButton.textContent = 'Save'
+      saveButton.classList.add('modal__btn', 'modal__btn--save')
+      saveButton.addEventListener('click', () => {
+        const value = /** @type {WidgetSettingsForm} */(form.getValue())
+        let extraSettings
+        try {
+          extraSettings = JSON.parse(extra.value.trim() || '{}')
+          if (!extraSettings || typeof extraSettings !== 'object' || Array.isArray(extraSettings)) throw new Error('not an object')
+        } catch {
+          showNotification('Other settings must be a JSON object', 3000, 'error')
+          return
+        }
+        if (!URL.canParse(value.url)) {
+          showNotification('Enter an absolute URL', 3000, 'error')
+          return
+        }
+        const { minColumns, maxColumns, minRows, maxRows } = limits
+        if (!(value.columns >= minColumns && value.columns <= maxColumns && value.rows >= minRows && value.rows <= maxRows)) {
+          showNotification(`Span must be ${minColumns}–${maxColumns} columns and ${minRows}–${maxRows} rows`, 3000, 'error')
+          return
+        }
+        const fitted = fitSpan(widget, value.columns, value.rows)
+        if (fitted.columns < value.columns || fitted.rows < value.rows) {
+          showNotification('The widget would overlap another one or leave the grid', 3000, 'error')
+          return
+        }
+        if (!(value.refreshInterval >= 0)) {
+          showNotification('Refresh interval must be 0 or more seconds', 3000, 'error')
+          return
+        }
+        applySettings(widget, value, extraSettings)
+        logger.log(`Updated settings of widget ${widget.dataset.dataid}`)
+        showNotification('Widget settings saved')
+        closeModal()
+      })
+
+      const cancelButton = document.createElement('button')
+      cancelButton.textContent = 'Cancel'
+      cancelButton.classList.add('modal__btn', 'modal__btn--cancel')
+      cancelButton.addEventListener('click', closeModal)
+
+      const buttons = document.createElement('div')
+      buttons.classList.add('modal__btn-group')
+      buttons.append(saveButton, cancelButton)
+      modal.append(heading, formDiv, extraLabel, extra, buttons)
+    }
+  })
+}
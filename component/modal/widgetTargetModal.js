@@ -0,0 +1,75 @@
+// @ts-check
+/**
+ * Modal for picking the board and view a widget is moved or copied to.
+ *
+ * @module widgetTargetModal
+ */
+import { openModal } from './modalFactory.js'
+import StorageManager from '../../storage/StorageManager.js'
+
+/**
+ * Ask for a target view.
+ *
+ * @param {{title:string, confirmLabel:string, excludeViewId?:string|null}} options -
+ *   `excludeViewId` leaves out a view, e.g. the one the widget is in.
+ * @function pickWidgetTarget
+ * @returns {Promise<{boardId:string, viewId:string}|null>} Null when cancelled.
+ */
+export function pickWidgetTarget ({ title, confirmLabel, excludeViewId = null }) {
+  return new Promise(resolve => {
+    if (document.getElementById('widget-target-modal')) return resolve(null)
+    /** @type {{boardId:string, viewId:string}|null} */
+    let picked = null
+    openModal({
+      id: 'widget-target-modal',
+      onCloseCallback: () => resolve(picked),
+      buildContent: (modal, closeModal) => {
+        const heading = document.createElement('h2')
+        heading.textContent = title
+
+        const select = document.createElement('select')
+        select.id = 'widget-target'
+        select.classList.add('modal__input')
+        select.setAttribute('aria-label', 'Target view')
+        for (const board of StorageManager.getBoards()) {
+          const group = document.createElement('optgroup')
+          group.label = board.name || board.id
+          for (const view of board.views || []) {
+            if (view.id === excludeViewId) continue
+            const option = document.createElement('option')
+            option.value = JSON.stringify({ boardId: board.id, viewId: view.id })
+            option.textContent = view.name || view.id
+            group.appendChild(option)
+          }
+          if (group.children.length) select.appendChild(group)
+        }
+
+        const confirmButton = document.createElement('button')
+        confirmButton.textContent = confirmLabel
+        confirmButton.classList.add('modal__btn', 'modal__btn--save')
+        confirmButton.disabled = !select.value
+        confirmButton.addEventListener('click', () => {
+          if (!select.value) return
+          picked = JSON.parse(select.value)
+          closeModal()
+        })
+
+        const cancelButton = document.createElement('button')
+        cancelButton.textContent = 'Cancel'
+        cancelButton.classList.add('modal__btn', 'modal__btn--cancel')
+        cancelButton.addEventListener('click', closeModal)
+
+        const btnGroup = document.createElement('div')
+        btnGroup.classList.add('modal__btn-group')
+        btnGroup.append(confirmButton, cancelButton)
+
+        modal.append(heading, select, btnGroup)
+        if (!select.value) {
+          const empty = document.createElement('p')
+          empty.textContent = 'There is no other view. Create one first.'
+          select.replaceWith(empty)
+        }
+      }
+    })
+  })
+}
@@ -1,10 +1,11 @@
 // @ts-check
 import { emojiList } from '../../ui/unicodeEmoji.js'
 import { installHoverIntent } from './selector-hover-intent.js'
+import { EVENTS, emit, on } from '../../utils/eventBus.js'
 /**
  * Generic selector panel with compact top menu and per-row flyout actions.
  *
- * Emits DOM events (CustomEvent with `{ bubbles:true, composed:true }`):
+ * Emits bus events on the panel element (see eventBus, bubbling DOM CustomEvents):
  *   'selector:select'      { id }
  *   'selector:action'      { action, context }
  *   'selector:item-action' { action, id, context }
@@ -15,7 +16,8 @@ import { installHoverIntent } from './selector-hover-intent.js'
  */
 
 /**
- * @typedef {{id:string,label:string,meta?:string,[key:string]:any}} SelectorItem
+ * `status` is set as `data-status` on the item row, for styling.
+ * @typedef {{id:string,label:string,meta?:string,status?:string,[key:string]:any}} SelectorItem
 */
 
 /**
@@ -87,6 +89,8 @@ export class SelectorPanel {
     this.state = { wasFocused: false }
     this.dom = /** @type {any} */ ({})
     this.handlers = /** @type {any} */ ({})
+    /** @type {Array<() => void>} Event bus subscriptions, ended in destroy(). */
+    this.unsubscribe = []
     this.render()
     this.bind()
     this.refresh()
@@ -240,10 +244,9 @@ export class SelectorPanel {
       if (this.state.wasFocused) this.dom.wrap.focus()
       this.state.wasFocused = false
     }
-    document.addEventListener('modal:open', onModalOpen)
-    document.addEventListener('modal:close', onModalClose)
+    this.unsubscribe = [on(EVENTS.MODAL_OPEN, onModalOpen), on(EVENTS.MODAL_CLOSE, onModalClose)]
 
-    this.handlers = { onEnter, onLeave, onKeydown, onInput, onListClick, onListKeydown, onMenuClick, onMenuKeydown, onModalOpen, onModalClose }
+    this.handlers = { onEnter, onLeave, onKeydown, onInput, onListClick, onListKeydown, onMenuClick, onMenuKeydown }
   }
 
   /** Refresh list and menu */
@@ -350,6 +353,7 @@ export class SelectorPanel {
       row.className = 'panel-item'
       row.dataset.id = it.id
       row.dataset.filterable = normalize(`${it.label} ${it.meta || ''}`)
+      if (it.status) row.dataset.status = it.status
       row.tabIndex = 0
       row.setAttribute('role', 'button')
 
@@ -419,7 +423,7 @@ export class SelectorPanel {
   open () {
     if (!this.dom.wrap.classList.contains('open')) {
       this.dom.wrap.classList.add('open')
-      this.dom.wrap.dispatchEvent(new CustomEvent('selector:opened', { bubbles: true, composed: true }))
+      emit(EVENTS.SELECTOR_OPENED, undefined, { target: this.dom.wrap })
     }
   }
 
@@ -427,27 +431,27 @@ export class SelectorPanel {
   close () {
     if (this.dom.wrap.classList.contains('open')) {
       this.dom.wrap.classList.remove('open')
-      this.dom.wrap.dispatchEvent(new CustomEvent('selector:closed', { bubbles: true, composed: true }))
+      emit(EVENTS.SELECTOR_CLOSED, undefined, { target: this.dom.wrap })
     }
   }
 
   /** Dispatch selection */
   dispatchSelect (id) {
-    this.dom.wrap.dispatchEvent(new CustomEvent('selector:select', { bubbles: true, composed: true, detail: { id } }))
+    emit(EVENTS.SELECTOR_SELECT, { id }, { target: this.dom.wrap })
     if (typeof this.cfg.onSelect === 'function') this.cfg.onSelect(id)
   }
 
   /** Dispatch top-level action */
   dispatchAction (action) {
     const ctx = this.cfg.context ? this.cfg.context() : null
-    this.dom.wrap.dispatchEvent(new CustomEvent('selector:action', { bubbles: true, composed: true, detail: { action, context: ctx } }))
+    emit(EVENTS.SELECTOR_ACTION, { action, context: ctx }, { target: this.dom.wrap })
     if (typeof this.cfg.onAction === 'function') this.cfg.onAction(action, ctx)
   }
 
   /** Dispatch per-item action */
   dispatchItemAction (action, id) {
     const ctx = this.cfg.context ? this.cfg.context() : null
-    this.dom.wrap.dispatchEvent(new CustomEvent('selector:item-action', { bubbles: true, composed: true, detail: { action, id, context: ctx } }))
+    emit(EVENTS.SELECTOR_ITEM_ACTION, { action, id, context: ctx }, { target: this.dom.wrap })
     if (typeof this.cfg.onItemAction === 'function') this.cfg.onItemAction(action, id, ctx)
   }
 
@@ -464,7 +468,6 @@ export class SelectorPanel {
     list.removeEventListener('keydown', this.handlers.onListKeydown)
     menu.removeEventListener('click', this.handlers.onMenuClick)
     menu.removeEventListener('keydown', this.handlers.onMenuKeydown)
-    document.removeEventListener('modal:open', this.handlers.onModalOpen)
-    document.removeEventListener('modal:close', this.handlers.onModalClose)
+    this.unsubscribe.forEach(off => off())
   }
 }
@@ -1,7 +1,8 @@
 // @ts-check
 /**
  * Service control panel wiring using SelectorPanel.
- * Provides service selection with counts and actions.
+ * Provides service selection with counts and actions, and flags services
+ * whose widgets on the page fail to load.
  * @module ServiceControl
  */
 import { SelectorPanel } from '../panel/SelectorPanel.js'
@@ -14,6 +15,8 @@ import { showNotification } from '../dialog/notification.js'
 import { switchBoard } from '../board/boardManagement.js'
 import emojiList from '../../ui/unicodeEmoji.js'
 import { Logger } from '../../utils/Logger.js'
+import { EVENTS, emit, on } from '../../utils/eventBus.js'
+import { serviceLoadState } from '../widget/utils/loadMonitor.js'
 
 const logger = new Logger('ServiceControl.js')
 
@@ -22,7 +25,7 @@ const logger = new Logger('ServiceControl.js')
  * @param {string} reason
  */
 function emitStateChange (reason) {
-  document.dispatchEvent(new CustomEvent('state-change', { detail: { reason } }))
+  emit(EVENTS.STATE_CHANGE, { reason })
 }
 
 /**
@@ -53,17 +56,25 @@ function countServiceInstances (serviceId) {
 }
 
 /**
- * Compute global widget counter text.
+ * Compute global widget counter text. Suspended widgets are not running.
  * @returns {string}
  */
 function globalCountText () {
-  const running = widgetStore.widgets.size
+  const running = widgetStore.liveCount()
+  const suspended = widgetStore.widgets.size - running
   const widgets = getGlobalWidgetTotal()
   const cfg = StorageManager.getConfig()
   const maxFromConfig = cfg?.globalSettings?.maxTotalInstances
   const max = (typeof widgetStore?.maxSize === 'number' ? widgetStore.maxSize : null) ?? (typeof maxFromConfig === 'number' ? maxFromConfig : null)
   const maxDisplay = max !== null ? max : '∞'
-  return `Running: ${running}/${maxDisplay} Widgets: ${widgets}`
+  return `Running: ${running}/${maxDisplay}${suspended ? ` (${suspended} suspended)` : ''} Widgets: ${widgets}`
+}
+
+/** Panel wording of the failed load states. */
+const LOAD_STATE_TEXT = {
+  error: 'unreachable',
+  timeout: 'not responding',
+  retrying: 'retrying'
 }
 
 /**
@@ -84,17 +95,19 @@ export function mountServiceControl () {
     labelText: null,
     getItems: () => {
       const services = StorageManager.getServices() || []
-      const overGlobal = typeof widgetStore.maxSize === 'number' && widgetStore.widgets.size >= widgetStore.maxSize
+      const overGlobal = typeof widgetStore.maxSize === 'number' && widgetStore.liveCount() >= widgetStore.maxSize
       return services.map(svc => {
         const resolved = resolveServiceConfig(svc)
         const instances = countServiceInstances(resolved.id)
         const max = resolved.maxInstances ?? '∞'
         const overService = typeof resolved.maxInstances === 'number' && instances >= resolved.maxInstances
         const canNavigate = instances > 0
+        const loadState = serviceLoadState(resolved.name)
         return {
           id: resolved.id,
           label: resolved.name,
-          meta: `(${instances}/${max})`,
+          meta: loadState ? `(${instances}/${max}) ${LOAD_STATE_TEXT[loadState]}` : `(${instances}/${max})`,
+          status: loadState || undefined,
           url: resolved.url,
           overService,
           name: resolved.name,
@@ -193,13 +206,22 @@ export function mountServiceControl () {
 
   window.__openWidgetPanel = () => panel.dom.wrap.classList.add('open')
 
-  document.addEventListener('state-change', (e) => {
-    const reason = /** @type {CustomEvent} */(e).detail?.reason
+  on(EVENTS.STATE_CHANGE, ({ reason }) => {
     if (reason === 'services' || reason === 'config') {
       panel.refresh()
     }
   })
 
+  // Only rebuild when a service's flag changes, widgets load all the time
+  /** @type {Map<string, string|null>} */
+  const shownLoadStates = new Map()
+  on(EVENTS.WIDGET_LOAD_STATE, ({ service }) => {
+    const state = serviceLoadState(service)
+    if ((shownLoadStates.get(service) ?? null) === state) return
+    shownLoadStates.set(service, state)
+    panel.refresh()
+  })
+
   panel.refresh()
   return panel
 }
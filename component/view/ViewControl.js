@@ -6,7 +6,8 @@
 import { SelectorPanel } from '../panel/SelectorPanel.js'
 import StorageManager from '../../storage/StorageManager.js'
 import { getCurrentBoardId } from '../../utils/elements.js'
-import { createView, renameView, deleteView, resetView, switchView, updateViewSelector } from '../board/boardManagement.js'
+import { createView, renameView, deleteView, resetView, setViewLayout, switchView, updateViewSelector } from '../board/boardManagement.js'
+import { viewLayout, LAYOUT } from '../widget/utils/gridLayout.js'
 import emojiList from '../../ui/unicodeEmoji.js'
 
 /**
@@ -61,6 +62,10 @@ export function mountViewControl () {
       } else if (action === 'reset') {
         const vId = StorageManager.misc.getLastViewId()
         if (bId && vId && confirm('Reset this view?')) await resetView(bId, vId)
+      } else if (action === 'layout') {
+        const vId = StorageManager.misc.getLastViewId()
+        const view = (StorageManager.getBoards() || []).find(b => b.id === bId)?.views.find(v => v.id === vId)
+        if (bId && view) setViewLayout(bId, vId, viewLayout(view) === LAYOUT.FREE ? LAYOUT.FLOW : LAYOUT.FREE)
       }
       refresh()
       if (bId) updateViewSelector(bId)
@@ -78,7 +83,8 @@ export function mountViewControl () {
     },
     actions: [
       { key: 'create', label: 'New View' },
-      { key: 'reset', label: 'Reset View' }
+      { key: 'reset', label: 'Reset View' },
+      { key: 'layout', label: 'Toggle Free Layout' }
     ],
     selectVerb: () => 'Switch',
     itemActionsFor: () => [
@@ -0,0 +1,87 @@
+// @ts-check
+/**
+ * Actions on several widgets of the current view at once. Each changes the
+ * live elements first and then saves the view a single time, so one undo
+ * step reverts the whole action. Moving to another view is
+ * `transferWidgets` in widgetTransfer.js.
+ *
+ * @module bulkActions
+ */
+import { updateWidgetOrders } from './widgetManagement.js'
+import { widgetStore } from './widgetStore.js'
+import { adjustWidgetSize } from './menu/resizeMenu.js'
+import { refreshWidget, updateRefreshIndicator, MIN_REFRESH_INTERVAL } from './refreshScheduler.js'
+import { widgetTypeOf } from './types/registry.js'
+import { saveWidgetState } from '../../storage/widgetStatePersister.js'
+import { EVENTS, emit } from '../../utils/eventBus.js'
+import { Logger } from '../../utils/Logger.js'
+
+const logger = new Logger('bulkActions.js')
+
+/**
+ * Remove widgets from the view.
+ * @function removeWidgets
+ * @param {Array<HTMLElement>} widgets
+ * @returns {Promise<void>}
+ */
+export async function removeWidgets (widgets) {
+  for (const el of widgets) {
+    await widgetStore.requestRemoval(el.dataset.dataid)
+  }
+  updateWidgetOrders()
+  emit(EVENTS.STATE_CHANGE, { reason: 'services' })
+  logger.log(`Removed ${widgets.length} widgets`)
+}
+
+/**
+ * Give widgets the same span, each kept within its service's limits and,
+ * in free layout, clear of its neighbours.
+ * @function resizeWidgets
+ * @param {Array<HTMLElement>} widgets
+ * @param {number} columns
+ * @param {number} rows
+ * @returns {Promise<void>}
+ */
+export async function resizeWidgets (widgets, columns, rows) {
+  for (const el of widgets) {
+    await adjustWidgetSize(el, columns, rows)
+  }
+  saveWidgetState()
+}
+
+/**
+ * Reload the content of widgets that can be refreshed.
+ * @function refreshWidgets
+ * @param {Array<HTMLElement>} widgets
+ * @returns {void}
+ */
+export function refreshWidgets (widgets) {
+  widgets.forEach(refreshWidget)
+}
+
+/**
+ * Merge settings into each widget's own. A `null` value removes the key;
+ * keys not given are left alone.
+ * @function applyWidgetSettings
+ * @param {Array<HTMLElement>} widgets
+ * @param {Record<string, any>} changes
+ * @returns {void}
+ */
+export function applyWidgetSettings (widgets, changes) {
+  for (const el of widgets) {
+    /** @type {Record<string, any>} */
+    let settings = {}
+    try { settings = JSON.parse(el.dataset.settings || '{}') || {} } catch {}
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === null) delete settings[key]
+      else settings[key] = structuredClone(value)
+    }
+    if (settings.autoRefresh === true) {
+      settings.refreshInterval = Math.max(Number(settings.refreshInterval) || 0, MIN_REFRESH_INTERVAL)
+    }
+    el.dataset.settings = JSON.stringify(settings)
+    widgetTypeOf(el).restore?.(el)
+    updateRefreshIndicator(el)
+  }
+  saveWidgetState()
+}
@@ -4,9 +4,23 @@
  * This version is a direct adaptation of the original working code, with minimal
  * changes to support stable IDs and async state saving.
  *
+ * In free layout views (see gridLayout.js) a widget is not swapped but moved
+ * to the grid cell under the pointer; a preview shows where it will land,
+ * shifted to the nearest free cells when the target is taken.
+ *
  * @module dragDrop
  */
 import { updateWidgetOrders } from '../widgetManagement.js'
+import { saveWidgetState } from '../../../storage/widgetStatePersister.js'
+import {
+  applyLayout,
+  cellAt,
+  gridColumnCount,
+  hasPlacement,
+  moveWidgetTo,
+  nearestFreeSpot,
+  placementOf
+} from '../utils/gridLayout.js'
 import { Logger } from '../../../utils/Logger.js'
 
 const logger = new Logger('dragDrop.js')
@@ -30,6 +44,11 @@ function handleDragStart (e, draggedWidgetWrapper) {
 
   // Your proven overlay logic. This is the correct way to handle drop targets.
   const widgetContainer = document.getElementById('widget-container')
+  // Free views convert on their first drag, then drop onto cells instead
+  if (applyLayout(widgetContainer, { convert: true })) {
+    startFreeDrag(e, widgetContainer, draggedWidgetWrapper)
+    return
+  }
   const widgets = Array.from(widgetContainer.children)
   widgets.forEach(widget => {
     if (widget !== draggedWidgetWrapper) {
@@ -48,6 +67,7 @@ function handleDragEnd (e) {
   // Your proven cleanup logic. This removes all visual artifacts.
   logger.log('Drag End triggered. Cleaning up UI.')
   const widgetContainer = document.getElementById('widget-container')
+  widgetContainer.querySelectorAll(':scope > .grid-drop-layer, :scope > .grid-drop-preview').forEach(el => el.remove())
   widgetContainer.querySelectorAll('.widget-wrapper').forEach(widget => {
     if (widget instanceof HTMLElement) {
       removeDragOverlay(widget)
@@ -148,6 +168,66 @@ function removeDragOverlay (widgetWrapper) {
   }
 }
 
+// --- Free layout ---
+
+/**
+ * Cover the grid with a drop layer (iframes would swallow the drag events)
+ * and preview the landing cells while the widget is dragged over it.
+ * @function startFreeDrag
+ * @param {DragEvent} e - The dragstart event.
+ * @param {HTMLElement} container - The widget container.
+ * @param {HTMLElement} dragged - The widget being moved.
+ * @returns {void}
+ */
+function startFreeDrag (e, container, dragged) {
+  const origin = placementOf(dragged)
+  const grabbed = cellAt(container, e.clientX, e.clientY)
+  // Keep the cell the widget was grabbed by under the pointer
+  const grab = { x: grabbed.x - origin.x, y: grabbed.y - origin.y }
+  const others = Array.from(container.querySelectorAll(':scope > .widget-wrapper'))
+    .map(el => /** @type {HTMLElement} */(el))
+    .filter(el => el !== dragged && el.style.display !== 'none' && hasPlacement(el))
+    .map(placementOf)
+  const cols = gridColumnCount(container)
+
+  const layer = document.createElement('div')
+  layer.className = 'grid-drop-layer'
+  const preview = document.createElement('div')
+  preview.className = 'grid-drop-preview'
+  preview.hidden = true
+  /** @type {{x:number, y:number}|null} */
+  let target = null
+
+  layer.addEventListener('dragover', (ev) => {
+    ev.preventDefault()
+    const cell = cellAt(container, ev.clientX, ev.clientY)
+    const wanted = {
+      ...origin,
+      x: Math.min(Math.max(cell.x - grab.x, 0), Math.max(cols - origin.columns, 0)),
+      y: Math.max(cell.y - grab.y, 0)
+    }
+    const spot = nearestFreeSpot(others, wanted, cols)
+    target = spot
+    preview.hidden = false
+    preview.classList.toggle('grid-drop-preview--shifted', spot.x !== wanted.x || spot.y !== wanted.y)
+    preview.style.gridColumn = `${spot.x + 1} / span ${spot.columns}`
+    preview.style.gridRow = `${spot.y + 1} / span ${spot.rows}`
+  })
+  layer.addEventListener('dragleave', () => { preview.hidden = true })
+  layer.addEventListener('drop', (ev) => {
+    ev.preventDefault()
+    layer.remove()
+    preview.remove()
+    if (!target) return
+    logger.log(`Moving widget ${dragged.dataset.dataid} to column ${target.x}, row ${target.y}`)
+    moveWidgetTo(dragged, target)
+    applyLayout(container)
+    saveWidgetState()
+  })
+
+  container.append(preview, layer)
+}
+
 // No container-level listeners are needed with this correct overlay model.
 /**
  * Initializes the drag and drop functionality. In this model, it's a placeholder
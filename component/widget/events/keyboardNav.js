@@ -0,0 +1,273 @@
+// @ts-check
+/**
+ * Keyboard control of the widgets on a view. With a widget wrapper focused:
+ *
+ * - Arrow keys move focus to the nearest widget in that direction.
+ * - Alt + Arrow moves the widget: past its neighbour in flow layout, one
+ *   grid cell (or over a taken one) in free layout.
+ * - Shift + Arrow resizes it within the service's min/max; Right/Down grow.
+ * - Enter toggles fullscreen.
+ * - Space selects it for bulk actions, see widgetSelection.js.
+ *
+ * Keys pressed inside the widget content or its menu are left alone.
+ * Results are announced through the polite live region.
+ *
+ * @module keyboardNav
+ */
+import { updateWidgetOrders } from '../widgetManagement.js'
+import { saveWidgetState } from '../../../storage/widgetStatePersister.js'
+import { resizeHorizontally, resizeVertically } from '../menu/resizeMenu.js'
+import { toggleFullScreen } from './fullscreenToggle.js'
+import {
+  applyLayout,
+  gridColumnCount,
+  hasPlacement,
+  isFreeLayout,
+  moveWidgetTo,
+  overlaps,
+  placementOf
+} from '../utils/gridLayout.js'
+import { announce } from '../../dialog/liveRegion.js'
+import { Logger } from '../../../utils/Logger.js'
+
+const logger = new Logger('keyboardNav.js')
+
+/** @typedef {'left'|'right'|'up'|'down'} Direction */
+
+/** @type {Record<string, Direction>} */
+const DIRECTIONS = {
+  ArrowLeft: 'left',
+  ArrowRight: 'right',
+  ArrowUp: 'up',
+  ArrowDown: 'down'
+}
+
+/** @type {Record<Direction, {dx:number, dy:number}>} */
+const STEP = {
+  left: { dx: -1, dy: 0 },
+  right: { dx: 1, dy: 0 },
+  up: { dx: 0, dy: -1 },
+  down: { dx: 0, dy: 1 }
+}
+
+/**
+ * Name a widget is announced by: its title, else its service.
+ * @function widgetName
+ * @param {HTMLElement} el
+ * @returns {string}
+ */
+export function widgetName (el) {
+  try {
+    const title = JSON.parse(el.dataset.metadata || '{}').title
+    if (title) return title
+  } catch {}
+  return el.dataset.service || 'Widget'
+}
+
+/**
+ * Make a widget wrapper focusable and give it an accessible name.
+ * @function makeFocusable
+ * @param {HTMLElement} el
+ * @returns {void}
+ */
+export function makeFocusable (el) {
+  el.tabIndex = 0
+  el.setAttribute('role', 'group')
+  el.setAttribute('aria-roledescription', 'widget')
+  el.setAttribute('aria-label', widgetName(el))
+}
+
+/**
+ * @function visibleWidgets
+ * @param {HTMLElement} container
+ * @returns {Array<HTMLElement>}
+ */
+function visibleWidgets (container) {
+  return Array.from(container.querySelectorAll(':scope > .widget-wrapper'))
+    .map(el => /** @type {HTMLElement} */(el))
+    .filter(el => el.style.display !== 'none')
+}
+
+/**
+ * Widget nearest to `from` in a direction, by on-screen position. Widgets
+ * off to the side count for twice their sideways distance.
+ *
+ * @function neighbourOf
+ * @param {HTMLElement} from
+ * @param {Direction} direction
+ * @returns {HTMLElement|null}
+ */
+export function neighbourOf (from, direction) {
+  const container = from.parentElement
+  if (!container) return null
+  const a = from.getBoundingClientRect()
+  const ax = a.left + a.width / 2
+  const ay = a.top + a.height / 2
+  const { dx, dy } = STEP[direction]
+
+  let best = null
+  let bestScore = Infinity
+  let bestAhead = Infinity
+  for (const el of visibleWidgets(container)) {
+    if (el === from) continue
+    const b = el.getBoundingClientRect()
+    const ahead = dx * (b.left + b.width / 2 - ax) + dy * (b.top + b.height / 2 - ay)
+    if (ahead <= 0) continue
+    // Gap between the edges along the direction, 0 when they overlap
+    const along = dx > 0 ? b.left - a.right : dx < 0 ? a.left - b.right : dy > 0 ? b.top - a.bottom : a.top - b.bottom
+    const aside = dx !== 0
+      ? Math.max(0, b.top - a.bottom, a.top - b.bottom)
+      : Math.max(0, b.left - a.right, a.left - b.right)
+    const score = Math.max(0, along) + 2 * aside
+    if (score < bestScore || (score === bestScore && ahead < bestAhead)) {
+      best = el
+      bestScore = score
+      bestAhead = ahead
+    }
+  }
+  return best
+}
+
+/**
+ * Move a widget in free layout: one cell in the direction, or over the
+ * widgets in the way to the first free cell behind them.
+ *
+ * @function moveFree
+ * @param {HTMLElement} el
+ * @param {Direction} direction
+ * @returns {boolean} Whether it moved.
+ */
+function moveFree (el, direction) {
+  const container = /** @type {HTMLElement} */(el.parentElement)
+  applyLayout(container, { convert: true })
+  const current = placementOf(el)
+  const others = visibleWidgets(container).filter(w => w !== el && hasPlacement(w)).map(placementOf)
+  const cols = Math.max(gridColumnCount(container), current.x + current.columns)
+  const bottom = others.reduce((max, p) => Math.max(max, p.y + p.rows), 0)
+  const { dx, dy } = STEP[direction]
+
+  for (let step = 1; ; step++) {
+    const spot = { ...current, x: current.x + dx * step, y: current.y + dy * step }
+    if (spot.x < 0 || spot.y < 0 || spot.x + spot.columns > cols || spot.y > bottom) return false
+    if (others.some(p => overlaps(p, spot))) continue
+    moveWidgetTo(el, spot)
+    applyLayout(container)
+    saveWidgetState()
+    return true
+  }
+}
+
+/**
+ * Move a flowing widget before or after its neighbour in the direction.
+ *
+ * @function moveFlow
+ * @param {HTMLElement} el
+ * @param {Direction} direction
+ * @returns {boolean} Whether it moved.
+ */
+function moveFlow (el, direction) {
+  const target = neighbourOf(el, direction)
+  if (!target) return false
+  if (direction === 'left' || direction === 'up') target.before(el)
+  else target.after(el)
+  updateWidgetOrders()
+  // Moving a node in the DOM drops its focus
+  el.focus()
+  return true
+}
+
+/**
+ * @function moveWidget
+ * @param {HTMLElement} el
+ * @param {Direction} direction
+ * @returns {void}
+ */
+function moveWidget (el, direction) {
+  const free = isFreeLayout(el.parentElement)
+  const moved = free ? moveFree(el, direction) : moveFlow(el, direction)
+  const name = widgetName(el)
+  if (!moved) {
+    announce(`${name} cannot move ${direction}`)
+  } else if (free) {
+    const { x, y } = placementOf(el)
+    announce(`${name} moved to column ${x + 1}, row ${y + 1}`)
+  } else {
+    const position = visibleWidgets(/** @type {HTMLElement} */(el.parentElement))
+      .sort((a, b) => Number(a.dataset.order) - Number(b.dataset.order))
+      .indexOf(el)
+    announce(`${name} moved to position ${position + 1}`)
+  }
+}
+
+/**
+ * Resize a widget by one unit; the resize functions enforce the service's
+ * limits and save.
+ *
+ * @function resizeWidget
+ * @param {HTMLElement} el
+ * @param {Direction} direction
+ * @returns {Promise<void>}
+ */
+async function resizeWidget (el, direction) {
+  if (isFreeLayout(el.parentElement)) applyLayout(/** @type {HTMLElement} */(el.parentElement), { convert: true })
+  const before = `${el.dataset.columns}x${el.dataset.rows}`
+  if (direction === 'left' || direction === 'right') await resizeHorizontally(el, direction === 'right')
+  else await resizeVertically(el, direction === 'down')
+
+  const name = widgetName(el)
+  if (`${el.dataset.columns}x${el.dataset.rows}` === before) {
+    announce(`${name} cannot be made ${direction === 'left' || direction === 'up' ? 'smaller' : 'larger'}`)
+  } else {
+    announce(`${name} resized to ${el.dataset.columns} columns, ${el.dataset.rows} rows`)
+  }
+}
+
+/**
+ * @function handleKeydown
+ * @param {KeyboardEvent} event
+ * @returns {void}
+ */
+function handleKeydown (event) {
+  const el = /** @type {HTMLElement} */(event.target)
+  // Only the focused wrapper itself, not its content, menu or dialogs inside it
+  if (!(el instanceof HTMLElement) || !el.classList.contains('widget-wrapper')) return
+  if (event.ctrlKey || event.metaKey) return
+
+  if (event.key === 'Enter') {
+    event.preventDefault()
+    toggleFullScreen(el)
+    announce(`${widgetName(el)} ${el.classList.contains('fullscreen') ? 'shown fullscreen' : 'restored'}`)
+    return
+  }
+
+  const direction = DIRECTIONS[event.key]
+  if (!direction) return
+  event.preventDefault()
+  if (event.altKey && event.shiftKey) return
+
+  if (event.altKey) {
+    moveWidget(el, direction)
+  } else if (event.shiftKey) {
+    resizeWidget(el, direction).catch(error => logger.error('Error resizing widget from keyboard:', error))
+  } else {
+    neighbourOf(el, direction)?.focus()
+  }
+}
+
+/**
+ * Listen for widget keys on the widget container and keep accessible names
+ * current, since the title can change in the settings dialog.
+ *
+ * @function initializeKeyboardNav
+ * @returns {void}
+ */
+export function initializeKeyboardNav () {
+  const container = document.getElementById('widget-container')
+  if (!container) return
+  container.addEventListener('keydown', handleKeydown)
+  container.addEventListener('focusin', event => {
+    const el = /** @type {HTMLElement} */(event.target)
+    if (el.classList?.contains('widget-wrapper')) el.setAttribute('aria-label', widgetName(el))
+  })
+  logger.log('Keyboard navigation initialized')
+}
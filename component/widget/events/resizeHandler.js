@@ -8,7 +8,8 @@ import { saveWidgetState } from '../../../storage/widgetStatePersister.js'
 import { debounce } from '../../../utils/utils.js'
 import { Logger } from '../../../utils/Logger.js'
 import StorageManager from '../../../storage/StorageManager.js'
-import { resolveServiceConfig } from '../../../utils/serviceUtils.js'
+import { resolveServiceConfig, findServiceByUrl } from '../../../utils/serviceUtils.js'
+import { applyGridPosition, applyLayout, fitSpan } from '../utils/gridLayout.js'
 
 const logger = new Logger('resizeHandler.js')
 
@@ -75,7 +76,7 @@ async function handleResizeStart (event, widget) {
   const startHeight = widget.offsetHeight
 
   const widgetUrl = widget.dataset.url
-  const rawService = StorageManager.getServices().find(service => service.url === widgetUrl) || {}
+  const rawService = findServiceByUrl(StorageManager.getServices(), widgetUrl) || {}
   const serviceObj = resolveServiceConfig(rawService)
   const serviceConfig = serviceObj.config || {}
 
@@ -85,6 +86,9 @@ async function handleResizeStart (event, widget) {
   const gridColumnSize = widget.parentElement.offsetWidth / gridColumns || 1
   const gridRowSize = widget.parentElement.offsetHeight / gridRows || 1
 
+  // Free views convert on their first resize, so neighbours have positions to respect
+  applyLayout(widget.parentElement, { convert: true })
+
   // Add the resizing class to the widget
   widget.classList.add('resizing')
 
@@ -107,13 +111,16 @@ async function handleResizeStart (event, widget) {
       const newWidth = Math.max(1, Math.round((startWidth + event.clientX - startX) / gridColumnSize))
       const newHeight = Math.max(1, Math.round((startHeight + event.clientY - startY) / gridRowSize))
       // Snap the resize values to the grid
-      const snappedWidth = Math.round(newWidth / 1) * 1 // Adjust this if grid size should snap at different intervals
-      const snappedHeight = Math.round(newHeight / 1) * 1
+      // In free layout, stop at the grid edge and at neighbouring widgets
+      const { columns: snappedWidth, rows: snappedHeight } = fitSpan(
+        widget,
+        Math.round(newWidth / 1) * 1, // Adjust this if grid size should snap at different intervals
+        Math.round(newHeight / 1) * 1
+      )
 
-      widget.style.gridColumn = `span ${snappedWidth}`
-      widget.style.gridRow = `span ${snappedHeight}`
       widget.dataset.columns = String(snappedWidth)
       widget.dataset.rows = String(snappedHeight)
+      applyGridPosition(widget)
 
       logger.info(`Widget resized to columns: ${snappedWidth}, rows: ${snappedHeight}`)
     } catch (error) {
@@ -0,0 +1,216 @@
+// @ts-check
+/**
+ * Selection of several widgets for the bulk action bar (bulkActionBar.js).
+ *
+ * - Ctrl/Cmd or Shift + click on a widget adds or removes it. Clicks inside
+ *   an iframe never reach the page, so these land on the widget menu or on
+ *   the content of native widgets.
+ * - Dragging from an empty spot of the grid draws a lasso that selects the
+ *   widgets it touches; with Ctrl/Cmd or Shift held it adds to the selection.
+ *   A plain click on an empty spot clears it.
+ * - Space toggles the focused widget, Escape clears the selection.
+ *
+ * Widgets leave the selection when they are hidden or removed, e.g. when
+ * another view is shown.
+ *
+ * @module widgetSelection
+ */
+import { EVENTS, emit } from '../../../utils/eventBus.js'
+import { widgetName } from './keyboardNav.js'
+import { announce } from '../../dialog/liveRegion.js'
+import { Logger } from '../../../utils/Logger.js'
+
+const logger = new Logger('widgetSelection.js')
+
+/** Pointer travel in pixels before a press on the grid becomes a lasso. */
+const LASSO_THRESHOLD = 4
+
+/** @type {Set<HTMLElement>} */
+const selected = new Set()
+
+/**
+ * @function notifyChange
+ * @returns {void}
+ */
+function notifyChange () {
+  emit(EVENTS.WIDGET_SELECTION, { count: selected.size })
+}
+
+/**
+ * Add or remove a widget without announcing it.
+ * @function mark
+ * @param {HTMLElement} el
+ * @param {boolean} on
+ * @returns {boolean} Whether the selection changed.
+ */
+function mark (el, on) {
+  if (selected.has(el) === on) return false
+  if (on) selected.add(el)
+  else selected.delete(el)
+  el.classList.toggle('widget--selected', on)
+  return true
+}
+
+/**
+ * @function isShown
+ * @param {HTMLElement} el
+ * @returns {boolean}
+ */
+function isShown (el) {
+  return el.isConnected && el.style.display !== 'none'
+}
+
+/**
+ * Selected widgets in view order.
+ * @function getSelectedWidgets
+ * @returns {Array<HTMLElement>}
+ */
+export function getSelectedWidgets () {
+  return Array.from(selected)
+    .filter(isShown)
+    .sort((a, b) => Number(a.dataset.order) - Number(b.dataset.order))
+}
+
+/**
+ * Add a widget to the selection or take it out.
+ * @function toggleSelected
+ * @param {HTMLElement} el
+ * @returns {void}
+ */
+export function toggleSelected (el) {
+  mark(el, !selected.has(el))
+  notifyChange()
+  const state = selected.has(el) ? 'selected' : 'deselected'
+  announce(`${widgetName(el)} ${state}, ${selected.size} selected`)
+}
+
+/**
+ * Empty the selection.
+ * @function clearSelection
+ * @returns {void}
+ */
+export function clearSelection () {
+  if (!selected.size) return
+  for (const el of Array.from(selected)) mark(el, false)
+  notifyChange()
+}
+
+/**
+ * @function visibleWidgets
+ * @param {HTMLElement} container
+ * @returns {Array<HTMLElement>}
+ */
+function visibleWidgets (container) {
+  return Array.from(container.querySelectorAll(':scope > .widget-wrapper'))
+    .map(el => /** @type {HTMLElement} */(el))
+    .filter(el => el.style.display !== 'none')
+}
+
+/**
+ * Draw a lasso from a press on the empty grid and select the widgets it
+ * touches, or clear the selection on a plain click.
+ *
+ * @function startLasso
+ * @param {HTMLElement} container
+ * @param {MouseEvent} down
+ * @returns {void}
+ */
+function startLasso (container, down) {
+  const additive = down.ctrlKey || down.metaKey || down.shiftKey
+  const base = additive ? new Set(selected) : new Set()
+  /** @type {HTMLElement|null} */
+  let lasso = null
+
+  /** @param {MouseEvent} move */
+  const onMove = move => {
+    const left = Math.min(down.clientX, move.clientX)
+    const top = Math.min(down.clientY, move.clientY)
+    const width = Math.abs(move.clientX - down.clientX)
+    const height = Math.abs(move.clientY - down.clientY)
+    if (!lasso) {
+      if (Math.max(width, height) < LASSO_THRESHOLD) return
+      lasso = document.createElement('div')
+      lasso.className = 'widget-lasso'
+      document.body.appendChild(lasso)
+      // Frames would swallow the pointer while the lasso crosses them
+      document.body.classList.add('widget-lasso-active')
+    }
+    Object.assign(lasso.style, { left: `${left}px`, top: `${top}px`, width: `${width}px`, height: `${height}px` })
+
+    for (const el of visibleWidgets(container)) {
+      const r = el.getBoundingClientRect()
+      const hit = r.left < left + width && r.right > left && r.top < top + height && r.bottom > top
+      mark(el, hit || base.has(el))
+    }
+  }
+
+  const onUp = () => {
+    document.removeEventListener('mousemove', onMove)
+    document.removeEventListener('mouseup', onUp)
+    if (!lasso) {
+      if (!additive) clearSelection()
+      return
+    }
+    lasso.remove()
+    document.body.classList.remove('widget-lasso-active')
+    notifyChange()
+    announce(`${selected.size} widget${selected.size === 1 ? '' : 's'} selected`)
+  }
+
+  document.addEventListener('mousemove', onMove)
+  document.addEventListener('mouseup', onUp)
+}
+
+/**
+ * Enable selecting widgets in the widget container.
+ *
+ * @function initializeWidgetSelection
+ * @returns {void}
+ */
+export function initializeWidgetSelection () {
+  const container = document.getElementById('widget-container')
+  if (!container) return
+
+  // Capture, so a modifier click on a menu button selects instead of acting
+  container.addEventListener('click', event => {
+    if (!(event.ctrlKey || event.metaKey || event.shiftKey)) return
+    const el = /** @type {HTMLElement} */(event.target).closest?.('.widget-wrapper')
+    if (!(el instanceof HTMLElement) || el.parentElement !== container) return
+    event.preventDefault()
+    event.stopPropagation()
+    toggleSelected(el)
+  }, true)
+
+  container.addEventListener('mousedown', event => {
+    if (event.button !== 0 || event.target !== container) return
+    event.preventDefault()
+    startLasso(container, event)
+  })
+
+  container.addEventListener('keydown', event => {
+    const el = /** @type {HTMLElement} */(event.target)
+    if (event.key !== ' ' || !el.classList?.contains('widget-wrapper')) return
+    if (event.ctrlKey || event.metaKey || event.altKey) return
+    event.preventDefault()
+    toggleSelected(el)
+  })
+
+  document.addEventListener('keydown', event => {
+    if (event.key !== 'Escape' || !selected.size || document.querySelector('.modal')) return
+    if (document.querySelector('.widget-wrapper.fullscreen')) return
+    clearSelection()
+    announce('Selection cleared')
+  })
+
+  // Hidden (view switch) or removed widgets drop out of the selection
+  new MutationObserver(() => {
+    if (!selected.size) return
+    let changed = false
+    for (const el of Array.from(selected)) {
+      if (!isShown(el)) changed = mark(el, false) || changed
+    }
+    if (changed) notifyChange()
+  }).observe(container, { childList: true, subtree: true, attributes: true, attributeFilter: ['style'] })
+
+  logger.log('Widget selection initialized')
+}
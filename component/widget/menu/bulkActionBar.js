@@ -0,0 +1,131 @@
+// @ts-check
+/**
+ * Toolbar shown while widgets are selected (see widgetSelection.js), with
+ * the actions that apply to all of them.
+ *
+ * @module bulkActionBar
+ */
+import { EVENTS, on } from '../../../utils/eventBus.js'
+import { getCurrentViewId } from '../../../utils/elements.js'
+import { getSelectedWidgets, clearSelection } from '../events/widgetSelection.js'
+import { removeWidgets, resizeWidgets, refreshWidgets } from '../bulkActions.js'
+import { transferWidgets } from '../widgetTransfer.js'
+import { pickWidgetTarget } from '../../modal/widgetTargetModal.js'
+import { openBulkSettingsModal } from '../../modal/bulkSettingsModal.js'
+import { showNotification } from '../../dialog/notification.js'
+import { announce } from '../../dialog/liveRegion.js'
+import { Logger } from '../../../utils/Logger.js'
+
+const logger = new Logger('bulkActionBar.js')
+
+/**
+ * @function plural
+ * @param {number} count
+ * @returns {string}
+ */
+function plural (count) {
+  return `${count} widget${count === 1 ? '' : 's'}`
+}
+
+/**
+ * Ask for a span and apply it to the widgets.
+ * @function resizeSelected
+ * @param {Array<HTMLElement>} widgets
+ * @returns {Promise<void>}
+ */
+async function resizeSelected (widgets) {
+  const input = prompt('Span for the selected widgets as columns x rows, e.g. 2x1:', '1x1')
+  if (input === null) return
+  const match = input.trim().match(/^(\d+)\s*[x×]\s*(\d+)$/i)
+  if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) {
+    showNotification('Enter the span as columns x rows, e.g. 2x1', 3000, 'error')
+    return
+  }
+  await resizeWidgets(widgets, Number(match[1]), Number(match[2]))
+  announce(`${plural(widgets.length)} resized`)
+}
+
+/**
+ * Ask for a target view and move the widgets there.
+ * @function moveSelected
+ * @param {Array<HTMLElement>} widgets
+ * @returns {Promise<void>}
+ */
+async function moveSelected (widgets) {
+  const target = await pickWidgetTarget({
+    title: `Move ${plural(widgets.length)} to…`,
+    confirmLabel: 'Move',
+    excludeViewId: getCurrentViewId()
+  })
+  if (target && await transferWidgets(widgets, target)) clearSelection()
+}
+
+/**
+ * @function removeSelected
+ * @param {Array<HTMLElement>} widgets
+ * @returns {Promise<void>}
+ */
+async function removeSelected (widgets) {
+  clearSelection()
+  await removeWidgets(widgets)
+  showNotification(`Removed ${plural(widgets.length)}`)
+}
+
+/**
+ * Create the bulk action bar and keep it in line with the selection.
+ *
+ * @function initializeBulkActionBar
+ * @returns {void}
+ */
+export function initializeBulkActionBar () {
+  if (document.getElementById('bulk-action-bar')) return
+
+  const bar = document.createElement('div')
+  bar.id = 'bulk-action-bar'
+  bar.className = 'bulk-action-bar'
+  bar.setAttribute('role', 'toolbar')
+  bar.setAttribute('aria-label', 'Selected widgets')
+  bar.hidden = true
+
+  const count = document.createElement('span')
+  count.className = 'bulk-action-bar__count'
+  bar.appendChild(count)
+
+  /**
+   * @param {string} label
+   * @param {(widgets:Array<HTMLElement>) => void|Promise<void>} run
+   * @param {string} [modifier]
+   */
+  const action = (label, run, modifier) => {
+    const button = document.createElement('button')
+    button.textContent = label
+    button.classList.add('bulk-action-bar__btn')
+    if (modifier) button.classList.add(`bulk-action-bar__btn--${modifier}`)
+    button.addEventListener('click', async () => {
+      const widgets = getSelectedWidgets()
+      if (!widgets.length) return
+      try {
+        await run(widgets)
+      } catch (error) {
+        logger.error(`Bulk action "${label}" failed:`, error)
+      }
+    })
+    bar.appendChild(button)
+  }
+  action('Refresh', widgets => {
+    refreshWidgets(widgets)
+    announce(`${plural(widgets.length)} refreshed`)
+  })
+  action('Resize…', resizeSelected)
+  action('Settings…', openBulkSettingsModal)
+  action('Move to…', moveSelected)
+  action('Remove', removeSelected, 'danger')
+  action('Clear selection', () => clearSelection())
+
+  document.body.appendChild(bar)
+
+  on(EVENTS.WIDGET_SELECTION, ({ count: selected }) => {
+    count.textContent = `${plural(selected)} selected`
+    bar.hidden = selected === 0
+  })
+}
@@ -0,0 +1,93 @@
+// @ts-check
+/**
+ * Widget menu control for reloading a widget: click to refresh now, hover
+ * to pick an auto refresh interval.
+ *
+ * @module refreshMenu
+ */
+import emojiList from '../../../ui/unicodeEmoji.js'
+import { debounce } from '../../../utils/utils.js'
+import {
+  refreshWidget,
+  setRefreshInterval,
+  getRefreshSettings,
+  formatInterval,
+  MIN_REFRESH_INTERVAL
+} from '../refreshScheduler.js'
+
+/** Intervals offered in the menu, in seconds. 0 turns auto refresh off. */
+const PRESETS = [0, 30, 60, 300, 900, 3600]
+
+/**
+ * Build or rebuild the interval menu of a widget.
+ * @function buildMenu
+ * @param {HTMLElement} widget
+ * @param {HTMLElement} menu
+ * @returns {void}
+ */
+function buildMenu (widget, menu) {
+  const { autoRefresh, refreshInterval } = getRefreshSettings(widget)
+  const current = autoRefresh ? refreshInterval : 0
+  menu.replaceChildren()
+
+  /**
+   * @param {string} label
+   * @param {() => void} onClick
+   * @param {boolean} [active]
+   */
+  const option = (label, onClick, active = false) => {
+    const button = document.createElement('button')
+    button.textContent = active ? `✓ ${label}` : label
+    button.setAttribute('aria-pressed', String(active))
+    button.addEventListener('click', () => {
+      onClick()
+      menu.style.display = 'none'
+    })
+    menu.appendChild(button)
+  }
+
+  option('Refresh now', () => refreshWidget(widget))
+  for (const seconds of PRESETS) {
+    const label = seconds === 0 ? 'Auto refresh off' : `Every ${formatInterval(seconds)}`
+    option(label, () => setRefreshInterval(widget, seconds), seconds === current)
+  }
+  const custom = current > 0 && !PRESETS.includes(current)
+  option(custom ? `Every ${formatInterval(current)}…` : 'Custom interval…', () => {
+    const input = prompt(`Refresh interval in seconds (minimum ${MIN_REFRESH_INTERVAL}, 0 for off):`, String(current))
+    if (input === null) return
+    const seconds = Number(input)
+    if (Number.isFinite(seconds) && seconds >= 0) setRefreshInterval(widget, seconds)
+  }, custom)
+}
+
+/**
+ * Create the refresh button for a widget's menu.
+ *
+ * @function createRefreshButton
+ * @param {HTMLElement} widget - Widget wrapper the button belongs to.
+ * @returns {HTMLButtonElement}
+ */
+export function createRefreshButton (widget) {
+  const button = document.createElement('button')
+  button.innerHTML = emojiList.crossCycle.unicode
+  button.classList.add('widget-button', 'widget-icon-refresh')
+  button.setAttribute('aria-label', 'Refresh widget')
+  button.addEventListener('click', () => refreshWidget(widget))
+
+  const menu = document.createElement('div')
+  menu.className = 'refresh-menu'
+  menu.style.display = 'none'
+  widget.appendChild(menu)
+
+  const hide = debounce(() => {
+    if (!menu.matches(':hover') && !button.matches(':hover')) menu.style.display = 'none'
+  }, 200)
+
+  button.addEventListener('mouseenter', () => {
+    buildMenu(widget, menu)
+    menu.style.display = 'flex'
+  })
+  button.addEventListener('mouseleave', hide)
+  menu.addEventListener('mouseleave', hide)
+  return button
+}
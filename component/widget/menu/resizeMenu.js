@@ -3,6 +3,8 @@ import emojiList from '../../../ui/unicodeEmoji.js'
 import { saveWidgetState } from '../../../storage/widgetStatePersister.js'
 import { fetchServices } from '../utils/fetchServices.js'
 import { getConfig } from '../../../utils/getConfig.js'
+import { findServiceByUrl } from '../../../utils/serviceUtils.js'
+import { applyGridPosition, fitSpan } from '../utils/gridLayout.js'
 import { Logger } from '../../../utils/Logger.js'
 
 const logger = new Logger('resizeMenu.js')
@@ -39,7 +41,7 @@ async function resizeHorizontally (widget, increase = true) {
     const config = await getConfig()
     const services = await fetchServices()
     const widgetUrl = widget.dataset.url
-    const serviceConfig = services.find(service => service.url === widgetUrl)?.config || {}
+    const serviceConfig = findServiceByUrl(services, widgetUrl)?.config || {}
 
     const currentSpan = parseInt(widget.dataset.columns) || config.styling.widget.minColumns
     const newSpan = increase ? currentSpan + 1 : currentSpan - 1
@@ -52,16 +54,16 @@ async function resizeHorizontally (widget, increase = true) {
       widget.classList.add('below-min')
       logger.log('Cannot resize below minimum columns')
       return
-    } else if (newSpan > maxColumns) {
+    } else if (newSpan > maxColumns || fitSpan(widget, newSpan, parseInt(widget.dataset.rows) || 1).columns < newSpan) {
       widget.classList.add('exceeding-max')
-      logger.log('Cannot resize beyond maximum columns')
+      logger.log('Cannot resize beyond maximum columns or into a neighbour')
       return
     } else {
       widget.classList.remove('below-min', 'exceeding-max')
     }
 
     widget.dataset.columns = String(newSpan)
-    widget.style.gridColumn = `span ${newSpan}`
+    applyGridPosition(widget)
     logger.log(`Widget resized horizontally to span ${newSpan} columns`)
     saveWidgetState()
 
@@ -86,7 +88,7 @@ async function resizeVertically (widget, increase = true) {
     const config = await getConfig()
     const services = await fetchServices()
     const widgetUrl = widget.dataset.url
-    const serviceConfig = services.find(service => service.url === widgetUrl)?.config || {}
+    const serviceConfig = findServiceByUrl(services, widgetUrl)?.config || {}
 
     const currentSpan = parseInt(widget.dataset.rows) || config.styling.widget.minRows
     const newSpan = increase ? currentSpan + 1 : currentSpan - 1
@@ -99,16 +101,16 @@ async function resizeVertically (widget, increase = true) {
       widget.classList.add('below-min')
       logger.log('Cannot resize below minimum rows')
       return
-    } else if (newSpan > maxRows) {
+    } else if (newSpan > maxRows || fitSpan(widget, parseInt(widget.dataset.columns) || 1, newSpan).rows < newSpan) {
       widget.classList.add('exceeding-max')
-      logger.log('Cannot resize beyond maximum rows')
+      logger.log('Cannot resize beyond maximum rows or into a neighbour')
       return
     } else {
       widget.classList.remove('below-min', 'exceeding-max')
     }
 
     widget.dataset.rows = String(newSpan)
-    widget.style.gridRow = `span ${newSpan}`
+    applyGridPosition(widget)
     logger.log(`Widget resized vertically to span ${newSpan} rows`)
     saveWidgetState()
 
@@ -178,18 +180,22 @@ async function showResizeMenu (icon) {
 
       const horizontalIncreaseButton = document.createElement('button')
       horizontalIncreaseButton.innerHTML = emojiList.arrowRight.unicode
+      horizontalIncreaseButton.setAttribute('aria-label', 'Wider')
       horizontalIncreaseButton.addEventListener('click', async () => await resizeHorizontally(widget, true))
 
       const horizontalDecreaseButton = document.createElement('button')
       horizontalDecreaseButton.innerHTML = emojiList.arrowLeft.unicode
+      horizontalDecreaseButton.setAttribute('aria-label', 'Narrower')
       horizontalDecreaseButton.addEventListener('click', async () => await resizeHorizontally(widget, false))
 
       const verticalIncreaseButton = document.createElement('button')
       verticalIncreaseButton.innerHTML = emojiList.arrowUp.unicode
+      verticalIncreaseButton.setAttribute('aria-label', 'Shorter')
       verticalIncreaseButton.addEventListener('click', async () => await resizeVertically(widget, false))
 
       const verticalDecreaseButton = document.createElement('button')
       verticalDecreaseButton.innerHTML = emojiList.arrowDown.unicode
+      verticalDecreaseButton.setAttribute('aria-label', 'Taller')
       verticalDecreaseButton.addEventListener('click', async () => await resizeVertically(widget, true))
 
       menu.appendChild(verticalDecreaseButton)
@@ -212,6 +218,16 @@ async function showResizeMenu (icon) {
         }
       }
       menu.addEventListener('mouseout', handleMouseOut)
+      // Keyboard users tab from the icon into the menu; hide it once focus leaves both
+      /** @type {(event: FocusEvent) => void} */
+      const handleFocusOut = (event) => {
+        const target = event.relatedTarget
+        if (!(target instanceof HTMLElement) || !(menu.contains(target) || target === icon)) {
+          /** @type {HTMLElement} */ (menu).style.display = 'none'
+        }
+      }
+      menu.addEventListener('focusout', handleFocusOut)
+      icon.addEventListener('blur', handleFocusOut)
     }
     if (menu instanceof HTMLElement) {
       menu.style.display = 'block'
@@ -256,7 +272,7 @@ async function showResizeMenuBlock (icon, widgetWrapper) {
   try {
     const widgetUrl = widgetWrapper.dataset.url
     const services = await fetchServices()
-    const widgetService = services.find(service => service.url === widgetUrl)
+    const widgetService = findServiceByUrl(services, widgetUrl)
 
     if (!widgetService || !widgetService.config) {
       logger.error(`No constraints found for URL: ${widgetUrl}`)
@@ -345,7 +361,7 @@ async function adjustWidgetSize (widgetWrapper, columns, rows) {
     const config = await getConfig()
     const services = await fetchServices()
     const { url } = extractWidgetDataset(widgetWrapper)
-    const serviceConfig = services.find(service => service.url === url)?.config || {}
+    const serviceConfig = findServiceByUrl(services, url)?.config || {}
 
     const minColumns = serviceConfig.minColumns || config.styling.widget.minColumns
     const maxColumns = serviceConfig.maxColumns || config.styling.widget.maxColumns
@@ -354,11 +370,12 @@ async function adjustWidgetSize (widgetWrapper, columns, rows) {
 
     columns = Math.min(Math.max(columns, minColumns), maxColumns)
     rows = Math.min(Math.max(rows, minRows), maxRows)
+    // Free layout: no growing into neighbours
+    ;({ columns, rows } = fitSpan(widgetWrapper, columns, rows))
 
     widgetWrapper.dataset.columns = String(columns)
     widgetWrapper.dataset.rows = String(rows)
-    widgetWrapper.style.gridColumn = `span ${columns}`
-    widgetWrapper.style.gridRow = `span ${rows}`
+    applyGridPosition(widgetWrapper)
     logger.log(`Widget resized to ${columns} columns and ${rows} rows`)
   } catch (error) {
     logger.error('Error adjusting widget size:', error)
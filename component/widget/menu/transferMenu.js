@@ -0,0 +1,111 @@
+// @ts-check
+/**
+ * Widget menu control for duplicating a widget, or moving or copying it to
+ * another view. The actions open in a menu on hover, click or focus;
+ * Enter or Space on the button moves into it, the arrow keys step through
+ * it and Escape leaves it.
+ *
+ * @module transferMenu
+ */
+import emojiList from '../../../ui/unicodeEmoji.js'
+import { debounce } from '../../../utils/utils.js'
+import { getCurrentViewId } from '../../../utils/elements.js'
+import { duplicateWidget, transferWidget } from '../widgetTransfer.js'
+import { pickWidgetTarget } from '../../modal/widgetTargetModal.js'
+import { Logger } from '../../../utils/Logger.js'
+
+const logger = new Logger('transferMenu.js')
+
+/**
+ * Ask for a target view and move or copy the widget there.
+ * @function transferTo
+ * @param {HTMLElement} widget
+ * @param {boolean} copy
+ * @returns {Promise<void>}
+ */
+async function transferTo (widget, copy) {
+  const target = await pickWidgetTarget({
+    title: copy ? 'Copy widget to…' : 'Move widget to…',
+    confirmLabel: copy ? 'Copy' : 'Move',
+    excludeViewId: copy ? null : getCurrentViewId()
+  })
+  if (target) await transferWidget(widget, target, { copy })
+}
+
+/**
+ * Create the duplicate/move/copy button for a widget's menu.
+ *
+ * @function createTransferButton
+ * @param {HTMLElement} widget - Widget wrapper the button belongs to.
+ * @returns {HTMLButtonElement}
+ */
+export function createTransferButton (widget) {
+  /** @param {Promise<unknown>} pending */
+  const report = pending => pending.catch(error => logger.error('Error transferring widget:', error))
+
+  const button = document.createElement('button')
+  button.innerHTML = emojiList.clipboard.unicode
+  button.classList.add('widget-button', 'widget-icon-transfer')
+  button.setAttribute('aria-label', 'Duplicate, move or copy widget')
+  button.setAttribute('aria-haspopup', 'menu')
+  button.setAttribute('aria-expanded', 'false')
+
+  const menu = document.createElement('div')
+  menu.className = 'transfer-menu'
+  menu.style.display = 'none'
+  widget.appendChild(menu)
+
+  /** @param {boolean} open */
+  const setOpen = open => {
+    menu.style.display = open ? 'flex' : 'none'
+    button.setAttribute('aria-expanded', String(open))
+  }
+
+  /**
+   * @param {string} label
+   * @param {() => Promise<void>} onClick
+   */
+  const option = (label, onClick) => {
+    const item = document.createElement('button')
+    item.textContent = label
+    item.addEventListener('click', () => {
+      setOpen(false)
+      report(onClick())
+    })
+    menu.appendChild(item)
+  }
+  option('Duplicate', () => duplicateWidget(widget))
+  option('Move to…', () => transferTo(widget, false))
+  option('Copy to…', () => transferTo(widget, true))
+
+  const hide = debounce(() => {
+    const active = [':hover', ':focus-visible'].some(state => button.matches(state)) ||
+      [':hover', ':focus-within'].some(state => menu.matches(state))
+    if (!active) setOpen(false)
+  }, 200)
+
+  button.addEventListener('mouseenter', () => setOpen(true))
+  button.addEventListener('focus', () => setOpen(true))
+  button.addEventListener('click', event => {
+    setOpen(true)
+    // Enter or Space: move into the menu, which comes before the button in tab order
+    if (event.detail === 0) /** @type {HTMLElement|null} */(menu.firstElementChild)?.focus()
+  })
+  button.addEventListener('mouseleave', hide)
+  menu.addEventListener('mouseleave', hide)
+  button.addEventListener('blur', hide)
+  menu.addEventListener('focusout', hide)
+  menu.addEventListener('keydown', event => {
+    const items = Array.from(menu.children).map(el => /** @type {HTMLElement} */(el))
+    const index = items.indexOf(/** @type {HTMLElement} */(document.activeElement))
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault()
+      const step = event.key === 'ArrowDown' ? 1 : -1
+      items[(index + step + items.length) % items.length].focus()
+    } else if (event.key === 'Escape') {
+      button.focus()
+      setOpen(false)
+    }
+  })
+  return button
+}
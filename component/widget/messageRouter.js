@@ -0,0 +1,261 @@
+// @ts-check
+/**
+ * Dashboard side of the widget postMessage protocol (see
+ * `messageProtocol.md` next to this file, and `widget-client.js` for the
+ * helper widgets load).
+ *
+ * Iframe widgets are registered when they render. A message is only
+ * accepted when it comes from a registered frame's window and from the
+ * origin that frame was loaded from; replies and topic messages are posted
+ * to that origin only. Frames with an opaque origin (sandboxed without
+ * `allow-same-origin`, `data:` URLs) cannot take part.
+ *
+ * @module messageRouter
+ */
+import { saveWidgetState } from '../../storage/widgetStatePersister.js'
+import { adjustWidgetSize } from './menu/resizeMenu.js'
+import { toggleFullScreen } from './events/fullscreenToggle.js'
+import { getContext, setContextVar } from '../../state/contextVars.js'
+import { EVENTS, on } from '../../utils/eventBus.js'
+import { Logger } from '../../utils/Logger.js'
+
+const logger = new Logger('messageRouter.js')
+
+/** Protocol version, sent as `asd` in every message. */
+export const PROTOCOL_VERSION = 1
+const MAX_TOPIC_LENGTH = 100
+
+/** @type {Map<HTMLIFrameElement, HTMLElement>} Registered frames and their widget wrapper. */
+const frames = new Map()
+/** @type {Map<string, Set<HTMLIFrameElement>>} */
+const topics = new Map()
+let listening = false
+
+/**
+ * @typedef {Object} WidgetMessage
+ * @property {number} asd - Protocol version.
+ * @property {string} type
+ * @property {string|number} [id] - Echoed in the reply.
+ */
+
+/**
+ * Origin a frame was loaded from, or null when it has none to address.
+ * @function frameOrigin
+ * @param {HTMLIFrameElement} iframe
+ * @returns {string|null}
+ */
+function frameOrigin (iframe) {
+  try {
+    const origin = new URL(iframe.src).origin
+    return origin === 'null' ? null : origin
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Post a protocol message to a widget frame, addressed to its own origin.
+ *
+ * @function postToWidget
+ * @param {HTMLIFrameElement} iframe
+ * @param {Record<string, any>} message - `type` and payload; `asd` is added.
+ * @returns {boolean} False when the frame has no origin to address.
+ */
+export function postToWidget (iframe, message) {
+  const origin = frameOrigin(iframe)
+  if (!origin || !iframe.contentWindow) return false
+  iframe.contentWindow.postMessage({ asd: PROTOCOL_VERSION, ...message }, origin)
+  return true
+}
+
+/**
+ * Parse a JSON dataset attribute.
+ * @function readDataset
+ * @param {string|undefined} value
+ * @returns {Record<string, any>}
+ */
+function readDataset (value) {
+  try {
+    return JSON.parse(value || '{}') || {}
+  } catch {
+    return {}
+  }
+}
+
+/**
+ * Validate a topic name.
+ * @function requireTopic
+ * @param {any} topic
+ * @returns {string}
+ */
+function requireTopic (topic) {
+  if (typeof topic !== 'string' || !topic || topic.length > MAX_TOPIC_LENGTH) {
+    throw new TypeError(`topic must be a string of 1 to ${MAX_TOPIC_LENGTH} characters`)
+  }
+  return topic
+}
+
+/**
+ * Handlers per message type. Each returns the reply result or throws.
+ * @type {Record<string, (msg:Record<string, any>, wrapper:HTMLElement, iframe:HTMLIFrameElement) => any>}
+ */
+const handlers = {
+  hello (msg, wrapper) {
+    return {
+      protocol: PROTOCOL_VERSION,
+      widgetId: wrapper.dataset.dataid,
+      columns: Number(wrapper.dataset.columns),
+      rows: Number(wrapper.dataset.rows),
+      settings: readDataset(wrapper.dataset.settings),
+      metadata: readDataset(wrapper.dataset.metadata)
+    }
+  },
+
+  getSettings (msg, wrapper) {
+    return {
+      settings: readDataset(wrapper.dataset.settings),
+      metadata: readDataset(wrapper.dataset.metadata)
+    }
+  },
+
+  async resize (msg, wrapper) {
+    const columns = msg.columns ?? Number(wrapper.dataset.columns)
+    const rows = msg.rows ?? Number(wrapper.dataset.rows)
+    if (!Number.isInteger(columns) || !Number.isInteger(rows) || columns < 1 || rows < 1) {
+      throw new TypeError('columns and rows must be positive integers')
+    }
+    // Clamped to the service's min/max columns and rows
+    await adjustWidgetSize(wrapper, columns, rows)
+    saveWidgetState()
+    return { columns: Number(wrapper.dataset.columns), rows: Number(wrapper.dataset.rows) }
+  },
+
+  setTitle (msg, wrapper, iframe) {
+    if (typeof msg.title !== 'string' || msg.title.length > 200) {
+      throw new TypeError('title must be a string of at most 200 characters')
+    }
+    const metadata = readDataset(wrapper.dataset.metadata)
+    const title = msg.title.trim()
+    if (title) metadata.title = title
+    else delete metadata.title
+    wrapper.dataset.metadata = JSON.stringify(metadata)
+    iframe.title = title || wrapper.dataset.service || ''
+    saveWidgetState()
+    return { title }
+  },
+
+  fullscreen (msg, wrapper) {
+    const on = typeof msg.on === 'boolean' ? msg.on : !wrapper.classList.contains('fullscreen')
+    if (on !== wrapper.classList.contains('fullscreen')) toggleFullScreen(wrapper)
+    return { on }
+  },
+
+  subscribe (msg, wrapper, iframe) {
+    const topic = requireTopic(msg.topic)
+    if (!topics.has(topic)) topics.set(topic, new Set())
+    topics.get(topic).add(iframe)
+    return { topic }
+  },
+
+  unsubscribe (msg, wrapper, iframe) {
+    const topic = requireTopic(msg.topic)
+    topics.get(topic)?.delete(iframe)
+    if (topics.get(topic)?.size === 0) topics.delete(topic)
+    return { topic }
+  },
+
+  getContext () {
+    return getContext()
+  },
+
+  setContext (msg) {
+    setContextVar(msg.name, msg.value ?? '')
+    return { name: msg.name, value: getContext()[msg.name] ?? '' }
+  },
+
+  publish (msg, wrapper, iframe) {
+    const topic = requireTopic(msg.topic)
+    let delivered = 0
+    for (const subscriber of topics.get(topic) || []) {
+      if (subscriber === iframe || !subscriber.isConnected) continue
+      if (postToWidget(subscriber, { type: 'message', topic, data: msg.data, from: wrapper.dataset.dataid })) delivered++
+    }
+    return { delivered }
+  }
+}
+
+/**
+ * Find the registered frame a message came from.
+ * @function findSender
+ * @param {MessageEvent} event
+ * @returns {HTMLIFrameElement|null}
+ */
+function findSender (event) {
+  for (const iframe of frames.keys()) {
+    if (iframe.contentWindow && iframe.contentWindow === event.source) return iframe
+  }
+  return null
+}
+
+/**
+ * Route one incoming message.
+ * @function onMessage
+ * @param {MessageEvent} event
+ * @returns {Promise<void>}
+ */
+async function onMessage (event) {
+  const msg = event.data
+  if (!msg || typeof msg !== 'object' || msg.asd !== PROTOCOL_VERSION || typeof msg.type !== 'string') return
+  const iframe = findSender(event)
+  if (!iframe) return
+  if (event.origin !== frameOrigin(iframe)) {
+    logger.warn(`Ignoring "${msg.type}" from ${event.origin}: frame was loaded from ${frameOrigin(iframe)}`)
+    return
+  }
+  const wrapper = frames.get(iframe)
+  const handler = Object.hasOwn(handlers, msg.type) ? handlers[msg.type] : null
+
+  try {
+    if (!handler) throw new TypeError(`Unknown message type: ${msg.type}`)
+    const result = await handler(msg, wrapper, iframe)
+    postToWidget(iframe, { type: 'reply', id: msg.id, ok: true, result })
+  } catch (error) {
+    logger.warn(`Widget ${wrapper.dataset.dataid} sent an invalid "${msg.type}":`, error)
+    postToWidget(iframe, { type: 'reply', id: msg.id, ok: false, error: error.message })
+  }
+}
+
+/**
+ * Accept protocol messages from a widget's frame.
+ *
+ * @function registerWidgetFrame
+ * @param {HTMLElement} wrapper - Widget wrapper.
+ * @param {HTMLIFrameElement} iframe
+ * @returns {void}
+ */
+export function registerWidgetFrame (wrapper, iframe) {
+  frames.set(iframe, wrapper)
+  if (!listening) {
+    window.addEventListener('message', onMessage)
+    // Every frame hears about context changes, linked or not
+    on(EVENTS.CONTEXT_CHANGED, ({ name, value }) => {
+      for (const frame of frames.keys()) postToWidget(frame, { type: 'context', name, value })
+    })
+    listening = true
+  }
+}
+
+/**
+ * Stop routing messages for a frame and drop its topic subscriptions.
+ *
+ * @function unregisterWidgetFrame
+ * @param {HTMLIFrameElement} iframe
+ * @returns {void}
+ */
+export function unregisterWidgetFrame (iframe) {
+  frames.delete(iframe)
+  for (const [topic, subscribers] of topics) {
+    subscribers.delete(iframe)
+    if (subscribers.size === 0) topics.delete(topic)
+  }
+}
@@ -0,0 +1,154 @@
+// @ts-check
+/**
+ * Periodic iframe reloads driven by widget `settings.autoRefresh` and
+ * `settings.refreshInterval` (seconds).
+ *
+ * One timer ticks every second and advances a counter for each widget that
+ * is on screen. Widgets hidden by the widget store (`display: none`) and
+ * every widget while the tab is in the background keep their counter, so
+ * the countdown pauses instead of firing a burst of reloads on return.
+ *
+ * @module refreshScheduler
+ */
+import { widgetStore } from './widgetStore.js'
+import { saveWidgetState } from '../../storage/widgetStatePersister.js'
+import { widgetTypeOf } from './types/registry.js'
+import { Logger } from '../../utils/Logger.js'
+
+const logger = new Logger('refreshScheduler.js')
+
+const TICK_MS = 1000
+/** Shortest interval honored, so a typo cannot hammer a service. */
+export const MIN_REFRESH_INTERVAL = 5
+
+/** @type {WeakMap<HTMLElement, number>} Milliseconds counted towards the next reload. */
+const elapsed = new WeakMap()
+/** @type {ReturnType<typeof setInterval>|null} */
+let timer = null
+
+/**
+ * Read the refresh settings stored on a widget element.
+ *
+ * @function getRefreshSettings
+ * @param {HTMLElement} el - Widget wrapper.
+ * @returns {{autoRefresh:boolean, refreshInterval:number}}
+ */
+export function getRefreshSettings (el) {
+  let settings = {}
+  try {
+    settings = JSON.parse(el.dataset.settings || '{}') || {}
+  } catch {}
+  const refreshInterval = Number(settings.refreshInterval) || 0
+  return {
+    autoRefresh: settings.autoRefresh === true && refreshInterval > 0,
+    refreshInterval
+  }
+}
+
+/**
+ * Reload a widget's content now and restart its countdown. Widget types
+ * without a `refresh` hook (notes, clock) are left alone.
+ *
+ * @function refreshWidget
+ * @param {HTMLElement} el - Widget wrapper.
+ * @returns {void}
+ */
+export function refreshWidget (el) {
+  const type = widgetTypeOf(el)
+  if (!type.refresh) return
+  type.refresh(el)
+  elapsed.set(el, 0)
+  logger.log(`Refreshed widget ${el.dataset.dataid}`)
+}
+
+/**
+ * Reflect the refresh settings on the widget: class and button tooltip.
+ *
+ * @function updateRefreshIndicator
+ * @param {HTMLElement} el - Widget wrapper.
+ * @returns {void}
+ */
+export function updateRefreshIndicator (el) {
+  const { autoRefresh, refreshInterval } = getRefreshSettings(el)
+  el.classList.toggle('auto-refresh', autoRefresh)
+  const button = el.querySelector('.widget-icon-refresh')
+  if (button instanceof HTMLElement) {
+    button.title = autoRefresh
+      ? `Refresh now (auto refresh every ${formatInterval(refreshInterval)})`
+      : 'Refresh now'
+  }
+}
+
+/**
+ * Change a widget's auto refresh interval and persist it.
+ *
+ * @function setRefreshInterval
+ * @param {HTMLElement} el - Widget wrapper.
+ * @param {number} seconds - 0 turns auto refresh off.
+ * @returns {void}
+ */
+export function setRefreshInterval (el, seconds) {
+  const interval = seconds > 0 ? Math.max(Math.round(seconds), MIN_REFRESH_INTERVAL) : 0
+  let settings = {}
+  try {
+    settings = JSON.parse(el.dataset.settings || '{}') || {}
+  } catch {}
+  el.dataset.settings = JSON.stringify({ ...settings, autoRefresh: interval > 0, refreshInterval: interval })
+  elapsed.set(el, 0)
+  updateRefreshIndicator(el)
+  saveWidgetState()
+}
+
+/**
+ * Human readable interval, e.g. "30 s", "5 min" or "1 h".
+ *
+ * @function formatInterval
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatInterval (seconds) {
+  if (seconds % 3600 === 0) return `${seconds / 3600} h`
+  if (seconds % 60 === 0) return `${seconds / 60} min`
+  return `${seconds} s`
+}
+
+/**
+ * Advance the countdown of visible widgets and reload those that are due.
+ * @function tick
+ * @returns {void}
+ */
+function tick () {
+  if (document.hidden) return
+  for (const el of widgetStore.widgets.values()) {
+    const { autoRefresh, refreshInterval } = getRefreshSettings(el)
+    if (!autoRefresh || !el.isConnected || el.style.display === 'none') continue
+    const next = (elapsed.get(el) || 0) + TICK_MS
+    if (next >= Math.max(refreshInterval, MIN_REFRESH_INTERVAL) * 1000) {
+      refreshWidget(el)
+    } else {
+      elapsed.set(el, next)
+    }
+  }
+}
+
+/**
+ * Start the refresh timer. Safe to call more than once.
+ *
+ * @function startRefreshScheduler
+ * @returns {void}
+ */
+export function startRefreshScheduler () {
+  if (timer) return
+  timer = setInterval(tick, TICK_MS)
+}
+
+/**
+ * Stop the refresh timer.
+ *
+ * @function stopRefreshScheduler
+ * @returns {void}
+ */
+export function stopRefreshScheduler () {
+  if (timer) clearInterval(timer)
+  timer = null
+}
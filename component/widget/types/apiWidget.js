@@ -0,0 +1,148 @@
+// @ts-check
+/**
+ * Card for `type: 'api'` services: fetches the widget URL (or the service's
+ * `api.url`) through the data pipeline and shows either one value as a
+ * metric or the whole response.
+ *
+ * Settings: `path` picks the value (dot notation, e.g. `data.items.0.count`),
+ * `label` and `unit` decorate a metric. Without `path`, or when it points at
+ * an object, the JSON is shown formatted.
+ *
+ * @module apiWidget
+ */
+import {
+  resolveApiRequest,
+  startPipeline,
+  refreshPipeline,
+  stopPipeline,
+  getPipelineRequest,
+  showDataState
+} from '../utils/fetchData.js'
+
+/** @type {WeakMap<HTMLElement, any>} Last response per card. */
+const responses = new WeakMap()
+
+/**
+ * Read a value by dot path.
+ * @function pick
+ * @param {any} data
+ * @param {string} path
+ * @returns {any}
+ */
+function pick (data, path) {
+  return path.split('.').filter(Boolean).reduce((value, key) => value?.[key], data)
+}
+
+/**
+ * Draw a response into the card.
+ * @function showData
+ * @param {HTMLElement} wrapper
+ * @param {HTMLElement} content
+ * @param {any} data
+ * @returns {void}
+ */
+function showData (wrapper, content, data) {
+  let settings = {}
+  try { settings = JSON.parse(wrapper.dataset.settings || '{}') || {} } catch {}
+  const value = typeof settings.path === 'string' && settings.path ? pick(data, settings.path) : data
+
+  const body = document.createElement('div')
+  if (value === null || typeof value !== 'object') {
+    body.className = 'widget-api__metric'
+    const number = document.createElement('span')
+    number.className = 'widget-api__value'
+    number.textContent = value === undefined ? '—' : String(value)
+    body.append(number)
+    if (settings.unit) {
+      const unit = document.createElement('span')
+      unit.className = 'widget-api__unit'
+      unit.textContent = String(settings.unit)
+      body.append(unit)
+    }
+  } else {
+    body.className = 'widget-api__json'
+    const pre = document.createElement('pre')
+    pre.textContent = JSON.stringify(value, null, 2)
+    body.append(pre)
+  }
+
+  const footer = document.createElement('div')
+  footer.className = 'widget-api__footer'
+  footer.textContent = `${settings.label || settings.path || ''} · ${new Date().toLocaleTimeString()}`.replace(/^ · /, '')
+  content.replaceChildren(body, footer)
+  content.classList.remove('widget-api--error')
+}
+
+/**
+ * Start the card's pipeline.
+ * @function load
+ * @param {HTMLElement} wrapper
+ * @param {HTMLElement} content
+ * @returns {void}
+ */
+function load (wrapper, content) {
+  const request = resolveApiRequest(wrapper)
+  if (!request) {
+    content.textContent = 'No data URL configured'
+    return
+  }
+  responses.delete(content)
+  startPipeline(wrapper, request, {
+    onData: (data) => {
+      responses.set(content, data)
+      showData(wrapper, content, data)
+    },
+    onState: (state) => {
+      showDataState(wrapper, state)
+      content.setAttribute('aria-busy', String(state.state === 'loading' || state.state === 'retrying'))
+      // Keep stale data on screen; the badge tells it is out of date
+      if (state.state === 'error' && !responses.has(content)) {
+        content.classList.add('widget-api--error')
+        content.textContent = `Could not load ${request.url}: ${state.error?.message || 'unknown error'}`
+      }
+    }
+  })
+}
+
+/**
+ * @function contentOf
+ * @param {HTMLElement} wrapper
+ * @returns {HTMLElement|null}
+ */
+function contentOf (wrapper) {
+  const content = wrapper.querySelector('.widget-api')
+  return content instanceof HTMLElement ? content : null
+}
+
+/** @type {import('./registry.js').WidgetType} */
+export const apiWidget = {
+  name: 'api',
+
+  render ({ wrapper }) {
+    const content = document.createElement('div')
+    content.className = 'widget-native widget-api'
+    content.textContent = 'Loading…'
+    load(wrapper, content)
+    return content
+  },
+
+  restore (wrapper) {
+    const content = contentOf(wrapper)
+    if (!content) return
+    if (JSON.stringify(resolveApiRequest(wrapper)) !== JSON.stringify(getPipelineRequest(wrapper))) {
+      load(wrapper, content)
+    } else if (responses.has(content)) {
+      // Settings such as `path` may have changed, redraw from the last response
+      showData(wrapper, content, responses.get(content))
+    }
+  },
+
+  refresh (wrapper) {
+    const content = contentOf(wrapper)
+    if (content && !refreshPipeline(wrapper)) load(wrapper, content)
+  },
+
+  destroy (wrapper) {
+    stopPipeline(wrapper)
+  }
+}
@@ -0,0 +1,85 @@
+// @ts-check
+/**
+ * Clock widget. Settings: `timeZone` (IANA name, defaults to the browser's),
+ * `hour12` and `showSeconds`. The label is `metadata.title` or the time zone.
+ *
+ * @module clockWidget
+ */
+
+/** @type {WeakMap<HTMLElement, ReturnType<typeof setInterval>>} */
+const timers = new WeakMap()
+
+/**
+ * Read the clock settings of a widget.
+ * @function readSettings
+ * @param {HTMLElement} wrapper
+ * @returns {{timeZone?:string, hour12:boolean, showSeconds:boolean, title?:string}}
+ */
+function readSettings (wrapper) {
+  let settings = {}
+  let metadata = {}
+  try { settings = JSON.parse(wrapper.dataset.settings || '{}') || {} } catch {}
+  try { metadata = JSON.parse(wrapper.dataset.metadata || '{}') || {} } catch {}
+  return {
+    timeZone: typeof settings.timeZone === 'string' && settings.timeZone ? settings.timeZone : undefined,
+    hour12: settings.hour12 === true,
+    showSeconds: settings.showSeconds !== false,
+    title: metadata.title
+  }
+}
+
+/**
+ * Draw the current time.
+ * @function tick
+ * @param {HTMLElement} wrapper
+ * @returns {void}
+ */
+function tick (wrapper) {
+  const time = wrapper.querySelector('.widget-clock__time')
+  const date = wrapper.querySelector('.widget-clock__date')
+  const label = wrapper.querySelector('.widget-clock__label')
+  if (!time || !date || !label) return
+  // Hidden widgets keep their timer but skip the formatting work
+  if (wrapper.style.display === 'none' || document.hidden) return
+
+  const { timeZone, hour12, showSeconds, title } = readSettings(wrapper)
+  const now = new Date()
+  try {
+    time.textContent = now.toLocaleTimeString(undefined, {
+      timeZone, hour12, hour: '2-digit', minute: '2-digit', second: showSeconds ? '2-digit' : undefined
+    })
+    date.textContent = now.toLocaleDateString(undefined, { timeZone, weekday: 'long', day: 'numeric', month: 'long' })
+    label.textContent = title || timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone
+  } catch {
+    time.textContent = '--:--'
+    label.textContent = `Unknown time zone: ${timeZone}`
+  }
+}
+
+/** @type {import('./registry.js').WidgetType} */
+export const clockWidget = {
+  name: 'clock',
+
+  render ({ wrapper }) {
+    const content = document.createElement('div')
+    content.className = 'widget-native widget-clock'
+    for (const part of ['time', 'date', 'label']) {
+      const el = document.createElement('div')
+      el.className = `widget-clock__${part}`
+      content.append(el)
+    }
+    // Render into the wrapper first so tick() can find the parts
+    queueMicrotask(() => tick(wrapper))
+    timers.set(wrapper, setInterval(() => tick(wrapper), 1000))
+    return content
+  },
+
+  restore (wrapper) {
+    tick(wrapper)
+  },
+
+  destroy (wrapper) {
+    clearInterval(timers.get(wrapper))
+    timers.delete(wrapper)
+  }
+}
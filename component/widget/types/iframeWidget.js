@@ -0,0 +1,195 @@
+// @ts-check
+/**
+ * Default widget type: the service URL in an iframe. The frame is
+ * registered with the message router so it can use the widget protocol.
+ * When the service has an `api.url`, its data is fetched by the data
+ * pipeline and posted to the frame as `data` messages. Suspending the
+ * widget takes the frame out of the page, resuming puts it back.
+ *
+ * @module iframeWidget
+ */
+import {
+  resolveApiRequest,
+  startPipeline,
+  refreshPipeline,
+  stopPipeline,
+  getPipelineRequest,
+  showDataState
+} from '../utils/fetchData.js'
+import { registerWidgetFrame, unregisterWidgetFrame, postToWidget } from '../messageRouter.js'
+import { resolveTemplate } from '../../../state/contextVars.js'
+import StorageManager from '../../../storage/StorageManager.js'
+import { resolveServiceConfig } from '../../../utils/serviceUtils.js'
+import { applySecurityProfile, narrowSandbox } from '../../../utils/securityProfile.js'
+import { Logger } from '../../../utils/Logger.js'
+
+const logger = new Logger('iframeWidget.js')
+
+/** @type {WeakMap<HTMLElement, any>} Last data per widget, posted again after the frame navigates. */
+const lastData = new WeakMap()
+
+/** @type {WeakMap<HTMLElement, HTMLIFrameElement>} Frames taken out of suspended widgets. */
+const suspendedFrames = new WeakMap()
+
+/**
+ * Read a JSON dataset attribute.
+ * @function readDataset
+ * @param {string|undefined} value
+ * @returns {Record<string, any>}
+ */
+function readDataset (value) {
+  try {
+    return JSON.parse(value || '{}') || {}
+  } catch {
+    return {}
+  }
+}
+
+/**
+ * Security profile of the widget's service, from the service or its template.
+ * A widget no service matches falls back to its own profile, which widgets
+ * imported from a link carry.
+ * @function serviceSecurity
+ * @param {HTMLElement} wrapper
+ * @returns {import('../../../types.js').ServiceSecurity}
+ */
+function serviceSecurity (wrapper) {
+  const raw = StorageManager.getServices().find(s => s.name === wrapper.dataset.service)
+  if (!raw) return readDataset(wrapper.dataset.security)
+  return resolveServiceConfig(raw).security || {}
+}
+
+/**
+ * Apply the iframe related widget fields: the service's security profile,
+ * `settings.sandbox` (a string of sandbox tokens that can only narrow the
+ * service's sandbox) and `metadata.title` as the frame's accessible title.
+ * Sandbox and permission changes only take effect on navigation, so a
+ * connected frame is reloaded when they changed.
+ * @function applyIframeSettings
+ * @param {HTMLElement} wrapper
+ * @param {HTMLIFrameElement} iframe
+ * @returns {void}
+ */
+function applyIframeSettings (wrapper, iframe) {
+  const settings = readDataset(wrapper.dataset.settings)
+  const metadata = readDataset(wrapper.dataset.metadata)
+
+  iframe.title = metadata.title || wrapper.dataset.service || ''
+
+  const security = serviceSecurity(wrapper)
+  const sandbox = narrowSandbox(security.sandbox, settings.sandbox)
+  if (!applySecurityProfile(iframe, { ...security, sandbox })) return
+  if (iframe.isConnected) {
+    const src = iframe.src
+    iframe.src = src
+  }
+}
+
+/**
+ * Post pipeline data to the frame.
+ * @function postData
+ * @param {HTMLIFrameElement} iframe
+ * @param {any} data
+ * @returns {void}
+ */
+function postData (iframe, data) {
+  if (!postToWidget(iframe, { type: 'data', data })) {
+    logger.warn(`Not posting data to ${iframe.src}: it has no origin to address`)
+  }
+}
+
+/**
+ * Start (or restart) feeding the service's data to the frame.
+ * @function startData
+ * @param {HTMLElement} wrapper
+ * @param {HTMLIFrameElement} iframe
+ * @returns {void}
+ */
+function startData (wrapper, iframe) {
+  const request = resolveApiRequest(wrapper)
+  if (!request) {
+    stopPipeline(wrapper)
+    return
+  }
+  startPipeline(wrapper, request, {
+    onData: (data) => {
+      lastData.set(wrapper, data)
+      postData(iframe, data)
+    },
+    onState: (state) => showDataState(wrapper, state)
+  })
+}
+
+/** @type {import('./registry.js').WidgetType} */
+export const iframeWidget = {
+  name: 'iframe',
+
+  render ({ wrapper, url }) {
+    const iframe = document.createElement('iframe')
+    iframe.className = 'widget-iframe'
+    iframe.src = url
+    iframe.loading = 'lazy'
+    iframe.style.border = '1px solid #ccc'
+    iframe.style.width = '100%'
+    iframe.style.height = '100%'
+    applyIframeSettings(wrapper, iframe)
+    // A frame that is still loading would miss the message, so send it again once it is up
+    iframe.addEventListener('load', () => {
+      if (lastData.has(wrapper)) postData(iframe, lastData.get(wrapper))
+    })
+    registerWidgetFrame(wrapper, iframe)
+    startData(wrapper, iframe)
+    return iframe
+  },
+
+  restore (wrapper) {
+    const iframe = wrapper.querySelector('iframe')
+    if (!iframe) return
+    const url = resolveTemplate(wrapper.dataset.url)
+    // Compare the raw attribute: `src` is normalized and would never match
+    if (url && iframe.getAttribute('src') !== url) iframe.src = url
+    applyIframeSettings(wrapper, iframe)
+    if (JSON.stringify(resolveApiRequest(wrapper)) !== JSON.stringify(getPipelineRequest(wrapper))) {
+      startData(wrapper, iframe)
+    }
+  },
+
+  refresh (wrapper) {
+    const iframe = wrapper.querySelector('iframe')
+    if (!iframe) return
+    // Re-assigning src navigates again, also for cross-origin frames
+    const src = iframe.src
+    iframe.src = src
+    refreshPipeline(wrapper)
+  },
+
+  destroy (wrapper) {
+    stopPipeline(wrapper)
+    const iframe = wrapper.querySelector('iframe') || suspendedFrames.get(wrapper)
+    if (iframe) unregisterWidgetFrame(iframe)
+    suspendedFrames.delete(wrapper)
+  },
+
+  suspend (wrapper) {
+    const iframe = wrapper.querySelector('iframe')
+    if (!iframe) return
+    stopPipeline(wrapper)
+    unregisterWidgetFrame(iframe)
+    // Out of the document the frame's page is unloaded; put back, it loads `src` again
+    iframe.remove()
+    suspendedFrames.set(wrapper, iframe)
+  },
+
+  resume (wrapper) {
+    const iframe = suspendedFrames.get(wrapper)
+    if (!iframe) return
+    suspendedFrames.delete(wrapper)
+    // Catch up on changes made while suspended before the frame loads
+    const url = resolveTemplate(wrapper.dataset.url)
+    if (url && iframe.getAttribute('src') !== url) iframe.src = url
+    applyIframeSettings(wrapper, iframe)
+    wrapper.prepend(iframe)
+    registerWidgetFrame(wrapper, iframe)
+    startData(wrapper, iframe)
+  }
+}
@@ -0,0 +1,68 @@
+// @ts-check
+/**
+ * Image widget for snapshots, charts or webcam stills: shows the widget URL
+ * as an image. `settings.fit` is a CSS `object-fit` value (default
+ * `contain`). Refreshing bypasses the browser cache so a changing image is
+ * fetched again.
+ *
+ * @module imageWidget
+ */
+
+import { resolveTemplate } from '../../../state/contextVars.js'
+
+/**
+ * @function imageOf
+ * @param {HTMLElement} wrapper
+ * @returns {HTMLImageElement|null}
+ */
+function imageOf (wrapper) {
+  return wrapper.querySelector('img.widget-image')
+}
+
+/**
+ * Sync alt text and fit with the wrapper's metadata and settings.
+ * @function applySettings
+ * @param {HTMLElement} wrapper
+ * @param {HTMLImageElement} img
+ * @returns {void}
+ */
+function applySettings (wrapper, img) {
+  let settings = {}
+  let metadata = {}
+  try { settings = JSON.parse(wrapper.dataset.settings || '{}') || {} } catch {}
+  try { metadata = JSON.parse(wrapper.dataset.metadata || '{}') || {} } catch {}
+  img.alt = metadata.title || wrapper.dataset.service || ''
+  img.style.objectFit = typeof settings.fit === 'string' ? settings.fit : 'contain'
+}
+
+/** @type {import('./registry.js').WidgetType} */
+export const imageWidget = {
+  name: 'image',
+
+  render ({ wrapper, url }) {
+    const img = document.createElement('img')
+    img.className = 'widget-native widget-image'
+    img.src = img.dataset.base = url
+    img.loading = 'lazy'
+    img.decoding = 'async'
+    applySettings(wrapper, img)
+    return img
+  },
+
+  restore (wrapper) {
+    const img = imageOf(wrapper)
+    if (!img) return
+    // `base` is the resolved URL, `src` may carry a cache buster
+    const url = resolveTemplate(wrapper.dataset.url)
+    if (img.dataset.base !== url) img.src = img.dataset.base = url
+    applySettings(wrapper, img)
+  },
+
+  refresh (wrapper) {
+    const img = imageOf(wrapper)
+    if (!img) return
+    const next = new URL(img.dataset.base, location.href)
+    next.searchParams.set('_asd', String(Date.now()))
+    img.src = next.href
+  }
+}
@@ -0,0 +1,195 @@
+// @ts-check
+/**
+ * Notes widget: Markdown text stored in `settings.markdown`. Double-click
+ * the note to edit it; leaving the editor or Ctrl+Enter saves.
+ *
+ * Only a small Markdown subset is supported: headings, paragraphs, bullet
+ * lists, fenced code, inline code, bold, italic and http(s) links. Output is
+ * built as DOM nodes, never as HTML, so note text cannot inject markup.
+ *
+ * @module markdownWidget
+ */
+import { saveWidgetState } from '../../../storage/widgetStatePersister.js'
+
+const INLINE = /(`[^`]+`)|(\*\*[^*]+\*\*)|(\*[^*]+\*)|(\[[^\]]+\]\([^)\s]+\))/g
+
+/**
+ * Append inline Markdown to a parent element.
+ * @function renderInline
+ * @param {HTMLElement} parent
+ * @param {string} text
+ * @returns {void}
+ */
+function renderInline (parent, text) {
+  let last = 0
+  for (const match of text.matchAll(INLINE)) {
+    parent.append(text.slice(last, match.index))
+    const token = match[0]
+    /** @type {HTMLElement} */
+    let node
+    if (match[1]) {
+      node = document.createElement('code')
+      node.textContent = token.slice(1, -1)
+    } else if (match[2]) {
+      node = document.createElement('strong')
+      renderInline(node, token.slice(2, -2))
+    } else if (match[3]) {
+      node = document.createElement('em')
+      renderInline(node, token.slice(1, -1))
+    } else {
+      const [, label, href] = /^\[([^\]]+)\]\(([^)\s]+)\)$/.exec(token) || []
+      if (/^https?:\/\//i.test(href)) {
+        const a = document.createElement('a')
+        a.href = href
+        a.target = '_blank'
+        a.rel = 'noopener noreferrer'
+        renderInline(a, label)
+        node = a
+      } else {
+        node = document.createElement('span')
+        node.textContent = token
+      }
+    }
+    parent.append(node)
+    last = match.index + token.length
+  }
+  parent.append(text.slice(last))
+}
+
+/**
+ * Render Markdown into a fragment.
+ *
+ * @function renderMarkdown
+ * @param {string} source
+ * @returns {DocumentFragment}
+ */
+export function renderMarkdown (source) {
+  const fragment = document.createDocumentFragment()
+  const lines = source.replace(/\r\n?/g, '\n').split('\n')
+  /** @type {HTMLElement|null} */
+  let paragraph = null
+  /** @type {HTMLUListElement|null} */
+  let list = null
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i]
+    if (line.startsWith('```')) {
+      const code = []
+      while (++i < lines.length && !lines[i].startsWith('```')) code.push(lines[i])
+      const pre = document.createElement('pre')
+      pre.textContent = code.join('\n')
+      fragment.append(pre)
+      paragraph = list = null
+      continue
+    }
+    const heading = /^(#{1,3})\s+(.*)$/.exec(line)
+    const item = /^\s*[-*]\s+(.*)$/.exec(line)
+    if (heading) {
+      const h = document.createElement(`h${heading[1].length + 2}`)
+      renderInline(h, heading[2])
+      fragment.append(h)
+      paragraph = list = null
+    } else if (item) {
+      if (!list) {
+        list = document.createElement('ul')
+        fragment.append(list)
+      }
+      const li = document.createElement('li')
+      renderInline(li, item[1])
+      list.append(li)
+      paragraph = null
+    } else if (line.trim() === '') {
+      paragraph = list = null
+    } else {
+      if (paragraph) {
+        paragraph.append(document.createElement('br'))
+      } else {
+        paragraph = document.createElement('p')
+        fragment.append(paragraph)
+      }
+      renderInline(paragraph, line)
+      list = null
+    }
+  }
+  return fragment
+}
+
+/**
+ * Markdown text of a widget.
+ * @function readMarkdown
+ * @param {HTMLElement} wrapper
+ * @returns {string}
+ */
+function readMarkdown (wrapper) {
+  try {
+    const settings = JSON.parse(wrapper.dataset.settings || '{}') || {}
+    return typeof settings.markdown === 'string' ? settings.markdown : ''
+  } catch {
+    return ''
+  }
+}
+
+/**
+ * Show the rendered note, or a hint when it is empty.
+ * @function showNote
+ * @param {HTMLElement} content
+ * @param {string} markdown
+ * @returns {void}
+ */
+function showNote (content, markdown) {
+  content.replaceChildren(markdown.trim()
+    ? renderMarkdown(markdown)
+    : Object.assign(document.createElement('p'), {
+      className: 'widget-markdown__empty',
+      textContent: 'Double-click to write a note'
+    }))
+}
+
+/**
+ * Swap the note for a textarea until the user is done editing.
+ * @function editNote
+ * @param {HTMLElement} wrapper
+ * @param {HTMLElement} content
+ * @returns {void}
+ */
+function editNote (wrapper, content) {
+  if (content.querySelector('textarea')) return
+  const editor = document.createElement('textarea')
+  editor.className = 'widget-markdown__editor'
+  editor.value = readMarkdown(wrapper)
+  editor.setAttribute('aria-label', 'Note (Markdown)')
+
+  const commit = () => {
+    let settings = {}
+    try { settings = JSON.parse(wrapper.dataset.settings || '{}') || {} } catch {}
+    wrapper.dataset.settings = JSON.stringify({ ...settings, markdown: editor.value })
+    showNote(content, editor.value)
+    saveWidgetState()
+  }
+  editor.addEventListener('blur', commit, { once: true })
+  editor.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) editor.blur()
+  })
+  content.replaceChildren(editor)
+  editor.focus()
+}
+
+/** @type {import('./registry.js').WidgetType} */
+export const markdownWidget = {
+  name: 'markdown',
+
+  render ({ wrapper }) {
+    const content = document.createElement('div')
+    content.className = 'widget-native widget-markdown'
+    showNote(content, readMarkdown(wrapper))
+    content.addEventListener('dblclick', () => editNote(wrapper, content))
+    return content
+  },
+
+  restore (wrapper) {
+    const content = wrapper.querySelector('.widget-markdown')
+    if (content instanceof HTMLElement && !content.querySelector('textarea')) {
+      showNote(content, readMarkdown(wrapper))
+    }
+  }
+}
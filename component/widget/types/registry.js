@@ -0,0 +1,129 @@
+// @ts-check
+/**
+ * Registry of widget types. A widget's type decides what is rendered inside
+ * its wrapper and how that content is persisted, updated, refreshed and torn
+ * down. `iframe` is the default and the fallback for unknown names, which
+ * also covers older configs that stored the service name in `type`.
+ *
+ * Native types render DOM directly. A service opts in through its `type`,
+ * e.g. `{ name: 'Clock', url: 'asd:clock', type: 'clock' }`; the URL then
+ * only identifies the service.
+ *
+ * @module widgetTypes
+ */
+import { iframeWidget } from './iframeWidget.js'
+import { markdownWidget } from './markdownWidget.js'
+import { clockWidget } from './clockWidget.js'
+import { apiWidget } from './apiWidget.js'
+import { imageWidget } from './imageWidget.js'
+
+/** @typedef {import('../../../types.js').Widget} Widget */
+
+/**
+ * @typedef {Object} WidgetRenderContext
+ * @property {HTMLElement} wrapper - Widget wrapper, its dataset already holds url, settings and metadata.
+ * @property {string} url
+ * @property {Record<string, any>} settings
+ * @property {Record<string, any>} metadata
+ */
+
+/**
+ * @typedef {Object} WidgetType
+ * @property {string} name
+ * @property {(ctx:WidgetRenderContext) => HTMLElement} render - Build the content element.
+ * @property {(wrapper:HTMLElement) => Partial<Widget>} [serialize] - Fields to persist on top of
+ *   the generic ones; by default the URL is taken from `dataset.url`.
+ * @property {(wrapper:HTMLElement) => void} [restore] - Bring the content in line with the
+ *   wrapper's dataset after url, settings or metadata changed, without rebuilding it if possible.
+ * @property {(wrapper:HTMLElement) => void} [refresh] - Reload the content (refresh button, auto refresh).
+ * @property {(wrapper:HTMLElement) => void} [destroy] - Release timers or requests when the widget is evicted.
+ * @property {(wrapper:HTMLElement) => void} [suspend] - Release the content of a widget hidden for a while,
+ *   e.g. unload its frame. Types without it are never suspended, see `utils/widgetSuspend.js`.
+ * @property {(wrapper:HTMLElement) => void} [resume] - Bring suspended content back when the widget is shown.
+ */
+
+/** @type {Map<string, WidgetType>} */
+const types = new Map()
+
+/**
+ * Register a widget type.
+ *
+ * @function registerWidgetType
+ * @param {WidgetType} type
+ * @returns {void}
+ * @throws {TypeError} When the definition is malformed.
+ * @throws {Error} When the name is already taken.
+ */
+export function registerWidgetType (type) {
+  if (!type || typeof type.name !== 'string' || !type.name) {
+    throw new TypeError('Widget type needs a name')
+  }
+  if (typeof type.render !== 'function') {
+    throw new TypeError(`Widget type "${type.name}" needs a render function`)
+  }
+  if (types.has(type.name)) throw new Error(`Widget type already registered: ${type.name}`)
+  types.set(type.name, type)
+}
+
+/**
+ * Whether a widget type is registered under this name.
+ *
+ * @function hasWidgetType
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function hasWidgetType (name) {
+  return types.has(name)
+}
+
+/**
+ * Names of all registered widget types.
+ *
+ * @function listWidgetTypes
+ * @returns {Array<string>}
+ */
+export function listWidgetTypes () {
+  return Array.from(types.keys())
+}
+
+/**
+ * Look up a widget type, falling back to `iframe`.
+ *
+ * @function getWidgetType
+ * @param {string} [name]
+ * @returns {WidgetType}
+ */
+export function getWidgetType (name) {
+  return (name && types.get(name)) || types.get('iframe')
+}
+
+/**
+ * Type of a mounted widget element.
+ *
+ * @function widgetTypeOf
+ * @param {HTMLElement} wrapper
+ * @returns {WidgetType}
+ */
+export function widgetTypeOf (wrapper) {
+  return getWidgetType(wrapper.dataset.type)
+}
+
+/**
+ * Pick the type for a new widget: an explicitly requested type wins, then
+ * the service's type, then `iframe`. Callers that do not care pass
+ * `'iframe'`, so that one does not override the service.
+ *
+ * @function resolveWidgetType
+ * @param {string|undefined} requested
+ * @param {string|undefined} serviceType
+ * @returns {string}
+ */
+export function resolveWidgetType (requested, serviceType) {
+  if (requested && requested !== 'iframe' && types.has(requested)) return requested
+  if (serviceType && types.has(serviceType)) return serviceType
+  return 'iframe'
+}
+
+for (const type of [iframeWidget, markdownWidget, clockWidget, apiWidget, imageWidget]) {
+  registerWidgetType(type)
+}
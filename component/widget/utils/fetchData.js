@@ -1,50 +1,306 @@
 // @ts-check
 /**
- * Utility for fetching data and posting to widgets.
+ * Data pipeline for API services: builds requests from a service's `api`
+ * block (method, headers, body, credential), retries transient failures and
+ * polls on `api.pollInterval`. Widgets subscribe per wrapper element and get
+ * the parsed response and the pipeline state.
  *
  * @module fetchData
  */
+import StorageManager from '../../../storage/StorageManager.js'
+import { resolveServiceConfig } from '../../../utils/serviceUtils.js'
+import { resolveTemplate } from '../../../state/contextVars.js'
 import { Logger } from '../../../utils/Logger.js'
 
 const logger = new Logger('fetchData.js')
 
+/** @typedef {import('../../../types.js').ServiceApi} ServiceApi */
+
+/**
+ * Pipeline state shown on the widget:
+ * - `loading`: first request in flight
+ * - `ok`: last request succeeded
+ * - `retrying`: a request failed and is retried (`attempt`, `error`)
+ * - `error`: gave up until the next poll or refresh (`error`)
+ * @typedef {{state:'loading'|'ok'|'retrying'|'error', attempt?:number, error?:Error}} DataState
+ */
+
+/**
+ * @typedef {Object} PipelineHandlers
+ * @property {(data:any) => void} onData
+ * @property {(state:DataState) => void} [onState]
+ */
+
+/** Shortest poll interval honored, in seconds. */
+export const MIN_POLL_INTERVAL = 5
+const DEFAULT_RETRIES = 2
+const RETRY_BASE_MS = 1000
+
+/**
+ * @typedef {Object} Pipeline
+ * @property {ServiceApi & {url:string}} request
+ * @property {PipelineHandlers} handlers
+ * @property {AbortController|null} controller
+ * @property {ReturnType<typeof setTimeout>|null} timer
+ */
+
+/** @type {WeakMap<HTMLElement, Pipeline>} */
+const pipelines = new WeakMap()
+
+/**
+ * Error for a response outside the 2xx range.
+ * @function httpError
+ * @param {Response} response
+ * @returns {Error & {status:number}}
+ */
+function httpError (response) {
+  return Object.assign(new Error(`HTTP ${response.status} ${response.statusText}`.trim()), { status: response.status })
+}
+
+/**
+ * Whether a failed request is worth retrying: network errors, timeouts on
+ * the server side and rate limiting.
+ * @function isTransient
+ * @param {any} error
+ * @returns {boolean}
+ */
+function isTransient (error) {
+  if (error?.name === 'AbortError') return false
+  if (typeof error?.status === 'number') return error.status >= 500 || error.status === 429
+  return error instanceof TypeError
+}
+
+/**
+ * Resolve when `ms` passed, reject when the signal aborts first.
+ * @function delay
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function delay (ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms)
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer)
+      reject(new DOMException('Aborted', 'AbortError'))
+    }, { once: true })
+  })
+}
+
+/**
+ * The data request of a widget: its service's `api` block, with the URL
+ * defaulting to the widget URL for `api` widgets, with context variables
+ * resolved. Iframe widgets only get data when their service names an `api.url`.
+ *
+ * @function resolveApiRequest
+ * @param {HTMLElement} wrapper - Widget wrapper.
+ * @returns {(ServiceApi & {url:string})|null}
+ */
+export function resolveApiRequest (wrapper) {
+  const raw = StorageManager.getServices().find(s => s.name === wrapper.dataset.service)
+  const api = (raw && resolveServiceConfig(raw).api) || {}
+  const url = api.url || (wrapper.dataset.type === 'api' ? wrapper.dataset.url : '')
+  return url ? { ...api, url: resolveTemplate(url) } : null
+}
+
 /**
- * Fetch JSON data from a URL and pass it to a callback.
+ * Turn a request description into `fetch` arguments, applying the credential.
+ *
+ * @function buildRequest
+ * @param {ServiceApi & {url:string}} request
+ * @returns {{url:string, init:RequestInit}}
+ * @throws {Error} When the named credential is not stored or not allowed
+ *   for the request's origin.
+ */
+export function buildRequest (request) {
+  const url = new URL(request.url, location.href)
+  const headers = new Headers(request.headers || {})
+  let body = request.body
+  if (body !== undefined && typeof body !== 'string') {
+    body = JSON.stringify(body)
+    if (!headers.has('Content-Type')) headers.set('Content-Type', 'application/json')
+  }
+  const method = (request.method || (body !== undefined ? 'POST' : 'GET')).toUpperCase()
+
+  if (request.credential) {
+    const credential = StorageManager.getCredentials()[request.credential]
+    if (!credential) throw new Error(`Credential "${request.credential}" is not set`)
+    // The request URL may come from a shared config: only send secrets where the user allowed
+    if (!credential.origins?.includes(url.origin)) {
+      throw new Error(`Credential "${request.credential}" is not allowed for ${url.origin}`)
+    }
+    switch (credential.type) {
+      case 'bearer':
+        headers.set('Authorization', `Bearer ${credential.token || ''}`)
+        break
+      case 'basic':
+        headers.set('Authorization', `Basic ${btoa(`${credential.username || ''}:${credential.password || ''}`)}`)
+        break
+      case 'header':
+        headers.set(credential.name, credential.value || '')
+        break
+      case 'query':
+        url.searchParams.set(credential.name, credential.value || '')
+        break
+      default:
+        throw new Error(`Credential "${request.credential}" has unknown type "${credential.type}"`)
+    }
+  }
+
+  return {
+    url: url.href,
+    init: { method, headers, body: method === 'GET' || method === 'HEAD' ? undefined : body }
+  }
+}
+
+/**
+ * Perform a request and parse the response: JSON when the server says so,
+ * text otherwise. Transient failures are retried with exponential backoff.
  *
- * @param {string} url - Endpoint to request.
- * @param {Function} callback - Receives the parsed JSON.
  * @function fetchData
- * @returns {void}
+ * @param {ServiceApi & {url:string}} request
+ * @param {{signal?:AbortSignal, onRetry?:(attempt:number, error:Error) => void}} [opts]
+ * @returns {Promise<any>}
  */
-function fetchData (url, callback) {
-  logger.log('Fetching data from URL:', url)
-  fetch(url, {
-    headers: {
-      Authorization: `Bearer ${getAuthToken()}`
+export async function fetchData (request, { signal, onRetry } = {}) {
+  const retries = Number.isInteger(request.retries) && request.retries >= 0 ? request.retries : DEFAULT_RETRIES
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const { url, init } = buildRequest(request)
+      logger.log(`Fetching ${init.method} ${url}`)
+      const response = await fetch(url, { ...init, signal })
+      if (!response.ok) throw httpError(response)
+      const type = response.headers.get('Content-Type') || ''
+      return type.includes('json') ? await response.json() : await response.text()
+    } catch (error) {
+      if (attempt >= retries || !isTransient(error)) throw error
+      logger.warn(`Request to ${request.url} failed, retrying:`, error)
+      onRetry?.(attempt + 1, error)
+      await delay(RETRY_BASE_MS * 2 ** attempt, signal)
     }
-  })
-    .then(response => {
-      if (!response.ok) {
-        throw new Error(`Network response was not ok: ${response.statusText}`)
-      }
-      return response.json()
-    })
-    .then(data => {
-      callback(data)
-    })
-    .catch(error => {
-      logger.error('Error fetching data:', error)
+  }
+}
+
+/**
+ * Run one request of a pipeline and schedule the next poll.
+ * @function run
+ * @param {HTMLElement} wrapper
+ * @param {Pipeline} pipeline
+ * @returns {Promise<void>}
+ */
+async function run (wrapper, pipeline) {
+  const { request, handlers } = pipeline
+  if (pipeline.timer) clearTimeout(pipeline.timer)
+  pipeline.timer = null
+  pipeline.controller?.abort()
+  const controller = new AbortController()
+  pipeline.controller = controller
+
+  try {
+    const data = await fetchData(request, {
+      signal: controller.signal,
+      onRetry: (attempt, error) => handlers.onState?.({ state: 'retrying', attempt, error })
     })
+    if (controller.signal.aborted) return
+    handlers.onState?.({ state: 'ok' })
+    handlers.onData(data)
+  } catch (error) {
+    if (controller.signal.aborted) return
+    logger.error(`Data request for widget ${wrapper.dataset.dataid} failed:`, error)
+    handlers.onState?.({ state: 'error', error })
+  }
+
+  if (pipelines.get(wrapper) !== pipeline || !(request.pollInterval > 0)) return
+  const wait = Math.max(request.pollInterval, MIN_POLL_INTERVAL) * 1000
+  const poll = () => {
+    if (pipelines.get(wrapper) !== pipeline) return
+    // Hidden widgets and background tabs skip a beat instead of piling up requests
+    if (document.hidden || wrapper.style.display === 'none') pipeline.timer = setTimeout(poll, wait)
+    else run(wrapper, pipeline)
+  }
+  pipeline.timer = setTimeout(poll, wait)
 }
 
 /**
- * Retrieve the auth token for API requests.
+ * Start fetching data for a widget, replacing any pipeline it already had.
  *
- * @function getAuthToken
- * @returns {string}
+ * @function startPipeline
+ * @param {HTMLElement} wrapper - Widget wrapper.
+ * @param {ServiceApi & {url:string}} request
+ * @param {PipelineHandlers} handlers
+ * @returns {void}
  */
-function getAuthToken () {
-  return 'YOUR_API_TOKEN' // Placeholder
+export function startPipeline (wrapper, request, handlers) {
+  stopPipeline(wrapper)
+  /** @type {Pipeline} */
+  const pipeline = { request, handlers, controller: null, timer: null }
+  pipelines.set(wrapper, pipeline)
+  handlers.onState?.({ state: 'loading' })
+  run(wrapper, pipeline)
 }
 
-export { fetchData, getAuthToken }
+/**
+ * Request again now, e.g. from the refresh button. Restarts the poll interval.
+ *
+ * @function refreshPipeline
+ * @param {HTMLElement} wrapper
+ * @returns {boolean} False when the widget has no pipeline.
+ */
+export function refreshPipeline (wrapper) {
+  const pipeline = pipelines.get(wrapper)
+  if (!pipeline) return false
+  run(wrapper, pipeline)
+  return true
+}
+
+/**
+ * Stop polling and abort the request in flight.
+ *
+ * @function stopPipeline
+ * @param {HTMLElement} wrapper
+ * @returns {void}
+ */
+export function stopPipeline (wrapper) {
+  const pipeline = pipelines.get(wrapper)
+  if (!pipeline) return
+  pipelines.delete(wrapper)
+  if (pipeline.timer) clearTimeout(pipeline.timer)
+  pipeline.controller?.abort()
+}
+
+/**
+ * Request description of a running pipeline.
+ *
+ * @function getPipelineRequest
+ * @param {HTMLElement} wrapper
+ * @returns {(ServiceApi & {url:string})|null}
+ */
+export function getPipelineRequest (wrapper) {
+  return pipelines.get(wrapper)?.request ?? null
+}
+
+/**
+ * Reflect a pipeline state on the widget: `data-data-state` on the wrapper
+ * (styled in widget.css) and a tooltip with the error.
+ *
+ * @function showDataState
+ * @param {HTMLElement} wrapper
+ * @param {DataState} state
+ * @returns {void}
+ */
+export function showDataState (wrapper, { state, attempt, error }) {
+  wrapper.dataset.dataState = state
+  let badge = wrapper.querySelector('.widget-data-state')
+  if (state === 'ok' || state === 'loading') {
+    badge?.remove()
+    return
+  }
+  if (!badge) {
+    badge = document.createElement('div')
+    badge.className = 'widget-data-state'
+    badge.setAttribute('role', 'status')
+    wrapper.appendChild(badge)
+  }
+  badge.textContent = state === 'retrying' ? `Retrying (${attempt})…` : 'Data unavailable'
+  badge.setAttribute('title', error?.message || '')
+}
@@ -0,0 +1,328 @@
+// @ts-check
+/**
+ * Free-form grid layout. In `flow` views (the default) widgets only carry a
+ * span and CSS auto-placement packs them by `order`. In `free` views every
+ * widget also stores its origin cell as `x`/`y` (0-based column and row)
+ * and is pinned there with explicit grid lines, so moving one widget leaves
+ * the others where they are.
+ *
+ * A `free` view saved before it had positions keeps flowing until its first
+ * drag or resize, which converts it by replaying the auto-placement.
+ *
+ * @module gridLayout
+ */
+import StorageManager from '../../../storage/StorageManager.js'
+
+/** Layout modes of a view, see `View.layout`. */
+export const LAYOUT = Object.freeze({
+  FLOW: /** @type {'flow'} */('flow'),
+  FREE: /** @type {'free'} */('free')
+})
+
+/** @typedef {'flow'|'free'} LayoutMode */
+/** @typedef {{x:number, y:number, columns:number, rows:number}} Placement */
+
+/**
+ * Layout mode of a view: its own `layout`, else `globalSettings.layout`.
+ *
+ * @function viewLayout
+ * @param {{layout?:string}|undefined} view
+ * @returns {LayoutMode}
+ */
+export function viewLayout (view) {
+  const mode = view?.layout || StorageManager.getConfig()?.globalSettings?.layout
+  return mode === LAYOUT.FREE ? LAYOUT.FREE : LAYOUT.FLOW
+}
+
+/**
+ * Whether the container shows a `free` view.
+ * @function isFreeLayout
+ * @param {HTMLElement|null} container
+ * @returns {boolean}
+ */
+export function isFreeLayout (container) {
+  return container?.dataset.layout === LAYOUT.FREE
+}
+
+/**
+ * Visible widgets of the container in `order`.
+ * @function visibleWidgets
+ * @param {HTMLElement} container
+ * @returns {Array<HTMLElement>}
+ */
+function visibleWidgets (container) {
+  return Array.from(container.querySelectorAll(':scope > .widget-wrapper'))
+    .filter(el => el instanceof HTMLElement && el.style.display !== 'none')
+    .map(el => /** @type {HTMLElement} */(el))
+    .sort((a, b) => Number(a.dataset.order || 0) - Number(b.dataset.order || 0))
+}
+
+/**
+ * @function hasPlacement
+ * @param {HTMLElement} el
+ * @returns {boolean}
+ */
+export function hasPlacement (el) {
+  return el.dataset.x !== undefined && el.dataset.y !== undefined
+}
+
+/**
+ * Span and origin of a widget; `x`/`y` are 0 when it has none.
+ * @function placementOf
+ * @param {HTMLElement} el
+ * @returns {Placement}
+ */
+export function placementOf (el) {
+  return {
+    x: Math.max(0, parseInt(el.dataset.x, 10) || 0),
+    y: Math.max(0, parseInt(el.dataset.y, 10) || 0),
+    columns: Math.max(1, parseInt(el.dataset.columns, 10) || 1),
+    rows: Math.max(1, parseInt(el.dataset.rows, 10) || 1)
+  }
+}
+
+/**
+ * @function overlaps
+ * @param {Placement} a
+ * @param {Placement} b
+ * @returns {boolean}
+ */
+export function overlaps (a, b) {
+  return a.x < b.x + b.columns && b.x < a.x + a.columns &&
+    a.y < b.y + b.rows && b.y < a.y + a.rows
+}
+
+/**
+ * Pixel sizes of a computed track list such as `"200px 200px 150px"`.
+ * @function trackSizes
+ * @param {string} value
+ * @returns {Array<number>}
+ */
+function trackSizes (value) {
+  if (!value || value === 'none') return []
+  return value.split(/\s+/).map(parseFloat).filter(Number.isFinite)
+}
+
+/**
+ * Number of columns the stylesheet gives the container at its current width.
+ * @function gridColumnCount
+ * @param {HTMLElement} container
+ * @returns {number}
+ */
+export function gridColumnCount (container) {
+  const inline = container.style.gridTemplateColumns
+  container.style.gridTemplateColumns = ''
+  const count = trackSizes(getComputedStyle(container).gridTemplateColumns).length
+  container.style.gridTemplateColumns = inline
+  return Math.max(1, count)
+}
+
+/**
+ * Grid cell under a viewport point. Rows below the last track are
+ * extrapolated from it, so dropping below all widgets works.
+ *
+ * @function cellAt
+ * @param {HTMLElement} container
+ * @param {number} clientX
+ * @param {number} clientY
+ * @returns {{x:number, y:number}}
+ */
+export function cellAt (container, clientX, clientY) {
+  const style = getComputedStyle(container)
+  const rect = container.getBoundingClientRect()
+  /**
+   * @param {Array<number>} sizes
+   * @param {number} gap
+   * @param {number} offset
+   * @returns {number}
+   */
+  const index = (sizes, gap, offset) => {
+    if (sizes.length === 0) return 0
+    let edge = 0
+    for (let i = 0; i < sizes.length; i++) {
+      edge += sizes[i] + gap
+      if (offset < edge) return i
+    }
+    const last = sizes[sizes.length - 1] + gap
+    return sizes.length + Math.floor((offset - edge) / (last || 1))
+  }
+  return {
+    x: index(trackSizes(style.gridTemplateColumns), parseFloat(style.columnGap) || 0, clientX - rect.left),
+    y: index(trackSizes(style.gridTemplateRows), parseFloat(style.rowGap) || 0, clientY - rect.top)
+  }
+}
+
+/**
+ * Replay CSS grid auto-placement (sparse, row by row) to find where the
+ * flowing widgets currently are.
+ *
+ * @function autoFlow
+ * @param {Array<{columns:number, rows:number}>} spans - In `order`.
+ * @param {number} cols
+ * @returns {Array<Placement>}
+ */
+export function autoFlow (spans, cols) {
+  /** @type {Array<Placement>} */
+  const placed = []
+  let x = 0
+  let y = 0
+  for (const { columns, rows } of spans) {
+    const width = Math.min(columns, cols)
+    for (;;) {
+      if (x + width > cols) {
+        x = 0
+        y++
+        continue
+      }
+      const spot = { x, y, columns: width, rows }
+      if (!placed.some(p => overlaps(p, spot))) {
+        placed.push({ ...spot, columns })
+        x += width
+        break
+      }
+      x++
+    }
+  }
+  return placed
+}
+
+/**
+ * Free spot for a span closest to the wanted origin, searching the rows
+ * down to just below the lowest widget, where there is always room.
+ *
+ * @function nearestFreeSpot
+ * @param {Array<Placement>} others
+ * @param {Placement} wanted
+ * @param {number} cols
+ * @returns {Placement}
+ */
+export function nearestFreeSpot (others, wanted, cols) {
+  const maxX = Math.max(0, cols - wanted.columns)
+  const bottom = others.reduce((max, p) => Math.max(max, p.y + p.rows), 0)
+  /** @type {Placement|null} */
+  let best = null
+  let bestDistance = Infinity
+  for (let y = 0; y <= bottom; y++) {
+    for (let x = 0; x <= maxX; x++) {
+      const spot = { ...wanted, x, y }
+      if (others.some(p => overlaps(p, spot))) continue
+      const distance = Math.abs(x - wanted.x) + Math.abs(y - wanted.y)
+      if (distance < bestDistance) {
+        best = spot
+        bestDistance = distance
+      }
+    }
+  }
+  return best || { ...wanted, x: 0, y: bottom }
+}
+
+/**
+ * Write a widget's grid lines from its dataset: pinned to `x`/`y` in free
+ * layout, a plain span otherwise. Call after changing any of them.
+ *
+ * @function applyGridPosition
+ * @param {HTMLElement} el - Widget wrapper.
+ * @returns {void}
+ */
+export function applyGridPosition (el) {
+  const { x, y, columns, rows } = placementOf(el)
+  const pinned = isFreeLayout(el.parentElement) && hasPlacement(el)
+  el.style.gridColumn = pinned ? `${x + 1} / span ${columns}` : `span ${columns}`
+  el.style.gridRow = pinned ? `${y + 1} / span ${rows}` : `span ${rows}`
+}
+
+/**
+ * Lay out the container's widgets. In a free view, widgets without a
+ * position get the first free spot and all are pinned; a view where no
+ * widget has a position yet keeps flowing unless `convert` is set.
+ *
+ * @function applyLayout
+ * @param {HTMLElement} container
+ * @param {{convert?:boolean}} [opts] - Convert a flowing free view, e.g. on its first edit.
+ * @returns {boolean} True when the widgets are pinned.
+ */
+export function applyLayout (container, { convert = false } = {}) {
+  const widgets = visibleWidgets(container)
+  const cols = gridColumnCount(container)
+  const pinned = isFreeLayout(container) && (convert || widgets.some(hasPlacement))
+
+  if (pinned) {
+    if (!widgets.some(hasPlacement)) {
+      autoFlow(widgets.map(placementOf), cols).forEach((spot, i) => setOrigin(widgets[i], spot))
+    } else {
+      const placed = widgets.filter(hasPlacement).map(placementOf)
+      for (const el of widgets.filter(el => !hasPlacement(el))) {
+        const spot = nearestFreeSpot(placed, { ...placementOf(el), x: 0, y: 0 }, cols)
+        setOrigin(el, spot)
+        placed.push(spot)
+      }
+    }
+  }
+
+  container.classList.toggle('free-layout', pinned)
+  // Widgets placed on a wider screen stay put; widen the grid rather than wrap them
+  const needed = pinned ? Math.max(...widgets.map(el => placementOf(el).x + placementOf(el).columns), 0) : 0
+  container.style.gridTemplateColumns = needed > cols ? `repeat(${needed}, minmax(0, 1fr))` : ''
+  widgets.forEach(applyGridPosition)
+  return pinned
+}
+
+/**
+ * @function setOrigin
+ * @param {HTMLElement} el
+ * @param {{x:number, y:number}} spot
+ * @returns {void}
+ */
+function setOrigin (el, { x, y }) {
+  el.dataset.x = String(x)
+  el.dataset.y = String(y)
+}
+
+/**
+ * Move a widget to an origin in a pinned layout and renumber `order` in
+ * reading order, so the flow fallback and keyboard focus follow the grid.
+ *
+ * @function moveWidgetTo
+ * @param {HTMLElement} el
+ * @param {{x:number, y:number}} spot
+ * @returns {void}
+ */
+export function moveWidgetTo (el, spot) {
+  setOrigin(el, spot)
+  applyGridPosition(el)
+  const container = el.parentElement
+  if (!container) return
+  visibleWidgets(container)
+    .sort((a, b) => placementOf(a).y - placementOf(b).y || placementOf(a).x - placementOf(b).x)
+    .forEach((widget, i) => {
+      widget.dataset.order = String(i)
+      widget.style.order = String(i)
+    })
+}
+
+/**
+ * Largest span up to the requested one that keeps a pinned widget inside
+ * the grid and clear of its neighbours. Flowing widgets get the request back.
+ *
+ * @function fitSpan
+ * @param {HTMLElement} el
+ * @param {number} columns
+ * @param {number} rows
+ * @returns {{columns:number, rows:number}}
+ */
+export function fitSpan (el, columns, rows) {
+  const container = el.parentElement
+  if (!container || !isFreeLayout(container) || !hasPlacement(el)) return { columns, rows }
+  const current = placementOf(el)
+  const others = visibleWidgets(container).filter(w => w !== el && hasPlacement(w)).map(placementOf)
+  const cols = Math.max(gridColumnCount(container), current.x + current.columns)
+  columns = Math.max(1, Math.min(columns, cols - current.x))
+  const collides = () => others.some(p => overlaps(p, { ...current, columns, rows }))
+  while (collides() && (columns > 1 || rows > 1)) {
+    // Give up growth first, the direction that grew most before the other
+    if (columns - current.columns >= rows - current.rows && columns > 1) columns--
+    else if (rows > 1) rows--
+    else columns--
+  }
+  return { columns, rows }
+}
@@ -0,0 +1,423 @@
+// @ts-check
+/**
+ * Load monitoring of widget frames. An iframe gives no error event: a
+ * refused connection or a frame blocked by the dashboard's content security
+ * policy still fires `load`, and a hanging server fires nothing. So a
+ * monitored frame is checked three ways:
+ *
+ * - a `no-cors` HEAD probe of its URL, which rejects when the server is
+ *   unreachable and, unlike a GET, does not run the page a second time,
+ * - a timeout for the `load` event (`Service.load.timeout`),
+ * - `securitypolicyviolation` events naming its URL.
+ *
+ * A failed frame is reloaded with exponential backoff (`Service.load.retries`).
+ * Once it gives up, an overlay offers a retry and the service's fallback
+ * action, which `fallback.auto` opens by itself. A frame refused by the
+ * embedded site (`X-Frame-Options`) cannot be told from a working page.
+ *
+ * The state is kept in `data-load-state` on the wrapper and announced with
+ * `EVENTS.WIDGET_LOAD_STATE`.
+ *
+ * @module loadMonitor
+ */
+import StorageManager from '../../../storage/StorageManager.js'
+import { resolveServiceConfig } from '../../../utils/serviceUtils.js'
+import { showServiceModal } from '../../modal/serviceLaunchModal.js'
+import { EVENTS, emit } from '../../../utils/eventBus.js'
+import { Logger } from '../../../utils/Logger.js'
+
+const logger = new Logger('loadMonitor.js')
+
+/** @typedef {import('../../../types.js').Service} Service */
+
+/**
+ * - `loading`: waiting for the frame
+ * - `ok`: loaded
+ * - `retrying`: failed, reloads after a backoff (`attempt`, `error`)
+ * - `error`: unreachable or blocked, gave up (`error`)
+ * - `timeout`: never finished loading, gave up
+ * @typedef {'loading'|'ok'|'retrying'|'error'|'timeout'} LoadStateName
+ */
+
+/** @typedef {{state:LoadStateName, attempt?:number, error?:string}} LoadState */
+
+/**
+ * @typedef {Object} Monitor
+ * @property {HTMLIFrameElement} iframe
+ * @property {number} attempt - Failures since the last successful load.
+ * @property {boolean} settled - The current load attempt was decided.
+ * @property {boolean} loaded - The frame fired `load` in the current attempt.
+ * @property {ReturnType<typeof setTimeout>|null} timer
+ * @property {AbortController|null} probe
+ * @property {boolean} fallbackOpened - `fallback.auto` already fired.
+ * @property {MutationObserver} observer
+ */
+
+/** States a service panel item shows, worst first. */
+export const FAILED_STATES = Object.freeze(['error', 'timeout', 'retrying'])
+
+const DEFAULT_TIMEOUT = 20
+const DEFAULT_RETRIES = 3
+const RETRY_BASE_MS = 2000
+
+/** @type {WeakMap<HTMLElement, Monitor>} */
+const monitors = new WeakMap()
+/** @type {IntersectionObserver|null} Lazy frames wait to scroll into view before their clock starts. */
+let visibility = null
+let listeningForViolations = false
+
+/**
+ * Resolved service of a widget, or null for a URL without one.
+ * @function serviceOf
+ * @param {HTMLElement} wrapper
+ * @returns {Service|null}
+ */
+function serviceOf (wrapper) {
+  const raw = StorageManager.getServices().find(s => s.name === wrapper.dataset.service)
+  return raw ? resolveServiceConfig(raw) : null
+}
+
+/**
+ * Timeout and retries for a widget, from its service.
+ * @function loadOptions
+ * @param {HTMLElement} wrapper
+ * @returns {{timeout:number, retries:number}}
+ */
+function loadOptions (wrapper) {
+  const load = serviceOf(wrapper)?.load || {}
+  return {
+    timeout: Number.isFinite(load.timeout) ? Math.max(0, load.timeout) : DEFAULT_TIMEOUT,
+    retries: Number.isFinite(load.retries) ? Math.max(0, load.retries) : DEFAULT_RETRIES
+  }
+}
+
+/**
+ * Open the service's fallback action for a widget: the fallback URL in the
+ * service launch modal, which refreshes the widget when done.
+ *
+ * @function openFallback
+ * @param {HTMLElement} wrapper
+ * @returns {boolean} False when the service has no fallback.
+ */
+export function openFallback (wrapper) {
+  const service = serviceOf(wrapper)
+  if (!service?.fallback?.url) return false
+  showServiceModal({ url: service.fallback.url, security: service.security }, wrapper)
+  return true
+}
+
+/**
+ * Record a state on the wrapper, draw the overlay and tell the service panel.
+ * @function setState
+ * @param {HTMLElement} wrapper
+ * @param {LoadState} state
+ * @returns {void}
+ */
+function setState (wrapper, state) {
+  const changed = wrapper.dataset.loadState !== state.state
+  wrapper.dataset.loadState = state.state
+  showLoadState(wrapper, state)
+  if (changed) {
+    emit(EVENTS.WIDGET_LOAD_STATE, {
+      dataid: wrapper.dataset.dataid,
+      service: wrapper.dataset.service || '',
+      state: state.state
+    })
+  }
+}
+
+/**
+ * Overlay for failed states, removed once the frame is fine again.
+ * @function showLoadState
+ * @param {HTMLElement} wrapper
+ * @param {LoadState} state
+ * @returns {void}
+ */
+function showLoadState (wrapper, { state, attempt, error }) {
+  let overlay = /** @type {HTMLElement|null} */(wrapper.querySelector(':scope > .widget-load-state'))
+  if (state === 'ok' || state === 'loading') {
+    overlay?.remove()
+    return
+  }
+  if (!overlay) {
+    overlay = document.createElement('div')
+    overlay.className = 'widget-load-state'
+    overlay.setAttribute('role', 'status')
+    wrapper.appendChild(overlay)
+  }
+  overlay.replaceChildren()
+
+  const message = document.createElement('p')
+  if (state === 'retrying') {
+    message.textContent = `${error || 'Failed to load'}. Retrying (attempt ${attempt})…`
+  } else {
+    message.textContent = state === 'timeout' ? 'The service did not respond in time.' : (error || 'The service could not be loaded.')
+  }
+  overlay.appendChild(message)
+  if (state === 'retrying') return
+
+  const retryButton = document.createElement('button')
+  retryButton.textContent = 'Retry'
+  retryButton.addEventListener('click', () => retryLoad(wrapper))
+  overlay.appendChild(retryButton)
+
+  const fallback = serviceOf(wrapper)?.fallback
+  if (fallback?.url) {
+    const fallbackButton = document.createElement('button')
+    fallbackButton.textContent = fallback.name || 'Open fallback'
+    fallbackButton.addEventListener('click', () => openFallback(wrapper))
+    overlay.appendChild(fallbackButton)
+  }
+}
+
+/**
+ * @function clearPending
+ * @param {Monitor} monitor
+ * @returns {void}
+ */
+function clearPending (monitor) {
+  if (monitor.timer) clearTimeout(monitor.timer)
+  monitor.timer = null
+  monitor.probe?.abort()
+  monitor.probe = null
+}
+
+/**
+ * The current load attempt failed: reload after a backoff, or give up.
+ * @function fail
+ * @param {HTMLElement} wrapper
+ * @param {'error'|'timeout'} kind
+ * @param {string} error
+ * @param {{retry?:boolean}} [opts] - False for failures a reload cannot fix.
+ * @returns {void}
+ */
+function fail (wrapper, kind, error, { retry = true } = {}) {
+  const monitor = monitors.get(wrapper)
+  if (!monitor) return
+  clearPending(monitor)
+  monitor.settled = true
+  if (!monitor.iframe.isConnected) return
+
+  const { retries } = loadOptions(wrapper)
+  monitor.attempt++
+  logger.warn(`Widget ${wrapper.dataset.dataid} failed to load (${error}), attempt ${monitor.attempt}`)
+  if (retry && monitor.attempt <= retries) {
+    const retryIn = RETRY_BASE_MS * 2 ** (monitor.attempt - 1)
+    setState(wrapper, { state: 'retrying', attempt: monitor.attempt, error })
+    monitor.timer = setTimeout(() => reload(monitor), retryIn)
+    return
+  }
+
+  setState(wrapper, { state: kind, error })
+  if (!monitor.fallbackOpened && serviceOf(wrapper)?.fallback?.auto) {
+    monitor.fallbackOpened = true
+    openFallback(wrapper)
+  }
+}
+
+/**
+ * The current load attempt succeeded: loaded, and the server answered.
+ * @function succeed
+ * @param {HTMLElement} wrapper
+ * @param {Monitor} monitor
+ * @returns {void}
+ */
+function succeed (wrapper, monitor) {
+  clearPending(monitor)
+  monitor.settled = true
+  monitor.attempt = 0
+  setState(wrapper, { state: 'ok' })
+}
+
+/**
+ * Navigate the frame again; the src observer starts the next attempt.
+ * @function reload
+ * @param {Monitor} monitor
+ * @returns {void}
+ */
+function reload (monitor) {
+  monitor.timer = null
+  if (!monitor.iframe.isConnected) return
+  const src = monitor.iframe.src
+  monitor.iframe.src = src
+}
+
+/**
+ * Start watching the current navigation of the frame.
+ * @function startAttempt
+ * @param {HTMLElement} wrapper
+ * @returns {void}
+ */
+function startAttempt (wrapper) {
+  const monitor = monitors.get(wrapper)
+  if (!monitor) return
+  clearPending(monitor)
+  monitor.settled = false
+  monitor.loaded = false
+  if (wrapper.dataset.loadState !== 'retrying') setState(wrapper, { state: 'loading' })
+
+  // A lazy frame off screen does not load yet, start the clock once it is visible
+  if (monitor.iframe.loading === 'lazy' && visibility && !isOnScreen(wrapper)) {
+    visibility.observe(wrapper)
+    return
+  }
+  armAttempt(wrapper, monitor)
+}
+
+/**
+ * @function isOnScreen
+ * @param {HTMLElement} el
+ * @returns {boolean}
+ */
+function isOnScreen (el) {
+  const rect = el.getBoundingClientRect()
+  return rect.bottom > 0 && rect.right > 0 && rect.top < innerHeight && rect.left < innerWidth
+}
+
+/**
+ * Start the timeout and the reachability probe of an attempt.
+ * @function armAttempt
+ * @param {HTMLElement} wrapper
+ * @param {Monitor} monitor
+ * @returns {void}
+ */
+function armAttempt (wrapper, monitor) {
+  const { timeout } = loadOptions(wrapper)
+  if (timeout > 0) {
+    monitor.timer = setTimeout(() => {
+      monitor.timer = null
+      if (monitor.settled) return
+      // Loaded while the probe hangs: the frame is what counts
+      if (monitor.loaded) succeed(wrapper, monitor)
+      else fail(wrapper, 'timeout', 'Timed out')
+    }, timeout * 1000)
+  }
+
+  let url
+  try {
+    url = new URL(monitor.iframe.src)
+  } catch {
+    return
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return
+  const probe = new AbortController()
+  monitor.probe = probe
+  fetch(url.href, { method: 'HEAD', mode: 'no-cors', cache: 'no-store', credentials: 'omit', signal: probe.signal })
+    .then(() => {
+      if (monitor.probe !== probe) return
+      monitor.probe = null
+      if (monitor.loaded && !monitor.settled) succeed(wrapper, monitor)
+    }, error => {
+      // Reachable servers answer no-cors requests with an opaque response,
+      // even when they refuse HEAD; a rejection means the connection itself failed
+      if (error?.name === 'AbortError' || monitor.probe !== probe) return
+      fail(wrapper, 'error', 'Service unreachable')
+    })
+}
+
+/**
+ * Fail frames the dashboard's content security policy refused to load.
+ * @function handleViolation
+ * @param {SecurityPolicyViolationEvent} event
+ * @returns {void}
+ */
+function handleViolation (event) {
+  if (!['frame-src', 'child-src', 'default-src'].includes(event.effectiveDirective)) return
+  document.querySelectorAll('.widget-wrapper').forEach(node => {
+    const wrapper = /** @type {HTMLElement} */(node)
+    const monitor = monitors.get(wrapper)
+    if (monitor && event.blockedURI && monitor.iframe.src.startsWith(event.blockedURI)) {
+      fail(wrapper, 'error', 'Blocked by the content security policy', { retry: false })
+    }
+  })
+}
+
+/**
+ * Monitor a widget's frame from now on, including later navigations caused
+ * by changing its `src` (refresh, context variables, settings).
+ *
+ * @function monitorFrame
+ * @param {HTMLElement} wrapper
+ * @param {HTMLIFrameElement} iframe
+ * @returns {void}
+ */
+export function monitorFrame (wrapper, iframe) {
+  stopMonitor(wrapper)
+  if (!visibility && typeof IntersectionObserver !== 'undefined') {
+    visibility = new IntersectionObserver(entries => {
+      for (const entry of entries) {
+        if (!entry.isIntersecting) continue
+        const el = /** @type {HTMLElement} */(entry.target)
+        visibility.unobserve(el)
+        const monitor = monitors.get(el)
+        if (monitor && !monitor.settled && !monitor.timer && !monitor.probe) armAttempt(el, monitor)
+      }
+    })
+  }
+  if (!listeningForViolations) {
+    document.addEventListener('securitypolicyviolation', handleViolation)
+    listeningForViolations = true
+  }
+
+  // Every assignment of src navigates, even to the same URL
+  const observer = new MutationObserver(() => startAttempt(wrapper))
+  observer.observe(iframe, { attributes: true, attributeFilter: ['src'] })
+
+  /** @type {Monitor} */
+  const monitor = { iframe, attempt: 0, settled: false, loaded: false, timer: null, probe: null, fallbackOpened: false, observer }
+  monitors.set(wrapper, monitor)
+
+  iframe.addEventListener('load', () => {
+    if (monitors.get(wrapper) !== monitor || monitor.settled) return
+    monitor.loaded = true
+    // Error pages fire `load` too, so wait for the probe when it is still out
+    if (!monitor.probe) succeed(wrapper, monitor)
+  })
+  startAttempt(wrapper)
+}
+
+/**
+ * Reload a failed widget now, with a fresh set of retries.
+ * @function retryLoad
+ * @param {HTMLElement} wrapper
+ * @returns {void}
+ */
+export function retryLoad (wrapper) {
+  const monitor = monitors.get(wrapper)
+  if (!monitor) return
+  clearPending(monitor)
+  monitor.attempt = 0
+  monitor.fallbackOpened = false
+  reload(monitor)
+}
+
+/**
+ * Stop monitoring a widget, e.g. when it is removed.
+ * @function stopMonitor
+ * @param {HTMLElement} wrapper
+ * @returns {void}
+ */
+export function stopMonitor (wrapper) {
+  const monitor = monitors.get(wrapper)
+  if (!monitor) return
+  clearPending(monitor)
+  monitor.observer.disconnect()
+  visibility?.unobserve(wrapper)
+  monitors.delete(wrapper)
+}
+
+/**
+ * Worst load state of the widgets of a service on the page, for the
+ * service panel: one of {@link FAILED_STATES}, or null when all are fine.
+ *
+ * @function serviceLoadState
+ * @param {string} serviceName
+ * @returns {LoadStateName|null}
+ */
+export function serviceLoadState (serviceName) {
+  const states = Array.from(document.querySelectorAll('.widget-wrapper'))
+    .map(el => /** @type {HTMLElement} */(el))
+    .filter(el => el.dataset.service === serviceName)
+    .map(el => el.dataset.loadState)
+  return /** @type {LoadStateName|undefined} */(FAILED_STATES.find(state => states.includes(state))) ?? null
+}
@@ -0,0 +1,239 @@
+// @ts-check
+/**
+ * Breakpoint layouts of a view. `View.layouts` maps a breakpoint name to
+ * the span, order and (free layout) position of each widget; the widget
+ * list itself stays in `widgetState`. The breakpoint is picked from the
+ * width of the widget container.
+ *
+ * A breakpoint without a stored layout borrows the nearest one that has
+ * one, with spans clamped to the grid. That borrowed layout is not written
+ * back on save unless it was edited, so it keeps following its source.
+ * The first edit of a view without layouts also stores the layout from
+ * before the edit for the other breakpoints, which would otherwise borrow
+ * the edited one.
+ *
+ * @module responsiveLayout
+ */
+import StorageManager from '../../../storage/StorageManager.js'
+import { getCurrentViewId } from '../../../utils/elements.js'
+import { applyLayout, gridColumnCount, hasPlacement } from './gridLayout.js'
+import { Logger } from '../../../utils/Logger.js'
+
+const logger = new Logger('responsiveLayout.js')
+
+/** @typedef {import('../../../types.js').View} View */
+/** @typedef {import('../../../types.js').LayoutEntry} LayoutEntry */
+
+/** Breakpoints from narrow to wide, by container width in pixels. */
+export const BREAKPOINTS = Object.freeze([
+  { name: 'phone', maxWidth: 600 },
+  { name: 'tablet', maxWidth: 992 },
+  { name: 'desktop', maxWidth: 1600 },
+  { name: 'wide', maxWidth: Infinity }
+])
+
+/**
+ * Layout each view was last rendered or saved with, to tell edits from
+ * borrowed layouts on save.
+ * @type {Map<string, {breakpoint:string, derived:boolean, entries:Array<LayoutEntry>}>}
+ */
+const applied = new Map()
+
+/**
+ * @function breakpointFor
+ * @param {number} width - Container width in pixels.
+ * @returns {string}
+ */
+export function breakpointFor (width) {
+  return (BREAKPOINTS.find(bp => width < bp.maxWidth) || BREAKPOINTS[BREAKPOINTS.length - 1]).name
+}
+
+/**
+ * Layout fields of a widget element.
+ * @function layoutEntryOf
+ * @param {HTMLElement} el
+ * @returns {LayoutEntry}
+ */
+export function layoutEntryOf (el) {
+  return {
+    dataid: el.dataset.dataid,
+    columns: Number(el.dataset.columns) || 1,
+    rows: Number(el.dataset.rows) || 1,
+    order: Number(el.dataset.order) || 0,
+    ...(hasPlacement(el) && { x: Number(el.dataset.x), y: Number(el.dataset.y) })
+  }
+}
+
+/**
+ * Comparable form of a layout: per widget its span, position and rank in
+ * `order` (saving renumbers `order`, the ranks stay).
+ * @function signature
+ * @param {Array<LayoutEntry>} entries
+ * @returns {Map<string, string>}
+ */
+function signature (entries) {
+  const ranked = entries.slice().sort((a, b) => a.order - b.order)
+  return new Map(ranked.map(({ dataid, columns, rows, x, y }, rank) =>
+    [dataid, JSON.stringify([columns, rows, x ?? null, y ?? null, rank])]))
+}
+
+/**
+ * Visible widgets of a container.
+ * @function visibleWidgets
+ * @param {HTMLElement} container
+ * @returns {Array<HTMLElement>}
+ */
+function visibleWidgets (container) {
+  return Array.from(container.querySelectorAll(':scope > .widget-wrapper'))
+    .map(el => /** @type {HTMLElement} */(el))
+    .filter(el => el.style.display !== 'none')
+}
+
+/**
+ * Stored breakpoint closest to the wanted one; on a tie the wider one,
+ * since shrinking a layout works better than stretching one.
+ * @function nearestDefined
+ * @param {View} view
+ * @param {string} breakpoint
+ * @returns {string|null}
+ */
+function nearestDefined (view, breakpoint) {
+  const index = BREAKPOINTS.findIndex(bp => bp.name === breakpoint)
+  let best = null
+  let bestDistance = Infinity
+  BREAKPOINTS.forEach((bp, i) => {
+    if (!Array.isArray(view.layouts?.[bp.name])) return
+    const distance = Math.abs(i - index)
+    if (distance < bestDistance || (distance === bestDistance && i > index)) {
+      best = bp.name
+      bestDistance = distance
+    }
+  })
+  return best
+}
+
+/**
+ * Layout of a view at a breakpoint: stored, borrowed from the nearest
+ * stored one, or null when the view has no breakpoint layouts.
+ *
+ * @function layoutFor
+ * @param {View} view
+ * @param {string} breakpoint
+ * @param {number} cols - Columns of the grid it is shown on.
+ * @returns {{entries:Array<LayoutEntry>, derived:boolean}|null}
+ */
+export function layoutFor (view, breakpoint, cols) {
+  const source = nearestDefined(view, breakpoint)
+  if (!source) return null
+  const entries = view.layouts[source]
+  if (source === breakpoint) return { entries, derived: false }
+
+  // Positions only carry over when every widget still fits; otherwise the
+  // view flows in the source order until it is arranged here.
+  const fits = entries.every(e => e.x == null || e.x + Math.min(e.columns, cols) <= cols)
+  return {
+    derived: true,
+    entries: entries.map(({ x, y, ...entry }) => ({
+      ...entry,
+      columns: Math.min(entry.columns, cols),
+      ...(fits && x != null && y != null && { x, y })
+    }))
+  }
+}
+
+/**
+ * Show the container's widgets in the layout of the breakpoint matching
+ * its width. Widgets the layout does not know keep their own fields.
+ *
+ * @function applyBreakpointLayout
+ * @param {HTMLElement} container
+ * @param {View} view
+ * @returns {void}
+ */
+export function applyBreakpointLayout (container, view) {
+  const breakpoint = breakpointFor(container.clientWidth)
+  container.dataset.breakpoint = breakpoint
+  const layout = layoutFor(view, breakpoint, gridColumnCount(container))
+  const byId = new Map((layout?.entries || []).map(e => [e.dataid, e]))
+
+  container.querySelectorAll(':scope > .widget-wrapper').forEach(node => {
+    const el = /** @type {HTMLElement} */(node)
+    const entry = byId.get(el.dataset.dataid)
+    if (!entry) return
+    el.dataset.columns = String(entry.columns)
+    el.dataset.rows = String(entry.rows)
+    el.dataset.order = String(entry.order)
+    el.style.order = String(entry.order)
+    if (entry.x != null && entry.y != null) {
+      el.dataset.x = String(entry.x)
+      el.dataset.y = String(entry.y)
+    } else {
+      delete el.dataset.x
+      delete el.dataset.y
+    }
+  })
+  applyLayout(container)
+
+  applied.set(view.id, {
+    breakpoint,
+    derived: !layout || layout.derived,
+    entries: visibleWidgets(container).map(layoutEntryOf)
+  })
+}
+
+/**
+ * Store the current layout under the active breakpoint, from inside a
+ * boards update. Skipped while the view shows a borrowed layout nobody
+ * changed, and while it is still being rendered (no `data-breakpoint`).
+ * On a view without layouts, the other breakpoints keep the layout shown
+ * before the edit.
+ *
+ * @function recordBreakpointLayout
+ * @param {View} view - View being saved, mutated.
+ * @param {Array<HTMLElement>} widgets - Its visible widgets.
+ * @returns {void}
+ */
+export function recordBreakpointLayout (view, widgets) {
+  const state = applied.get(view.id)
+  const container = widgets[0]?.parentElement
+  if (!state || !container || container.dataset.breakpoint !== state.breakpoint) return
+
+  const current = widgets.map(layoutEntryOf)
+  if (state.derived) {
+    // Widgets added since do not count as an edit of the borrowed layout
+    const shown = signature(state.entries)
+    const ranked = signature(current.filter(e => shown.has(e.dataid)))
+    const edited = Array.from(ranked).some(([id, sig]) => shown.get(id) !== sig)
+    if (!edited) return
+  }
+  if (!view.layouts) {
+    const ids = new Set(current.map(e => e.dataid))
+    const before = state.entries.filter(e => ids.has(e.dataid))
+    view.layouts = Object.fromEntries(BREAKPOINTS.map(bp => [bp.name, before]))
+  }
+  view.layouts = { ...view.layouts, [state.breakpoint]: current }
+  state.derived = false
+  state.entries = current
+}
+
+/**
+ * Re-apply the breakpoint layout whenever the widget container crosses a
+ * breakpoint, e.g. when the window is resized.
+ *
+ * @function watchBreakpoints
+ * @returns {void}
+ */
+export function watchBreakpoints () {
+  const container = document.getElementById('widget-container')
+  if (!container || typeof ResizeObserver === 'undefined') return
+  new ResizeObserver(() => {
+    const breakpoint = breakpointFor(container.clientWidth)
+    // No breakpoint yet: a view is being rendered and applies it when done
+    if (!container.dataset.breakpoint || breakpoint === container.dataset.breakpoint) return
+    const viewId = getCurrentViewId()
+    const view = StorageManager.getBoards().flatMap(b => b.views || []).find(v => v.id === viewId)
+    if (!view) return
+    logger.log(`Container is ${container.clientWidth}px wide, switching to the ${breakpoint} layout`)
+    applyBreakpointLayout(container, view)
+  }).observe(container)
+}
@@ -0,0 +1,127 @@
+// @ts-check
+/**
+ * Suspending hidden widgets to save memory. A suspended widget keeps its
+ * wrapper and menu, but its widget type's `suspend` hook released the
+ * content (an iframe is unloaded) and a placeholder stands in for it until
+ * `resume` brings it back. Browsers cannot capture cross-origin frames, so
+ * the placeholder shows the widget's name rather than a screenshot.
+ *
+ * How long a widget may stay hidden before it is suspended comes from its
+ * service's `suspend.idle` (or the service template's), else from
+ * `globalSettings.suspend.idle`, in seconds. Suspension is opt-in: without
+ * either, or with 0, widgets keep running, since unloading a frame loses
+ * whatever state it had (an open terminal, an unsaved edit). The widget
+ * store schedules the suspensions, see widgetStore.js.
+ *
+ * @module widgetSuspend
+ */
+import StorageManager from '../../../storage/StorageManager.js'
+import { resolveServiceConfig } from '../../../utils/serviceUtils.js'
+import { widgetTypeOf } from '../types/registry.js'
+import { monitorFrame, stopMonitor } from './loadMonitor.js'
+import { widgetName } from '../events/keyboardNav.js'
+import { EVENTS, emit } from '../../../utils/eventBus.js'
+import { Logger } from '../../../utils/Logger.js'
+
+const logger = new Logger('widgetSuspend.js')
+
+/** Seconds a widget stays hidden before it is suspended, unless configured: never. */
+export const DEFAULT_SUSPEND_IDLE = 0
+
+/** Longest time the placeholder covers a resuming frame, in ms. */
+const RESUME_COVER_MS = 10000
+
+/**
+ * Seconds the widget may stay hidden before it is suspended, 0 for never.
+ * @function suspendIdleOf
+ * @param {HTMLElement} el
+ * @returns {number}
+ */
+export function suspendIdleOf (el) {
+  const raw = StorageManager.getServices().find(s => s.name === el.dataset.service)
+  const serviceIdle = raw ? resolveServiceConfig(raw).suspend?.idle : undefined
+  const globalIdle = StorageManager.getConfig()?.globalSettings?.suspend?.idle
+  const idle = Number(serviceIdle ?? globalIdle ?? DEFAULT_SUSPEND_IDLE)
+  return Number.isFinite(idle) && idle > 0 ? idle : 0
+}
+
+/**
+ * @function isSuspended
+ * @param {HTMLElement} el
+ * @returns {boolean}
+ */
+export function isSuspended (el) {
+  return el.dataset.suspended === 'true'
+}
+
+/**
+ * Whether the widget's type can release its content at all.
+ * @function canSuspend
+ * @param {HTMLElement} el
+ * @returns {boolean}
+ */
+export function canSuspend (el) {
+  return typeof widgetTypeOf(el).suspend === 'function'
+}
+
+/**
+ * Release a widget's content and show the placeholder.
+ * @function suspendWidget
+ * @param {HTMLElement} el
+ * @returns {boolean} Whether it was suspended.
+ */
+export function suspendWidget (el) {
+  if (isSuspended(el) || !canSuspend(el)) return false
+  stopMonitor(el)
+  try {
+    widgetTypeOf(el).suspend(el)
+  } catch (error) {
+    logger.error('Error suspending widget:', error)
+    return false
+  }
+  el.dataset.suspended = 'true'
+
+  el.querySelector(':scope > .widget-suspended')?.remove()
+  const placeholder = document.createElement('div')
+  placeholder.className = 'widget-suspended'
+  placeholder.textContent = `${widgetName(el)} was suspended to save memory and reloads when shown.`
+  el.prepend(placeholder)
+  logger.log(`Suspended widget ${el.dataset.dataid}`)
+  // The service panel counts running widgets
+  emit(EVENTS.STATE_CHANGE, { reason: 'services' })
+  return true
+}
+
+/**
+ * Bring a suspended widget's content back. The placeholder stays over a
+ * frame until it has loaded.
+ * @function resumeWidget
+ * @param {HTMLElement} el
+ * @returns {void}
+ */
+export function resumeWidget (el) {
+  if (!isSuspended(el)) return
+  delete el.dataset.suspended
+  try {
+    widgetTypeOf(el).resume?.(el)
+  } catch (error) {
+    logger.error('Error resuming widget:', error)
+  }
+
+  emit(EVENTS.STATE_CHANGE, { reason: 'services' })
+
+  const placeholder = el.querySelector(':scope > .widget-suspended')
+  const iframe = el.querySelector('iframe')
+  if (!iframe) {
+    placeholder?.remove()
+    return
+  }
+  monitorFrame(el, iframe)
+  if (placeholder) {
+    placeholder.textContent = `Resuming ${widgetName(el)}…`
+    const uncover = () => placeholder.remove()
+    iframe.addEventListener('load', uncover, { once: true })
+    setTimeout(uncover, RESUME_COVER_MS)
+  }
+  logger.log(`Resumed widget ${el.dataset.dataid}`)
+}
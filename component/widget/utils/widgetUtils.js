@@ -5,12 +5,14 @@
  * @module widgetUtils
  */
 import { fetchServices } from './fetchServices.js'
+import { findServiceByUrl } from '../../../utils/serviceUtils.js'
 import { Logger } from '../../../utils/Logger.js'
 
 const logger = new Logger('widgetUtils.js')
 
 /**
- * Determine which service definition matches the provided URL.
+ * Determine which service definition matches the provided URL, comparing
+ * against service URLs with their variables substituted.
  *
  * @param {string} url - Widget URL.
  * @function getServiceFromUrl
@@ -20,7 +22,7 @@ async function getServiceFromUrl (url) {
   try {
     const services = await fetchServices()
     logger.log('Matching URL:', url)
-    const service = services.find(service => url.startsWith(service.url))
+    const service = findServiceByUrl(services, url, { prefix: true })
     logger.log('Matched service:', service)
     return service ? service.name : 'defaultService'
   } catch (error) {
@@ -5,7 +5,6 @@
  * @module widgetManagement
  */
 import { saveWidgetState } from '../../storage/widgetStatePersister.js'
-import { fetchData } from './utils/fetchData.js'
 import {
   showResizeMenu,
   hideResizeMenu,
@@ -21,23 +20,35 @@ import { handleDragStart, handleDragEnd } from './events/dragDrop.js'
 import { toggleFullScreen } from './events/fullscreenToggle.js'
 import { initializeResizeHandles } from './events/resizeHandler.js'
 import { Logger } from '../../utils/Logger.js'
-import { showServiceModal } from '../modal/serviceLaunchModal.js'
 import { widgetGetUUID } from '../../utils/id.js'
 import StorageManager from '../../storage/StorageManager.js'
 import { getCurrentBoardId, getCurrentViewId } from '../../utils/elements.js'
 import { showNotification } from '../dialog/notification.js'
-import { resolveServiceConfig } from '../../utils/serviceUtils.js'
+import { resolveServiceConfig, findServiceByUrl } from '../../utils/serviceUtils.js'
+import { createRefreshButton } from './menu/refreshMenu.js'
+import { createTransferButton } from './menu/transferMenu.js'
+import { updateRefreshIndicator } from './refreshScheduler.js'
+import { openWidgetSettingsModal } from '../modal/widgetSettingsModal.js'
+import { getWidgetType, widgetTypeOf, resolveWidgetType } from './types/registry.js'
+import { resolveTemplate } from '../../state/contextVars.js'
+import { applyLayout, applyGridPosition } from './utils/gridLayout.js'
+import { makeFocusable } from './events/keyboardNav.js'
+import { monitorFrame, openFallback } from './utils/loadMonitor.js'
 
 const logger = new Logger('widgetManagement.js')
 
 /**
- * Creates the DOM structure for a new widget, including its iframe and menu.
+ * Creates the DOM structure for a new widget: the content rendered by its
+ * widget type, and the menu. Iframe content is watched for load failures
+ * (see loadMonitor.js).
  * @function createWidget
  * @param {string} service - The service identifier.
- * @param {string} url - The URL for the widget's iframe source.
+ * @param {string} url - The URL of the widget's content, may contain `{{ctx.name}}` placeholders.
  * @param {number} [gridColumnSpan=1] - The number of grid columns to span.
  * @param {number} [gridRowSpan=1] - The number of grid rows to span.
  * @param {string|null} [dataid=null] - An optional persistent identifier for the widget.
+ * @param {{type?:string, settings?:Record<string, any>, metadata?:Record<string, any>, security?:import('../../types.js').ServiceSecurity, x?:number, y?:number}} [opts] - Widget type
+ *   (defaults to `iframe`), persisted fields the type renders from, the widget's own security profile and the origin cell in free layout.
  * @returns {Promise<HTMLDivElement>} A promise that resolves to the widget's wrapper element.
  */
 async function createWidget (
@@ -45,7 +56,8 @@ async function createWidget (
   url,
   gridColumnSpan = 1,
   gridRowSpan = 1,
-  dataid = null
+  dataid = null,
+  { type = 'iframe', settings, metadata, security, x, y } = {}
 ) {
   logger.log('Creating widget with URL:', url)
   const config = await getConfig()
@@ -76,14 +88,25 @@ async function createWidget (
   widgetWrapper.style.gridRow = `span ${gridRowSpan}`
   widgetWrapper.dataset.columns = String(gridColumnSpan)
   widgetWrapper.dataset.rows = String(gridRowSpan)
+  if (Number.isInteger(x) && Number.isInteger(y)) {
+    widgetWrapper.dataset.x = String(x)
+    widgetWrapper.dataset.y = String(y)
+  }
 
-  const iframe = document.createElement('iframe')
-  iframe.className = 'widget-iframe'
-  iframe.src = url
-  iframe.loading = 'lazy'
-  iframe.style.border = '1px solid #ccc'
-  iframe.style.width = '100%'
-  iframe.style.height = '100%'
+  const widgetType = getWidgetType(type)
+  widgetWrapper.dataset.type = widgetType.name
+  if (settings) widgetWrapper.dataset.settings = JSON.stringify(settings)
+  if (metadata) widgetWrapper.dataset.metadata = JSON.stringify(metadata)
+  if (security) widgetWrapper.dataset.security = JSON.stringify(security)
+  makeFocusable(widgetWrapper)
+  const content = widgetType.render({
+    wrapper: widgetWrapper,
+    url: resolveTemplate(url),
+    settings: settings || {},
+    metadata: metadata || {}
+  })
+  const frame = content instanceof HTMLIFrameElement ? content : content.querySelector('iframe')
+  if (frame) monitorFrame(widgetWrapper, frame)
 
   const widgetMenu = document.createElement('div')
   widgetMenu.classList.add('widget-menu')
@@ -92,20 +115,31 @@ async function createWidget (
     const fixServiceButton = document.createElement('button')
     fixServiceButton.innerHTML = emojiList.launch.unicode
     fixServiceButton.classList.add('widget-button', 'widget-icon-action')
-    fixServiceButton.onclick = () =>
-      showServiceModal(serviceObj, widgetWrapper)
+    fixServiceButton.setAttribute('aria-label', serviceObj.fallback.name || 'Open fallback')
+    fixServiceButton.onclick = () => openFallback(widgetWrapper)
     widgetMenu.appendChild(fixServiceButton)
   }
 
   const removeButton = document.createElement('button')
   removeButton.innerHTML = emojiList.cross.unicode
   removeButton.classList.add('widget-button', 'widget-icon-remove')
+  removeButton.setAttribute('aria-label', 'Remove widget')
   removeButton.addEventListener('click', () => removeWidget(widgetWrapper))
 
   const configureButton = document.createElement('button')
   configureButton.innerHTML = emojiList.link.unicode
   configureButton.classList.add('widget-button', 'widget-icon-link')
-  configureButton.addEventListener('click', () => configureWidget(iframe))
+  configureButton.setAttribute('aria-label', 'Change widget URL')
+  configureButton.addEventListener('click', () => configureWidget(widgetWrapper))
+
+  const settingsButton = document.createElement('button')
+  settingsButton.innerHTML = emojiList.gear.unicode
+  settingsButton.classList.add('widget-button', 'widget-icon-settings')
+  settingsButton.setAttribute('aria-label', 'Widget settings')
+  settingsButton.addEventListener('click', () => openWidgetSettingsModal(widgetWrapper))
+
+  const refreshButton = createRefreshButton(widgetWrapper)
+  const transferButton = createTransferButton(widgetWrapper)
 
   const buttonDebounce = 200
   const debouncedHideResizeMenu = debounce(
@@ -120,9 +154,13 @@ async function createWidget (
   const resizeMenuIcon = document.createElement('button')
   resizeMenuIcon.innerHTML = emojiList.triangularRuler.unicode
   resizeMenuIcon.classList.add('widget-button', 'widget-icon-resize')
+  resizeMenuIcon.setAttribute('aria-label', 'Resize widget')
   resizeMenuIcon.addEventListener('mouseenter', () =>
     showResizeMenu(resizeMenuIcon)
   )
+  resizeMenuIcon.addEventListener('focus', () =>
+    showResizeMenu(resizeMenuIcon)
+  )
   resizeMenuIcon.addEventListener('mouseleave', (event) => {
     const related = /** @type {?HTMLElement} */ (event.relatedTarget)
     if (!related || !related.closest('.resize-menu')) {
@@ -133,9 +171,13 @@ async function createWidget (
   const resizeMenuBlockIcon = document.createElement('button')
   resizeMenuBlockIcon.innerHTML = emojiList.puzzle.unicode
   resizeMenuBlockIcon.classList.add('widget-button', 'widget-icon-resize-block')
+  resizeMenuBlockIcon.setAttribute('aria-label', 'Choose widget size')
   resizeMenuBlockIcon.addEventListener('mouseenter', () =>
     showResizeMenuBlock(resizeMenuBlockIcon, widgetWrapper)
   )
+  resizeMenuBlockIcon.addEventListener('click', () =>
+    showResizeMenuBlock(resizeMenuBlockIcon, widgetWrapper)
+  )
   resizeMenuBlockIcon.addEventListener('mouseleave', (event) => {
     const related = /** @type {?HTMLElement} */ (event.relatedTarget)
     if (!related || !related.closest('.resize-menu-block')) {
@@ -147,10 +189,12 @@ async function createWidget (
   dragHandle.classList.add('widget-button', 'widget-icon-drag')
   dragHandle.innerHTML = emojiList.pinching.icon
   dragHandle.draggable = true
+  dragHandle.setAttribute('aria-hidden', 'true')
 
   const fullScreenButton = document.createElement('button')
   fullScreenButton.innerHTML = emojiList.fullscreen.unicode
   fullScreenButton.classList.add('widget-button', 'widget-icon-fullscreen')
+  fullScreenButton.setAttribute('aria-label', 'Toggle fullscreen')
   fullScreenButton.addEventListener('click', (event) => {
     event.preventDefault()
     toggleFullScreen(widgetWrapper)
@@ -160,11 +204,14 @@ async function createWidget (
     fullScreenButton,
     removeButton,
     configureButton,
+    settingsButton,
+    refreshButton,
+    transferButton,
     resizeMenuIcon,
     resizeMenuBlockIcon,
     dragHandle
   )
-  widgetWrapper.append(iframe, widgetMenu)
+  widgetWrapper.append(content, widgetMenu)
 
   dragHandle.addEventListener('dragstart', (e) => {
     widgetWrapper.classList.add('dragging')
@@ -181,11 +228,12 @@ async function createWidget (
  * @param {string} url - The URL of the service to embed.
  * @param {number} [columns] - The number of grid columns for the widget to span.
  * @param {number} [rows] - The number of grid rows for the widget to span.
- * @param {string} [type='iframe'] - The type of the widget.
+ * @param {string} [type='iframe'] - The widget type; `iframe` defers to the service's type.
  * @param {string} boardId - The ID of the board to add the widget to.
  * @param {string} viewId - The ID of the view to add the widget to.
  * @param {string|null} [dataid=null] - An optional persistent identifier for the widget.
- * @param {{skipCapacity?:boolean}} [opts] - Optional flags.
+ * @param {{skipCapacity?:boolean, settings?:Record<string, any>, metadata?:Record<string, any>, security?:import('../../types.js').ServiceSecurity, x?:number, y?:number}} [opts] - Optional flags,
+ *   and the persisted `settings`/`metadata`/`security` and free-layout origin when restoring a stored widget.
  * @returns {Promise<void>}
  */
 async function addWidget (
@@ -218,23 +266,9 @@ async function addWidget (
     const finalRows = rows ?? serviceObj.config?.rows ?? 1
 
     // Enforce global maxInstances (across live DOM and persisted config)
-    const liveDataIds = Array.from(window.asd.widgetStore.widgets.values())
-      .filter(el => el.dataset.service === serviceName)
-      .map(el => el.dataset.dataid)
-
-    const config = StorageManager.getConfig() || {}
-    const boards = Array.isArray(config.boards) ? config.boards : []
-    const persistedDataIds = boards
-      .flatMap(b => Array.isArray(b.views) ? b.views : [])
-      .flatMap(v => Array.isArray(v.widgetState) ? v.widgetState : [])
-      .map(w => w?.dataid)
-      .filter(Boolean)
-
-    const allIds = new Set([...liveDataIds, ...persistedDataIds])
+    const allIds = serviceInstanceIds(serviceName, rawServiceObj.id)
     const effectiveCount = allIds.size
-
-    const alreadyExists =
-      !!dataid && (liveDataIds.includes(dataid) || persistedDataIds.includes(dataid))
+    const alreadyExists = !!dataid && allIds.has(dataid)
 
     if (typeof serviceObj.maxInstances === 'number' && serviceObj.maxInstances > 0) {
       if (!alreadyExists && effectiveCount >= serviceObj.maxInstances) {
@@ -252,7 +286,7 @@ async function addWidget (
       }
     }
 
-    const { skipCapacity = false } = opts
+    const { skipCapacity = false, settings, metadata, security, x, y } = opts
     if (!skipCapacity) {
       const proceed = await window.asd.widgetStore.confirmCapacity()
       if (!proceed) return
@@ -261,10 +295,11 @@ async function addWidget (
     // Restore from cache if available
     if (dataid && window.asd.widgetStore.has(dataid)) {
       const widget = window.asd.widgetStore.get(dataid)
-      widget.style.display = ''
+      window.asd.widgetStore.show(dataid)
       if (widget.parentElement !== widgetContainer) {
         widgetContainer.appendChild(widget)
       }
+      applyLayout(widgetContainer)
       saveWidgetState(boardId, viewId)
       return
     }
@@ -275,8 +310,10 @@ async function addWidget (
       url,
       finalColumns,
       finalRows,
-      dataid
+      dataid,
+      { type: resolveWidgetType(type, serviceObj.type), settings, metadata, security, x, y }
     )
+    updateRefreshIndicator(widgetWrapper)
 
     const visibleWidgetCount = Array.from(widgetContainer.children).filter(
       (el) => el instanceof HTMLElement && el.style.display !== 'none'
@@ -286,13 +323,8 @@ async function addWidget (
 
     widgetContainer.appendChild(widgetWrapper)
     window.asd.widgetStore.add(widgetWrapper)
-
-    if (serviceObj && serviceObj.type === 'api') {
-      fetchData(url, (data) => {
-        const iframe = widgetWrapper.querySelector('iframe')
-        iframe?.contentWindow?.postMessage(data, '*')
-      })
-    }
+    // Free views pin the newcomer to the first free cell
+    applyLayout(widgetContainer)
 
     saveWidgetState(boardId, viewId)
     initializeResizeHandles()
@@ -301,6 +333,32 @@ async function addWidget (
   }
 }
 
+/**
+ * Data ids of a service's widgets, mounted or stored in any view, which is
+ * what `maxInstances` limits. Stored widgets from before service ids count
+ * for the service their URL belongs to.
+ * @function serviceInstanceIds
+ * @param {string} serviceName
+ * @param {string} [serviceId] - Matches stored widgets that have a `serviceId`.
+ * @returns {Set<string>}
+ */
+function serviceInstanceIds (serviceName, serviceId) {
+  const liveDataIds = Array.from(window.asd.widgetStore.widgets.values())
+    .filter(el => el.dataset.service === serviceName)
+    .map(el => el.dataset.dataid)
+
+  const services = StorageManager.getServices()
+  const persistedDataIds = StorageManager.getBoards()
+    .flatMap(b => Array.isArray(b.views) ? b.views : [])
+    .flatMap(v => Array.isArray(v.widgetState) ? v.widgetState : [])
+    .filter(w => w?.serviceId
+      ? w.serviceId === serviceId
+      : findServiceByUrl(services, w?.url)?.name === serviceName)
+    .map(w => w.dataid)
+
+  return new Set([...liveDataIds, ...persistedDataIds].filter(Boolean))
+}
+
 /**
  * Removes a widget from the view and updates the layout.
  * @function removeWidget
@@ -314,15 +372,16 @@ async function removeWidget (widgetElement) {
 }
 
 /**
- * Prompts the user to enter a new URL for a widget's iframe.
+ * Prompts the user to enter a new URL for a widget.
  * @function configureWidget
- * @param {HTMLIFrameElement} iframeElement - The iframe element of the widget to configure.
+ * @param {HTMLElement} widgetElement - The widget wrapper to configure.
  * @returns {Promise<void>}
  */
-async function configureWidget (iframeElement) {
-  const newUrl = prompt('Enter new URL for the widget:', iframeElement.src)
+async function configureWidget (widgetElement) {
+  const newUrl = prompt('Enter new URL for the widget:', widgetElement.dataset.url)
   if (newUrl) {
-    iframeElement.src = newUrl
+    widgetElement.dataset.url = newUrl
+    widgetTypeOf(widgetElement).restore?.(widgetElement)
     saveWidgetState()
   }
 }
@@ -351,6 +410,52 @@ function updateWidgetOrders () {
   saveWidgetState()
 }
 
+/**
+ * Bring an existing widget element in line with a persisted widget entry,
+ * e.g. after another tab changed its size, position, order or URL.
+ * @function applyWidgetState
+ * @param {HTMLElement} widgetElement
+ * @param {import('../../types.js').Widget} widget
+ * @returns {void}
+ */
+function applyWidgetState (widgetElement, widget) {
+  const columns = String(widget.columns ?? widgetElement.dataset.columns ?? '1')
+  const rows = String(widget.rows ?? widgetElement.dataset.rows ?? '1')
+  widgetElement.dataset.columns = columns
+  widgetElement.dataset.rows = rows
+  if (widget.x != null && widget.y != null) {
+    widgetElement.dataset.x = String(widget.x)
+    widgetElement.dataset.y = String(widget.y)
+  } else {
+    delete widgetElement.dataset.x
+    delete widgetElement.dataset.y
+  }
+  applyGridPosition(widgetElement)
+
+  if (widget.order != null) {
+    widgetElement.setAttribute('data-order', String(widget.order))
+    widgetElement.style.order = String(widget.order)
+  }
+  if (widget.metadata) widgetElement.dataset.metadata = JSON.stringify(widget.metadata)
+  if (widget.settings) widgetElement.dataset.settings = JSON.stringify(widget.settings)
+  if (widget.url) widgetElement.dataset.url = widget.url
+  widgetTypeOf(widgetElement).restore?.(widgetElement)
+  updateRefreshIndicator(widgetElement)
+}
+
+/**
+ * Re-resolve the URLs of all mounted widgets after a context variable
+ * changed. The type's `restore` hook only reloads content whose resolved
+ * URL or data request actually differs.
+ * @function retargetWidgets
+ * @returns {void}
+ */
+function retargetWidgets () {
+  for (const el of window.asd.widgetStore.widgets.values()) {
+    widgetTypeOf(el).restore?.(el)
+  }
+}
+
 /**
  * Locate the board and view containing a widget id in persisted config.
  * @param {string} id
@@ -393,7 +498,10 @@ export {
   addWidget,
   removeWidget,
   updateWidgetOrders,
+  applyWidgetState,
   createWidget,
   findWidgetLocation,
-  findServiceLocation
+  retargetWidgets,
+  findServiceLocation,
+  serviceInstanceIds
 }
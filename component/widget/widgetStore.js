@@ -1,11 +1,22 @@
 // @ts-check
 /**
- * In-memory LRU store for widget DOM elements.
+ * In-memory LRU store for widget DOM elements. Hidden widgets are suspended
+ * after their idle time (see widgetSuspend.js); suspended widgets do not
+ * count toward the capacity.
  *
  * @module widgetStore
  */
 import { Logger } from '../../utils/Logger.js'
 import StorageManager from '../../storage/StorageManager.js'
+import { widgetTypeOf } from './types/registry.js'
+import { stopMonitor } from './utils/loadMonitor.js'
+import {
+  canSuspend,
+  isSuspended,
+  resumeWidget,
+  suspendIdleOf,
+  suspendWidget
+} from './utils/widgetSuspend.js'
 
 /**
  * Lightweight LRU cache storing widget elements by id.
@@ -25,6 +36,8 @@ export class WidgetStore {
     this.logger = new Logger('widgetStore.js')
     /** @private */
     this._serviceLocks = new Map() // service → ref-count
+    /** @private @type {Map<string, ReturnType<typeof setTimeout>>} */
+    this._suspendTimers = new Map()
   }
 
   /**
@@ -88,12 +101,18 @@ export class WidgetStore {
   show (id) {
     const el = this.get(id)
     if (el) {
+      this._cancelSuspend(id)
       el.style.display = ''
+      if (isSuspended(el)) {
+        resumeWidget(el)
+        this._suspendForRoom(this.maxSize)
+      }
     }
   }
 
   /**
-   * Hide a stored widget by id.
+   * Hide a stored widget by id. It is suspended once it stayed hidden for
+   * its idle time.
    *
    * @param {string} id
    * @function hide
@@ -103,7 +122,104 @@ export class WidgetStore {
     const el = this.widgets.get(id)
     if (el) {
       el.style.display = 'none'
+      this._scheduleSuspend(id, el)
+    }
+  }
+
+  /**
+   * Suspend a stored widget now, whatever its idle time.
+   *
+   * @param {string} id
+   * @function suspend
+   * @returns {boolean} Whether it was suspended.
+   */
+  suspend (id) {
+    const el = this.widgets.get(id)
+    if (!el) return false
+    this._cancelSuspend(id)
+    return suspendWidget(el)
+  }
+
+  /**
+   * Check if a stored widget is suspended.
+   *
+   * @param {string} id
+   * @function isSuspended
+   * @returns {boolean}
+   */
+  isSuspended (id) {
+    const el = this.widgets.get(id)
+    return !!el && isSuspended(el)
+  }
+
+  /**
+   * Number of widgets whose content is loaded, i.e. not suspended.
+   *
+   * @function liveCount
+   * @returns {number}
+   */
+  liveCount () {
+    let count = 0
+    for (const el of this.widgets.values()) {
+      if (!isSuspended(el)) count++
+    }
+    return count
+  }
+
+  /**
+   * @private
+   * @param {string} id
+   * @param {HTMLElement} el
+   * @function _scheduleSuspend
+   * @returns {void}
+   */
+  _scheduleSuspend (id, el) {
+    this._cancelSuspend(id)
+    const idle = suspendIdleOf(el)
+    if (!idle || !canSuspend(el) || isSuspended(el)) return
+    this._suspendTimers.set(id, setTimeout(() => {
+      this._suspendTimers.delete(id)
+      if (this.widgets.get(id) === el && el.style.display === 'none') suspendWidget(el)
+    }, idle * 1000))
+  }
+
+  /**
+   * @private
+   * @param {string} id
+   * @function _cancelSuspend
+   * @returns {void}
+   */
+  _cancelSuspend (id) {
+    clearTimeout(this._suspendTimers.get(id))
+    this._suspendTimers.delete(id)
+  }
+
+  /**
+   * Suspend hidden widgets, least recently used first, until `needed` more
+   * live widgets fit under `limit`. Widgets whose policy keeps them running
+   * are left alone.
+   *
+   * @private
+   * @param {number} limit
+   * @param {number} [needed=0]
+   * @param {Set<string>|null} [keep] - Ids about to be shown when switching
+   *   views; every other widget, visible or not, is about to be hidden.
+   * @function _suspendForRoom
+   * @returns {Array<string>} Ids of the widgets suspended.
+   */
+  _suspendForRoom (limit, needed = 0, keep = null) {
+    let live = this.liveCount()
+    const suspended = []
+    for (const [id, el] of this.widgets) {
+      if (live + needed <= limit) break
+      const leaving = keep ? !keep.has(id) : el.style.display === 'none'
+      if (!leaving || isSuspended(el) || !suspendIdleOf(el)) continue
+      if (this.suspend(id)) {
+        live--
+        suspended.push(id)
+      }
     }
+    return suspended
   }
 
   /**
@@ -165,6 +281,7 @@ export class WidgetStore {
   async evictRuntimeOnly (id) {
     const el = this.widgets.get(id)
     if (!el) return
+    this._destroy(el)
     try {
       el.remove()
     } catch {}
@@ -185,6 +302,7 @@ export class WidgetStore {
   _evict (id) {
     const el = this.widgets.get(id)
     if (el) {
+      this._destroy(el)
       try {
         el.remove()
       } catch (error) {
@@ -196,16 +314,36 @@ export class WidgetStore {
   }
 
   /**
-   * Ensure the store does not exceed its capacity.
-   * Older entries are evicted first.
+   * Let the widget type release timers or pending requests, and stop
+   * watching its frame load.
+   *
+   * @private
+   * @param {HTMLElement} el
+   * @function _destroy
+   * @returns {void}
+   */
+  _destroy (el) {
+    if (el.dataset.dataid) this._cancelSuspend(el.dataset.dataid)
+    stopMonitor(el)
+    try {
+      widgetTypeOf(el).destroy?.(el)
+    } catch (error) {
+      this.logger.error('Error destroying widget content:', error)
+    }
+  }
+
+  /**
+   * Ensure the live widgets do not exceed the capacity. Hidden widgets are
+   * suspended first, then older live entries are evicted.
    *
    * @private
    * @function _ensureLimit
    * @returns {void}
    */
   _ensureLimit () {
-    while (this.widgets.size > this.maxSize) {
-      const oldestId = this.widgets.keys().next().value
+    this._suspendForRoom(this.maxSize)
+    while (this.liveCount() > this.maxSize) {
+      const [oldestId] = Array.from(this.widgets).find(([, el]) => !isSuspended(el))
       this._evict(oldestId)
     }
   }
@@ -225,18 +363,23 @@ export class WidgetStore {
   }
 
   /**
-   * Ensure capacity before adding widgets. Prompts for eviction when full.
+   * Ensure capacity before adding or resuming widgets. Only live widgets
+   * count; hidden ones are suspended to make room before prompting for
+   * eviction when still full.
    * Evictions are RUNTIME-ONLY: persistent StorageManager is never modified.
-   * @param {number} [needed=1] Number of widgets that will be added.
+   * @param {number} [needed=1] Number of widgets that will be added or resumed.
+   * @param {Set<string>|null} [keep] Widgets of the view about to be shown. The
+   *   others are about to be hidden and may be suspended even while visible.
    * @returns {Promise<boolean>} true if we can proceed, false if user cancelled.
    */
-  async confirmCapacity (needed = 1) {
+  async confirmCapacity (needed = 1, keep = null) {
     const maxTotal = StorageManager.getConfig()?.globalSettings?.maxTotalInstances
     const allowedMax = typeof maxTotal === 'number'
       ? Math.min(this.maxSize, maxTotal)
       : this.maxSize
 
-    const overBy = this.widgets.size + needed - allowedMax
+    const suspended = this._suspendForRoom(allowedMax, needed, keep)
+    const overBy = this.liveCount() + needed - allowedMax
     if (overBy > 0) {
       // Build selection items from CURRENTLY ACTIVE widgets only (runtime, not storage).
       const items = []
@@ -262,6 +405,8 @@ export class WidgetStore {
       }
 
       for (const [id, el] of this.widgets.entries()) {
+        // Evicting a suspended widget frees nothing
+        if (isSuspended(el)) continue
         let title = null
         if (el.dataset.metadata) {
           try { title = JSON.parse(el.dataset.metadata).title || null } catch {}
@@ -294,7 +439,14 @@ export class WidgetStore {
       })
 
       // If user cancelled, DO NOT navigate or mutate anything.
-      if (!proceed) return false
+      if (!proceed) {
+        // The view stays, so its widgets suspended above come back
+        for (const id of suspended) {
+          const el = this.widgets.get(id)
+          if (el && el.style.display !== 'none') resumeWidget(el)
+        }
+        return false
+      }
     }
 
     return true
@@ -0,0 +1,185 @@
+// @ts-check
+/**
+ * Duplicate a widget in its view, or move or copy it to another board view.
+ * Settings and metadata travel with it; free-layout positions do not, the
+ * target view places it in its first free cell.
+ *
+ * A move keeps the widget element mounted but hidden, so its frame is
+ * already loaded when the target view is opened.
+ *
+ * @module widgetTransfer
+ */
+import { addWidget, updateWidgetOrders, serviceInstanceIds } from './widgetManagement.js'
+import { widgetStore } from './widgetStore.js'
+import { applyGridPosition } from './utils/gridLayout.js'
+import { widgetName } from './events/keyboardNav.js'
+import { markViewSynced, saveWidgetState, serializeWidgetState } from '../../storage/widgetStatePersister.js'
+import StorageManager from '../../storage/StorageManager.js'
+import { resolveServiceConfig } from '../../utils/serviceUtils.js'
+import { getCurrentBoardId, getCurrentViewId } from '../../utils/elements.js'
+import { widgetGetUUID } from '../../utils/id.js'
+import { showNotification } from '../dialog/notification.js'
+import { EVENTS, emit } from '../../utils/eventBus.js'
+import { Logger } from '../../utils/Logger.js'
+
+const logger = new Logger('widgetTransfer.js')
+
+/** @typedef {import('../../types.js').Widget} Widget */
+
+/**
+ * Add a copy of a widget to its own view. `addWidget` enforces the
+ * service's `maxInstances` and the store capacity.
+ *
+ * @function duplicateWidget
+ * @param {HTMLElement} el
+ * @returns {Promise<void>}
+ */
+export async function duplicateWidget (el) {
+  const widget = serializeWidgetState(el)
+  await addWidget(
+    widget.url,
+    Number(widget.columns),
+    Number(widget.rows),
+    widget.type,
+    getCurrentBoardId(),
+    getCurrentViewId(),
+    null,
+    {
+      settings: structuredClone(widget.settings),
+      metadata: structuredClone(widget.metadata),
+      security: widget.security && structuredClone(widget.security)
+    }
+  )
+  emit(EVENTS.STATE_CHANGE, { reason: 'services' })
+}
+
+/**
+ * Why widgets cannot go to a view, or null when they can.
+ *
+ * @function transferBlocker
+ * @param {Array<HTMLElement>} els
+ * @param {import('../../types.js').View} target
+ * @param {boolean} copy
+ * @returns {string|null}
+ */
+function transferBlocker (els, target, copy) {
+  if (copy) {
+    /** @type {Map<string, Array<HTMLElement>>} */
+    const byService = new Map()
+    for (const el of els) {
+      const name = el.dataset.service || ''
+      byService.set(name, [...(byService.get(name) || []), el])
+    }
+    for (const [serviceName, copies] of byService) {
+      const service = resolveServiceConfig(StorageManager.getServices().find(s => s.name === serviceName) || {})
+      const limit = service.maxInstances
+      const existing = serviceInstanceIds(serviceName, copies[0].dataset.serviceId).size
+      if (typeof limit === 'number' && limit > 0 && existing + copies.length > limit) {
+        return `Cannot copy: limit (${limit}) reached for "${serviceName}".`
+      }
+    }
+  }
+  // Opening the view mounts all of its widgets at once
+  const maxTotal = StorageManager.getConfig()?.globalSettings?.maxTotalInstances
+  if (typeof maxTotal === 'number' && (target.widgetState || []).length + els.length > maxTotal) {
+    return `Cannot ${copy ? 'copy' : 'move'}: "${target.name}" can hold at most ${maxTotal} widgets.`
+  }
+  return null
+}
+
+/**
+ * Move or copy widgets of the current view to another view, updating both
+ * views in one boards write. Targeting their own view duplicates them for
+ * a copy and does nothing for a move.
+ *
+ * @function transferWidgets
+ * @param {Array<HTMLElement>} els - In the order they should be added.
+ * @param {{boardId:string, viewId:string}} target
+ * @param {{copy?:boolean}} [opts]
+ * @returns {Promise<boolean>} Whether the widgets were moved or copied.
+ */
+export async function transferWidgets (els, { boardId, viewId }, { copy = false } = {}) {
+  if (!els.length) return false
+  const sourceViewId = getCurrentViewId()
+  if (viewId === sourceViewId) {
+    if (!copy) return false
+    for (const el of els) await duplicateWidget(el)
+    return true
+  }
+
+  const targetBoard = StorageManager.getBoards().find(b => b.id === boardId)
+  const targetView = targetBoard?.views.find(v => v.id === viewId)
+  if (!targetBoard || !targetView) {
+    logger.error('Target view not found:', { boardId, viewId })
+    return false
+  }
+
+  const blocker = transferBlocker(els, targetView, copy)
+  if (blocker) {
+    showNotification(blocker, 3000, 'error')
+    return false
+  }
+
+  // Store unsaved edits of the widgets before taking them over
+  saveWidgetState()
+  /** @type {Array<Widget>} */
+  const entries = els.map(el => {
+    const { x, y, ...widget } = serializeWidgetState(el)
+    return { ...structuredClone(widget), dataid: copy ? widgetGetUUID() : widget.dataid }
+  })
+  const movedIds = new Set(els.map(el => el.dataset.dataid))
+
+  let done = false
+  StorageManager.updateBoards(boards => {
+    const views = boards.flatMap(b => b.views || [])
+    const source = views.find(v => v.id === sourceViewId)
+    const target = views.find(v => v.id === viewId)
+    if (!source || !target) return
+
+    if (!copy) {
+      source.widgetState = (source.widgetState || [])
+        .filter(w => !movedIds.has(w.dataid))
+        .map((w, index) => ({ ...w, order: String(index) }))
+      for (const [breakpoint, layout] of Object.entries(source.layouts || {})) {
+        source.layouts[breakpoint] = layout.filter(e => !movedIds.has(e.dataid))
+      }
+    }
+    const offset = (target.widgetState || []).length
+    entries.forEach((entry, index) => { entry.order = String(offset + index) })
+    target.widgetState = [...(target.widgetState || []), ...entries]
+    done = true
+  })
+  if (!done) return false
+
+  if (!copy) {
+    // The source view changed here, not in another tab
+    markViewSynced(sourceViewId)
+    els.forEach((el, index) => {
+      widgetStore.hide(el.dataset.dataid)
+      delete el.dataset.x
+      delete el.dataset.y
+      el.dataset.order = entries[index].order
+      el.style.order = entries[index].order
+      applyGridPosition(el)
+    })
+    updateWidgetOrders()
+  }
+
+  const what = els.length === 1 ? `"${widgetName(els[0])}"` : `${els.length} widgets`
+  showNotification(`${copy ? 'Copied' : 'Moved'} ${what} to ${targetBoard.name} / ${targetView.name}.`, 3000, 'success')
+  emit(EVENTS.STATE_CHANGE, { reason: 'services' })
+  return true
+}
+
+/**
+ * Move or copy one widget, see {@link transferWidgets}.
+ *
+ * @function transferWidget
+ * @param {HTMLElement} el
+ * @param {{boardId:string, viewId:string}} target
+ * @param {{copy?:boolean}} [opts]
+ * @returns {Promise<boolean>}
+ */
+export function transferWidget (el, target, opts) {
+  return transferWidgets([el], target, opts)
+}
@@ -0,0 +1,277 @@
+// @ts-check
+/**
+ * Versioned API for host pages and browser extensions, exposed on
+ * `window.asd`. Methods validate their input and return promises that
+ * reject with a `TypeError` for malformed arguments and an `Error` for
+ * unknown boards, views or widgets. `on` and `registerWidgetType` are
+ * synchronous; `on` returns the unsubscribe function right away.
+ *
+ * @example
+ * await window.asd.ready()
+ * const id = await window.asd.addWidget({ url: 'https://example.com' })
+ * const off = window.asd.on('appStateChanged', ({ reason }) => console.log(reason))
+ *
+ * @module publicApi
+ */
+import StorageManager, { CURRENT_VERSION } from '../storage/StorageManager.js'
+import { upgradeConfig, upgradeServices } from '../storage/migrations.js'
+import { autosaveIfPresent } from '../storage/snapshots.js'
+import {
+  switchBoard as showBoard,
+  switchView as showView,
+  reconcileWithStorage
+} from '../component/board/boardManagement.js'
+import {
+  addWidget as mountWidget,
+  removeWidget as unmountWidget,
+  findWidgetLocation
+} from '../component/widget/widgetManagement.js'
+import { widgetStore } from '../component/widget/widgetStore.js'
+import { registerWidgetType, hasWidgetType } from '../component/widget/types/registry.js'
+import { getCurrentBoardId, getCurrentViewId } from '../utils/elements.js'
+import { mergeBoards, mergeServices } from '../utils/merge.js'
+import { EVENTS, on, once } from '../utils/eventBus.js'
+import { Logger } from '../utils/Logger.js'
+
+/** @typedef {import('../types.js').DashboardConfig} DashboardConfig */
+/** @typedef {import('../types.js').Service} Service */
+/** @typedef {import('../types.js').Widget} Widget */
+/** @typedef {import('../utils/eventBus.js').EventName} EventName */
+
+/**
+ * @typedef {Object} AddWidgetOptions
+ * @property {string} url - Absolute URL of the service to embed.
+ * @property {number} [columns]
+ * @property {number} [rows]
+ * @property {string} [boardId] - Defaults to the current board.
+ * @property {string} [viewId] - Defaults to the current view, or the first view of `boardId`.
+ * @property {string} [type] - Registered widget type; defaults to the service's type or `iframe`.
+ */
+
+/**
+ * @typedef {Object} DashboardState
+ * @property {number} version - API version.
+ * @property {string|null} boardId
+ * @property {string|null} viewId
+ * @property {Array<{id:string, name:string, views:Array<{id:string, name:string, widgetCount:number}>}>} boards
+ * @property {Array<Widget>} widgets - Widgets of the current view.
+ */
+
+/**
+ * @typedef {Object} PublicApi
+ * @property {number} version
+ * @property {() => Promise<void>} ready
+ * @property {(opts:AddWidgetOptions) => Promise<string>} addWidget
+ * @property {(dataid:string) => Promise<void>} removeWidget
+ * @property {(boardId:string, viewId?:string) => Promise<void>} switchBoard
+ * @property {(boardId:string, viewId:string) => Promise<void>} switchView
+ * @property {(data:{config?:any, services?:any}, opts?:{merge?:boolean}) => Promise<void>} importConfig
+ * @property {() => Promise<{version:number, config:DashboardConfig, services:Array<Service>}>} exportConfig
+ * @property {() => Promise<DashboardState>} getState
+ * @property {(event:EventName, handler:(detail:any) => void) => (() => void)} on
+ * @property {(type:import('../component/widget/types/registry.js').WidgetType) => void} registerWidgetType
+ */
+
+/** Bumped on breaking changes to the methods below. */
+export const API_VERSION = 1
+
+const logger = new Logger('publicApi.js')
+
+let isReady = false
+once(EVENTS.MAIN_READY, () => { isReady = true })
+
+/**
+ * @function requireString
+ * @param {any} value
+ * @param {string} name
+ * @returns {void}
+ */
+function requireString (value, name) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new TypeError(`${name} must be a non-empty string`)
+  }
+}
+
+/**
+ * @function requireSize
+ * @param {any} value
+ * @param {string} name
+ * @returns {void}
+ */
+function requireSize (value, name) {
+  if (value !== undefined && !(Number.isInteger(value) && value > 0)) {
+    throw new TypeError(`${name} must be a positive integer`)
+  }
+}
+
+/**
+ * Look up a board and one of its views.
+ * @function resolveView
+ * @param {string} [boardId] - Defaults to the current board.
+ * @param {string} [viewId] - Defaults to the current view when on that board, else the first view.
+ * @returns {{boardId:string, viewId:string}}
+ */
+function resolveView (boardId, viewId) {
+  const currentBoard = getCurrentBoardId() || null
+  const board = StorageManager.getBoards().find(b => b.id === (boardId || currentBoard))
+  if (!board) throw new Error(`Unknown board: ${boardId || '(none selected)'}`)
+  const wanted = viewId || (board.id === currentBoard ? getCurrentViewId() : board.views[0]?.id)
+  const view = board.views.find(v => v.id === wanted)
+  if (!view) throw new Error(`Unknown view: ${wanted || '(board has no views)'}`)
+  return { boardId: board.id, viewId: view.id }
+}
+
+/**
+ * Show a view, switching board if needed.
+ * @function open
+ * @param {{boardId:string, viewId:string}} target
+ * @returns {Promise<void>}
+ */
+async function open ({ boardId, viewId }) {
+  if (boardId === getCurrentBoardId() && viewId === getCurrentViewId()) return
+  if (boardId === getCurrentBoardId()) await showView(boardId, viewId)
+  else await showBoard(boardId, viewId)
+}
+
+/**
+ * Wrap a method so that validation errors become rejected promises.
+ * @function method
+ * @template {any[]} A
+ * @template R
+ * @param {string} name
+ * @param {(...args:A) => Promise<R>|R} fn
+ * @returns {(...args:A) => Promise<R>}
+ */
+function method (name, fn) {
+  return async (...args) => {
+    logger.log(`asd.${name}`, ...args)
+    return fn(...args)
+  }
+}
+
+/**
+ * Build the public API object.
+ *
+ * @function createPublicApi
+ * @returns {PublicApi}
+ */
+export function createPublicApi () {
+  return Object.freeze({
+    version: API_VERSION,
+
+    ready: () => isReady
+      ? Promise.resolve()
+      : new Promise(resolve => once(EVENTS.MAIN_READY, () => resolve())),
+
+    addWidget: method('addWidget', async (opts) => {
+      const { url, columns, rows, boardId, viewId, type = 'iframe' } = opts || /** @type {AddWidgetOptions} */({})
+      requireString(url, 'url')
+      if (!URL.canParse(url)) throw new TypeError('url must be an absolute URL')
+      requireSize(columns, 'columns')
+      requireSize(rows, 'rows')
+      requireString(type, 'type')
+      if (!hasWidgetType(type)) throw new TypeError(`Unknown widget type: ${type}`)
+
+      const target = resolveView(boardId, viewId)
+      await open(target)
+      const before = new Set(widgetStore.widgets.keys())
+      await mountWidget(url, columns, rows, type, target.boardId, target.viewId)
+      const added = Array.from(widgetStore.widgets.keys()).find(id => !before.has(id))
+      if (!added) throw new Error('Widget was not added: instance limit reached or capacity prompt declined')
+      return added
+    }),
+
+    removeWidget: method('removeWidget', async (dataid) => {
+      requireString(dataid, 'dataid')
+      const location = findWidgetLocation(dataid)
+      if (!location) throw new Error(`Unknown widget: ${dataid}`)
+
+      const el = widgetStore.widgets.get(dataid)
+      if (el && el.isConnected && location.boardId === getCurrentBoardId() && location.viewId === getCurrentViewId()) {
+        await unmountWidget(el)
+        return
+      }
+      // Not on screen: drop it from storage and from the runtime cache
+      await widgetStore.evictRuntimeOnly(dataid)
+      StorageManager.updateBoards(boards => {
+        const view = boards.find(b => b.id === location.boardId)?.views.find(v => v.id === location.viewId)
+        if (view) view.widgetState = view.widgetState.filter(w => w.dataid !== dataid)
+      })
+    }),
+
+    switchBoard: method('switchBoard', async (boardId, viewId) => {
+      requireString(boardId, 'boardId')
+      if (viewId !== undefined) requireString(viewId, 'viewId')
+      await open(resolveView(boardId, viewId))
+    }),
+
+    switchView: method('switchView', async (boardId, viewId) => {
+      requireString(boardId, 'boardId')
+      requireString(viewId, 'viewId')
+      await open(resolveView(boardId, viewId))
+    }),
+
+    importConfig: method('importConfig', async (data, { merge = false } = {}) => {
+      if (!data || typeof data !== 'object' || (!('config' in data) && !('services' in data))) {
+        throw new TypeError('importConfig expects { config?, services? }')
+      }
+      const config = 'config' in data ? upgradeConfig(data.config) : null
+      if ('config' in data && (!config || !Array.isArray(config.boards ?? []))) {
+        throw new TypeError('config must be a dashboard config object')
+      }
+      const services = 'services' in data ? upgradeServices(data.services) : null
+      if ('services' in data && !services) {
+        throw new TypeError('services must be an array')
+      }
+
+      await autosaveIfPresent()
+      if (config) {
+        if (merge) {
+          const current = StorageManager.getConfig()
+          config.boards = mergeBoards(current.boards || [], config.boards || [])
+        }
+        StorageManager.setConfig(config)
+      }
+      if (services) {
+        StorageManager.setServices(merge ? mergeServices(StorageManager.getServices(), services) : services)
+      }
+      await StorageManager.flush()
+      await reconcileWithStorage()
+    }),
+
+    exportConfig: method('exportConfig', async () => ({
+      version: CURRENT_VERSION,
+      config: structuredClone(StorageManager.getConfig()),
+      services: structuredClone(StorageManager.getServices())
+    })),
+
+    getState: method('getState', async () => {
+      const boards = StorageManager.getBoards()
+      const boardId = getCurrentBoardId() || null
+      const viewId = getCurrentViewId() || null
+      const view = boards.find(b => b.id === boardId)?.views.find(v => v.id === viewId)
+      return {
+        version: API_VERSION,
+        boardId,
+        viewId,
+        boards: boards.map(b => ({
+          id: b.id,
+          name: b.name,
+          views: b.views.map(v => ({ id: v.id, name: v.name, widgetCount: (v.widgetState || []).length }))
+        })),
+        widgets: structuredClone(view?.widgetState || [])
+      }
+    }),
+
+    on: (event, handler) => {
+      if (!Object.values(EVENTS).includes(event)) throw new TypeError(`Unknown event: ${event}`)
+      if (typeof handler !== 'function') throw new TypeError('handler must be a function')
+      return on(event, handler)
+    },
+
+    registerWidgetType: (type) => {
+      logger.log('asd.registerWidgetType', type?.name)
+      registerWidgetType(type)
+    }
+  })
+}
@@ -8,9 +8,12 @@ declare global {
       currentBoardId: string | null;
       currentViewId: string | null;
       widgetStore: import('./component/widget/widgetStore.js').WidgetStore;
-    };
+    } & import('./flows/publicApi.js').PublicApi;
     _appLogs?: import('./types.js').LoggerEntry[];
 
+    /** Defined by widget-client.js inside widget frames, not on the dashboard */
+    asdWidget?: Readonly<Record<string, any>>;
+
     /** Test-only hook to open the widget selector panel */
     __openWidgetPanel?: () => void;
   }
@@ -6,10 +6,13 @@
  * @module main
  */
 import { initializeMainMenu, applyControlVisibility } from './component/menu/menu.js'
-import { initializeBoards, switchBoard, updateBoardSelector, updateViewSelector } from './component/board/boardManagement.js'
+import { initializeBoards, switchBoard, updateBoardSelector, updateViewSelector, reconcileWithStorage } from './component/board/boardManagement.js'
 import { getCurrentBoardId } from './utils/elements.js'
 import { initializeDashboardMenu, applyWidgetMenuVisibility } from './component/menu/dashboardMenu.js'
 import { initializeDragAndDrop } from './component/widget/events/dragDrop.js'
+import { initializeKeyboardNav } from './component/widget/events/keyboardNav.js'
+import { initializeWidgetSelection } from './component/widget/events/widgetSelection.js'
+import { initializeBulkActionBar } from './component/widget/menu/bulkActionBar.js'
 import { fetchServices } from './utils/fetchServices.js'
 import { getConfig } from './utils/getConfig.js'
 import { openConfigModal } from './component/modal/configModal.js'
@@ -19,22 +22,38 @@ import { loadFromFragment } from './utils/fragmentLoader.js'
 import { Logger } from './utils/Logger.js'
 import { widgetStore } from './component/widget/widgetStore.js'
 import { debounce, debounceLeading } from './utils/utils.js'
-import StorageManager, { APP_STATE_CHANGED } from './storage/StorageManager.js'
+import StorageManager from './storage/StorageManager.js'
+import { EVENTS, emit, on, traceEvents } from './utils/eventBus.js'
 import { runSilentImportFlowIfRequested } from './flows/silentImportFlow.js'
 import { initThemeFromConfig } from './ui/theme.js'
 
 import { mountServiceControl } from './component/service/ServiceControl.js'
+import { mountContextBar } from './component/context/ContextBar.js'
+import { retargetWidgets } from './component/widget/widgetManagement.js'
+import { showNotification } from './component/dialog/notification.js'
+import { openQuotaModal } from './component/modal/quotaModal.js'
+import { promptUnlock } from './component/modal/encryptionModal.js'
+import { openSyncConflictModal } from './component/modal/syncConflictModal.js'
+import { startRemoteSync } from './storage/remoteSync.js'
+import { createPublicApi } from './flows/publicApi.js'
+import { startRefreshScheduler } from './component/widget/refreshScheduler.js'
+import { watchBreakpoints } from './component/widget/utils/responsiveLayout.js'
 
 const logger = new Logger('main.js')
 Logger.enableLogs('all')
 
-// Global state container
+// Trace every bus event; enable just these with the `log` setting 'eventBus'
+const eventLogger = new Logger('eventBus.js')
+traceEvents((name, detail) => eventLogger.log(name, detail ?? ''))
+
+// Global state container, plus the public API for host pages (see flows/publicApi.js)
 window.asd = {
   services: [],
   config: {},
   currentBoardId: null,
   currentViewId: null,
-  widgetStore
+  widgetStore,
+  ...createPublicApi()
 }
 
 window.addEventListener('hashchange', () => loadFromFragment(false))
@@ -46,6 +65,10 @@ window.addEventListener('hashchange', () => loadFromFragment(false))
 async function main () {
   logger.log('Application initialization started')
 
+  // 0. Open the persistence backend selected by globalSettings.database
+  await StorageManager.init()
+  if (StorageManager.encryption.isLocked()) await promptUnlock()
+
   // 1. Handle configuration from URL fragment first
   const params = new URLSearchParams(location.search)
   const force = params.get('force') === 'true'
@@ -60,7 +83,12 @@ async function main () {
   const boardPanel = mountBoardControl()
   const viewPanel = mountViewControl()
   const servicePanel = mountServiceControl()
+  mountContextBar()
   initializeDragAndDrop()
+  initializeKeyboardNav()
+  initializeWidgetSelection()
+  initializeBulkActionBar()
+  watchBreakpoints()
 
   // 3. Load services and configuration in parallel
   /** @type {import('./types.js').DashboardConfig} */
@@ -124,8 +152,9 @@ async function main () {
     .addEventListener('click', /** @type {EventListener} */(handleConfigModal))
 
   // ACTIVE EVENT LISTENER ---
-  const onStateChange = (event) => {
-    const { reason } = event.detail || {}
+  /** @param {import('./utils/eventBus.js').AppStateDetail} detail */
+  const onStateChange = (detail) => {
+    const { reason } = detail || {}
     logger.log(`[Event Listener] Reacting to state change. Reason: ${reason || 'unknown'}`)
 
     const currentBoardId = getCurrentBoardId()
@@ -148,12 +177,52 @@ async function main () {
   }
 
   const debouncedUiUpdater = debounce(onStateChange, 150)
-  window.addEventListener(APP_STATE_CHANGED, /** @type {EventListener} */(debouncedUiUpdater))
+  on(EVENTS.APP_STATE_CHANGED, debouncedUiUpdater)
+
+  // Changes made in another tab, edit conflicts and quota errors get their
+  // own listener so the shared debounce above cannot swallow them.
+  const onExternalChange = async () => {
+    logger.log('[Event Listener] Reconciling with changes from another tab')
+    await reconcileWithStorage()
+    const boardId = getCurrentBoardId()
+    updateBoardSelector()
+    if (boardId) updateViewSelector(boardId)
+    boardPanel?.refresh()
+    viewPanel?.refresh()
+    servicePanel?.refresh()
+  }
+  const debouncedExternalChange = debounce(onExternalChange, 150)
+  on(EVENTS.APP_STATE_CHANGED, ({ reason, key, bytes, viewName, snapshot }) => {
+    if (reason === 'external' && (key === 'config' || key === 'services')) {
+      debouncedExternalChange()
+    } else if (reason === 'conflict') {
+      showNotification(`⚠️ "${viewName}" was also changed in another tab. Your edit was kept; the other version is saved as snapshot "${snapshot}".`, 8000, 'error')
+    } else if (reason === 'quota') {
+      openQuotaModal({ key, bytes })
+    } else if (reason === 'write-failed') {
+      showNotification('Saving failed, the last change was undone', 5000, 'error')
+      if (key === 'config' || key === 'services') debouncedExternalChange()
+    } else if (reason === 'sync-conflict') {
+      openSyncConflictModal()
+    }
+  })
+
+  // Widgets with {{ctx.name}} in their URL follow the context variables
+  on(EVENTS.CONTEXT_CHANGED, () => retargetWidgets())
+
+  // Reload widgets with settings.autoRefresh on their interval
+  startRefreshScheduler()
+
+  // Share the config through globalSettings.remoteSync.url, if configured
+  startRemoteSync()
   logger.log('Active event listener for state changes has been initialized.')
 
+  // Writes made while loading are not user edits
+  StorageManager.history.clear()
+
   logger.log('Application initialization finished')
   // Signal to Playwright that the initial load and render is complete.
-  document.dispatchEvent(new Event('main:ready'))
+  emit(EVENTS.MAIN_READY)
   document.body.dataset.ready = 'true'
 }
 
@@ -0,0 +1,93 @@
+// @ts-check
+/**
+ * Dashboard context variables that link widgets: a widget URL such as
+ * `https://term.example/attach/{{ctx.container}}` follows whatever the
+ * `container` variable is set to, from the context bar or from another
+ * widget over the message protocol.
+ *
+ * Stored URLs keep the template; the resolved URL only exists at runtime.
+ * Values are kept in localStorage so a reload shows the same targets.
+ *
+ * @module contextVars
+ */
+import StorageManager from '../storage/StorageManager.js'
+import { EVENTS, emit } from '../utils/eventBus.js'
+
+const STORAGE_KEY = 'contextVars'
+const NAME = /^[A-Za-z_][\w-]{0,49}$/
+const MAX_VALUE_LENGTH = 1000
+const PLACEHOLDER = /\{\{\s*ctx\.([A-Za-z_][\w-]*)\s*\}\}/g
+
+/** @type {Record<string, string>|null} */
+let cache = null
+
+/**
+ * Current values of all context variables.
+ *
+ * @function getContext
+ * @returns {Record<string, string>}
+ */
+export function getContext () {
+  if (!cache) {
+    try {
+      const stored = JSON.parse(StorageManager.misc.getItem(STORAGE_KEY) || '{}')
+      cache = stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {}
+    } catch {
+      cache = {}
+    }
+  }
+  return { ...cache }
+}
+
+/**
+ * Set (or clear, with an empty value) a context variable and notify
+ * listeners when it changed.
+ *
+ * @function setContextVar
+ * @param {string} name
+ * @param {string|number} value
+ * @returns {void}
+ * @throws {TypeError} For invalid names or values.
+ */
+export function setContextVar (name, value) {
+  if (typeof name !== 'string' || !NAME.test(name)) {
+    throw new TypeError('Context variable names start with a letter or _ and use at most 50 letters, digits, _ or -')
+  }
+  if (typeof value === 'number') value = String(value)
+  if (typeof value !== 'string' || value.length > MAX_VALUE_LENGTH) {
+    throw new TypeError(`Context values must be strings of at most ${MAX_VALUE_LENGTH} characters`)
+  }
+  const context = getContext()
+  if ((context[name] ?? '') === value) return
+  if (value) context[name] = value
+  else delete context[name]
+  cache = context
+  StorageManager.misc.setItem(STORAGE_KEY, JSON.stringify(context))
+  emit(EVENTS.CONTEXT_CHANGED, { name, value })
+}
+
+/**
+ * Names of the context variables a template refers to.
+ *
+ * @function templateVars
+ * @param {string|undefined} template
+ * @returns {Array<string>}
+ */
+export function templateVars (template) {
+  if (!template) return []
+  return Array.from(new Set(Array.from(template.matchAll(PLACEHOLDER), m => m[1])))
+}
+
+/**
+ * Replace `{{ctx.name}}` placeholders with the URL-encoded values. Unset
+ * variables resolve to an empty string.
+ *
+ * @function resolveTemplate
+ * @param {string} template
+ * @returns {string}
+ */
+export function resolveTemplate (template) {
+  if (!template || !template.includes('{{')) return template
+  const context = getContext()
+  return template.replace(PLACEHOLDER, (_, name) => encodeURIComponent(context[name] ?? ''))
+}
@@ -4,6 +4,7 @@
  *
  * @module uiState
  */
+import { EVENTS, emit, on } from '../utils/eventBus.js'
 
 /** @typedef {{jsonMode:boolean, advancedMode:boolean}} UIState */
 
@@ -30,19 +31,17 @@ export function isJsonMode () {
 export function setJsonMode (value) {
   if (state.jsonMode === value) return
   state.jsonMode = value
-  document.dispatchEvent(new CustomEvent('ui:json-mode', { detail: value }))
+  emit(EVENTS.JSON_MODE, value)
 }
 
 /**
  * Subscribe to JSON mode changes.
  *
  * @param {(value:boolean)=>void} handler
- * @returns {void}
+ * @returns {() => void} Unsubscribe.
  */
 export function onJsonModeChange (handler) {
-  document.addEventListener('ui:json-mode', e => {
-    handler((/** @type {CustomEvent<boolean>} */(e)).detail)
-  })
+  return on(EVENTS.JSON_MODE, handler)
 }
 
 /**
@@ -63,17 +62,15 @@ export function isAdvancedMode () {
 export function setAdvancedMode (value) {
   if (state.advancedMode === value) return
   state.advancedMode = value
-  document.dispatchEvent(new CustomEvent('ui:advanced-mode', { detail: value }))
+  emit(EVENTS.ADVANCED_MODE, value)
 }
 
 /**
  * Subscribe to advanced mode changes.
  *
  * @param {(value:boolean)=>void} handler
- * @returns {void}
+ * @returns {() => void} Unsubscribe.
  */
 export function onAdvancedModeChange (handler) {
-  document.addEventListener('ui:advanced-mode', e => {
-    handler((/** @type {CustomEvent<boolean>} */(e)).detail)
-  })
+  return on(EVENTS.ADVANCED_MODE, handler)
 }
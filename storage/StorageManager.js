@@ -9,18 +9,42 @@ import { md5Hex } from '../utils/hash.js'
 import { DEFAULT_CONFIG_TEMPLATE } from './defaultConfig.js'
 import { deepMerge } from '../utils/objectUtils.js'
 import { serviceGetUUID } from '../utils/id.js'
+import { getUUID } from '../utils/utils.js'
+import { localStorageBackend } from './backends/localStorageBackend.js'
+import { indexedDBBackend } from './backends/indexedDBBackend.js'
+import { LATEST_VERSION, readVersioned, migrateConfig, migrateServices, migrateStateStore } from './migrations.js'
+import { gzipJsonToBase64url } from '../utils/compression.js'
+import { createEncryptedBackend } from './backends/encryptedBackend.js'
+import { createEncryption, openEncryption, encryptString, decryptString } from './crypto.js'
+import { EVENTS, emit } from '../utils/eventBus.js'
+import { syncedViewState, viewStates } from './syncedViews.js'
+import { Logger } from '../utils/Logger.js'
+
+/** @type {Logger|null} */
+let logger = null
+
+/**
+ * Logger of this module, created on first use: Logger reads its settings
+ * through StorageManager, which is not ready while the modules load.
+ * @function getLogger
+ * @returns {Logger}
+ */
+function getLogger () {
+  return (logger ??= new Logger('StorageManager.js'))
+}
 
 /**
  * CURRENT_VERSION for stored data schema.
  * @constant {number}
  */
-export const CURRENT_VERSION = 1
+export const CURRENT_VERSION = LATEST_VERSION
 
 /**
- * Custom event dispatched whenever the application state changes.
+ * Event dispatched whenever the stored state changes. Alias of
+ * `EVENTS.APP_STATE_CHANGED`; the reasons are documented in the event bus.
  * @constant {string}
  */
-export const APP_STATE_CHANGED = 'appStateChanged'
+export const APP_STATE_CHANGED = EVENTS.APP_STATE_CHANGED
 
 const KEYS = {
   CONFIG: 'config',
@@ -28,9 +52,110 @@ const KEYS = {
   SERVICES: 'services',
   STATES: 'asd-dashboard-state',
   LAST_BOARD: 'lastUsedBoardId',
-  LAST_VIEW: 'lastUsedViewId'
+  LAST_VIEW: 'lastUsedViewId',
+  BACKEND: 'storageBackend',
+  ENCRYPTION: 'storageEncryption',
+  CREDENTIALS: 'credentials'
 }
 
+/**
+ * Keys routed through the active backend. Everything else (last used ids,
+ * UI preferences, log flags, the legacy `boards` key) stays in localStorage so
+ * it is readable before the backend has been initialized.
+ */
+const DATA_KEYS = [KEYS.CONFIG, KEYS.SERVICES, KEYS.STATES, KEYS.CREDENTIALS]
+
+/** @type {Record<import('../types.js').StorageBackendName, import('../types.js').StorageBackend>} */
+const BACKENDS = {
+  localStorage: localStorageBackend,
+  indexedDB: indexedDBBackend
+}
+
+/** @type {import('../types.js').StorageBackend} */
+let backend = localStorageBackend
+
+/** Key for the encrypted backend wrapper; null while encryption is off or locked. */
+/** @type {CryptoKey|null} */
+let cryptoKey = null
+/** True when stored data is encrypted and no passphrase was entered yet. */
+let locked = false
+
+/** Nominal localStorage quota per origin, used when the browser gives no estimate. */
+const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024
+
+/**
+ * Last write rejected for exceeding the quota, kept so it can be retried
+ * once space was freed.
+ * @type {{key:string,value:string}|null}
+ */
+let blockedWrite = null
+
+/** Maximum number of undo steps kept in memory. */
+const HISTORY_LIMIT = 50
+/** Config writes closer together than this (ms) form a single undo step. */
+const HISTORY_COALESCE_MS = 400
+
+/**
+ * Undo/redo stacks holding serialized config envelopes as they were before
+ * (undo) or after (redo) each recorded change. Kept in memory per tab.
+ */
+const history = {
+  /** @type {string[]} */
+  undo: [],
+  /** @type {string[]} */
+  redo: [],
+  lastRecordedAt: 0,
+  paused: 0
+}
+
+/**
+ * Record a config change for undo. Writes that follow each other quickly
+ * (e.g. a widget drop that also renumbers the view) share one step.
+ * @function recordHistory
+ * @param {string|null} before - Serialized config prior to the write.
+ * @returns {void}
+ */
+function recordHistory (before) {
+  if (history.paused > 0 || before === null || before === backend.getItem(KEYS.CONFIG)) return
+  const now = Date.now()
+  if (now - history.lastRecordedAt > HISTORY_COALESCE_MS || history.undo.length === 0) {
+    history.undo.push(before)
+    if (history.undo.length > HISTORY_LIMIT) history.undo.shift()
+  }
+  history.lastRecordedAt = now
+  history.redo.length = 0
+}
+
+/**
+ * Move one step from `from` to `to`, skipping entries identical to the
+ * current config, and write the restored config.
+ * @function stepHistory
+ * @param {string[]} from
+ * @param {string[]} to
+ * @returns {boolean} Whether a config was restored.
+ */
+function stepHistory (from, to) {
+  const current = backend.getItem(KEYS.CONFIG)
+  let target = from.pop()
+  while (target !== undefined && target === current) target = from.pop()
+  if (target === undefined) return false
+  history.lastRecordedAt = 0
+  if (!jsonSet(KEYS.CONFIG, JSON.parse(target))) {
+    from.push(target)
+    return false
+  }
+  if (current !== null) to.push(current)
+  emit(EVENTS.APP_STATE_CHANGED, { reason: 'config' })
+  return true
+}
+
+/** Name of the BroadcastChannel used to tell other tabs about writes. */
+const SYNC_CHANNEL = 'asd-dashboard-sync'
+/** Identifies this tab so it ignores its own broadcasts. */
+const TAB_ID = getUUID()
+/** @type {BroadcastChannel|null} */
+let channel = null
+
 /**
  * Merge user-supplied config with defaults.
  * Ensures globalSettings, boards, and other top-level keys always exist.
@@ -46,14 +171,14 @@ function mergeWithDefaults (userConfig = {}) {
 }
 
 /**
- * Read and parse JSON value from localStorage.
+ * Read and parse JSON value from the active backend.
  * @function jsonGet
  * @param {string} key
  * @param {any|null} [fallback=null]
  * @returns {any}
  */
 function jsonGet (key, fallback = null) {
-  const value = localStorage.getItem(key)
+  const value = backend.getItem(key)
   if (!value) return fallback
   try {
     return JSON.parse(value)
@@ -63,18 +188,267 @@ function jsonGet (key, fallback = null) {
 }
 
 /**
- * Stringify and store value in localStorage.
+ * Stringify and store value in the active backend.
+ * When the quota is exceeded the value is kept as the blocked write and a
+ * 'quota' state change is dispatched, instead of throwing. Asynchronous
+ * backends (IndexedDB, encryption) fail after this returned true: they put
+ * the previous value back and {@link writeFailed} reports it.
  * @function jsonSet
  * @param {string} key
  * @param {any} obj
- * @returns {void}
+ * @returns {boolean} False when the write hit the storage quota.
  */
 function jsonSet (key, obj) {
-  if (obj === undefined || obj === null) {
-    localStorage.removeItem(key)
+  const value = obj === undefined || obj === null ? null : JSON.stringify(obj)
+  const previous = backend.getItem(key)
+  if (value === previous && blockedWrite?.key !== key) return true
+  if (value === null) {
+    backend.removeItem(key)?.catch(error => writeFailed(key, value, previous, error))
   } else {
-    localStorage.setItem(key, JSON.stringify(obj))
+    try {
+      backend.setItem(key, value)?.catch(error => writeFailed(key, value, previous, error))
+    } catch (error) {
+      if (!isQuotaError(error)) throw error
+      reportQuota(key, value)
+      return false
+    }
+  }
+  if (blockedWrite?.key === key) blockedWrite = null
+  notifyPeers(key, value)
+  return true
+}
+
+/**
+ * Handle a write an asynchronous backend rejected after {@link jsonSet}
+ * returned. The backend already restored the previous value; drop the undo
+ * step recorded for the write and report it like a synchronous failure.
+ * @function writeFailed
+ * @param {string} key
+ * @param {string|null} value - Value that was not stored, null for a removal.
+ * @param {string|null} previous - Value before the write.
+ * @param {any} error
+ * @returns {void}
+ */
+function writeFailed (key, value, previous, error) {
+  if (key === KEYS.CONFIG && history.undo.at(-1) === previous) history.undo.pop()
+  if (value !== null && isQuotaError(error)) {
+    reportQuota(key, value)
+    return
   }
+  getLogger().error(`Writing "${key}" failed:`, error)
+  emit(EVENTS.APP_STATE_CHANGED, { reason: 'write-failed', key })
+}
+
+/**
+ * Remember a write rejected for lack of space and announce it.
+ * @function reportQuota
+ * @param {string} key
+ * @param {string} value
+ * @returns {void}
+ */
+function reportQuota (key, value) {
+  blockedWrite = { key, value }
+  getLogger().warn(`Storage quota exceeded writing "${key}" (${byteSize(key, value)} bytes)`)
+  emit(EVENTS.APP_STATE_CHANGED, { reason: 'quota', key, bytes: byteSize(key, value) })
+}
+
+/**
+ * Backend holding the data at rest, unwrapping the encryption layer.
+ * @function rawBackend
+ * @returns {import('../types.js').StorageBackend}
+ */
+function rawBackend () {
+  return 'inner' in backend ? /** @type {import('../types.js').EncryptedStorageBackend} */(backend).inner : backend
+}
+
+/**
+ * Wrap a backend in the encryption layer when a key is set.
+ * @function withEncryption
+ * @param {import('../types.js').StorageBackend} raw
+ * @param {CryptoKey|null} [previousKey] - Also decrypts values written before a passphrase change.
+ * @returns {Promise<import('../types.js').StorageBackend>}
+ */
+async function withEncryption (raw, previousKey = null) {
+  if (!cryptoKey) return raw
+  const wrapped = createEncryptedBackend(raw, cryptoKey, DATA_KEYS, previousKey)
+  await wrapped.init()
+  return wrapped
+}
+
+/**
+ * Read the encryption metadata (salt, iterations, passphrase check).
+ * @function readEncryptionMeta
+ * @returns {import('./crypto.js').EncryptionMeta|null}
+ */
+function readEncryptionMeta () {
+  try {
+    return JSON.parse(localStorage.getItem(KEYS.ENCRYPTION) || 'null')
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Key of the passphrase in use before an unfinished passphrase change, see
+ * `EncryptionMeta.previous`.
+ * @function openPreviousKey
+ * @param {import('./crypto.js').EncryptionMeta} meta
+ * @param {CryptoKey} key - Key of the current passphrase.
+ * @returns {Promise<CryptoKey|null>}
+ */
+async function openPreviousKey (meta, key) {
+  if (!meta.previous) return null
+  try {
+    return await openEncryption(await decryptString(key, meta.previous.passphrase), meta.previous)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Write every data key through `target` and make it the active backend.
+ * Used to encrypt, decrypt or re-encrypt all stored data at once.
+ * @function rewriteData
+ * @param {import('../types.js').StorageBackend} target
+ * @returns {Promise<void>} Rejects, leaving the active backend as it was, when a write failed.
+ */
+async function rewriteData (target) {
+  await backend.flush()
+  const values = DATA_KEYS.map(key => [key, backend.getItem(key)])
+  await Promise.all(values.map(([key, value]) => value === null ? undefined : target.setItem(key, value)))
+  await target.flush()
+  backend = target
+  if (channel) channel.postMessage({ source: TAB_ID, reload: true })
+}
+
+/**
+ * Finish startup once data is readable: switch to the configured backend,
+ * run schema migrations and start listening to other tabs.
+ * @function prepareData
+ * @returns {Promise<void>}
+ */
+async function prepareData () {
+  const wanted = StorageManager.getConfig().globalSettings?.database
+  if (wanted && BACKENDS[wanted] && wanted !== backend.name) {
+    // Data stays where it is when it cannot be moved; the next start retries
+    await StorageManager.useBackend(wanted).catch(error => {
+      getLogger().error(`Moving data to ${wanted} failed:`, error)
+    })
+  }
+  await StorageManager.runMigrations()
+  startCrossTabSync()
+}
+
+/**
+ * Whether an error thrown by a storage write means the quota is exhausted.
+ * Browsers disagree on name and code, so check all known variants.
+ * @function isQuotaError
+ * @param {unknown} error
+ * @returns {boolean}
+ */
+function isQuotaError (error) {
+  if (!(error instanceof DOMException)) return false
+  return error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22 ||
+    error.code === 1014
+}
+
+/**
+ * Approximate storage cost of an entry. Browsers store strings as UTF-16,
+ * so count two bytes per character for key and value.
+ * @function byteSize
+ * @param {string} key
+ * @param {string|null} value
+ * @returns {number}
+ */
+function byteSize (key, value) {
+  return (key.length + (value?.length || 0)) * 2
+}
+
+/**
+ * Tell other open tabs that a data key changed.
+ * The value travels along so IndexedDB-backed tabs can refresh their cache.
+ * @function notifyPeers
+ * @param {string} key
+ * @param {string|null} value
+ * @returns {void}
+ */
+function notifyPeers (key, value) {
+  if (!channel) return
+  try {
+    channel.postMessage({ source: TAB_ID, backend: backend.name, key, value })
+  } catch (error) {
+    getLogger().warn('Cross-tab broadcast failed:', error)
+  }
+}
+
+/**
+ * Apply a data key written by another tab and announce it.
+ * @function receiveExternal
+ * @param {string} key
+ * @param {string|null} value
+ * @returns {Promise<void>}
+ */
+async function receiveExternal (key, value) {
+  if (!DATA_KEYS.includes(key) || locked) return
+  try {
+    await backend.adopt(key, value)
+  } catch (error) {
+    getLogger().warn(`Could not apply external change to "${key}":`, error)
+    return
+  }
+  // Local undo steps would overwrite the other tab's work
+  if (key === KEYS.CONFIG) StorageManager.history.clear()
+  emit(EVENTS.APP_STATE_CHANGED, { reason: 'external', key })
+}
+
+/**
+ * Start listening for writes made by other tabs.
+ * Uses BroadcastChannel when available, otherwise `storage` events (which
+ * only cover the localStorage backend).
+ * @function startCrossTabSync
+ * @returns {void}
+ */
+function startCrossTabSync () {
+  if (channel) return
+  if (typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(SYNC_CHANNEL)
+    channel.addEventListener('message', (event) => {
+      const msg = event.data || {}
+      if (msg.source === TAB_ID) return
+      // Encryption was switched on or off elsewhere, stored data changed format
+      if (msg.reload) {
+        location.reload()
+        return
+      }
+      if (msg.backend !== backend.name) return
+      receiveExternal(msg.key, msg.value)
+    })
+    return
+  }
+  window.addEventListener('storage', (event) => {
+    if (event.storageArea !== localStorage || rawBackend() !== localStorageBackend || !event.key) return
+    receiveExternal(event.key, event.newValue)
+  })
+}
+
+/**
+ * Copy all data keys from one backend to another and clear them at the
+ * source. The source keeps its copy until every write to the target has
+ * committed, so a failed or interrupted migration loses nothing.
+ * @function migrateData
+ * @param {import('../types.js').StorageBackend} from
+ * @param {import('../types.js').StorageBackend} to
+ * @returns {Promise<void>} Rejects when a write to the target failed.
+ */
+async function migrateData (from, to) {
+  const entries = DATA_KEYS
+    .map(key => [key, from.getItem(key)])
+    .filter(([, value]) => value !== null)
+  await Promise.all(entries.map(([key, value]) => to.setItem(key, value)))
+  await to.flush()
+  for (const [key] of entries) from.removeItem(key)
 }
 
 /** @typedef {import('../types.js').DashboardConfig} DashboardConfig */
@@ -117,6 +491,228 @@ export function upsertSnapshotByMd5 (store, { name, type, cfg, svc }) {
  * Singleton API for storing and retrieving dashboard data.
  */
 const StorageManager = {
+  /**
+   * Select and prepare the persistence backend.
+   *
+   * The backend in use is remembered under a localStorage marker so it can be
+   * opened before the config is readable. When the stored config asks for a
+   * different `globalSettings.database`, data is migrated once to that backend.
+   * Falls back to localStorage if IndexedDB cannot be opened.
+   *
+   * With encryption enabled, startup stops here until
+   * `StorageManager.encryption.unlock()` succeeds.
+   *
+   * @function init
+   * @returns {Promise<void>}
+   */
+  async init () {
+    const marker = /** @type {import('../types.js').StorageBackendName|null} */ (localStorage.getItem(KEYS.BACKEND))
+    await StorageManager.useBackend(marker && BACKENDS[marker] ? marker : 'localStorage', { migrate: false })
+    if (readEncryptionMeta() && !cryptoKey) {
+      locked = true
+      return
+    }
+    await prepareData()
+  },
+
+  /**
+   * Upgrade stored config, services and snapshot store to CURRENT_VERSION.
+   *
+   * Before anything is rewritten, the pre-migration config and services are
+   * saved as a `backup` snapshot so the user can switch back to them.
+   *
+   * @function runMigrations
+   * @returns {Promise<boolean>} True when stored data was migrated
+   */
+  async runMigrations () {
+    const rawCfg = jsonGet(KEYS.CONFIG, null)
+    const rawSvc = jsonGet(KEYS.SERVICES, null)
+    const rawStore = jsonGet(KEYS.STATES, null)
+
+    const cfg = rawCfg ? readVersioned(rawCfg) : null
+    const svc = rawSvc ? readVersioned(rawSvc) : null
+    const storeVersion = typeof rawStore?.version === 'number' ? rawStore.version : 0
+
+    const outdated = (cfg && cfg.version < CURRENT_VERSION) ||
+      (svc && svc.version < CURRENT_VERSION) ||
+      (rawStore && storeVersion < CURRENT_VERSION)
+    if (!outdated) return false
+
+    let store = migrateStateStore(rawStore || { version: CURRENT_VERSION, states: [] })
+
+    if (cfg || svc) {
+      const fromVersion = Math.min(cfg?.version ?? CURRENT_VERSION, svc?.version ?? CURRENT_VERSION)
+      const [cfgEnc, svcEnc] = await Promise.all([
+        gzipJsonToBase64url(cfg?.data ?? {}),
+        gzipJsonToBase64url(svc?.data ?? [])
+      ])
+      store = upsertSnapshotByMd5(store, {
+        name: `backup/v${fromVersion}-to-v${CURRENT_VERSION}/${new Date().toISOString()}`,
+        type: 'backup',
+        cfg: cfgEnc,
+        svc: svcEnc
+      }).store
+    }
+    jsonSet(KEYS.STATES, store)
+
+    if (cfg) jsonSet(KEYS.CONFIG, { version: CURRENT_VERSION, data: migrateConfig(cfg.data, cfg.version) })
+    if (svc) jsonSet(KEYS.SERVICES, { version: CURRENT_VERSION, data: migrateServices(svc.data, svc.version) })
+    return true
+  },
+
+  /**
+   * Switch the active backend, optionally moving existing data across.
+   * When the data cannot be written to the new backend the current one stays
+   * active and the promise rejects.
+   *
+   * @function useBackend
+   * @param {import('../types.js').StorageBackendName} name
+   * @param {{migrate?:boolean}} [opts]
+   * @returns {Promise<void>}
+   */
+  async useBackend (name, { migrate = true } = {}) {
+    const next = BACKENDS[name] || localStorageBackend
+    try {
+      await next.init()
+    } catch (error) {
+      getLogger().warn(`${name} unavailable, using localStorage:`, error)
+      backend = await withEncryption(localStorageBackend)
+      localStorage.setItem(KEYS.BACKEND, backend.name)
+      return
+    }
+    const current = rawBackend()
+    if (migrate && next !== current) {
+      // Move the stored (possibly encrypted) values as they are
+      await backend.flush()
+      await migrateData(current, next)
+      await current.flush()
+    }
+    backend = await withEncryption(next)
+    localStorage.setItem(KEYS.BACKEND, backend.name)
+  },
+
+  /**
+   * Name of the backend currently holding config, services and snapshots.
+   * @function getBackendName
+   * @returns {import('../types.js').StorageBackendName}
+   */
+  getBackendName () {
+    return backend.name
+  },
+
+  /**
+   * Approximate bytes used per stored key, largest first.
+   * Data keys are read from the active backend, everything else from localStorage.
+   * @function getUsage
+   * @returns {{backend:string,total:number,entries:Array<{key:string,bytes:number,backend:string}>}}
+   */
+  getUsage () {
+    const raw = rawBackend()
+    const entries = []
+    for (const key of raw.keys()) {
+      entries.push({ key, bytes: byteSize(key, raw.getItem(key)), backend: raw.name })
+    }
+    if (raw !== localStorageBackend) {
+      for (const key of localStorageBackend.keys()) {
+        entries.push({ key, bytes: byteSize(key, localStorage.getItem(key)), backend: 'localStorage' })
+      }
+    }
+    entries.sort((a, b) => b.bytes - a.bytes)
+    return { backend: backend.name, total: entries.reduce((sum, e) => sum + e.bytes, 0), entries }
+  },
+
+  /**
+   * Usage and quota of the active backend in bytes.
+   * IndexedDB relies on `navigator.storage.estimate()`; localStorage usage is
+   * measured against its nominal 5 MB limit.
+   * @function estimateQuota
+   * @returns {Promise<{usage:number,quota:number}>}
+   */
+  async estimateQuota () {
+    if (rawBackend() !== localStorageBackend && navigator.storage?.estimate) {
+      const { usage = 0, quota = 0 } = await navigator.storage.estimate()
+      return { usage, quota }
+    }
+    const usage = localStorageBackend.keys()
+      .reduce((sum, key) => sum + byteSize(key, localStorage.getItem(key)), 0)
+    return { usage, quota: LOCAL_STORAGE_QUOTA }
+  },
+
+  /**
+   * Key of the write currently rejected for lack of space, if any.
+   * @function getBlockedWrite
+   * @returns {string|null}
+   */
+  getBlockedWrite () {
+    return blockedWrite?.key ?? null
+  },
+
+  /**
+   * Try the write rejected by the quota again, e.g. after pruning.
+   * Waits for the backend so failures of asynchronous writes are seen too.
+   * @function retryBlockedWrite
+   * @returns {Promise<boolean>} True when nothing is blocked any more.
+   */
+  async retryBlockedWrite () {
+    if (!blockedWrite) return true
+    const { key, value } = blockedWrite
+    if (!jsonSet(key, JSON.parse(value))) return false
+    await backend.flush()
+    return blockedWrite === null
+  },
+
+  /**
+   * Delete the oldest autosave snapshots. When the snapshot store itself is
+   * the blocked write, the pending store is pruned instead of the stored one.
+   * @function pruneAutosaves
+   * @param {number} [count=1]
+   * @returns {Promise<number>} Number of snapshots removed.
+   */
+  async pruneAutosaves (count = 1) {
+    const pending = blockedWrite?.key === KEYS.STATES ? blockedWrite : null
+    const store = pending ? migrateStateStore(JSON.parse(pending.value)) : await StorageManager.loadStateStore()
+    const oldest = store.states
+      .filter(s => s.type === 'autosave')
+      .sort((a, b) => (a.ts || 0) - (b.ts || 0))
+      .slice(0, count)
+    if (oldest.length === 0) return 0
+    store.states = store.states.filter(s => !oldest.includes(s))
+    if (pending) {
+      pending.value = JSON.stringify(store)
+    } else {
+      await StorageManager.saveStateStore(store)
+    }
+    return oldest.length
+  },
+
+  /**
+   * Resolve once all pending backend writes are persisted.
+   * Call before reloading the page.
+   * @function flush
+   * @returns {Promise<void>}
+   */
+  async flush () {
+    await backend.flush()
+  },
+
+  /**
+   * Move all data to another backend and remember the choice in
+   * `globalSettings.database`. Await it before writing again: writes made
+   * while the data is copied can land in the backend being left.
+   * @function setBackend
+   * @param {import('../types.js').StorageBackendName} name
+   * @returns {Promise<void>} Rejects, keeping the current backend, when the data cannot be moved there.
+   */
+  async setBackend (name) {
+    if (!BACKENDS[name]) throw new Error(`Unknown storage backend: ${name}`)
+    if (name !== backend.name) await StorageManager.useBackend(name)
+    if (backend.name !== name) throw new Error(`${name} is not available`)
+    StorageManager.updateConfig(cfg => {
+      cfg.globalSettings = { ...cfg.globalSettings, database: name }
+    })
+    await backend.flush()
+  },
+
   /**
    * Get the persisted dashboard configuration.
    * @function getConfig
@@ -124,25 +720,47 @@ const StorageManager = {
    */
   getConfig () {
     const stored = jsonGet(KEYS.CONFIG, null)
-    // Fallback to legacy unwrapped format
-    const cfg = stored?.data || stored
-    if (!cfg || typeof cfg !== 'object') return { ...DEFAULT_CONFIG_TEMPLATE }
-    return mergeWithDefaults(cfg)
+    // Legacy unwrapped format reads as version 0
+    const { version, data } = readVersioned(stored)
+    if (!data || typeof data !== 'object') return { ...DEFAULT_CONFIG_TEMPLATE }
+    return mergeWithDefaults(version < CURRENT_VERSION ? migrateConfig(data, version) : data)
   },
 
   /**
-   * Persist the dashboard configuration.
+   * Persist the dashboard configuration. A changed `globalSettings.database`
+   * applies on the next start; use {@link StorageManager.setBackend} to move
+   * the data now.
    * @function setConfig
    * @param {DashboardConfig} cfg
    * @returns {void}
    */
   setConfig (cfg /* DashboardConfig */) {
     // jsonSet(KEYS.CONFIG, { version: CURRENT_VERSION, data: cfg })
-    jsonSet(KEYS.CONFIG, {
-      version: CURRENT_VERSION,
-      data: mergeWithDefaults(cfg)
-    })
-    window.dispatchEvent(new CustomEvent(APP_STATE_CHANGED, { detail: { reason: 'config' } }))
+    const data = mergeWithDefaults(cfg)
+    const before = backend.getItem(KEYS.CONFIG)
+    // A rejected write changed nothing: no undo step, no change to announce
+    if (!jsonSet(KEYS.CONFIG, { version: CURRENT_VERSION, data })) return
+    recordHistory(before)
+    emit(EVENTS.APP_STATE_CHANGED, { reason: 'config' })
+  },
+
+  /**
+   * Replace the config with one that changed outside this tab (e.g. pulled
+   * from a sync server). Not recorded for undo, and announced as an
+   * 'external' change so the UI reconciles instead of pushing it back.
+   * @function applyExternalConfig
+   * @param {DashboardConfig} cfg
+   * @returns {void}
+   */
+  applyExternalConfig (cfg) {
+    history.paused++
+    try {
+      jsonSet(KEYS.CONFIG, { version: CURRENT_VERSION, data: mergeWithDefaults(cfg) })
+    } finally {
+      history.paused--
+    }
+    StorageManager.history.clear()
+    emit(EVENTS.APP_STATE_CHANGED, { reason: 'external', key: KEYS.CONFIG })
   },
 
   /**
@@ -179,16 +797,22 @@ const StorageManager = {
   },
 
   /**
-   * Atomically update boards via callback.
+   * Atomically update boards via callback. Views this tab was in sync with
+   * stay in sync, so their next save does not take the change for another
+   * tab's.
    * @function updateBoards
    * @param {(boards: Array<Board>) => Array<Board>|void} updater
    * @returns {void}
    */
   updateBoards (updater) {
+    const before = viewStates(StorageManager.getBoards())
     StorageManager.updateConfig(cfg => {
       const result = updater(Array.isArray(cfg.boards) ? cfg.boards : [])
       if (Array.isArray(result)) cfg.boards = result
     })
+    for (const [id, state] of viewStates(StorageManager.getBoards())) {
+      if (state !== before.get(id) && syncedViewState.get(id) === before.get(id)) syncedViewState.set(id, state)
+    }
   },
 
   /**
@@ -197,11 +821,16 @@ const StorageManager = {
    * @returns {Array<Service>}
    */
   getServices () {
-    return jsonGet(KEYS.SERVICES, [])
+    // Legacy format is a bare array (version 0)
+    const { version, data } = readVersioned(jsonGet(KEYS.SERVICES, []))
+    if (!Array.isArray(data)) return []
+    return version < CURRENT_VERSION ? migrateServices(data, version) : data
   },
 
   /**
    * Persist the provided services array after resolving templates and normalizing.
+   * URL variables such as `${HOST}` are kept; they are substituted when the
+   * service is used, see `resolveServiceConfig`.
    * @function setServices
    * @param {Array<Service>} services
    * @returns {void}
@@ -232,8 +861,34 @@ const StorageManager = {
       }
     })
 
-    jsonSet(KEYS.SERVICES, resolvedAndNormalizedServices)
-    window.dispatchEvent(new CustomEvent(APP_STATE_CHANGED, { detail: { reason: 'services' } }))
+    if (!jsonSet(KEYS.SERVICES, { version: CURRENT_VERSION, data: resolvedAndNormalizedServices })) return
+    emit(EVENTS.APP_STATE_CHANGED, { reason: 'services' })
+  },
+
+  /**
+   * Stored API credentials by name. They live in the backend next to the
+   * config, so encryption covers them, but exports, backups and remote sync
+   * leave them out.
+   * @function getCredentials
+   * @returns {Record<string, import('../types.js').Credential>}
+   */
+  getCredentials () {
+    const { data } = readVersioned(jsonGet(KEYS.CREDENTIALS, {}))
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : {}
+  },
+
+  /**
+   * Store or delete one credential.
+   * @function setCredential
+   * @param {string} name
+   * @param {import('../types.js').Credential|null} credential - null deletes it.
+   * @returns {void}
+   */
+  setCredential (name, credential) {
+    const data = StorageManager.getCredentials()
+    if (credential) data[name] = credential
+    else delete data[name]
+    jsonSet(KEYS.CREDENTIALS, { version: CURRENT_VERSION, data })
   },
 
   /**
@@ -243,7 +898,7 @@ const StorageManager = {
    */
   async loadStateStore () {
     const store = jsonGet(KEYS.STATES, { version: CURRENT_VERSION, states: [] })
-    if (!('version' in store)) store.version = CURRENT_VERSION
+    if (typeof store.version !== 'number' || store.version < CURRENT_VERSION) return migrateStateStore(store)
     return store
   },
 
@@ -274,7 +929,11 @@ const StorageManager = {
   * @returns {void}
   */
   clearAll () {
-    Object.values(KEYS).forEach(key => localStorage.removeItem(key))
+    StorageManager.history.clear()
+    DATA_KEYS.forEach(key => jsonSet(key, null))
+    Object.values(KEYS)
+      .filter(key => key !== KEYS.BACKEND && key !== KEYS.ENCRYPTION)
+      .forEach(key => localStorage.removeItem(key))
   },
 
   /**
@@ -283,7 +942,9 @@ const StorageManager = {
    * @returns {void}
    */
   clearAllExceptState () {
-    [KEYS.CONFIG, KEYS.BOARDS, KEYS.SERVICES, KEYS.LAST_BOARD, KEYS.LAST_VIEW].forEach(key => localStorage.removeItem(key))
+    StorageManager.history.clear()
+    ;[KEYS.CONFIG, KEYS.SERVICES].forEach(key => jsonSet(key, null))
+    ;[KEYS.BOARDS, KEYS.LAST_BOARD, KEYS.LAST_VIEW].forEach(key => localStorage.removeItem(key))
   },
 
   /**
@@ -295,6 +956,206 @@ const StorageManager = {
     await StorageManager.saveStateStore({ version: CURRENT_VERSION, states: [] })
   },
 
+  /**
+   * Opt-in encryption at rest for config, services and snapshots
+   * (AES-GCM, key derived from a passphrase with PBKDF2).
+   */
+  encryption: {
+    /**
+     * @function isEnabled
+     * @returns {boolean}
+     */
+    isEnabled () {
+      return readEncryptionMeta() !== null
+    },
+
+    /**
+     * Whether data is encrypted and still waiting for the passphrase.
+     * @function isLocked
+     * @returns {boolean}
+     */
+    isLocked () {
+      return locked
+    },
+
+    /**
+     * Decrypt stored data with `passphrase` and finish startup.
+     * @function unlock
+     * @param {string} passphrase
+     * @returns {Promise<boolean>} False for a wrong passphrase.
+     */
+    async unlock (passphrase) {
+      const meta = readEncryptionMeta()
+      if (!meta) return true
+      const key = await openEncryption(passphrase, meta)
+      if (!key) return false
+      cryptoKey = key
+      const previousKey = await openPreviousKey(meta, key)
+      backend = await withEncryption(rawBackend(), previousKey)
+      if (meta.previous) {
+        // A passphrase change was interrupted: finish re-encrypting
+        const { previous, ...current } = meta
+        try {
+          await rewriteData(await withEncryption(rawBackend(), previousKey))
+          localStorage.setItem(KEYS.ENCRYPTION, JSON.stringify(current))
+        } catch (error) {
+          getLogger().error('Finishing the passphrase change failed:', error)
+        }
+      }
+      locked = false
+      await prepareData()
+      return true
+    },
+
+    /**
+     * Encrypt all stored data with a new passphrase.
+     * @function enable
+     * @param {string} passphrase
+     * @returns {Promise<void>}
+     */
+    async enable (passphrase) {
+      if (readEncryptionMeta()) throw new Error('Encryption is already enabled')
+      const { meta, key } = await createEncryption(passphrase)
+      // Metadata first: plaintext left by an interrupted run stays readable
+      localStorage.setItem(KEYS.ENCRYPTION, JSON.stringify(meta))
+      cryptoKey = key
+      await rewriteData(await withEncryption(rawBackend()))
+    },
+
+    /**
+     * Decrypt all stored data and turn encryption off.
+     * @function disable
+     * @param {string} passphrase - Current passphrase.
+     * @returns {Promise<boolean>} False for a wrong passphrase.
+     */
+    async disable (passphrase) {
+      const meta = readEncryptionMeta()
+      if (!meta) return true
+      if (!await openEncryption(passphrase, meta)) return false
+      await rewriteData(rawBackend())
+      localStorage.removeItem(KEYS.ENCRYPTION)
+      cryptoKey = null
+      return true
+    },
+
+    /**
+     * Re-encrypt all stored data under a new passphrase. Values go straight
+     * from the old key to the new one, never to storage as plaintext. Until
+     * all of them are rewritten the metadata keeps the old passphrase,
+     * encrypted with the new key, so an interrupted change is finished by
+     * the next unlock.
+     * @function changePassphrase
+     * @param {string} current
+     * @param {string} next
+     * @returns {Promise<boolean>} False when `current` is wrong.
+     */
+    async changePassphrase (current, next) {
+      const meta = readEncryptionMeta()
+      const previousKey = meta && await openEncryption(current, meta)
+      if (!previousKey) return false
+      const { meta: nextMeta, key } = await createEncryption(next)
+      const previous = { ...meta, passphrase: await encryptString(key, current) }
+      localStorage.setItem(KEYS.ENCRYPTION, JSON.stringify({ ...nextMeta, previous }))
+      cryptoKey = key
+      try {
+        await rewriteData(await withEncryption(rawBackend(), previousKey))
+      } catch (error) {
+        // Stored values now use either key; keep reading both until the next unlock finishes
+        backend = await withEncryption(rawBackend(), previousKey)
+        throw error
+      }
+      localStorage.setItem(KEYS.ENCRYPTION, JSON.stringify(nextMeta))
+      return true
+    },
+
+    /**
+     * Forgotten passphrase: delete the encrypted data, turn encryption off
+     * and finish startup with an empty dashboard.
+     * @function reset
+     * @returns {Promise<void>}
+     */
+    async reset () {
+      const raw = rawBackend()
+      DATA_KEYS.forEach(key => raw.removeItem(key))
+      await raw.flush()
+      localStorage.removeItem(KEYS.ENCRYPTION)
+      cryptoKey = null
+      backend = raw
+      if (locked) {
+        locked = false
+        await prepareData()
+      }
+    }
+  },
+
+  /**
+   * Undo/redo of config changes (boards, views, widgets, settings).
+   * Every `setConfig` is recorded unless recording is paused.
+   */
+  history: {
+    /**
+     * Restore the config as it was before the last recorded change.
+     * @function undo
+     * @returns {boolean} False when there is nothing to undo.
+     */
+    undo () {
+      return stepHistory(history.undo, history.redo)
+    },
+
+    /**
+     * Re-apply the last undone change.
+     * @function redo
+     * @returns {boolean} False when there is nothing to redo.
+     */
+    redo () {
+      return stepHistory(history.redo, history.undo)
+    },
+
+    /**
+     * @function canUndo
+     * @returns {boolean}
+     */
+    canUndo () {
+      return history.undo.length > 0
+    },
+
+    /**
+     * @function canRedo
+     * @returns {boolean}
+     */
+    canRedo () {
+      return history.redo.length > 0
+    },
+
+    /**
+     * Drop all undo and redo steps.
+     * @function clear
+     * @returns {void}
+     */
+    clear () {
+      history.undo.length = 0
+      history.redo.length = 0
+      history.lastRecordedAt = 0
+    },
+
+    /**
+     * Run `fn` without recording its config writes, e.g. while the UI
+     * re-renders after an undo.
+     * @function withoutRecording
+     * @template T
+     * @param {() => Promise<T>} fn
+     * @returns {Promise<T>}
+     */
+    async withoutRecording (fn) {
+      history.paused++
+      try {
+        return await fn()
+      } finally {
+        history.paused--
+      }
+    }
+  },
+
   /**
    * Miscellaneous helpers for simple string keys.
    */
@@ -367,21 +1228,22 @@ const StorageManager = {
     },
 
     /**
-     * Get all JSON-parsable items from localStorage.
+     * Get all JSON-parsable items from localStorage and the active backend.
      *
      * @function getAllJson
      * @returns {Record<string, any>}
      */
     getAllJson () {
       const data = {}
-      for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i)
-        if (!key) continue
-        const value = localStorage.getItem(key)
-        try {
-          data[key] = JSON.parse(value)
-        } catch {
-          // ignore unparsable entries
+      const sources = backend === localStorageBackend ? [localStorageBackend] : [localStorageBackend, backend]
+      for (const source of sources) {
+        for (const key of source.keys()) {
+          const value = source.getItem(key)
+          try {
+            data[key] = JSON.parse(value)
+          } catch {
+            // ignore unparsable entries
+          }
         }
       }
       return data
@@ -389,6 +1251,7 @@ const StorageManager = {
 
     /**
      * Persist an object of key/value pairs as JSON strings.
+     * Data keys are routed to the active backend.
      *
      * @function setJsonRecord
      * @param {Record<string, any>} record
@@ -396,7 +1259,8 @@ const StorageManager = {
      */
     setJsonRecord (record) {
       for (const key in record) {
-        localStorage.setItem(key, JSON.stringify(record[key]))
+        const target = DATA_KEYS.includes(key) ? backend : localStorageBackend
+        target.setItem(key, JSON.stringify(record[key]))
       }
     }
   }
@@ -0,0 +1,203 @@
+// @ts-check
+/**
+ * Backend wrapper encrypting every value before it reaches another backend.
+ *
+ * Like the IndexedDB backend it serves reads from an in-memory plaintext
+ * cache filled in `init()`; writes update the cache at once and are
+ * encrypted and handed to the inner backend in the background; a failed
+ * write puts the previous value back in the cache. Values
+ * without the ciphertext prefix are read as plaintext, so data written
+ * before encryption was enabled stays readable until it is rewritten. Values
+ * the key cannot decrypt are tried with the previous key, which is set while
+ * an interrupted passphrase change is finished.
+ *
+ * @module storage/backends/encryptedBackend
+ */
+import { isEncrypted, encryptString, decryptString } from '../crypto.js'
+import { Logger } from '../../utils/Logger.js'
+
+/** @typedef {import('../../types.js').StorageBackend} StorageBackend */
+/** @typedef {import('../../types.js').EncryptedStorageBackend} EncryptedStorageBackend */
+
+/** @type {Logger|null} */
+let logger = null
+
+/**
+ * Created when first needed, as in indexedDBBackend.js.
+ * @function getLogger
+ * @returns {Logger}
+ */
+function getLogger () {
+  return (logger ??= new Logger('encryptedBackend.js'))
+}
+
+/**
+ * Wrap `inner` so that the given keys are stored encrypted with `key`.
+ *
+ * @function createEncryptedBackend
+ * @param {StorageBackend} inner - Backend receiving the ciphertext.
+ * @param {CryptoKey} key - AES-GCM key.
+ * @param {string[]} dataKeys - Keys to decrypt on init.
+ * @param {CryptoKey|null} [previousKey] - Key of the passphrase before a change, to read values not yet re-encrypted.
+ * @returns {EncryptedStorageBackend}
+ */
+export function createEncryptedBackend (inner, key, dataKeys, previousKey = null) {
+  /** @type {Map<string,string>} */
+  const cache = new Map()
+  /** @type {Set<Promise<void>>} */
+  const pending = new Set()
+  /** Per-key write counter so a slow encryption cannot overwrite a newer value. */
+  /** @type {Map<string,number>} */
+  const generation = new Map()
+
+  /**
+   * Encrypt and store a value unless a newer write for the key started meanwhile.
+   * @param {string} k
+   * @param {string} value
+   * @param {(k:string, cipher:string) => void|Promise<void>} store
+   * @returns {Promise<void>} Rejects when encrypting or the inner write failed.
+   */
+  const persist = (k, value, store) => {
+    const gen = (generation.get(k) || 0) + 1
+    generation.set(k, gen)
+    /** @type {Promise<void>} */
+    const done = encryptString(key, value)
+      .then(cipher => {
+        if (generation.get(k) === gen) return store(k, cipher)
+      })
+    pending.add(done)
+    done
+      .catch(error => getLogger().error('Write failed:', error))
+      .finally(() => pending.delete(done))
+    return done
+  }
+
+  /**
+   * Put the cached value back after a failed write, unless a newer write
+   * replaced it meanwhile.
+   * @param {string} k
+   * @param {string|undefined} written - Value of the failed write, undefined for a removal.
+   * @param {string|undefined} previous
+   * @returns {void}
+   */
+  const rollback = (k, written, previous) => {
+    if (cache.get(k) !== written) return
+    if (previous === undefined) cache.delete(k)
+    else cache.set(k, previous)
+  }
+
+  return {
+    name: inner.name,
+    inner,
+
+    /**
+     * Decrypt all data keys of the inner backend into the cache.
+     * @function init
+     * @returns {Promise<void>}
+     */
+    async init () {
+      cache.clear()
+      for (const k of dataKeys) {
+        const raw = inner.getItem(k)
+        if (raw === null) continue
+        if (!isEncrypted(raw)) {
+          cache.set(k, raw)
+          continue
+        }
+        try {
+          cache.set(k, await decryptString(key, raw))
+        } catch (error) {
+          if (previousKey) {
+            try {
+              cache.set(k, await decryptString(previousKey, raw))
+              continue
+            } catch {}
+          }
+          getLogger().error(`Could not decrypt "${k}":`, error)
+        }
+      }
+    },
+
+    /**
+     * @function getItem
+     * @param {string} k
+     * @returns {string|null}
+     */
+    getItem (k) {
+      return cache.has(k) ? cache.get(k) : inner.getItem(k)
+    },
+
+    /**
+     * @function setItem
+     * @param {string} k
+     * @param {string} value
+     * @returns {Promise<void>}
+     */
+    setItem (k, value) {
+      const previous = cache.get(k)
+      cache.set(k, value)
+      return persist(k, value, (kk, cipher) => inner.setItem(kk, cipher)).catch(error => {
+        rollback(k, value, previous)
+        throw error
+      })
+    },
+
+    /**
+     * @function removeItem
+     * @param {string} k
+     * @returns {void|Promise<void>}
+     */
+    removeItem (k) {
+      const previous = cache.get(k)
+      cache.delete(k)
+      generation.set(k, (generation.get(k) || 0) + 1)
+      return inner.removeItem(k)?.catch(error => {
+        rollback(k, undefined, previous)
+        throw error
+      })
+    },
+
+    /**
+     * @function keys
+     * @returns {string[]}
+     */
+    keys () {
+      return inner.keys()
+    },
+
+    /**
+     * Wait for pending encryptions, then for the inner backend.
+     * @function flush
+     * @returns {Promise<void>}
+     */
+    async flush () {
+      await Promise.allSettled(Array.from(pending))
+      await inner.flush()
+    },
+
+    /**
+     * Take over a value written by another tab. Broadcast values arrive as
+     * plaintext, `storage` events carry the ciphertext.
+     * @function adopt
+     * @param {string} k
+     * @param {string|null} value
+     * @returns {Promise<void>}
+     */
+    async adopt (k, value) {
+      if (value === null) {
+        cache.delete(k)
+        inner.adopt(k, null)
+        return
+      }
+      if (isEncrypted(value)) {
+        cache.set(k, await decryptString(key, value))
+        inner.adopt(k, value)
+        return
+      }
+      cache.set(k, value)
+      persist(k, value, (kk, cipher) => inner.adopt(kk, cipher))
+    }
+  }
+}
+
+export default createEncryptedBackend
@@ -0,0 +1,203 @@
+// @ts-check
+/**
+ * Storage backend persisting raw strings in IndexedDB.
+ *
+ * IndexedDB is asynchronous while StorageManager exposes a synchronous API,
+ * so all entries are loaded into an in-memory cache during `init()`. Reads are
+ * served from the cache and writes update it immediately, then persist in the
+ * background. `flush()` resolves once every pending write has committed;
+ * `setItem` and `removeItem` return their own write for callers that must
+ * know it committed. A failed write puts the previous value back in the cache.
+ *
+ * @module storage/backends/indexedDBBackend
+ */
+import { Logger } from '../../utils/Logger.js'
+
+/** @typedef {import('../../types.js').StorageBackend} StorageBackend */
+
+const DB_NAME = 'asd-dashboard'
+const DB_VERSION = 1
+const STORE = 'kv'
+
+/** @type {Logger|null} */
+let logger = null
+
+/**
+ * Logger of this module, created on first use: Logger reads its settings
+ * through StorageManager, which imports this module.
+ * @function getLogger
+ * @returns {Logger}
+ */
+function getLogger () {
+  return (logger ??= new Logger('indexedDBBackend.js'))
+}
+
+/** @type {IDBDatabase|null} */
+let db = null
+/** @type {Map<string,string>} */
+const cache = new Map()
+/** @type {Set<Promise<void>>} */
+const pending = new Set()
+
+/**
+ * Open (and create if needed) the dashboard database.
+ * @function openDatabase
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase () {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not supported'))
+      return
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION)
+    req.onupgradeneeded = () => {
+      if (!req.result.objectStoreNames.contains(STORE)) {
+        req.result.createObjectStore(STORE)
+      }
+    }
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+    req.onblocked = () => reject(new Error('IndexedDB open blocked'))
+  })
+}
+
+/**
+ * Run a readwrite transaction and track it until it completes.
+ * @function write
+ * @param {(store: IDBObjectStore) => void} fn
+ * @returns {Promise<void>} Settles when the transaction committed or failed.
+ */
+function write (fn) {
+  if (!db) return Promise.reject(new Error('IndexedDB is not open'))
+  const tx = db.transaction(STORE, 'readwrite')
+  fn(tx.objectStore(STORE))
+  /** @type {Promise<void>} */
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve()
+    tx.onabort = () => reject(tx.error)
+    tx.onerror = () => reject(tx.error)
+  })
+  pending.add(done)
+  done
+    .catch(error => getLogger().error('Write failed:', error))
+    .finally(() => pending.delete(done))
+  return done
+}
+
+/**
+ * Put the cached value back after a failed write, unless a newer write
+ * replaced it meanwhile.
+ * @function rollback
+ * @param {string} key
+ * @param {string|undefined} written - Value of the failed write, undefined for a removal.
+ * @param {string|undefined} previous
+ * @returns {void}
+ */
+function rollback (key, written, previous) {
+  if (cache.get(key) !== written) return
+  if (previous === undefined) cache.delete(key)
+  else cache.set(key, previous)
+}
+
+/**
+ * Backend over IndexedDB with a synchronous, write-through cache.
+ * @type {StorageBackend}
+ */
+export const indexedDBBackend = {
+  name: 'indexedDB',
+
+  /**
+   * Open the database and load every entry into the cache.
+   * @function init
+   * @returns {Promise<void>}
+   */
+  async init () {
+    if (db) return
+    const opened = await openDatabase()
+    await new Promise((resolve, reject) => {
+      const tx = opened.transaction(STORE, 'readonly')
+      const req = tx.objectStore(STORE).openCursor()
+      cache.clear()
+      req.onsuccess = () => {
+        const cursor = req.result
+        if (!cursor) return resolve(undefined)
+        cache.set(String(cursor.key), String(cursor.value))
+        cursor.continue()
+      }
+      req.onerror = () => reject(req.error)
+    })
+    db = opened
+  },
+
+  /**
+   * @function getItem
+   * @param {string} key
+   * @returns {string|null}
+   */
+  getItem (key) {
+    return cache.has(key) ? cache.get(key) : null
+  },
+
+  /**
+   * @function setItem
+   * @param {string} key
+   * @param {string} value
+   * @returns {Promise<void>}
+   */
+  setItem (key, value) {
+    const previous = cache.get(key)
+    cache.set(key, value)
+    return write(store => store.put(value, key)).catch(error => {
+      rollback(key, value, previous)
+      throw error
+    })
+  },
+
+  /**
+   * @function removeItem
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  removeItem (key) {
+    const previous = cache.get(key)
+    cache.delete(key)
+    return write(store => store.delete(key)).catch(error => {
+      rollback(key, undefined, previous)
+      throw error
+    })
+  },
+
+  /**
+   * List all keys currently cached.
+   * @function keys
+   * @returns {string[]}
+   */
+  keys () {
+    return Array.from(cache.keys())
+  },
+
+  /**
+   * Wait until all queued writes have committed.
+   * @function flush
+   * @returns {Promise<void>}
+   */
+  async flush () {
+    await Promise.allSettled(Array.from(pending))
+  },
+
+  /**
+   * Update the cache with a value another tab has already written,
+   * without persisting it a second time.
+   * @function adopt
+   * @param {string} key
+   * @param {string|null} value
+   * @returns {void}
+   */
+  adopt (key, value) {
+    if (value === null) cache.delete(key)
+    else cache.set(key, value)
+  }
+}
+
+export default indexedDBBackend
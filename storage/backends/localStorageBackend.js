@@ -0,0 +1,81 @@
+// @ts-check
+/**
+ * Storage backend writing raw strings straight to window.localStorage.
+ *
+ * @module storage/backends/localStorageBackend
+ */
+
+/** @typedef {import('../../types.js').StorageBackend} StorageBackend */
+
+/**
+ * Synchronous backend over localStorage. Always available, limited to ~5 MB.
+ * @type {StorageBackend}
+ */
+export const localStorageBackend = {
+  name: 'localStorage',
+
+  /**
+   * localStorage needs no preparation.
+   * @function init
+   * @returns {Promise<void>}
+   */
+  async init () {},
+
+  /**
+   * @function getItem
+   * @param {string} key
+   * @returns {string|null}
+   */
+  getItem (key) {
+    return localStorage.getItem(key)
+  },
+
+  /**
+   * @function setItem
+   * @param {string} key
+   * @param {string} value
+   * @returns {void}
+   */
+  setItem (key, value) {
+    localStorage.setItem(key, value)
+  },
+
+  /**
+   * @function removeItem
+   * @param {string} key
+   * @returns {void}
+   */
+  removeItem (key) {
+    localStorage.removeItem(key)
+  },
+
+  /**
+   * List all keys currently stored.
+   * @function keys
+   * @returns {string[]}
+   */
+  keys () {
+    const out = []
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i)
+      if (key) out.push(key)
+    }
+    return out
+  },
+
+  /**
+   * Writes are synchronous, nothing to wait for.
+   * @function flush
+   * @returns {Promise<void>}
+   */
+  async flush () {},
+
+  /**
+   * localStorage is shared between tabs, the value is already current.
+   * @function adopt
+   * @returns {void}
+   */
+  adopt () {}
+}
+
+export default localStorageBackend
@@ -0,0 +1,243 @@
+// @ts-check
+/**
+ * Full backups of the dashboard: config, services, snapshots, last used
+ * board/view and UI preferences in one versioned JSON document.
+ *
+ * Restoring replaces config, services, preferences and the last used ids.
+ * Snapshots are merged by MD5, so none of the current ones are lost,
+ * including the autosave taken right before the restore.
+ *
+ * @module storage/backup
+ */
+import StorageManager, { CURRENT_VERSION } from './StorageManager.js'
+import { migrateConfig, migrateServices, migrateStateStore } from './migrations.js'
+import { autosaveIfPresent } from './snapshots.js'
+import { compressString, decompressToString } from '../utils/compression.js'
+import { deepEqual } from '../utils/objectUtils.js'
+
+/** @typedef {import('../types.js').DashboardBackup} DashboardBackup */
+/** @typedef {import('../types.js').StateSnapshot} StateSnapshot */
+/**
+ * @typedef {Object} ListDiff
+ * @property {string[]} added - Names present only in the backup.
+ * @property {string[]} removed - Names present only in the current data.
+ * @property {string[]} changed - Names present in both with different content.
+ */
+/**
+ * What a restore would change, for the confirmation dialog.
+ * @typedef {Object} BackupDiff
+ * @property {ListDiff} boards
+ * @property {ListDiff} services
+ * @property {{before:number, after:number}} widgets
+ * @property {{incoming:number, added:number}} snapshots
+ * @property {string[]} preferences - Preference keys that change.
+ * @property {boolean} lastUsedChanged
+ */
+
+export const BACKUP_FORMAT = 'asd-dashboard-backup'
+
+/** localStorage keys saved with a backup. Device specific keys (backend, encryption, sync state) are left out. */
+export const PREFERENCE_KEYS = ['configModalTab', 'swEnabled', 'currentSnapshotMd5']
+
+/**
+ * Collect the current dashboard into a backup document.
+ *
+ * @function createBackup
+ * @returns {Promise<DashboardBackup>}
+ */
+export async function createBackup () {
+  /** @type {Record<string,string>} */
+  const preferences = {}
+  for (const key of PREFERENCE_KEYS) {
+    const value = StorageManager.misc.getItem(key)
+    if (value !== null) preferences[key] = value
+  }
+  return {
+    format: BACKUP_FORMAT,
+    version: CURRENT_VERSION,
+    createdAt: new Date().toISOString(),
+    config: StorageManager.getConfig(),
+    services: StorageManager.getServices(),
+    snapshots: await StorageManager.loadStateStore(),
+    lastBoardId: StorageManager.misc.getLastBoardId(),
+    lastViewId: StorageManager.misc.getLastViewId(),
+    preferences
+  }
+}
+
+/**
+ * Serialize a backup, gzipped on request.
+ *
+ * @function backupToBlob
+ * @param {DashboardBackup} backup
+ * @param {{gzip?:boolean}} [opts]
+ * @returns {Promise<Blob>}
+ */
+export async function backupToBlob (backup, { gzip = false } = {}) {
+  const json = JSON.stringify(backup, null, 2)
+  if (!gzip) return new Blob([json], { type: 'application/json' })
+  return new Blob([await compressString(json, 'gzip')], { type: 'application/gzip' })
+}
+
+/**
+ * Check the shape of a parsed backup and upgrade it to the current schema.
+ *
+ * @function validateBackup
+ * @param {any} raw
+ * @returns {DashboardBackup}
+ * @throws {Error} With a message suitable for the user when the file is not a usable backup.
+ */
+export function validateBackup (raw) {
+  if (!raw || typeof raw !== 'object' || raw.format !== BACKUP_FORMAT) {
+    throw new Error('Not a dashboard backup file')
+  }
+  if (typeof raw.version !== 'number' || raw.version < 0) {
+    throw new Error('Backup has no valid version')
+  }
+  if (raw.version > CURRENT_VERSION) {
+    throw new Error(`Backup was made by a newer version (v${raw.version}), this dashboard supports up to v${CURRENT_VERSION}`)
+  }
+  if (!raw.config || typeof raw.config !== 'object' || !Array.isArray(raw.config.boards ?? [])) {
+    throw new Error('Backup config is invalid')
+  }
+  if (!Array.isArray(raw.services)) {
+    throw new Error('Backup services are invalid')
+  }
+  const states = raw.snapshots?.states ?? []
+  if (!Array.isArray(states) || states.some(s => !s || typeof s.cfg !== 'string' || typeof s.svc !== 'string')) {
+    throw new Error('Backup snapshots are invalid')
+  }
+
+  const optionalId = (/** @type {any} */ id) => typeof id === 'string' && id ? id : null
+  /** @type {Record<string,string>} */
+  const preferences = {}
+  for (const key of PREFERENCE_KEYS) {
+    const value = raw.preferences?.[key]
+    if (typeof value === 'string') preferences[key] = value
+  }
+
+  return {
+    format: BACKUP_FORMAT,
+    version: CURRENT_VERSION,
+    createdAt: typeof raw.createdAt === 'string' ? raw.createdAt : '',
+    config: migrateConfig(raw.config, raw.version),
+    services: migrateServices(raw.services, raw.version),
+    snapshots: migrateStateStore({ version: raw.snapshots?.version ?? raw.version, states }),
+    lastBoardId: optionalId(raw.lastBoardId),
+    lastViewId: optionalId(raw.lastViewId),
+    preferences
+  }
+}
+
+/**
+ * Read a backup file, plain or gzipped JSON.
+ *
+ * @function readBackupFile
+ * @param {Blob} file
+ * @returns {Promise<DashboardBackup>}
+ * @throws {Error} When the file cannot be read or is not a valid backup.
+ */
+export async function readBackupFile (file) {
+  const bytes = new Uint8Array(await file.arrayBuffer())
+  // gzip magic number
+  const gzipped = bytes[0] === 0x1f && bytes[1] === 0x8b
+  let raw
+  try {
+    const text = gzipped ? await decompressToString(bytes, 'gzip') : new TextDecoder().decode(bytes)
+    raw = JSON.parse(text)
+  } catch {
+    throw new Error('File is not valid JSON')
+  }
+  return validateBackup(raw)
+}
+
+/**
+ * Compare two lists of objects with an `id` by id.
+ * @function diffById
+ * @param {Array<any>} before
+ * @param {Array<any>} after
+ * @returns {ListDiff}
+ */
+function diffById (before, after) {
+  const old = new Map(before.map(item => [item.id, item]))
+  const incoming = new Map(after.map(item => [item.id, item]))
+  const label = (/** @type {any} */ item) => item.name || item.id
+  return {
+    added: after.filter(item => !old.has(item.id)).map(label),
+    removed: before.filter(item => !incoming.has(item.id)).map(label),
+    changed: after.filter(item => old.has(item.id) && !deepEqual(old.get(item.id), item)).map(label)
+  }
+}
+
+/**
+ * Count the widgets of all views of all boards.
+ * @function countWidgets
+ * @param {import('../types.js').DashboardConfig} cfg
+ * @returns {number}
+ */
+function countWidgets (cfg) {
+  return (cfg.boards || []).reduce((sum, board) =>
+    sum + (board.views || []).reduce((n, view) => n + (view.widgetState || []).length, 0), 0)
+}
+
+/**
+ * Summarize what restoring `backup` would change.
+ *
+ * @function diffBackup
+ * @param {DashboardBackup} backup
+ * @returns {Promise<BackupDiff>}
+ */
+export async function diffBackup (backup) {
+  const current = await createBackup()
+  const known = new Set(current.snapshots.states.map(s => s.md5))
+  return {
+    boards: diffById(current.config.boards || [], backup.config.boards || []),
+    services: diffById(current.services || [], backup.services),
+    widgets: { before: countWidgets(current.config), after: countWidgets(backup.config) },
+    snapshots: {
+      incoming: backup.snapshots.states.length,
+      added: backup.snapshots.states.filter(s => !known.has(s.md5)).length
+    },
+    preferences: PREFERENCE_KEYS.filter(key =>
+      key in backup.preferences && backup.preferences[key] !== current.preferences[key]),
+    lastUsedChanged: backup.lastBoardId !== current.lastBoardId || backup.lastViewId !== current.lastViewId
+  }
+}
+
+/**
+ * Add the backup snapshots missing from `states`, newest first.
+ * @function mergeSnapshots
+ * @param {Array<StateSnapshot>} states
+ * @param {Array<StateSnapshot>} incoming
+ * @returns {Array<StateSnapshot>}
+ */
+function mergeSnapshots (states, incoming) {
+  const known = new Set(states.map(s => s.md5))
+  const merged = states.concat(incoming.filter(s => !known.has(s.md5)))
+  return merged.sort((a, b) => (b.ts || 0) - (a.ts || 0))
+}
+
+/**
+ * Autosave the current state, then restore `backup`.
+ *
+ * @function restoreBackup
+ * @param {DashboardBackup} backup - As returned by {@link readBackupFile}.
+ * @returns {Promise<string|null>} Name of the autosave snapshot, null when there was nothing to save.
+ */
+export async function restoreBackup (backup) {
+  const autosave = await autosaveIfPresent()
+
+  const store = await StorageManager.loadStateStore()
+  store.states = mergeSnapshots(store.states, backup.snapshots.states)
+  await StorageManager.saveStateStore(store)
+
+  StorageManager.setConfig(backup.config)
+  StorageManager.setServices(backup.services)
+  StorageManager.misc.setLastBoardId(backup.lastBoardId)
+  StorageManager.misc.setLastViewId(backup.lastViewId)
+  for (const [key, value] of Object.entries(backup.preferences)) {
+    StorageManager.misc.setItem(key, value)
+  }
+  await StorageManager.flush()
+  return autosave
+}
@@ -0,0 +1,125 @@
+// @ts-check
+/**
+ * WebCrypto helpers for encrypting stored data: AES-GCM with a key derived
+ * from a passphrase via PBKDF2 (SHA-256).
+ *
+ * Ciphertexts are strings of the form `enc:v1:<iv>:<data>` (base64url), so
+ * encrypted and legacy plaintext values can be told apart.
+ *
+ * @module storage/crypto
+ */
+import { base64UrlEncode, base64UrlDecode } from '../utils/compression.js'
+
+const PREFIX = 'enc:v1:'
+const PBKDF2_ITERATIONS = 600000
+/** Known plaintext encrypted into the metadata to check a passphrase. */
+const VERIFIER = 'asd-dashboard'
+
+/**
+ * @typedef {Object} EncryptionMeta
+ * @property {number} version
+ * @property {string} salt - base64url PBKDF2 salt.
+ * @property {number} iterations
+ * @property {string} check - VERIFIER encrypted with the derived key.
+ * @property {EncryptionMeta & {passphrase:string}} [previous] - Only while a passphrase change is
+ *   rewriting the data: the old metadata and the old passphrase encrypted with the new key.
+ */
+
+/**
+ * Whether a stored value was produced by `encryptString`.
+ * @function isEncrypted
+ * @param {string|null} value
+ * @returns {boolean}
+ */
+export function isEncrypted (value) {
+  return typeof value === 'string' && value.startsWith(PREFIX)
+}
+
+/**
+ * Derive the AES-GCM key for a passphrase and salt.
+ * @function deriveKey
+ * @param {string} passphrase
+ * @param {{salt:string,iterations:number}} params
+ * @returns {Promise<CryptoKey>}
+ */
+export async function deriveKey (passphrase, { salt, iterations }) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  )
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: base64UrlDecode(salt), iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  )
+}
+
+/**
+ * Encrypt a string with a fresh random IV.
+ * @function encryptString
+ * @param {CryptoKey} key
+ * @param {string} plaintext
+ * @returns {Promise<string>}
+ */
+export async function encryptString (key, plaintext) {
+  const iv = crypto.getRandomValues(new Uint8Array(12))
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(plaintext)
+  )
+  return `${PREFIX}${base64UrlEncode(iv)}:${base64UrlEncode(new Uint8Array(data))}`
+}
+
+/**
+ * Decrypt a value produced by `encryptString`. Throws when the key is wrong
+ * or the data was tampered with.
+ * @function decryptString
+ * @param {CryptoKey} key
+ * @param {string} value
+ * @returns {Promise<string>}
+ */
+export async function decryptString (key, value) {
+  if (!isEncrypted(value)) throw new Error('Value is not encrypted')
+  const [iv, data] = value.slice(PREFIX.length).split(':')
+  const plain = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64UrlDecode(iv) },
+    key,
+    base64UrlDecode(data)
+  )
+  return new TextDecoder().decode(plain)
+}
+
+/**
+ * Create metadata and key for a new passphrase.
+ * @function createEncryption
+ * @param {string} passphrase
+ * @returns {Promise<{meta:EncryptionMeta,key:CryptoKey}>}
+ */
+export async function createEncryption (passphrase) {
+  const salt = base64UrlEncode(crypto.getRandomValues(new Uint8Array(16)))
+  const key = await deriveKey(passphrase, { salt, iterations: PBKDF2_ITERATIONS })
+  const check = await encryptString(key, VERIFIER)
+  return { meta: { version: 1, salt, iterations: PBKDF2_ITERATIONS, check }, key }
+}
+
+/**
+ * Derive the key for a passphrase and check it against stored metadata.
+ * @function openEncryption
+ * @param {string} passphrase
+ * @param {EncryptionMeta} meta
+ * @returns {Promise<CryptoKey|null>} The key, or null for a wrong passphrase.
+ */
+export async function openEncryption (passphrase, meta) {
+  const key = await deriveKey(passphrase, meta)
+  try {
+    return (await decryptString(key, meta.check)) === VERIFIER ? key : null
+  } catch {
+    return null
+  }
+}
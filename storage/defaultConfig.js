@@ -23,6 +23,14 @@ export const DEFAULT_CONFIG_TEMPLATE = {
     localStorage: {
       enabled: 'true',
       loadDashboardFromConfig: 'true'
+    },
+    remoteSync: {
+      url: '',
+      pollInterval: 30,
+      longPoll: false
+    },
+    suspend: {
+      idle: 0
     }
   },
   boards: [],
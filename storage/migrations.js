@@ -0,0 +1,161 @@
+// @ts-check
+/**
+ * Versioned schema migrations for persisted and imported dashboard data.
+ *
+ * `MIGRATIONS[n]` upgrades data from version `n - 1` to version `n`. Each entry
+ * may provide a step for the config, the services list and the snapshot store;
+ * missing steps leave that payload unchanged.
+ *
+ * Payloads without a version tag (old share links, snapshot payloads, legacy
+ * unwrapped storage) are treated as version 0 and run through every step, so
+ * each step must be idempotent.
+ *
+ * @module storage/migrations
+ */
+
+/** @typedef {import('../types.js').DashboardConfig} DashboardConfig */
+/** @typedef {import('../types.js').Service} Service */
+/** @typedef {{version:number,states:Array}} StateStore */
+
+/**
+ * @typedef {Object} Migration
+ * @property {string} description
+ * @property {(cfg: any) => any} [config]
+ * @property {(services: Array<any>) => Array<any>} [services]
+ * @property {(store: StateStore) => StateStore} [states]
+ */
+
+/** @type {Record<number, Migration>} */
+export const MIGRATIONS = {
+  1: {
+    description: 'Wrap stored config as { version, data }'
+  },
+  2: {
+    description: 'Boards use `order` instead of `boardOrder`; views always carry a widgetState array; services stored as { version, data }',
+    config: cfg => {
+      if (!Array.isArray(cfg.boards)) return cfg
+      cfg.boards.forEach((board, idx) => {
+        if (!board || typeof board !== 'object') return
+        if ('boardOrder' in board) {
+          if (board.order === undefined) board.order = Number(board.boardOrder) || idx
+          delete board.boardOrder
+        }
+        if (!Array.isArray(board.views)) board.views = []
+        board.views.forEach(view => {
+          if (view && !Array.isArray(view.widgetState)) view.widgetState = []
+        })
+      })
+      return cfg
+    }
+  }
+}
+
+/**
+ * Latest schema version known to this build.
+ * @constant {number}
+ */
+export const LATEST_VERSION = Math.max(...Object.keys(MIGRATIONS).map(Number))
+
+/**
+ * Split a possibly versioned payload into its version and data.
+ *
+ * Accepts `{ version, data }` envelopes, objects tagged with a top-level
+ * numeric `version` (exported configs) and untagged legacy payloads.
+ *
+ * @function readVersioned
+ * @param {any} raw
+ * @returns {{version:number,data:any}}
+ */
+export function readVersioned (raw) {
+  if (raw && typeof raw === 'object' && !Array.isArray(raw) && typeof raw.version === 'number') {
+    if ('data' in raw) return { version: raw.version, data: raw.data }
+    const { version, ...data } = raw
+    return { version, data }
+  }
+  return { version: 0, data: raw }
+}
+
+/**
+ * Apply every step of `kind` between `fromVersion` and LATEST_VERSION.
+ *
+ * @function runSteps
+ * @param {'config'|'services'|'states'} kind
+ * @param {any} value
+ * @param {number} fromVersion
+ * @returns {any}
+ */
+function runSteps (kind, value, fromVersion) {
+  let out = structuredClone(value)
+  for (let v = fromVersion + 1; v <= LATEST_VERSION; v++) {
+    const step = MIGRATIONS[v]?.[kind]
+    if (typeof step === 'function') out = step(out)
+  }
+  return out
+}
+
+/**
+ * Upgrade config data from `fromVersion` to the latest schema.
+ *
+ * @function migrateConfig
+ * @param {any} cfg
+ * @param {number} [fromVersion=0]
+ * @returns {DashboardConfig}
+ */
+export function migrateConfig (cfg, fromVersion = 0) {
+  if (!cfg || typeof cfg !== 'object') return cfg
+  return runSteps('config', cfg, fromVersion)
+}
+
+/**
+ * Upgrade a services list from `fromVersion` to the latest schema.
+ *
+ * @function migrateServices
+ * @param {any} services
+ * @param {number} [fromVersion=0]
+ * @returns {Array<Service>}
+ */
+export function migrateServices (services, fromVersion = 0) {
+  if (!Array.isArray(services)) return services
+  return runSteps('services', services, fromVersion)
+}
+
+/**
+ * Upgrade the snapshot store to the latest schema and stamp its version.
+ *
+ * @function migrateStateStore
+ * @param {StateStore} store
+ * @returns {StateStore}
+ */
+export function migrateStateStore (store) {
+  const from = typeof store?.version === 'number' ? store.version : 0
+  const states = Array.isArray(store?.states) ? store.states : []
+  const migrated = runSteps('states', { version: from, states }, from)
+  migrated.version = LATEST_VERSION
+  return migrated
+}
+
+/**
+ * Upgrade a config received from outside storage (URL, file, fragment, snapshot).
+ *
+ * @function upgradeConfig
+ * @param {any} raw
+ * @returns {DashboardConfig|null}
+ */
+export function upgradeConfig (raw) {
+  if (!raw || typeof raw !== 'object') return null
+  const { version, data } = readVersioned(raw)
+  return migrateConfig(data, version)
+}
+
+/**
+ * Upgrade a services list received from outside storage.
+ *
+ * @function upgradeServices
+ * @param {any} raw
+ * @returns {Array<Service>|null}
+ */
+export function upgradeServices (raw) {
+  if (!raw) return null
+  const { version, data } = readVersioned(raw)
+  return Array.isArray(data) ? migrateServices(data, version) : null
+}
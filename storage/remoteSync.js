@@ -0,0 +1,350 @@
+// @ts-check
+/**
+ * Optional sync of the dashboard config with an HTTP endpoint, configured
+ * under `globalSettings.remoteSync`.
+ *
+ * Protocol (any server implementing it works; `tests/support/syncStubServer.js`
+ * is a local stub):
+ * - `GET <url>` answers the config JSON with an `ETag` header, or `404` when
+ *   nothing was stored yet. With `If-None-Match` it may answer `304`. When
+ *   long polling, requests carry `Prefer: wait=<seconds>` and the server may
+ *   hold them until the config changes.
+ * - `PUT <url>` stores the config. Requests carry `If-Match: <etag>`
+ *   (`If-None-Match: *` for the first upload); the server answers `412` when
+ *   its copy changed meanwhile, otherwise `2xx` with the new `ETag`.
+ * Cross-origin servers must expose the header: `Access-Control-Expose-Headers: ETag`.
+ *
+ * Local edits are pushed and remote edits applied. When both sides changed,
+ * a 'sync-conflict' state change is dispatched and nothing is overwritten
+ * until {@link resolveSyncConflict} is called.
+ *
+ * @module storage/remoteSync
+ */
+import StorageManager, { CURRENT_VERSION } from './StorageManager.js'
+import { EVENTS, emit, on } from '../utils/eventBus.js'
+import { upgradeConfig } from './migrations.js'
+import { autosaveIfPresent } from './snapshots.js'
+import { md5Hex } from '../utils/hash.js'
+import { debounce } from '../utils/utils.js'
+import { Logger } from '../utils/Logger.js'
+
+/** @typedef {import('../types.js').RemoteSyncSettings} RemoteSyncSettings */
+/** @typedef {import('../types.js').DashboardConfig} DashboardConfig */
+/**
+ * Last synced server state. `hash` is null before the first sync with `url`.
+ * @typedef {{url:string, etag:string|null, hash:string|null}} SyncState
+ */
+
+const logger = new Logger('remoteSync.js')
+
+/** localStorage key remembering the last synced ETag and content hash. */
+const STATE_KEY = 'remoteSyncState'
+const PUSH_DELAY = 1000
+const LONG_POLL_WAIT = 30
+const MIN_REQUEST_GAP = 1000
+const RETRY_DELAY = 5000
+
+/** @type {RemoteSyncSettings|null} */
+let settings = null
+/** Bumped on every (re)start so loops of an older configuration end. */
+let generation = 0
+/** @type {{config:DashboardConfig, etag:string|null}|null} */
+let conflict = null
+/** @type {(() => void)|null} */
+let subscription = null
+
+/**
+ * @function readState
+ * @returns {SyncState}
+ */
+function readState () {
+  try {
+    const state = JSON.parse(StorageManager.misc.getItem(STATE_KEY) || 'null')
+    if (state && state.url === settings?.url) return state
+  } catch {}
+  return { url: settings?.url || '', etag: null, hash: null }
+}
+
+/**
+ * @function writeState
+ * @param {SyncState} state
+ * @returns {void}
+ */
+function writeState (state) {
+  StorageManager.misc.setItem(STATE_KEY, JSON.stringify(state))
+}
+
+/**
+ * Config as shared with the server. The sync settings stay per client, they
+ * may carry credentials in `headers`.
+ * @function shareable
+ * @param {DashboardConfig} cfg
+ * @returns {DashboardConfig}
+ */
+function shareable (cfg) {
+  const out = structuredClone(cfg)
+  if (out.globalSettings) delete out.globalSettings.remoteSync
+  return out
+}
+
+/**
+ * Hash of the shared part of a config, used to tell whether local edits are unpushed.
+ * @function contentHash
+ * @param {DashboardConfig} cfg
+ * @returns {string}
+ */
+function contentHash (cfg) {
+  return md5Hex(JSON.stringify(shareable(cfg)))
+}
+
+/**
+ * @function sleep
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep (ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * Send a request to the sync endpoint.
+ * @function request
+ * @param {'GET'|'PUT'} method
+ * @param {Record<string,string>} [headers]
+ * @param {string} [body]
+ * @returns {Promise<Response>}
+ */
+function request (method, headers = {}, body) {
+  return fetch(settings.url, {
+    method,
+    cache: 'no-store',
+    headers: {
+      Accept: 'application/json',
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+      ...(settings.headers || {}),
+      ...headers
+    },
+    body
+  })
+}
+
+/**
+ * Announce a conflict and hold remote changes until the user decides.
+ * @function setConflict
+ * @param {DashboardConfig} config - Remote config.
+ * @param {string|null} etag - Remote ETag.
+ * @returns {void}
+ */
+function setConflict (config, etag) {
+  conflict = { config, etag }
+  logger.warn('Remote config changed while local changes were not pushed yet')
+  emit(EVENTS.APP_STATE_CHANGED, { reason: 'sync-conflict' })
+}
+
+/**
+ * Handle a config received from the server.
+ * @function receiveRemote
+ * @param {any} raw - Response body.
+ * @param {string|null} etag
+ * @returns {Promise<void>}
+ */
+async function receiveRemote (raw, etag) {
+  const remote = upgradeConfig(raw)
+  if (!remote) {
+    logger.warn('Ignoring invalid config from sync server')
+    return
+  }
+  const state = readState()
+  const local = StorageManager.getConfig()
+  remote.globalSettings = { ...remote.globalSettings, remoteSync: local.globalSettings?.remoteSync }
+  const localHash = contentHash(local)
+
+  if (state.hash === null) {
+    // First contact with this endpoint: the shared config wins, keep ours as a snapshot
+    await autosaveIfPresent()
+  } else if (localHash !== state.hash) {
+    const remoteHash = contentHash(remote)
+    if (remoteHash === localHash) {
+      writeState({ url: state.url, etag, hash: localHash })
+    } else if (remoteHash === state.hash) {
+      // Servers need not answer 304: an unchanged copy means only ours changed
+      writeState({ url: state.url, etag, hash: state.hash })
+      await push()
+    } else {
+      setConflict(remote, etag)
+    }
+    return
+  }
+
+  StorageManager.applyExternalConfig(remote)
+  writeState({ url: state.url, etag, hash: contentHash(StorageManager.getConfig()) })
+  logger.log('Applied config from sync server')
+}
+
+/**
+ * Fetch the server copy and apply it when it changed.
+ * @function pull
+ * @param {boolean} [wait=false] - Long poll.
+ * @returns {Promise<void>}
+ */
+async function pull (wait = false) {
+  const state = readState()
+  /** @type {Record<string,string>} */
+  const headers = {}
+  if (state.etag) headers['If-None-Match'] = state.etag
+  if (wait) headers.Prefer = `wait=${LONG_POLL_WAIT}`
+
+  const res = await request('GET', headers)
+  if (res.status === 304) return
+  if (res.status === 404) {
+    await push()
+    return
+  }
+  if (!res.ok) throw new Error(`GET failed with ${res.status}`)
+  await receiveRemote(await res.json(), res.headers.get('ETag'))
+}
+
+/**
+ * Upload the local config if it changed since the last sync.
+ * @function push
+ * @returns {Promise<void>}
+ */
+async function push () {
+  if (!settings?.url || conflict) return
+  const state = readState()
+  const local = StorageManager.getConfig()
+  const hash = contentHash(local)
+  if (state.etag && hash === state.hash) return
+
+  const res = await request(
+    'PUT',
+    state.etag ? { 'If-Match': state.etag } : { 'If-None-Match': '*' },
+    JSON.stringify({ version: CURRENT_VERSION, data: shareable(local) })
+  )
+  if (res.status === 412) {
+    // Someone else saved first: fetch their version, receiveRemote decides
+    const current = await request('GET')
+    if (current.ok) await receiveRemote(await current.json(), current.headers.get('ETag'))
+    return
+  }
+  if (!res.ok) throw new Error(`PUT failed with ${res.status}`)
+
+  writeState({ url: state.url, etag: res.headers.get('ETag'), hash })
+  if (!res.headers.get('ETag')) {
+    logger.warn('Sync server sent no ETag, conflicts cannot be detected')
+  }
+  logger.log('Pushed config to sync server')
+}
+
+const schedulePush = debounce(() => {
+  push().catch(error => logger.warn('Push to sync server failed:', error))
+}, PUSH_DELAY)
+
+/**
+ * Keep pulling while this configuration is active.
+ * @function pollLoop
+ * @param {number} gen
+ * @returns {Promise<void>}
+ */
+async function pollLoop (gen) {
+  const longPoll = settings.longPoll === true || settings.longPoll === 'true'
+  const interval = Math.max(Number(settings.pollInterval) || 30, 1) * 1000
+  while (gen === generation) {
+    const started = Date.now()
+    try {
+      if (!conflict) await pull(longPoll)
+    } catch (error) {
+      logger.warn('Sync server unreachable:', error)
+      await sleep(RETRY_DELAY)
+    }
+    const elapsed = Date.now() - started
+    await sleep(longPoll ? Math.max(0, MIN_REQUEST_GAP - elapsed) : interval)
+  }
+}
+
+/**
+ * React to local config writes: restart on settings changes, push otherwise.
+ * @function onStateChange
+ * @param {import('../utils/eventBus.js').AppStateDetail} detail
+ * @returns {void}
+ */
+function onStateChange ({ reason }) {
+  if (reason !== 'config') return
+  const next = StorageManager.getConfig().globalSettings?.remoteSync || {}
+  if (JSON.stringify(next) !== JSON.stringify(settings || {})) {
+    startRemoteSync()
+    return
+  }
+  if (settings?.url) schedulePush()
+}
+
+/**
+ * Start (or restart) syncing with `globalSettings.remoteSync.url`.
+ * Does nothing but listen for settings changes when no URL is set.
+ *
+ * @function startRemoteSync
+ * @returns {void}
+ */
+export function startRemoteSync () {
+  if (!subscription) subscription = on(EVENTS.APP_STATE_CHANGED, onStateChange)
+  const gen = ++generation
+  conflict = null
+  settings = structuredClone(StorageManager.getConfig().globalSettings?.remoteSync || {})
+  if (!settings.url) return
+
+  logger.log(`Syncing config with ${settings.url}`)
+  const state = readState()
+  // Local edits made while offline (or a fragment import) go up first
+  const first = state.etag && contentHash(StorageManager.getConfig()) !== state.hash ? push() : pull()
+  first
+    .catch(error => logger.warn('Initial sync failed:', error))
+    .finally(() => { if (gen === generation) pollLoop(gen) })
+}
+
+/**
+ * Stop syncing until the next start, also for later config writes.
+ * @function stopRemoteSync
+ * @returns {void}
+ */
+export function stopRemoteSync () {
+  subscription?.()
+  subscription = null
+  generation++
+  settings = null
+  conflict = null
+}
+
+/**
+ * Whether local and remote edits are waiting for a decision.
+ * @function hasSyncConflict
+ * @returns {boolean}
+ */
+export function hasSyncConflict () {
+  return conflict !== null
+}
+
+/**
+ * Settle a conflict by taking the server version or overwriting it.
+ *
+ * @function resolveSyncConflict
+ * @param {'remote'|'local'} keep
+ * @returns {Promise<void>}
+ */
+export async function resolveSyncConflict (keep) {
+  if (!conflict || !settings?.url) return
+  const { config, etag } = conflict
+  const current = settings
+  conflict = null
+  if (keep === 'remote') {
+    await autosaveIfPresent()
+    // Stopped or reconfigured meanwhile: the conflict is gone with it
+    if (settings !== current) return
+    config.globalSettings = { ...config.globalSettings, remoteSync: current }
+    StorageManager.applyExternalConfig(config)
+    writeState({ url: current.url, etag, hash: contentHash(StorageManager.getConfig()) })
+    return
+  }
+  // Empty hash: local counts as changed, so push() overwrites the server copy
+  writeState({ url: current.url, etag, hash: '' })
+  await push()
+}
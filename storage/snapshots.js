@@ -57,3 +57,25 @@ export async function saveImportedSnapshot (name, cfg, svc) {
   })
   return finalName
 }
+
+/**
+ * Keep a copy of a config that is about to be overwritten by a concurrent
+ * edit from this tab, so the other tab's version can be restored.
+ *
+ * @function saveConflictSnapshot
+ * @param {string} name - Snapshot name.
+ * @param {import('../types.js').DashboardConfig} cfg - Config as written by the other tab.
+ * @returns {Promise<void>}
+ */
+export async function saveConflictSnapshot (name, cfg) {
+  const [cfgEnc, svcEnc] = await Promise.all([
+    gzipJsonToBase64url(cfg),
+    gzipJsonToBase64url(StorageManager.getServices())
+  ])
+  await StorageManager.saveStateSnapshot({
+    name,
+    type: 'conflict',
+    cfg: cfgEnc,
+    svc: svcEnc
+  })
+}
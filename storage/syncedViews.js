@@ -0,0 +1,24 @@
+// @ts-check
+/**
+ * The widgetState of each view as this tab last rendered or wrote it. It is
+ * the common ancestor when another tab edited the same view, see
+ * `saveWidgetState` in widgetStatePersister.js.
+ *
+ * @module syncedViews
+ */
+
+/**
+ * Last widgetState (JSON) this tab rendered or wrote, per view id.
+ * @type {Map<string,string>}
+ */
+export const syncedViewState = new Map()
+
+/**
+ * widgetState (JSON) of every view, in the form kept in {@link syncedViewState}.
+ * @function viewStates
+ * @param {Array<import('../types.js').Board>} boards
+ * @returns {Map<string,string>}
+ */
+export function viewStates (boards) {
+  return new Map(boards.flatMap(b => b.views || []).map(v => [v.id, JSON.stringify(v.widgetState || [])]))
+}
@@ -7,16 +7,40 @@
  */
 import { Logger } from '../utils/Logger.js'
 import StorageManager from './StorageManager.js'
+import { EVENTS, emit } from '../utils/eventBus.js'
+import { saveConflictSnapshot } from './snapshots.js'
 import { getCurrentBoardId, getCurrentViewId } from '../utils/elements.js'
+import { widgetTypeOf } from '../component/widget/types/registry.js'
+import { hasPlacement } from '../component/widget/utils/gridLayout.js'
+import { recordBreakpointLayout } from '../component/widget/utils/responsiveLayout.js'
+import { syncedViewState } from './syncedViews.js'
 
 const logger = new Logger('widgetStatePersister.js')
 
 /**
- * Converts a widget DOM element into a serializable state object.
+ * Record the widgetState this tab now displays for a view.
+ * Call after rendering a view from storage.
+ *
+ * @function markViewSynced
+ * @param {string} viewId
+ * @param {Array<import('../types.js').Widget>} [widgetState] - Defaults to the stored state.
+ * @returns {void}
+ */
+export function markViewSynced (viewId, widgetState) {
+  const state = widgetState ?? StorageManager.getBoards()
+    .flatMap(b => b.views || [])
+    .find(v => v.id === viewId)?.widgetState
+  if (state) syncedViewState.set(viewId, JSON.stringify(state))
+}
+
+/**
+ * Converts a widget DOM element into a serializable state object. The
+ * widget type's `serialize` hook supplies the URL and may add or override fields.
+ * @function serializeWidgetState
  * @param {HTMLElement} widget - The widget element.
  * @returns {import('../types.js').Widget} A serializable widget state object.
  */
-function serializeWidgetState (widget) {
+export function serializeWidgetState (widget) {
   let metadata = {}
   if (widget.dataset.metadata) {
     try { metadata = JSON.parse(widget.dataset.metadata) } catch (e) { metadata = {} }
@@ -27,16 +51,25 @@ function serializeWidgetState (widget) {
     try { settings = JSON.parse(widget.dataset.settings) } catch (e) { settings = {} }
   }
 
+  let security
+  if (widget.dataset.security) {
+    try { security = JSON.parse(widget.dataset.security) } catch (e) { security = undefined }
+  }
+
+  const type = widgetTypeOf(widget)
   return {
     dataid: widget.dataset.dataid,
     serviceId: widget.dataset.serviceId,
     order: widget.getAttribute('data-order'),
-    url: widget.querySelector('iframe').src,
+    url: widget.dataset.url,
     columns: widget.dataset.columns || '1',
     rows: widget.dataset.rows || '1',
-    type: widget.dataset.type || 'iframe',
+    ...(hasPlacement(widget) && { x: Number(widget.dataset.x), y: Number(widget.dataset.y) }),
+    type: type.name,
     metadata,
-    settings
+    settings,
+    ...(security && { security }),
+    ...type.serialize?.(widget)
   }
 }
 
@@ -59,6 +92,10 @@ export function saveWidgetState (boardId = getCurrentBoardId(), viewId = getCurr
     return logger.error('Board ID or View ID is missing. Cannot save widget state.')
   }
 
+  /** @type {Array<import('../types.js').Board>|null} */
+  let overwritten = null
+  let viewName = viewId
+
   try {
     // Use the atomic update helper for all board modifications.
     StorageManager.updateBoards(boards => {
@@ -75,7 +112,8 @@ export function saveWidgetState (boardId = getCurrentBoardId(), viewId = getCurr
       }
 
       const widgetContainer = document.getElementById('widget-container')
-      const visibleWidgets = Array.from(widgetContainer.children)
+      // Only widgets: drag previews and drop layers live in the container too
+      const visibleWidgets = Array.from(widgetContainer.querySelectorAll(':scope > .widget-wrapper'))
         .filter(el => (el instanceof HTMLElement) && el.style.display !== 'none')
 
       const sortedVisibleWidgets = visibleWidgets.sort((a, b) => {
@@ -89,12 +127,50 @@ export function saveWidgetState (boardId = getCurrentBoardId(), viewId = getCurr
         ;(/** @type {HTMLElement} */(widget)).style.order = String(index)
       })
 
+      const next = sortedVisibleWidgets.map(widget => serializeWidgetState(/** @type {HTMLElement} */(widget)))
+
+      // Three-way check against what this tab last synced: another tab may
+      // have changed the view since this tab rendered it.
+      const base = syncedViewState.get(viewId)
+      const theirs = JSON.stringify(view.widgetState || [])
+      const ours = JSON.stringify(next)
+      if (base !== undefined && theirs !== base && ours !== theirs) {
+        if (ours === base) {
+          // Nothing changed here, keep the other tab's edit.
+          return
+        }
+        overwritten = structuredClone(boards)
+        viewName = view.name || viewId
+      }
+
       // Mutate the board state directly within the safe callback
-      view.widgetState = sortedVisibleWidgets.map(widget => serializeWidgetState(/** @type {HTMLElement} */(widget)))
+      view.widgetState = next
+      recordBreakpointLayout(view, sortedVisibleWidgets.map(el => /** @type {HTMLElement} */(el)))
+      syncedViewState.set(viewId, ours)
     })
 
     logger.info(`Saved widget state for view: ${viewId} in board: ${boardId}`)
   } catch (error) {
     logger.error('Error saving widget state:', error)
   }
+
+  if (overwritten) reportConflict(viewId, viewName, overwritten)
+}
+
+/**
+ * Preserve the other tab's version of a view this tab just overwrote and
+ * let the UI tell the user where to find it.
+ *
+ * @function reportConflict
+ * @param {string} viewId
+ * @param {string} viewName
+ * @param {Array<import('../types.js').Board>} theirBoards - Boards as stored before the write.
+ * @returns {void}
+ */
+function reportConflict (viewId, viewName, theirBoards) {
+  const snapshot = `conflict/${viewName}/${new Date().toISOString()}`
+  logger.warn(`View ${viewId} was edited in another tab, previous version kept as ${snapshot}`)
+  saveConflictSnapshot(snapshot, { ...StorageManager.getConfig(), boards: theirBoards })
+    .catch(error => logger.error('Failed to save conflict snapshot:', error))
+  emit(EVENTS.APP_STATE_CHANGED, { reason: 'conflict', viewId, viewName, snapshot })
 }
@@ -0,0 +1,35 @@
+// @ts-check
+/**
+ * Requests of API services: credentials only go to their allowed origins.
+ * Run with `node --test tests/`.
+ */
+import { clearStorage } from './support/browserEnv.js'
+import { test, before, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import StorageManager from '../storage/StorageManager.js'
+import { buildRequest } from '../component/widget/utils/fetchData.js'
+
+before(async () => {
+  await StorageManager.init()
+})
+
+beforeEach(() => {
+  clearStorage()
+  StorageManager.setCredential('grafana', { type: 'bearer', token: 'secret', origins: ['https://grafana.example'] })
+})
+
+test('attaches a credential on its allowed origins', () => {
+  const { url, init } = buildRequest({ url: 'https://grafana.example/api/health', credential: 'grafana' })
+  assert.equal(url, 'https://grafana.example/api/health')
+  assert.equal(new Headers(init.headers).get('Authorization'), 'Bearer secret')
+})
+
+test('refuses to send a credential to another origin', () => {
+  assert.throws(() => buildRequest({ url: 'https://attacker.example/', credential: 'grafana' }), /not allowed for https:\/\/attacker\.example/)
+  assert.throws(() => buildRequest({ url: 'http://grafana.example/', credential: 'grafana' }), /not allowed/)
+})
+
+test('refuses credentials stored without origins', () => {
+  StorageManager.setCredential('legacy', { type: 'query', name: 'key', value: 'secret' })
+  assert.throws(() => buildRequest({ url: 'https://grafana.example/', credential: 'legacy' }), /not allowed/)
+})
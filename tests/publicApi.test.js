@@ -0,0 +1,127 @@
+// @ts-check
+/**
+ * The `window.asd` embedding API: input validation, config import and
+ * export, state and events. Mounting widgets needs a real DOM and is not
+ * covered here. Run with `node --test tests/`.
+ */
+import { clearStorage, showView } from './support/browserEnv.js'
+import { test, before, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import StorageManager, { CURRENT_VERSION } from '../storage/StorageManager.js'
+import { createPublicApi, API_VERSION } from '../flows/publicApi.js'
+import { EVENTS } from '../utils/eventBus.js'
+
+const api = createPublicApi()
+
+/**
+ * @param {string} boardId
+ * @param {Array<string>} viewIds
+ * @param {Array<import('../types.js').Widget>} [widgets] - Put in the first view.
+ * @returns {import('../types.js').Board}
+ */
+function board (boardId, viewIds, widgets = []) {
+  return {
+    id: boardId,
+    name: `Board ${boardId}`,
+    order: 0,
+    views: viewIds.map((id, index) => ({ id, name: `View ${id}`, widgetState: index === 0 ? widgets : [] }))
+  }
+}
+
+before(async () => {
+  await StorageManager.init()
+})
+
+beforeEach(() => {
+  clearStorage()
+  StorageManager.setConfig({ boards: [board('b1', ['v1', 'v2'])] })
+  StorageManager.setServices([])
+  showView('b1', 'v1')
+})
+
+test('is frozen and versioned', () => {
+  assert.equal(api.version, API_VERSION)
+  assert.ok(Object.isFrozen(api))
+})
+
+test('addWidget rejects malformed options with a TypeError', async () => {
+  await assert.rejects(api.addWidget(undefined), TypeError)
+  await assert.rejects(api.addWidget({ url: '' }), TypeError)
+  await assert.rejects(api.addWidget({ url: '/relative/path' }), /absolute URL/)
+  await assert.rejects(api.addWidget({ url: 'https://example.com', columns: 0 }), /columns/)
+  await assert.rejects(api.addWidget({ url: 'https://example.com', rows: 1.5 }), /rows/)
+  await assert.rejects(api.addWidget({ url: 'https://example.com', type: 'no-such-type' }), /Unknown widget type/)
+})
+
+test('addWidget rejects unknown boards and views with an Error', async () => {
+  await assert.rejects(api.addWidget({ url: 'https://example.com', boardId: 'nope' }), /Unknown board: nope/)
+  await assert.rejects(api.addWidget({ url: 'https://example.com', boardId: 'b1', viewId: 'nope' }), /Unknown view: nope/)
+})
+
+test('removeWidget rejects unknown widgets', async () => {
+  await assert.rejects(api.removeWidget(''), TypeError)
+  await assert.rejects(api.removeWidget('missing'), /Unknown widget: missing/)
+})
+
+test('switchBoard and switchView validate their targets', async () => {
+  await assert.rejects(api.switchBoard(42), TypeError)
+  await assert.rejects(api.switchView('b1'), TypeError)
+  await assert.rejects(api.switchBoard('nope'), /Unknown board/)
+  await assert.rejects(api.switchView('b1', 'nope'), /Unknown view/)
+  // Already shown: resolves without touching the page
+  await api.switchView('b1', 'v1')
+})
+
+test('importConfig rejects data that is not a config or service list', async () => {
+  await assert.rejects(api.importConfig(null), TypeError)
+  await assert.rejects(api.importConfig({}), TypeError)
+  await assert.rejects(api.importConfig({ config: 'text' }), /config must be/)
+  await assert.rejects(api.importConfig({ services: 'text' }), /services must be/)
+  assert.equal(StorageManager.getBoards()[0].id, 'b1')
+})
+
+test('importConfig replaces the config and services, or merges them', async () => {
+  const services = [{ id: 's1', name: 'Example', url: 'https://example.com' }]
+  await api.importConfig({ config: { boards: [board('b1', ['v1']), board('b2', ['v3'])] }, services })
+  assert.deepEqual(StorageManager.getBoards().map(b => b.id), ['b1', 'b2'])
+  assert.deepEqual(StorageManager.getServices().map(s => s.name), ['Example'])
+
+  await api.importConfig({ config: { boards: [board('b3', ['v4'])] } }, { merge: true })
+  assert.deepEqual(StorageManager.getBoards().map(b => b.id), ['b1', 'b2', 'b3'])
+
+  // The replaced config was kept as an autosave snapshot
+  const store = await StorageManager.loadStateStore()
+  assert.ok(store.states.some(s => s.type === 'autosave'))
+})
+
+test('exportConfig returns a copy of the stored config and services', async () => {
+  const exported = await api.exportConfig()
+  assert.equal(exported.version, CURRENT_VERSION)
+  assert.deepEqual(exported.config.boards.map(b => b.id), ['b1'])
+  exported.config.boards.length = 0
+  assert.equal(StorageManager.getBoards().length, 1)
+})
+
+test('getState describes the boards and the widgets of the current view', async () => {
+  const widget = { dataid: 'w1', url: 'https://example.com', columns: '1', rows: '1', order: '0' }
+  StorageManager.setConfig({ boards: [board('b1', ['v1', 'v2'], [widget])] })
+  const state = await api.getState()
+  assert.equal(state.version, API_VERSION)
+  assert.equal(state.boardId, 'b1')
+  assert.equal(state.viewId, 'v1')
+  assert.deepEqual(state.boards[0].views.map(v => v.widgetCount), [1, 0])
+  assert.deepEqual(state.widgets.map(w => w.dataid), ['w1'])
+})
+
+test('on validates its arguments and returns an unsubscribe function', () => {
+  assert.throws(() => api.on(/** @type {any} */ ('no-such-event'), () => {}), TypeError)
+  assert.throws(() => api.on(EVENTS.APP_STATE_CHANGED, /** @type {any} */ (null)), TypeError)
+
+  /** @type {Array<string>} */
+  const reasons = []
+  const off = api.on(EVENTS.APP_STATE_CHANGED, ({ reason }) => reasons.push(reason))
+  StorageManager.setServices([])
+  off()
+  StorageManager.setServices([])
+  assert.deepEqual(reasons, ['services'])
+})
@@ -0,0 +1,128 @@
+// @ts-check
+/**
+ * Remote config sync against the stub server in support/syncStubServer.js.
+ * Run with `node --test tests/`.
+ */
+import { clearStorage, waitFor } from './support/browserEnv.js'
+import { test, before, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import StorageManager, { CURRENT_VERSION } from '../storage/StorageManager.js'
+import { startRemoteSync, stopRemoteSync, hasSyncConflict, resolveSyncConflict } from '../storage/remoteSync.js'
+import { startSyncStubServer } from './support/syncStubServer.js'
+
+/** @type {import('./support/syncStubServer.js').SyncStub} */
+let server
+
+/**
+ * Config with one board of the given id, syncing with the stub server.
+ * @param {string} boardId
+ * @returns {import('../types.js').DashboardConfig}
+ */
+function configWith (boardId) {
+  return {
+    boards: [{ id: boardId, name: boardId, views: [{ id: `${boardId}-view`, name: 'View', widgetState: [] }] }],
+    globalSettings: { remoteSync: { url: server.url, pollInterval: 1 } }
+  }
+}
+
+/**
+ * @param {any} doc
+ * @returns {string|undefined}
+ */
+const boardOf = doc => doc?.data?.boards?.[0]?.id
+
+/**
+ * Start syncing `boardId` locally and wait for the first upload.
+ * @param {string} boardId
+ * @returns {Promise<void>}
+ */
+async function syncFrom (boardId) {
+  // Without a URL this only subscribes; the config write then starts syncing
+  startRemoteSync()
+  StorageManager.setConfig(configWith(boardId))
+  await waitFor(() => boardOf(server.document) === boardId)
+}
+
+before(async () => {
+  await StorageManager.init()
+})
+
+beforeEach(async () => {
+  clearStorage()
+  server = await startSyncStubServer()
+})
+
+afterEach(async () => {
+  stopRemoteSync()
+  await server.close()
+})
+
+test('uploads the local config to an empty server, without the sync settings', async () => {
+  await syncFrom('local')
+  const put = server.requests.find(r => r.method === 'PUT')
+  assert.equal(put?.headers['if-none-match'], '*')
+  assert.equal(server.document.version, CURRENT_VERSION)
+  assert.equal(server.document.data.globalSettings.remoteSync, undefined)
+})
+
+test('pushes local edits with If-Match', async () => {
+  await syncFrom('local')
+  const etag = server.etag
+  StorageManager.setConfig(configWith('edited'))
+  await waitFor(() => boardOf(server.document) === 'edited')
+  const puts = server.requests.filter(r => r.method === 'PUT')
+  assert.equal(puts.at(-1)?.headers['if-match'], etag)
+  assert.equal(hasSyncConflict(), false)
+})
+
+test('applies remote changes when there are no local edits', async () => {
+  await syncFrom('local')
+  server.setDocument({ version: CURRENT_VERSION, data: configWith('remote') })
+  await waitFor(() => StorageManager.getBoards()[0]?.id === 'remote')
+  // The local sync settings survive the remote config
+  assert.equal(StorageManager.getConfig().globalSettings.remoteSync?.url, server.url)
+})
+
+test('pushes local edits when the server answers 200 instead of 304', async () => {
+  await server.close()
+  server = await startSyncStubServer({ notModified: false })
+  await syncFrom('local')
+  // Changes the local copy without scheduling a push, so the next poll sees it first
+  StorageManager.applyExternalConfig(configWith('edited'))
+  await waitFor(() => boardOf(server.document) === 'edited')
+  assert.equal(hasSyncConflict(), false)
+})
+
+test('stays stopped when the config is written again', async () => {
+  await syncFrom('local')
+  stopRemoteSync()
+  const requests = server.requests.length
+  StorageManager.setConfig(configWith('edited'))
+  await new Promise(resolve => setTimeout(resolve, 1500))
+  assert.equal(server.requests.length, requests)
+  assert.equal(boardOf(server.document), 'local')
+})
+
+test('reports a conflict when both sides changed and overwrites nothing until resolved', async () => {
+  await syncFrom('local')
+  server.setDocument({ version: CURRENT_VERSION, data: configWith('remote') })
+  StorageManager.applyExternalConfig(configWith('edited'))
+  await waitFor(() => hasSyncConflict())
+  assert.equal(boardOf(server.document), 'remote')
+  assert.equal(StorageManager.getBoards()[0].id, 'edited')
+
+  await resolveSyncConflict('local')
+  assert.equal(boardOf(server.document), 'edited')
+  assert.equal(hasSyncConflict(), false)
+})
+
+test('drops a pending conflict when sync stops', async () => {
+  await syncFrom('local')
+  server.setDocument({ version: CURRENT_VERSION, data: configWith('remote') })
+  StorageManager.applyExternalConfig(configWith('edited'))
+  await waitFor(() => hasSyncConflict())
+  stopRemoteSync()
+  await resolveSyncConflict('remote')
+  assert.equal(StorageManager.getBoards()[0].id, 'edited')
+  assert.equal(hasSyncConflict(), false)
+})
@@ -0,0 +1,30 @@
+// @ts-check
+/**
+ * Services and widgets imported from a link the user did not trust.
+ * Run with `node --test tests/`.
+ */
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { LOCKED_DOWN_SECURITY, lockDownServices, lockDownWidgets } from '../utils/securityProfile.js'
+
+test('locked-down services send no credential and open no fallback by themselves', () => {
+  const [service] = lockDownServices([{
+    name: 'grafana',
+    url: 'https://grafana.example',
+    security: { sandbox: null },
+    api: { url: 'https://attacker.example', credential: 'grafana', pollInterval: 30 },
+    fallback: { name: 'Status', url: 'https://attacker.example/status', auto: true }
+  }])
+  assert.deepEqual(service.security, LOCKED_DOWN_SECURITY)
+  assert.deepEqual(service.api, { url: 'https://attacker.example', pollInterval: 30 })
+  assert.deepEqual(service.fallback, { name: 'Status', url: 'https://attacker.example/status' })
+})
+
+test('locked-down widgets send no credential', () => {
+  const widget = /** @type {any} */ ({ dataid: 'w1', type: 'api', url: 'https://attacker.example', columns: 1, rows: 1, api: { credential: 'grafana' } })
+  const config = lockDownWidgets({ boards: [{ id: 'b1', name: 'Board', views: [{ id: 'v1', name: 'View', widgetState: [widget] }] }] })
+  const [locked] = /** @type {Array<any>} */ (config.boards[0].views[0].widgetState)
+  assert.deepEqual(locked.security, LOCKED_DOWN_SECURITY)
+  assert.deepEqual(locked.api, {})
+  assert.equal(widget.api.credential, 'grafana')
+})
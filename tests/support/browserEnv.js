@@ -0,0 +1,101 @@
+// @ts-check
+/**
+ * The few browser globals the storage and API modules need, so they can be
+ * tested with `node --test` without a browser. Import it before any module
+ * of the app.
+ *
+ * The document only answers the board and view lookups of
+ * `utils/elements.js`, set with {@link showView}, and the elements given to
+ * {@link setElementById}.
+ *
+ * @module browserEnv
+ */
+
+/** The global object, typed loosely so fakes can stand in for browser globals. */
+const globals = /** @type {any} */ (globalThis)
+
+/** @type {Map<string, string>} */
+const items = new Map()
+
+globals.localStorage = /** @type {Storage} */ ({
+  getItem: key => items.has(key) ? items.get(key) : null,
+  setItem: (key, value) => { items.set(key, String(value)) },
+  removeItem: key => { items.delete(key) },
+  clear: () => items.clear(),
+  key: index => Array.from(items.keys())[index] ?? null,
+  get length () { return items.size }
+})
+
+const windowEvents = new EventTarget()
+globals.window = globals
+globals.addEventListener = windowEvents.addEventListener.bind(windowEvents)
+globals.removeEventListener = windowEvents.removeEventListener.bind(windowEvents)
+globals.dispatchEvent = windowEvents.dispatchEvent.bind(windowEvents)
+// Cross-tab sync falls back to `storage` events, which never fire here
+delete globals.BroadcastChannel
+globals.navigator ??= { userAgent: 'node' }
+globals.location = { href: 'http://localhost/', origin: 'http://localhost', hash: '', search: '', reload () {} }
+
+/** Base class of the fake elements, for `instanceof` checks. */
+globals.HTMLElement ??= class {}
+
+/** @type {Record<string, {id:string}>} */
+const shown = {}
+/** @type {Map<string, any>} */
+const byId = new Map()
+globals.document = Object.assign(new EventTarget(), {
+  querySelector: (/** @type {string} */ selector) => shown[selector] || null,
+  querySelectorAll: () => [],
+  getElementById: (/** @type {string} */ id) => byId.get(id) ?? null
+})
+
+/**
+ * Make a board and view the current ones.
+ * @function showView
+ * @param {string} boardId
+ * @param {string} viewId
+ * @returns {void}
+ */
+export function showView (boardId, viewId) {
+  shown['.board'] = { id: boardId }
+  shown['.board-view'] = { id: viewId }
+}
+
+/**
+ * Make `document.getElementById(id)` return `el`, or null again without it.
+ * @function setElementById
+ * @param {string} id
+ * @param {any} [el]
+ * @returns {void}
+ */
+export function setElementById (id, el) {
+  if (el) byId.set(id, el)
+  else byId.delete(id)
+}
+
+/**
+ * Forget everything stored.
+ * @function clearStorage
+ * @returns {void}
+ */
+export function clearStorage () {
+  items.clear()
+}
+
+/**
+ * Resolve once `check` returns a truthy value, polling every 50ms.
+ * @function waitFor
+ * @template T
+ * @param {() => T} check
+ * @param {number} [timeout=8000]
+ * @returns {Promise<T>}
+ */
+export async function waitFor (check, timeout = 8000) {
+  const end = Date.now() + timeout
+  for (;;) {
+    const result = check()
+    if (result) return result
+    if (Date.now() > end) throw new Error(`Timed out waiting for ${check}`)
+    await new Promise(resolve => setTimeout(resolve, 50))
+  }
+}
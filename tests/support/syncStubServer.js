@@ -0,0 +1,111 @@
+// @ts-check
+/**
+ * Minimal server for the protocol of `storage/remoteSync.js`, used by the
+ * tests and for trying sync locally:
+ *
+ *   node tests/support/syncStubServer.js [port]
+ *
+ * then set `globalSettings.remoteSync.url` to `http://localhost:<port>/config`.
+ * It keeps one document in memory, versions it with a counter ETag and
+ * answers cross-origin requests.
+ *
+ * @module syncStubServer
+ */
+import http from 'node:http'
+import { pathToFileURL } from 'node:url'
+
+/**
+ * @typedef {Object} SyncStub
+ * @property {string} url - Endpoint to sync with.
+ * @property {any} document - Stored body, null before the first upload.
+ * @property {string|null} etag
+ * @property {Array<{method:string, headers:http.IncomingHttpHeaders}>} requests - Every GET and PUT received.
+ * @property {(doc:any) => void} setDocument - Store a body as another client would.
+ * @property {() => Promise<void>} close
+ */
+
+/**
+ * Start a stub server.
+ * @function startSyncStubServer
+ * @param {{port?:number, notModified?:boolean}} [opts] - `notModified: false` answers
+ *   conditional GETs with the full document instead of 304, which the protocol allows.
+ * @returns {Promise<SyncStub>}
+ */
+export function startSyncStubServer ({ port = 0, notModified = true } = {}) {
+  let version = 0
+  /** @type {SyncStub} */
+  const stub = {
+    url: '',
+    document: null,
+    etag: null,
+    requests: [],
+    setDocument (doc) {
+      stub.document = doc
+      stub.etag = `"${++version}"`
+    },
+    close: () => new Promise(resolve => {
+      server.closeAllConnections()
+      server.close(() => resolve())
+    })
+  }
+
+  const server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*')
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT')
+    res.setHeader('Access-Control-Allow-Headers', '*')
+    res.setHeader('Access-Control-Expose-Headers', 'ETag')
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204).end()
+      return
+    }
+    stub.requests.push({ method: req.method || '', headers: req.headers })
+
+    if (req.method === 'GET') {
+      if (stub.document === null) {
+        res.writeHead(404).end()
+      } else if (notModified && req.headers['if-none-match'] === stub.etag) {
+        res.writeHead(304, { ETag: stub.etag }).end()
+      } else {
+        res.writeHead(200, { ETag: stub.etag, 'Content-Type': 'application/json' })
+        res.end(JSON.stringify(stub.document))
+      }
+      return
+    }
+
+    if (req.method === 'PUT') {
+      const ifMatch = req.headers['if-match']
+      const stale = ifMatch ? ifMatch !== stub.etag : req.headers['if-none-match'] === '*' && stub.document !== null
+      if (stale) {
+        res.writeHead(412).end()
+        return
+      }
+      let body = ''
+      req.on('data', chunk => { body += chunk })
+      req.on('end', () => {
+        try {
+          stub.setDocument(JSON.parse(body))
+        } catch {
+          res.writeHead(400).end()
+          return
+        }
+        res.writeHead(204, { ETag: stub.etag }).end()
+      })
+      return
+    }
+
+    res.writeHead(405).end()
+  })
+
+  return new Promise(resolve => {
+    server.listen(port, '127.0.0.1', () => {
+      const address = /** @type {import('node:net').AddressInfo} */ (server.address())
+      stub.url = `http://127.0.0.1:${address.port}/config`
+      resolve(stub)
+    })
+  })
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const stub = await startSyncStubServer({ port: Number(process.argv[2]) || 8787 })
+  console.log(`Sync stub listening, use ${stub.url}`)
+}
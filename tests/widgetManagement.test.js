@@ -0,0 +1,47 @@
+// @ts-check
+/**
+ * Counting a service's widgets for its `maxInstances`. Run with `node --test tests/`.
+ */
+import { clearStorage } from './support/browserEnv.js'
+import { test, before, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import StorageManager from '../storage/StorageManager.js'
+import { serviceInstanceIds } from '../component/widget/widgetManagement.js'
+
+/**
+ * @param {Array<import('../types.js').Widget>} widgetState
+ * @returns {void}
+ */
+function storeWidgets (widgetState) {
+  StorageManager.setConfig({ boards: [{ id: 'b1', name: 'Board', views: [{ id: 'v1', name: 'View', widgetState }] }] })
+}
+
+before(async () => {
+  await StorageManager.init()
+  window.asd = /** @type {any} */ ({ widgetStore: { widgets: new Map() } })
+})
+
+beforeEach(() => {
+  clearStorage()
+  StorageManager.setServices([
+    { id: 's1', name: 'Grafana', url: 'https://grafana.example' },
+    { id: 's2', name: 'Wiki', url: 'https://wiki.example' }
+  ])
+})
+
+test('counts stored widgets by service id', () => {
+  storeWidgets([
+    { dataid: 'w1', serviceId: 's1', url: 'https://grafana.example', columns: 1, rows: 1 },
+    { dataid: 'w2', serviceId: 's2', url: 'https://wiki.example', columns: 1, rows: 1 }
+  ])
+  assert.deepEqual(Array.from(serviceInstanceIds('Grafana', 's1')), ['w1'])
+})
+
+test('counts stored widgets without a service id for the service of their URL only', () => {
+  storeWidgets([
+    { dataid: 'legacy', url: 'https://grafana.example', columns: 1, rows: 1 },
+    { dataid: 'other', url: 'https://unknown.example', columns: 1, rows: 1 }
+  ])
+  assert.deepEqual(Array.from(serviceInstanceIds('Grafana', 's1')), ['legacy'])
+  assert.deepEqual(Array.from(serviceInstanceIds('Wiki', 's2')), [])
+})
@@ -0,0 +1,90 @@
+// @ts-check
+/**
+ * Saving a view's widgets: edits made in this tab are never taken for
+ * another tab's. Run with `node --test tests/`.
+ */
+import { clearStorage, setElementById, showView } from './support/browserEnv.js'
+import { test, before, after, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import StorageManager from '../storage/StorageManager.js'
+import { markViewSynced, saveWidgetState } from '../storage/widgetStatePersister.js'
+import { createPublicApi } from '../flows/publicApi.js'
+import { EVENTS, on } from '../utils/eventBus.js'
+
+/**
+ * @param {string} dataid
+ * @returns {import('../types.js').Widget}
+ */
+const widget = dataid => ({ dataid, url: `https://example.com/${dataid}`, type: 'iframe', columns: '1', rows: '1', order: '0' })
+
+/**
+ * Fake widget container showing widgets, with `columns` changed as a
+ * resize in this tab would.
+ * @param {Array<import('../types.js').Widget>} widgets
+ * @param {string} columns
+ * @returns {any}
+ */
+function containerOf (widgets, columns) {
+  const els = widgets.map((w, index) => {
+    const el = Object.assign(new HTMLElement(), {
+      dataset: { dataid: w.dataid, url: w.url, type: w.type, columns, rows: String(w.rows), order: String(index) },
+      style: { display: '' },
+      getAttribute: (/** @type {string} */ name) => el.dataset[name.replace('data-', '')] ?? null,
+      setAttribute: (/** @type {string} */ name, /** @type {string} */ value) => { el.dataset[name.replace('data-', '')] = value }
+    })
+    return el
+  })
+  return { dataset: {}, querySelectorAll: () => els }
+}
+
+/** @type {Array<string>} */
+let conflicts = []
+const off = on(EVENTS.APP_STATE_CHANGED, ({ reason, viewId }) => { if (reason === 'conflict') conflicts.push(viewId) })
+
+before(async () => {
+  await StorageManager.init()
+})
+
+beforeEach(() => {
+  clearStorage()
+  conflicts = []
+  StorageManager.setConfig({
+    boards: [{
+      id: 'b1',
+      name: 'Board',
+      views: [
+        { id: 'v1', name: 'Shown', widgetState: [] },
+        { id: 'v2', name: 'Hidden', widgetState: [widget('w1'), widget('w2')] }
+      ]
+    }]
+  })
+  showView('b1', 'v1')
+})
+
+afterEach(() => {
+  setElementById('widget-container')
+})
+
+after(() => off())
+
+test('an edit of a view from another tab is reported on the next save', () => {
+  markViewSynced('v2')
+  StorageManager.applyExternalConfig({
+    ...StorageManager.getConfig(),
+    boards: [{ id: 'b1', name: 'Board', views: [{ id: 'v1', name: 'Shown', widgetState: [] }, { id: 'v2', name: 'Hidden', widgetState: [widget('w2')] }] }]
+  })
+  setElementById('widget-container', containerOf([widget('w1'), widget('w2')], '2'))
+  saveWidgetState('b1', 'v2')
+  assert.deepEqual(conflicts, ['v2'])
+})
+
+test('removing an off-screen widget through window.asd is no conflict on the next save', async () => {
+  markViewSynced('v2')
+  await createPublicApi().removeWidget('w1')
+  assert.deepEqual(StorageManager.getBoards()[0].views[1].widgetState.map(w => w.dataid), ['w2'])
+
+  setElementById('widget-container', containerOf([widget('w2')], '2'))
+  saveWidgetState('b1', 'v2')
+  assert.deepEqual(conflicts, [])
+  assert.equal(StorageManager.getBoards()[0].views[1].widgetState[0].columns, '2')
+})
@@ -5,13 +5,16 @@
  * @typedef {Object} Widget
  * @property {string} [dataid]
  * @property {string} [serviceId]
- * @property {string} url
+ * @property {string} url - May contain `{{ctx.name}}` placeholders, resolved from the context variables at runtime.
  * @property {number|string} columns
  * @property {number|string} rows
- * @property {string} [type]
+ * @property {number} [x] - Origin column (0-based) in a free layout view.
+ * @property {number} [y] - Origin row (0-based) in a free layout view.
+ * @property {string} [type] - Widget type, see `component/widget/types/registry.js`. Defaults to `iframe`.
  * @property {string} [order]
  * @property {Record<string, any>} [metadata]
  * @property {Record<string, any>} [settings]
+ * @property {ServiceSecurity} [security] - Profile of a widget from a shared link, used while no service matches its URL.
  */
 
 /**
@@ -19,7 +22,21 @@
  * @typedef {Object} View
  * @property {string} id
  * @property {string} name
+ * @property {'flow'|'free'} [layout] - `free` pins widgets to their `x`/`y`; defaults to `globalSettings.layout`.
  * @property {Array<Widget>} widgetState
+ * @property {Object.<string, Array<LayoutEntry>>} [layouts] - Layout per breakpoint (`phone`, `tablet`, `desktop`, `wide`),
+ *   see `component/widget/utils/responsiveLayout.js`. Spans and order in `widgetState` are those last saved.
+ */
+
+/**
+ * Span, order and position of one widget at a breakpoint.
+ * @typedef {Object} LayoutEntry
+ * @property {string} dataid
+ * @property {number} columns
+ * @property {number} rows
+ * @property {number} order
+ * @property {number} [x]
+ * @property {number} [y]
  */
 
 /**
@@ -28,6 +45,7 @@
  * @property {string} id
  * @property {string} name
  * @property {number} [order]
+ * @property {Object.<string,string>} [variables] - Overrides `globalSettings.variables` for services shown on this board.
  * @property {Array<View>} views
  */
 
@@ -42,12 +60,63 @@
  * @property {number} [rows]
  */
 
+/**
+ * Data request of an API service, see `component/widget/utils/fetchData.js`.
+ * @typedef {Object} ServiceApi
+ * @property {string} [url] - Data endpoint; `api` widgets default to the widget URL.
+ * @property {string} [method] - Defaults to GET, or POST when a body is set.
+ * @property {Record<string, string>} [headers]
+ * @property {string|Object} [body] - Objects are sent as JSON.
+ * @property {string} [credential] - Name of a stored {@link Credential}.
+ * @property {number} [pollInterval] - Seconds between requests, 0 or absent to fetch once.
+ * @property {number} [retries] - Retries after network errors and 5xx/429 responses (default 2).
+ */
+
+/**
+ * Secret used to authenticate API requests. Stored under a name with
+ * `StorageManager.setCredential`, never exported.
+ * @typedef {Object} Credential
+ * @property {'bearer'|'basic'|'header'|'query'} type
+ * @property {Array<string>} [origins] - Origins it may be sent to, e.g. `https://grafana.example`;
+ *   requests elsewhere go without it.
+ * @property {string} [token] - `bearer`
+ * @property {string} [username] - `basic`
+ * @property {string} [password] - `basic`
+ * @property {string} [name] - Header or query parameter name for `header`/`query`.
+ * @property {string} [value] - Header or query parameter value for `header`/`query`.
+ */
+
+/**
+ * Attributes of the iframes a service is shown in, see `utils/securityProfile.js`.
+ * An absent field leaves the attribute off.
+ * @typedef {Object} ServiceSecurity
+ * @property {string|null} [sandbox] - Space separated sandbox tokens; `''` sandboxes fully, null not at all.
+ * @property {string} [allow] - Permissions policy, e.g. `clipboard-write; fullscreen`.
+ * @property {string} [referrerPolicy] - e.g. `no-referrer` or `strict-origin-when-cross-origin`.
+ */
+
+/**
+ * Load monitoring of a service's widget frames, see `component/widget/utils/loadMonitor.js`.
+ * @typedef {Object} ServiceLoad
+ * @property {number} [timeout] - Seconds to wait for the frame to load (default 20, 0 disables).
+ * @property {number} [retries] - Reloads after a failure before giving up (default 3).
+ */
+
+/**
+ * When hidden widgets are suspended, see `component/widget/utils/widgetSuspend.js`.
+ * @typedef {Object} SuspendPolicy
+ * @property {number} [idle] - Seconds a widget stays hidden before its content is unloaded (default 0, keeps it running).
+ */
+
 /**
  * Base template for services.
  * @typedef {Object} ServiceTemplate
  * @property {string} [type]
  * @property {ServiceConfig} [config]
  * @property {number} [maxInstances]
+ * @property {ServiceSecurity} [security]
+ * @property {ServiceLoad} [load]
+ * @property {SuspendPolicy} [suspend]
  */
 
 /**
@@ -55,15 +124,20 @@
  * @typedef {Object} Service
  * @property {string} id - A unique identifier for the service definition.
  * @property {string} name
- * @property {string} url
- * @property {string} [type]
+ * @property {string} url - May use `${NAME}` / `{{env.name}}` placeholders, see `resolveServiceConfig`.
+ * @property {string} [type] - Widget type for new widgets of this service, e.g. `api` or `clock`.
  * @property {string} [category]
  * @property {string} [subcategory]
  * @property {Array<string>} [tags]
  * @property {ServiceConfig} [config]
  * @property {number} [maxInstances] Maximum allowed widget instances
  * @property {string} [template] - The key of the template to inherit from
- * @property {{name:string,url:string,method?:string,headers?:Object}} [fallback]
+ * @property {{name:string,url:string,method?:string,headers?:Object,auto?:boolean}} [fallback] - Action opened from the
+ *   widget when the service is down; `auto` opens it by itself once the widget failed to load.
+ * @property {ServiceLoad} [load] - How long to wait for the widget frame and how often to retry.
+ * @property {ServiceApi} [api] - Data to fetch for the widget: shown by `api` widgets, posted to iframes.
+ * @property {ServiceSecurity} [security] - Iframe sandbox, permissions and referrer policy.
+ * @property {SuspendPolicy} [suspend] - Overrides `globalSettings.suspend` for the service's widgets.
  */
 
 /**
@@ -71,19 +145,56 @@
  * @typedef {'light'|'dark'} ThemeName
  */
 
+/**
+ * Names of the persistence backends StorageManager can use.
+ * @typedef {'localStorage'|'indexedDB'} StorageBackendName
+ */
+
+/**
+ * Key/value backend used by StorageManager for its data keys.
+ * @typedef {Object} StorageBackend
+ * @property {StorageBackendName} name
+ * @property {() => Promise<void>} init - Prepare the backend; rejects when unavailable.
+ * @property {(key:string) => string|null} getItem
+ * @property {(key:string, value:string) => void|Promise<void>} setItem - Throws, or for asynchronous backends returns
+ *   a promise rejecting, when the write fails.
+ * @property {(key:string) => void|Promise<void>} removeItem
+ * @property {() => string[]} keys
+ * @property {() => Promise<void>} flush - Resolve when pending writes are persisted.
+ * @property {(key:string, value:string|null) => void|Promise<void>} adopt - Take over a value another tab already persisted.
+ */
+
+/**
+ * Backend storing the values of another backend encrypted.
+ * @typedef {StorageBackend & {inner: StorageBackend}} EncryptedStorageBackend
+ */
+
 /**
  * Global dashboard settings.
  * @typedef {Object} GlobalSettings
  * @property {ThemeName} [theme]
  * @property {Array<string>} [widgetStoreUrl]
- * @property {string} [database]
+ * @property {StorageBackendName} [database]
  * @property {boolean|string} [hideBoardControl]
  * @property {boolean|string} [hideViewControl]
  * @property {boolean|string} [hideServiceControl]
  * @property {boolean|string} [showMenuWidget]
  * @property {{showViewOptionsAsButtons:boolean|string, viewToShow:string}} [views]
  * @property {{enabled:string, loadDashboardFromConfig:string, defaultBoard?:string, defaultView?:string}} [localStorage]
- * @property {number} [maxTotalInstances]
+ * @property {number} [maxTotalInstances] - Live widgets at most; suspended ones do not count.
+ * @property {SuspendPolicy} [suspend] - Default for services without their own policy.
+ * @property {'flow'|'free'} [layout] - Default layout of views, see `View.layout`.
+ * @property {RemoteSyncSettings} [remoteSync]
+ * @property {Object.<string,string>} [variables] - Values for `${NAME}` / `{{env.name}}` placeholders in service URLs.
+ */
+
+/**
+ * Settings for sharing the config through an HTTP endpoint.
+ * @typedef {Object} RemoteSyncSettings
+ * @property {string} [url] - Endpoint accepting GET and PUT of the config; empty disables sync.
+ * @property {number|string} [pollInterval] - Seconds between update checks.
+ * @property {boolean|string} [longPoll] - Ask the server to hold GET requests until the config changes.
+ * @property {Object.<string,string>} [headers] - Extra request headers, e.g. Authorization.
  */
 
 /**
@@ -96,6 +207,31 @@
  * @property {string} [servicesUrl] - Optional URL to fetch services from (used with fragment-based config)
  */
 
+/**
+ * Snapshot kept in the state store.
+ * @typedef {Object} StateSnapshot
+ * @property {string} name
+ * @property {string} type - 'autosave', 'imported', 'conflict', ...
+ * @property {string} md5
+ * @property {string} cfg - Gzipped base64url config.
+ * @property {string} svc - Gzipped base64url services.
+ * @property {number} ts
+ */
+
+/**
+ * Everything needed to restore a dashboard on another browser or profile.
+ * @typedef {Object} DashboardBackup
+ * @property {'asd-dashboard-backup'} format
+ * @property {number} version - Schema version of config, services and snapshots.
+ * @property {string} createdAt - ISO timestamp.
+ * @property {DashboardConfig} config
+ * @property {Array<Service>} services
+ * @property {{version:number, states:Array<StateSnapshot>}} snapshots
+ * @property {string|null} lastBoardId
+ * @property {string|null} lastViewId
+ * @property {Object.<string,string>} preferences - UI preferences kept in localStorage.
+ */
+
 /**
  * Structured entry written by {@link Logger} during tests.
  * @typedef {Object} LoggerEntry
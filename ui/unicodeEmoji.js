@@ -6,6 +6,7 @@ export const emojiList = {
   plus: { icon: '➕', unicode: '\u{2795}', description: 'Add' },
   noEntry: { icon: '⛔', unicode: '\u{26D4}', description: 'Delete' },
   crossCycle: { icon: '🔄', unicode: '\u{1F504}', description: 'Reset or refresh' },
+  clipboard: { icon: '📋', unicode: '\u{1F4CB}', description: 'Duplicate, move or copy' },
   arrowDown: { icon: '⬇️', unicode: '\u{2B07}\u{FE0F}', description: 'Increase height' },
   arrowRight: { icon: '➡️', unicode: '\u{27A1}\u{FE0F}', description: 'Increase width' },
   arrowUp: { icon: '⬆️', unicode: '\u{2B06}\u{FE0F}', description: 'Decrease height' },
@@ -39,7 +40,9 @@ export const emojiList = {
   shield: { icon: '🛡️', unicode: '\u{1F6E1}', description: 'Shield (protection, security)' },
   launch: { icon: '🚀', unicode: '\u{1F680}', description: 'Start a service' },
   edit: { icon: '✏️', unicode: '\u{270F}\u{FE0F}', description: 'Edit or write' },
-  checkGreen: { icon: '✅', unicode: '\u{2705}', description: 'Checkbox (green)' }
+  checkGreen: { icon: '✅', unicode: '\u{2705}', description: 'Checkbox (green)' },
+  undo: { icon: '↩️', unicode: '\u{21A9}\u{FE0F}', description: 'Undo' },
+  redo: { icon: '↪️', unicode: '\u{21AA}\u{FE0F}', description: 'Redo' }
 }
 
 export default emojiList
@@ -50,7 +50,7 @@ export function base64UrlDecode (str) {
  * @param {'gzip'|'deflate'} algo
  * @returns {Promise<Uint8Array>}
  */
-async function compressString (text, algo) {
+export async function compressString (text, algo) {
   if (typeof CompressionStream !== 'undefined') {
     const cs = new CompressionStream(algo)
     const stream = new Blob([text]).stream().pipeThrough(cs)
@@ -71,7 +71,7 @@ async function compressString (text, algo) {
  * @param {'gzip'|'deflate'} algo
  * @returns {Promise<string>}
  */
-async function decompressToString (bytes, algo) {
+export async function decompressToString (bytes, algo) {
   if (typeof DecompressionStream !== 'undefined') {
     const ds = new DecompressionStream(algo)
     const stream = new Blob([bytes]).stream().pipeThrough(ds)
@@ -0,0 +1,170 @@
+// @ts-check
+/**
+ * Central event bus. Every application event is listed in {@link EVENTS}
+ * with its payload type in {@link EventMap}.
+ *
+ * Events are still dispatched as DOM CustomEvents (on `window` for
+ * `appStateChanged`, on `document` or a component element otherwise), so
+ * code listening with `addEventListener` keeps working. Subscribers get the
+ * payload directly and an unsubscribe function back.
+ *
+ * The module has no imports so StorageManager can use it without an import cycle.
+ *
+ * @module eventBus
+ */
+
+/**
+ * Reason of an `appStateChanged` event.
+ * - `config` / `services`: written by this tab
+ * - `external`: written by another tab or pulled from the sync server (`key`)
+ * - `conflict`: a view was edited in two tabs (`viewId`, `viewName`, `snapshot`)
+ * - `quota`: a write was rejected for lack of space (`key`, `bytes`)
+ * - `sync-conflict`: the sync server holds edits clashing with unpushed local ones
+ * @typedef {'config'|'services'|'external'|'conflict'|'quota'|'sync-conflict'|'write-failed'} AppStateReason
+ */
+
+/**
+ * @typedef {Object} AppStateDetail
+ * @property {AppStateReason} reason
+ * @property {string} [key]
+ * @property {number} [bytes]
+ * @property {string} [viewId]
+ * @property {string} [viewName]
+ * @property {string} [snapshot]
+ */
+
+/**
+ * Payload of each event. `undefined` marks events without payload.
+ * @typedef {{
+ *   'appStateChanged': AppStateDetail,
+ *   'state-change': {reason:string},
+ *   'services-updated': undefined,
+ *   'view:ready': undefined,
+ *   'main:ready': undefined,
+ *   'modal:open': undefined,
+ *   'modal:close': undefined,
+ *   'ui:json-mode': boolean,
+ *   'ui:advanced-mode': boolean,
+ *   'context:changed': {name:string, value:string},
+ *   'widget:load-state': {dataid:string, service:string, state:string},
+ *   'widget:selection': {count:number},
+ *   'selector:opened': undefined,
+ *   'selector:closed': undefined,
+ *   'selector:select': {id:string},
+ *   'selector:action': {action:string, context:any},
+ *   'selector:item-action': {action:string, id:string, context:any}
+ * }} EventMap
+ */
+
+/** @typedef {keyof EventMap} EventName */
+/** @typedef {(name:EventName, detail:any, target:EventTarget) => void} EventTracer */
+
+/** Names of all application events. */
+export const EVENTS = Object.freeze({
+  /** Stored config or services changed, see {@link AppStateReason}. */
+  APP_STATE_CHANGED: /** @type {'appStateChanged'} */('appStateChanged'),
+  /** Widget counts changed, the service panel should refresh. */
+  STATE_CHANGE: /** @type {'state-change'} */('state-change'),
+  /** The service list was fetched or edited. */
+  SERVICES_UPDATED: /** @type {'services-updated'} */('services-updated'),
+  /** A board or view finished rendering. */
+  VIEW_READY: /** @type {'view:ready'} */('view:ready'),
+  /** Startup finished, the dashboard is usable. */
+  MAIN_READY: /** @type {'main:ready'} */('main:ready'),
+  MODAL_OPEN: /** @type {'modal:open'} */('modal:open'),
+  MODAL_CLOSE: /** @type {'modal:close'} */('modal:close'),
+  JSON_MODE: /** @type {'ui:json-mode'} */('ui:json-mode'),
+  ADVANCED_MODE: /** @type {'ui:advanced-mode'} */('ui:advanced-mode'),
+  /** A context variable used in widget URLs changed; an empty value means unset. */
+  CONTEXT_CHANGED: /** @type {'context:changed'} */('context:changed'),
+  /** A widget frame started loading, loaded or failed, see `loadMonitor.js`. */
+  WIDGET_LOAD_STATE: /** @type {'widget:load-state'} */('widget:load-state'),
+  /** Widgets were selected or deselected for a bulk action, see `widgetSelection.js`. */
+  WIDGET_SELECTION: /** @type {'widget:selection'} */('widget:selection'),
+  /** Selector panel events, dispatched on the panel element and bubbling up. */
+  SELECTOR_OPENED: /** @type {'selector:opened'} */('selector:opened'),
+  SELECTOR_CLOSED: /** @type {'selector:closed'} */('selector:closed'),
+  SELECTOR_SELECT: /** @type {'selector:select'} */('selector:select'),
+  SELECTOR_ACTION: /** @type {'selector:action'} */('selector:action'),
+  SELECTOR_ITEM_ACTION: /** @type {'selector:item-action'} */('selector:item-action')
+})
+
+/** @type {Set<EventTracer>} */
+const tracers = new Set()
+
+/**
+ * Default dispatch target of an event.
+ * @function defaultTarget
+ * @param {EventName} name
+ * @returns {EventTarget}
+ */
+function defaultTarget (name) {
+  return name === EVENTS.APP_STATE_CHANGED ? window : document
+}
+
+/**
+ * Dispatch an event.
+ *
+ * @function emit
+ * @template {EventName} K
+ * @param {K} name
+ * @param {EventMap[K]} [detail]
+ * @param {{target?:EventTarget}} [opts] - Element to dispatch on instead of the default target.
+ * @returns {void}
+ */
+export function emit (name, detail, { target = defaultTarget(name) } = {}) {
+  for (const tracer of tracers) {
+    try {
+      tracer(name, detail, target)
+    } catch (error) {
+      console.error('[eventBus] tracer failed:', error)
+    }
+  }
+  target.dispatchEvent(new CustomEvent(name, { detail, bubbles: true, composed: true }))
+}
+
+/**
+ * Subscribe to an event.
+ *
+ * @function on
+ * @template {EventName} K
+ * @param {K} name
+ * @param {(detail:EventMap[K], event:CustomEvent) => void} handler
+ * @param {{target?:EventTarget, once?:boolean}} [opts] - Listen on another target, or only once.
+ * @returns {() => void} Unsubscribe.
+ */
+export function on (name, handler, { target = defaultTarget(name), once = false } = {}) {
+  /** @param {Event} event */
+  const listener = event => {
+    const custom = /** @type {CustomEvent} */(event)
+    handler(custom.detail, custom)
+  }
+  target.addEventListener(name, listener, { once })
+  return () => target.removeEventListener(name, listener)
+}
+
+/**
+ * Subscribe for the next occurrence only.
+ *
+ * @function once
+ * @template {EventName} K
+ * @param {K} name
+ * @param {(detail:EventMap[K], event:CustomEvent) => void} handler
+ * @param {{target?:EventTarget}} [opts]
+ * @returns {() => void} Unsubscribe.
+ */
+export function once (name, handler, { target } = {}) {
+  return on(name, handler, { target, once: true })
+}
+
+/**
+ * Observe every dispatched event, e.g. to log them while debugging.
+ *
+ * @function traceEvents
+ * @param {EventTracer} tracer
+ * @returns {() => void} Stop tracing.
+ */
+export function traceEvents (tracer) {
+  tracers.add(tracer)
+  return () => tracers.delete(tracer)
+}
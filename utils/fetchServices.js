@@ -7,6 +7,8 @@
 import { Logger } from './Logger.js'
 import { showNotification } from '../component/dialog/notification.js'
 import StorageManager from '../storage/StorageManager.js'
+import { upgradeServices } from '../storage/migrations.js'
+import { EVENTS, emit } from './eventBus.js'
 
 /** @typedef {import('../types.js').Service} Service */
 
@@ -59,7 +61,7 @@ export const fetchServices = async () => {
 
   // Priority 1: Explicit base64 parameter (highest priority for backwards compat)
   if (params.has('services_base64')) {
-    services = parseBase64(params.get('services_base64'))
+    services = upgradeServices(parseBase64(params.get('services_base64')))
   }
 
   // Priority 2: servicesUrl from config (fragment-based URL reference)
@@ -67,13 +69,13 @@ export const fetchServices = async () => {
     const config = StorageManager.getConfig()
     if (config && config.servicesUrl) {
       logger.info(`Fetching services from config.servicesUrl: ${config.servicesUrl}`)
-      services = await fetchJson(config.servicesUrl)
+      services = upgradeServices(await fetchJson(config.servicesUrl))
     }
   }
 
   // Priority 3: Explicit services_url parameter (backwards compat)
   if (!services && params.has('services_url')) {
-    services = await fetchJson(params.get('services_url'))
+    services = upgradeServices(await fetchJson(params.get('services_url')))
   }
 
   // Priority 4: localStorage (previously saved services)
@@ -86,7 +88,7 @@ export const fetchServices = async () => {
 
   // Priority 5: Local services.json file (fallback)
   if (!services) {
-    services = await fetchJson('services.json')
+    services = upgradeServices(await fetchJson('services.json'))
   }
 
   services = services || []
@@ -95,7 +97,7 @@ export const fetchServices = async () => {
   StorageManager.setServices(services)
 
   // Notify UI (widget selector listens to this)
-  document.dispatchEvent(new CustomEvent('services-updated'))
+  emit(EVENTS.SERVICES_UPDATED)
 
   return services
 }
@@ -20,11 +20,16 @@ import { applyKeyMap } from './keymap.js'
 import { DEFAULT_CONFIG_TEMPLATE } from '../storage/defaultConfig.js'
 import { FRAG_MINIMIZE_ENABLED } from './fragmentConstants.js'
 import { KEY_MAP } from './fragmentKeyMap.js'
+import { upgradeConfig, upgradeServices } from '../storage/migrations.js'
+import { lockDownServices, lockDownWidgets } from './securityProfile.js'
 
 const logger = new Logger('fragmentLoader.js')
 
 /**
- * Parse the URL fragment and store config/services with the StorageManager
+ * Parse the URL fragment and store config/services with the StorageManager.
+ * Anyone can craft such a link, so its services and widgets get the
+ * locked-down security profile; the decision modal lets the user trust them
+ * instead.
  *
  * @function loadFromFragment
  * @param {boolean} [wasExplicitLoad=false] - Skip guard when true.
@@ -100,16 +105,16 @@ export async function loadFromFragment (wasExplicitLoad = false) {
     const svcDefaults = []
     const cfgRestored = cfgObj ? (FRAG_MINIMIZE_ENABLED ? restoreDeep(cfgObj, cfgDefaults) : cfgObj) : null
     const svcRestored = svcArr ? (FRAG_MINIMIZE_ENABLED ? restoreDeep(svcArr, svcDefaults) : svcArr) : null
-    const cfg = cfgRestored ? applyKeyMap(cfgRestored, KEY_MAP, 'decode') : null
-    const svc = svcRestored ? applyKeyMap(svcRestored, KEY_MAP, 'decode') : null
+    const cfg = cfgRestored ? upgradeConfig(applyKeyMap(cfgRestored, KEY_MAP, 'decode')) : null
+    const svc = svcRestored ? upgradeServices(applyKeyMap(svcRestored, KEY_MAP, 'decode')) : null
 
     if (cfg) {
-      StorageManager.setConfig(cfg)
+      StorageManager.setConfig(lockDownWidgets(cfg))
       logger.info('✅ Config loaded from fragment')
     }
 
     if (svc) {
-      StorageManager.setServices(svc)
+      StorageManager.setServices(lockDownServices(svc))
       logger.info('✅ Services loaded from fragment')
     }
 
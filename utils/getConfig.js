@@ -10,6 +10,7 @@ import { openConfigModal } from '../component/modal/configModal.js'
 import { DEFAULT_CONFIG_TEMPLATE } from '../storage/defaultConfig.js'
 import StorageManager from '../storage/StorageManager.js'
 import { deepEqual } from '../utils/objectUtils.js'
+import { upgradeConfig } from '../storage/migrations.js'
 
 const logger = new Logger('getConfig.js')
 
@@ -74,7 +75,7 @@ async function loadFromSources () {
 
   // 1. Explicit base64 parameter
   if (params.has('config_base64')) {
-    const cfg = parseBase64(params.get('config_base64'))
+    const cfg = upgradeConfig(parseBase64(params.get('config_base64')))
     if (cfg) {
       StorageManager.setConfig(cfg)
       window.history.replaceState(null, '', location.pathname)
@@ -85,7 +86,7 @@ async function loadFromSources () {
 
   // 2. Explicit config URL parameter
   if (params.has('config_url')) {
-    const cfg = await fetchJson(params.get('config_url'))
+    const cfg = upgradeConfig(await fetchJson(params.get('config_url')))
     if (cfg) {
       StorageManager.setConfig(cfg)
       window.history.replaceState(null, '', location.pathname)
@@ -101,10 +102,10 @@ async function loadFromSources () {
   const isEmpty = !stored || deepEqual(stored, DEFAULT_CONFIG_TEMPLATE)
 
   if (isEmpty) {
-    const cfgJ = await fetchJson('config.json')
+    // Handles both bare configs and { version, data } envelopes
+    const cfg = upgradeConfig(await fetchJson('config.json'))
 
-    if (cfgJ) {
-      const cfg = cfgJ.data || cfgJ
+    if (cfg) {
       StorageManager.setConfig(cfg)
       return cfg
     }
@@ -0,0 +1,175 @@
+// @ts-check
+/**
+ * Iframe security profiles of services: the `sandbox`, `allow` and
+ * `referrerpolicy` attributes a service's frames get. See
+ * `ServiceSecurity` in types.js.
+ *
+ * @module securityProfile
+ */
+
+/** @typedef {import('../types.js').ServiceSecurity} ServiceSecurity */
+/** @typedef {import('../types.js').Service} Service */
+/** @typedef {import('../types.js').DashboardConfig} DashboardConfig */
+
+/** Tokens the `sandbox` attribute accepts. */
+export const SANDBOX_TOKENS = Object.freeze([
+  'allow-downloads',
+  'allow-forms',
+  'allow-modals',
+  'allow-orientation-lock',
+  'allow-pointer-lock',
+  'allow-popups',
+  'allow-popups-to-escape-sandbox',
+  'allow-presentation',
+  'allow-same-origin',
+  'allow-scripts',
+  'allow-storage-access-by-user-activation',
+  'allow-top-navigation',
+  'allow-top-navigation-by-user-activation',
+  'allow-top-navigation-to-custom-protocols'
+])
+
+/** Values of the `referrerpolicy` attribute. */
+export const REFERRER_POLICIES = Object.freeze([
+  'no-referrer',
+  'no-referrer-when-downgrade',
+  'origin',
+  'origin-when-cross-origin',
+  'same-origin',
+  'strict-origin',
+  'strict-origin-when-cross-origin',
+  'unsafe-url'
+])
+
+/**
+ * Profile for services imported from a shared link: scripts and forms run,
+ * but in an opaque origin, without browser features or a referrer.
+ * @type {Readonly<ServiceSecurity>}
+ */
+export const LOCKED_DOWN_SECURITY = Object.freeze({
+  sandbox: 'allow-scripts allow-forms',
+  allow: '',
+  referrerPolicy: 'no-referrer'
+})
+
+/**
+ * @function sandboxTokens
+ * @param {string} value
+ * @returns {Array<string>}
+ */
+function sandboxTokens (value) {
+  return value.split(/\s+/).filter(Boolean)
+}
+
+/**
+ * Tokens of a sandbox value the browser would not recognise.
+ * @function invalidSandboxTokens
+ * @param {string} value
+ * @returns {Array<string>}
+ */
+export function invalidSandboxTokens (value) {
+  return sandboxTokens(value).filter(token => !SANDBOX_TOKENS.includes(token))
+}
+
+/**
+ * Combine the service's sandbox with a widget's own `settings.sandbox`. A
+ * widget can tighten the service sandbox but never loosen it; without a
+ * service sandbox the widget's applies as is.
+ *
+ * @function narrowSandbox
+ * @param {string|null|undefined} serviceSandbox
+ * @param {string|null|undefined} widgetSandbox
+ * @returns {string|null} Attribute value, null for no sandbox.
+ */
+export function narrowSandbox (serviceSandbox, widgetSandbox) {
+  const service = typeof serviceSandbox === 'string' ? serviceSandbox : null
+  const widget = typeof widgetSandbox === 'string' ? widgetSandbox : null
+  if (service === null) return widget
+  if (widget === null) return service
+  const allowed = sandboxTokens(service)
+  return sandboxTokens(widget).filter(token => allowed.includes(token)).join(' ')
+}
+
+/**
+ * Set an iframe's security attributes. Sandbox and permissions only take
+ * effect when the frame navigates, so the caller reloads a connected frame
+ * when this returns true.
+ *
+ * @function applySecurityProfile
+ * @param {HTMLIFrameElement} iframe
+ * @param {ServiceSecurity|undefined} profile - Absent fields remove the attribute.
+ * @returns {boolean} Whether any attribute changed.
+ */
+export function applySecurityProfile (iframe, profile = {}) {
+  const wanted = {
+    sandbox: typeof profile.sandbox === 'string' ? profile.sandbox : null,
+    allow: typeof profile.allow === 'string' ? profile.allow : null,
+    referrerpolicy: REFERRER_POLICIES.includes(profile.referrerPolicy) ? profile.referrerPolicy : null
+  }
+  let changed = false
+  for (const [name, value] of Object.entries(wanted)) {
+    if (iframe.getAttribute(name) === value) continue
+    if (value === null) iframe.removeAttribute(name)
+    else iframe.setAttribute(name, value)
+    changed = true
+  }
+  return changed
+}
+
+/**
+ * Copy of a service or widget from an untrusted source with the
+ * locked-down profile, without a stored credential to send and without a
+ * fallback that opens by itself.
+ *
+ * @function lockDown
+ * @template {{security?:ServiceSecurity}} T
+ * @param {T & {api?:{credential?:string}, fallback?:{auto?:boolean}}} item
+ * @returns {T}
+ */
+function lockDown (item) {
+  const out = { ...item, security: { ...LOCKED_DOWN_SECURITY } }
+  if (out.api) {
+    const { credential, ...api } = out.api
+    out.api = api
+  }
+  if (out.fallback) {
+    const { auto, ...fallback } = out.fallback
+    out.fallback = fallback
+  }
+  return out
+}
+
+/**
+ * Lock down every service, replacing whatever profile it came with. Used on
+ * services from a link the user did not trust.
+ *
+ * @function lockDownServices
+ * @param {Array<Service>} services
+ * @returns {Array<Service>}
+ */
+export function lockDownServices (services) {
+  return services.map(service => lockDown(service))
+}
+
+/**
+ * Lock down every widget of a config, as {@link lockDownServices}. A widget whose URL
+ * matches no service would otherwise run with no profile at all, or with
+ * whatever `settings.sandbox` the link chose; see `serviceSecurity` in
+ * iframeWidget.js.
+ *
+ * @function lockDownWidgets
+ * @param {DashboardConfig} config
+ * @returns {DashboardConfig}
+ */
+export function lockDownWidgets (config) {
+  return {
+    ...config,
+    boards: (config.boards || []).map(board => ({
+      ...board,
+      views: (board.views || []).map(view => ({
+        ...view,
+        widgetState: (view.widgetState || []).map(widget => lockDown(widget))
+      }))
+    }))
+  }
+}
@@ -6,18 +6,79 @@
 import StorageManager from '../storage/StorageManager.js'
 import { deepMerge } from './objectUtils.js'
 
+/** `${NAME}` or `{{env.name}}`; `{{ctx.name}}` is left for the widget to resolve. */
+const VARIABLE = /\$\{\s*([A-Za-z_][\w.-]*)\s*\}|\{\{\s*env\.([A-Za-z_][\w.-]*)\s*\}\}/g
+
+/**
+ * Variables available to service URLs: `globalSettings.variables`,
+ * overridden by the `variables` of the given board.
+ *
+ * @function getServiceVariables
+ * @param {string|null} [boardId] - Defaults to the board on screen.
+ * @returns {Record<string, string>}
+ */
+export function getServiceVariables (boardId = document.querySelector('.board')?.id ?? null) {
+  const config = StorageManager.getConfig()
+  const board = boardId ? (config.boards || []).find(b => b.id === boardId) : null
+  return { ...(config.globalSettings?.variables || {}), ...(board?.variables || {}) }
+}
+
+/**
+ * Substitute `${NAME}` and `{{env.name}}` placeholders in a URL. Unknown
+ * variables are left in place so the URL visibly fails instead of
+ * pointing somewhere unexpected.
+ *
+ * @function resolveServiceUrl
+ * @param {string} url
+ * @param {Record<string, string>} [variables]
+ * @returns {string}
+ */
+export function resolveServiceUrl (url, variables = getServiceVariables()) {
+  if (typeof url !== 'string' || (!url.includes('${') && !url.includes('{{'))) return url
+  return url.replace(VARIABLE, (match, dollar, env) => {
+    const value = variables[dollar ?? env]
+    return value === undefined || value === null ? match : String(value)
+  })
+}
+
 /**
  * Takes a raw service object and merges it with its declared template.
  * The service's own properties will override any property from the template.
+ * Placeholders in `url`, `api.url` and `fallback.url` are substituted, see
+ * {@link resolveServiceUrl}; the stored service keeps them.
  * @param {Partial<import('../types.js').Service>} rawService The service object from storage.
+ * @param {string|null} [boardId] Board whose variables apply, defaults to the board on screen.
  * @returns {import('../types.js').Service} The fully resolved service object.
  */
-export function resolveServiceConfig (rawService) {
+export function resolveServiceConfig (rawService, boardId) {
   const config = StorageManager.getConfig()
   const templates = config.serviceTemplates || {}
 
   const templateName = rawService.template || 'default'
   const baseTemplate = templates[templateName] || templates.default || {}
 
-  return /** @type {import('../types.js').Service} */ (deepMerge(baseTemplate, rawService))
+  const service = /** @type {import('../types.js').Service} */ (deepMerge(baseTemplate, rawService))
+  const variables = getServiceVariables(boardId)
+  if (service.url) service.url = resolveServiceUrl(service.url, variables)
+  if (service.api?.url) service.api = { ...service.api, url: resolveServiceUrl(service.api.url, variables) }
+  if (service.fallback?.url) service.fallback = { ...service.fallback, url: resolveServiceUrl(service.fallback.url, variables) }
+  return service
+}
+
+/**
+ * Find the service a widget URL belongs to, comparing resolved service URLs.
+ *
+ * @function findServiceByUrl
+ * @param {Array<import('../types.js').Service>} services
+ * @param {string} url - Widget URL.
+ * @param {{prefix?:boolean}} [opts] - Also match URLs below the service URL.
+ * @returns {import('../types.js').Service|undefined}
+ */
+export function findServiceByUrl (services, url, { prefix = false } = {}) {
+  if (!url) return undefined
+  const variables = getServiceVariables()
+  return services.find(service => {
+    const serviceUrl = resolveServiceUrl(service.url, variables)
+    return prefix ? Boolean(serviceUrl) && url.startsWith(serviceUrl) : serviceUrl === url
+  })
 }
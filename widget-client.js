@@ -0,0 +1,178 @@
+// @ts-check
+/**
+ * Client helper for pages embedded as ASD dashboard widgets. Load it from
+ * the dashboard so it knows the dashboard's origin:
+ *
+ *   <script src="https://dashboard.example/widget-client.js"></script>
+ *
+ * or set `data-dashboard-origin` on the script tag when it is served from
+ * elsewhere. It defines `window.asdWidget`; every method returns a promise
+ * that rejects when the dashboard refuses the request or does not answer.
+ *
+ * @example
+ * const { settings } = await asdWidget.ready()
+ * await asdWidget.setTitle('CPU load')
+ * asdWidget.subscribe('theme', data => applyTheme(data))
+ * asdWidget.onData(data => render(data))
+ * asdWidget.setContext('container', 'web-1')
+ *
+ * The protocol itself is described in `component/widget/messageProtocol.md`.
+ *
+ * @module widget-client
+ */
+(function () {
+  const PROTOCOL_VERSION = 1
+  const TIMEOUT_MS = 5000
+
+  const script = /** @type {HTMLScriptElement|null} */(document.currentScript)
+  const dashboardOrigin = script?.dataset.dashboardOrigin ||
+    (script?.src ? new URL(script.src, location.href).origin : '')
+
+  let nextId = 1
+  /** @type {Map<number, {resolve:(value:any) => void, reject:(error:Error) => void, timer:ReturnType<typeof setTimeout>}>} */
+  const pending = new Map()
+  /** @type {Map<string, Set<(data:any, from:string) => void>>} */
+  const topicHandlers = new Map()
+  /** @type {Set<(data:any) => void>} */
+  const dataHandlers = new Set()
+  /** @type {Set<(name:string, value:string) => void>} */
+  const contextHandlers = new Set()
+  /** @type {Promise<any>|null} */
+  let hello = null
+
+  /**
+   * Send a request and wait for the reply.
+   * @param {string} type
+   * @param {Record<string, any>} [payload]
+   * @returns {Promise<any>}
+   */
+  function request (type, payload = {}) {
+    if (window.parent === window) return Promise.reject(new Error('Not embedded in a dashboard'))
+    if (!dashboardOrigin) return Promise.reject(new Error('Dashboard origin unknown, set data-dashboard-origin'))
+    const id = nextId++
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pending.delete(id)
+        reject(new Error(`No reply to "${type}" from the dashboard`))
+      }, TIMEOUT_MS)
+      pending.set(id, { resolve, reject, timer })
+      window.parent.postMessage({ ...payload, asd: PROTOCOL_VERSION, type, id }, dashboardOrigin)
+    })
+  }
+
+  window.addEventListener('message', (event) => {
+    if (event.source !== window.parent || event.origin !== dashboardOrigin) return
+    const msg = event.data
+    if (!msg || msg.asd !== PROTOCOL_VERSION) return
+
+    if (msg.type === 'reply') {
+      const call = pending.get(msg.id)
+      if (!call) return
+      pending.delete(msg.id)
+      clearTimeout(call.timer)
+      if (msg.ok) call.resolve(msg.result)
+      else call.reject(new Error(msg.error))
+    } else if (msg.type === 'message') {
+      for (const handler of topicHandlers.get(msg.topic) || []) handler(msg.data, msg.from)
+    } else if (msg.type === 'data') {
+      for (const handler of dataHandlers) handler(msg.data)
+    } else if (msg.type === 'context') {
+      for (const handler of contextHandlers) handler(msg.name, msg.value)
+    }
+  })
+
+  window.asdWidget = Object.freeze({
+    version: PROTOCOL_VERSION,
+
+    /**
+     * Handshake; resolves with the widget id, size, settings and metadata.
+     * @returns {Promise<{protocol:number, widgetId:string, columns:number, rows:number, settings:Object, metadata:Object}>}
+     */
+    ready () {
+      if (!hello) hello = request('hello').catch(error => { hello = null; throw error })
+      return hello
+    },
+
+    /** @returns {Promise<{settings:Object, metadata:Object}>} */
+    getSettings: () => request('getSettings'),
+
+    /**
+     * Ask for a new span; the dashboard clamps it to the service's limits.
+     * @param {number} [columns]
+     * @param {number} [rows]
+     * @returns {Promise<{columns:number, rows:number}>}
+     */
+    resize: (columns, rows) => request('resize', { columns, rows }),
+
+    /**
+     * @param {string} title - Empty restores the service name.
+     * @returns {Promise<{title:string}>}
+     */
+    setTitle: (title) => request('setTitle', { title }),
+
+    /**
+     * @param {boolean} [on] - Toggles when omitted.
+     * @returns {Promise<{on:boolean}>}
+     */
+    fullscreen: (on) => request('fullscreen', { on }),
+
+    /**
+     * Send data to the other widgets subscribed to a topic.
+     * @param {string} topic
+     * @param {any} data - Must be structured-cloneable.
+     * @returns {Promise<{delivered:number}>}
+     */
+    publish: (topic, data) => request('publish', { topic, data }),
+
+    /**
+     * Receive data published on a topic.
+     * @param {string} topic
+     * @param {(data:any, from:string) => void} handler - `from` is the publishing widget's id.
+     * @returns {Promise<() => Promise<void>>} Resolves to an unsubscribe function.
+     */
+    async subscribe (topic, handler) {
+      if (!topicHandlers.has(topic)) topicHandlers.set(topic, new Set())
+      topicHandlers.get(topic).add(handler)
+      await request('subscribe', { topic })
+      return async () => {
+        const handlers = topicHandlers.get(topic)
+        handlers?.delete(handler)
+        if (handlers?.size === 0) {
+          topicHandlers.delete(topic)
+          await request('unsubscribe', { topic })
+        }
+      }
+    },
+
+    /** @returns {Promise<Record<string, string>>} All context variables. */
+    getContext: () => request('getContext'),
+
+    /**
+     * Set a context variable; widgets whose URL uses `{{ctx.<name>}}` follow it.
+     * @param {string} name
+     * @param {string} value - Empty unsets the variable.
+     * @returns {Promise<{name:string, value:string}>}
+     */
+    setContext: (name, value) => request('setContext', { name, value }),
+
+    /**
+     * Be told when any context variable changes.
+     * @param {(name:string, value:string) => void} handler
+     * @returns {() => void} Unsubscribe.
+     */
+    onContext (handler) {
+      contextHandlers.add(handler)
+      return () => contextHandlers.delete(handler)
+    },
+
+    /**
+     * Receive the service's API data when the dashboard fetches it.
+     * @param {(data:any) => void} handler
+     * @returns {() => void} Unsubscribe.
+     */
+    onData (handler) {
+      dataHandlers.add(handler)
+      return () => dataHandlers.delete(handler)
+    }
+  })
+})()